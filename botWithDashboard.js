@@ -5,21 +5,26 @@ require("dotenv").config();
 const ethers = require("ethers");
 const TelegramBot = require('node-telegram-bot-api');
 const DashboardServer = require('./server');
+const { createLogger } = require('./helpers/logger');
 
-// Import helpers
-const {
-    getVenusAccountData,
-    getAllBorrowPositions,
-    getAllCollateralPositions,
-    getLiquidationParameters,
-    findBestLiquidationPair,
-    verifyLiquidatable
-} = require('./helpers/venusHelpers');
-
-const {
-    calculateCollateralSeized,
-    calculateLiquidationProfit
-} = require('./helpers/liquidationCalculator');
+const log = createLogger('dashboard');
+
+// Validate every tunable before anything else reads them
+const { loadConfig } = require('./helpers/configSchema');
+let startupConfig;
+try {
+    startupConfig = loadConfig();
+} catch (error) {
+    log.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+// Shared liquidation pipeline (same logic as bscLiquidationBot.js)
+const LiquidationEngine = require('./helpers/liquidationEngine');
+const { getNetworkConfig } = require('./helpers/networkConfig');
+const ConfigReloader = require('./helpers/configReloader');
+const ShutdownCoordinator = require('./helpers/shutdownCoordinator');
+const { instrumentEngine } = require('./helpers/metrics');
 
 // Configuration validation
 const REQUIRED_ENV = [
@@ -31,19 +36,16 @@ const REQUIRED_ENV = [
 
 const missingEnv = REQUIRED_ENV.filter((k) => !process.env[k]);
 if (missingEnv.length) {
-    console.warn(`⚠️  Missing environment variables: ${missingEnv.join(', ')}`);
-    console.warn(`⚠️  Bot functionality will be limited. Dashboard will still work.\n`);
+    log.warn(`⚠️  Missing environment variables: ${missingEnv.join(', ')} - bot functionality will be limited, dashboard will still work`);
 }
 
+// Addresses, default RPC and explorer of the selected profile (NETWORK / config.json)
+const NETWORK = getNetworkConfig();
+
 class BotWrapper {
     constructor() {
-        this.isRunning = true;
-        this.liquidationCount = 0;
-        this.totalProfit = 0n;
-        this.monitoredAddresses = new Set();
-        this.cachedBorrowers = [];
-        this.lastBorrowerFetchTs = 0;
-        this.lastBorrowerBlock = 0;
+        this.engine = null;
+        this.demoRunning = true;
         this.recentLiquidations = [];
         this.currentOpportunities = [];
         this.currentBlock = 0;
@@ -53,87 +55,141 @@ class BotWrapper {
         if (missingEnv.length === 0) {
             this.initializeBot();
         } else {
-            console.log('📊 Running in dashboard-only mode\n');
+            log.info('📊 Running in dashboard-only mode\n');
         }
 
         // Initialize dashboard server
         this.dashboardServer = new DashboardServer(this);
+
+        // SIGINT, SIGTERM and uncaught errors: drain the engine, then close everything else
+        this.shutdownCoordinator = new ShutdownCoordinator({ engine: this.engine })
+            .addStep('Config reloader', () => this.configReloader?.stop())
+            .addStep('Telegram', () => this.bot?.stopPolling())
+            .addStep('WebSocket', () => this.wsProvider?.destroy())
+            .addStep('Dashboard', () => this.dashboardServer.stop())
+            .install();
+    }
+
+    get isRunning() {
+        return this.engine ? this.engine.isRunning : this.demoRunning;
     }
 
     initializeBot() {
         // Use WebSocket provider for event monitoring, fallback to HTTP for regular calls
-        const BSC_RPC_HTTP = process.env.BSC_RPC_QUICKNODE || "https://bsc-dataseed.binance.org/";
+        const BSC_RPC_HTTP = process.env.BSC_RPC_QUICKNODE || NETWORK.RPC_URL;
         const BSC_RPC_WSS = process.env.BSC_RPC_WSS || process.env.BSC_RPC_QUICKNODE?.replace('https://', 'wss://') || null;
 
         // Primary provider for transactions and regular calls
         this.provider = new ethers.JsonRpcProvider(BSC_RPC_HTTP);
         this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
 
-        // WebSocket provider for event listening (if available)
+        // WebSocket provider for new block headers and event listening (if available)
         this.wsProvider = null;
-        if (BSC_RPC_WSS && process.env.USE_EVENT_MONITORING === 'true') {
+        if (BSC_RPC_WSS && (startupConfig.scanMode === 'block' || startupConfig.useEventMonitoring)) {
             try {
                 this.wsProvider = new ethers.WebSocketProvider(BSC_RPC_WSS);
-                console.log('✅ WebSocket provider initialized for event monitoring');
+                log.info('✅ WebSocket provider initialized for block headers and events');
             } catch (error) {
-                console.warn('⚠️  WebSocket provider failed to initialize, using HTTP for events:', error.message);
+                log.warn(`⚠️  WebSocket provider failed to initialize, using HTTP for events: ${error.message}`);
             }
         }
 
-        // Venus Protocol Addresses
-        this.VENUS_COMPTROLLER = "0xfD36E2c2a6789Db23113685031d7F16329158384";
-        this.VENUS_ORACLE = "0xd8B6dA2bfEC71D684D3E2a2FC9492dDad5C3787F";
-
-        // Venus vTokens
-        this.VENUS_MARKETS = {
-            vBNB: "0xA07c5b74C9B40447a954e1466938b865b6BBea36",
-            vUSDT: "0xfD5840Cd36d94D7229439859C0112a4185BC0255",
-            vBUSD: "0x95c78222B3D6e262426483D42CfA53685A67Ab9D",
-            vBTC: "0x882C173bC7Ff3b7786CA16dfeD3DFFfb9Ee7847B",
-            vETH: "0xf508fCD89b8bd15579dc79A6827cB4686A3592c8",
-            vUSDC: "0xecA88125a5ADbe82614ffC12D0DB554E2e2867C8"
-        };
-
-        // Liquidation contract
-        this.LIQUIDATION_CONTRACT = process.env.LIQUIDATION_CONTRACT_ADDRESS;
-
-        // Bot parameters
-        this.MIN_PROFIT_THRESHOLD = ethers.parseEther("0.01");
-        this.MAX_LIQUIDATION_SIZE = ethers.parseEther("100");
-        this.POLLING_INTERVAL = 10000;
-        this.BORROWER_REFRESH_INTERVAL_MS = 60000;
-        this.MAX_BORROWERS_PER_SCAN = 25;
-        this.DEFAULT_MIN_OUT_BPS = 100;
-        this.DEFAULT_GAS_LIMIT = 800000n;
-        this.DEFAULT_SWAP_SLIPPAGE = 0.01;
-        this.ONE = ethers.parseEther("1");
-        this.GAS_ESTIMATE_BUFFER_PERCENT = parseInt(process.env.GAS_ESTIMATE_BUFFER_PERCENT || "20");
-
-        // Initialize contracts
-        const COMPTROLLER_ABI = [
-            "function getAccountLiquidity(address account) external view returns (uint, uint, uint)",
-            "function getAllMarkets() external view returns (address[])",
-            "function liquidationIncentiveMantissa() external view returns (uint)",
-            "function markets(address) external view returns (bool, uint, bool)"
-        ];
-
-        const ORACLE_ABI = [
-            "function getUnderlyingPrice(address vToken) external view returns (uint)"
-        ];
-
-        const LIQUIDATION_ABI = [
-            "function executeLiquidation(address borrower, address debtToken, address collateralToken, address vDebtToken, address vCollateralToken, uint256 repayAmount, uint24 swapFee, uint256 minOutBps) external"
-        ];
-
-        this.comptroller = new ethers.Contract(this.VENUS_COMPTROLLER, COMPTROLLER_ABI, this.provider);
-        this.oracle = new ethers.Contract(this.VENUS_ORACLE, ORACLE_ABI, this.provider);
-        this.liquidationContract = new ethers.Contract(this.LIQUIDATION_CONTRACT, LIQUIDATION_ABI, this.wallet);
+        this.engine = new LiquidationEngine({
+            provider: this.provider,
+            wallet: this.wallet,
+            wsProvider: this.wsProvider,
+            liquidationContractAddress: process.env.LIQUIDATION_CONTRACT_ADDRESS,
+            network: NETWORK
+        });
+        this.setupEngineEvents();
+        // Served on the dashboard's /metrics
+        instrumentEngine(this.engine);
+
+        // Re-apply safe settings from .env on SIGHUP or file change (CONFIG_WATCH=false: SIGHUP only)
+        this.configReloader = new ConfigReloader({ target: this.engine, watch: process.env.CONFIG_WATCH !== 'false' });
 
         // Telegram bot
         this.bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: true });
         this.setupTelegramCommands();
     }
 
+    /**
+     * Forward engine events to the dashboard and Telegram
+     */
+    setupEngineEvents() {
+        this.engine.on('scanStarted', () => {
+            // Refresh header stats alongside every real scan
+            this.updateCurrentBlock();
+            this.updateWalletBalance();
+        });
+
+        this.engine.on('opportunityFound', (opportunity) => {
+            const data = {
+                borrower: opportunity.borrower,
+                expectedProfit: `${ethers.formatEther(opportunity.expectedProfit)} BNB`,
+                shortfall: `${ethers.formatEther(opportunity.shortfall)} USD`,
+                repayAmount: `${ethers.formatEther(opportunity.repayAmount)} tokens`,
+                timestamp: Date.now()
+            };
+
+            this.addOpportunity(data);
+            this.dashboardServer.emitLiquidationFound(data);
+        });
+
+        this.engine.on('liquidationExecuted', ({ opportunity, receipt, realizedProfit, liquidationCount, totalProfit }) => {
+            const profit = realizedProfit === null ? 'unknown' : ethers.formatEther(realizedProfit);
+            const data = {
+                borrower: opportunity.borrower,
+                profit: `${profit} BNB`,
+                expectedProfit: `${ethers.formatEther(opportunity.expectedProfit)} BNB`,
+                repayAmount: `${ethers.formatEther(opportunity.repayAmount)} tokens`,
+                txHash: receipt.hash,
+                timestamp: Date.now()
+            };
+
+            this.recentLiquidations.unshift(data);
+            this.recentLiquidations = this.recentLiquidations.slice(0, 20);
+            this.currentOpportunities = this.currentOpportunities.filter(opp => opp.borrower !== opportunity.borrower);
+
+            this.dashboardServer.emitLiquidationExecuted(data);
+            this.dashboardServer.emitStatsUpdate({
+                totalProfit: ethers.formatEther(totalProfit),
+                liquidationCount
+            });
+
+            this.sendMessage(
+                `🎯 *Liquidation Success!*\n\n` +
+                `Borrower: \`${opportunity.borrower.substring(0, 10)}...\`\n` +
+                `Profit: *${profit} BNB* (expected ${ethers.formatEther(opportunity.expectedProfit)})\n` +
+                `Total: ${ethers.formatEther(totalProfit)} BNB\n` +
+                `Count: ${liquidationCount}\n` +
+                `[View TX](${NETWORK.EXPLORER_URL}/tx/${receipt.hash})`
+            );
+        });
+
+        this.engine.on('liquidationFailed', ({ opportunity, reason }) => {
+            this.dashboardServer.emitLiquidationFailed({ borrower: opportunity.borrower, reason });
+            this.sendMessage(`❌ *Liquidation Failed*\n\nReason: ${reason.substring(0, 100)}`);
+        });
+
+        // Dropped before sending - dashboard only, no Telegram noise
+        this.engine.on('simulationFailed', ({ opportunity, reason, category }) => {
+            this.dashboardServer.emitLiquidationFailed({ borrower: opportunity.borrower, reason: `Simulation [${category}]: ${reason}` });
+        });
+        this.engine.on('opportunityStale', ({ opportunity, currentBlock }) => {
+            this.dashboardServer.emitLiquidationFailed({ borrower: opportunity.borrower, reason: `Gone at block ${currentBlock} (found at ${opportunity.blockNumber})` });
+        });
+
+        this.engine.on('circuitBreakerTripped', ({ reason }) => {
+            this.dashboardServer.emitError({ message: `Circuit breaker tripped: ${reason}` });
+            this.sendMessage(`🚨 *Circuit Breaker Tripped*\n\n${reason}\n\nBot operations halted for safety.`);
+        });
+
+        this.engine.on('scanError', (error) => {
+            this.dashboardServer.emitError({ message: error.message });
+        });
+    }
+
     setupTelegramCommands() {
         this.bot.onText(/\/start/, () => {
             this.start();
@@ -149,44 +205,67 @@ class BotWrapper {
             if (!this.provider) return;
             const balance = await this.provider.getBalance(this.wallet.address);
             const blockNumber = await this.provider.getBlockNumber();
+            const stats = this.engine.getStats();
             
             this.sendMessage(
                 `📊 *Bot Status*\n\n` +
-                `Network: BSC Mainnet\n` +
+                `Network: ${NETWORK.NAME} (chain ${NETWORK.CHAIN_ID})\n` +
                 `Protocol: Venus\n` +
-                `Status: ${this.isRunning ? '🟢 Running' : '🔴 Stopped'}\n` +
+                `Status: ${stats.isRunning ? '🟢 Running' : '🔴 Stopped'}\n` +
                 `Block: ${blockNumber}\n` +
-                `Liquidations: ${this.liquidationCount}\n` +
-                `Total Profit: ${ethers.formatEther(this.totalProfit)} BNB\n` +
-                `Balance: ${ethers.formatEther(balance)} BNB`
+                `Liquidations: ${stats.liquidationCount}\n` +
+                `Total Profit: ${ethers.formatEther(stats.totalProfit)} BNB\n` +
+                `Balance: ${ethers.formatEther(balance)} BNB\n` +
+                `Circuit Breaker: ${stats.circuitBreaker.isTripped ? '🔴 Tripped' : '🟢 OK'}`
             );
         });
+
+        this.bot.onText(/\/reset/, async () => {
+            await this.engine.circuitBreaker.reset();
+            this.sendMessage("🔄 *Circuit Breaker Reset*\n\nPrice monitoring reinitialized. Bot can resume operations.");
+        });
     }
 
     sendMessage(text) {
         if (this.bot && process.env.TELEGRAM_CHAT_ID) {
             this.bot.sendMessage(process.env.TELEGRAM_CHAT_ID, text, { parse_mode: 'Markdown' })
-                .catch(e => console.error('Telegram error:', e.message));
+                .catch(e => log.error(`Telegram error: ${e.message}`));
         }
     }
 
     start() {
-        this.isRunning = true;
-        console.log('✅ Bot started');
+        if (this.engine) {
+            this.engine.start();
+        } else {
+            this.demoRunning = true;
+        }
+        log.info('✅ Bot started');
     }
 
     stop() {
-        this.isRunning = false;
-        console.log('⏸️  Bot stopped');
+        if (this.engine) {
+            this.engine.stop();
+        } else {
+            this.demoRunning = false;
+        }
+        log.info('⏸️  Bot stopped');
+    }
+
+    addOpportunity(opportunity) {
+        this.currentOpportunities = this.currentOpportunities.filter(opp => opp.borrower !== opportunity.borrower);
+        this.currentOpportunities.unshift(opportunity);
+        if (this.currentOpportunities.length > 5) {
+            this.currentOpportunities.pop();
+        }
     }
 
     // Dashboard API methods
     getTotalProfit() {
-        return ethers.formatEther(this.totalProfit);
+        return ethers.formatEther(this.engine ? this.engine.totalProfit : 0n);
     }
 
     getLiquidationCount() {
-        return this.liquidationCount;
+        return this.engine ? this.engine.liquidationCount : 0;
     }
 
     getWalletBalance() {
@@ -194,23 +273,27 @@ class BotWrapper {
     }
 
     getActiveBorrowers() {
-        return this.cachedBorrowers.length;
+        return this.engine ? this.engine.getStats().activeBorrowers : 0;
     }
 
     getCurrentBlock() {
         return this.currentBlock;
     }
 
+    getNetwork() {
+        return `${NETWORK.NAME} (chain ${NETWORK.CHAIN_ID})`;
+    }
+
     getWalletAddress() {
         return this.wallet ? this.wallet.address : 'N/A';
     }
 
     getMinProfit() {
-        return this.MIN_PROFIT_THRESHOLD ? ethers.formatEther(this.MIN_PROFIT_THRESHOLD) : '0.01';
+        return this.engine ? ethers.formatEther(this.engine.config.minProfitThreshold) : '0.01';
     }
 
     getPollingInterval() {
-        return this.POLLING_INTERVAL ? this.POLLING_INTERVAL / 1000 : 10;
+        return this.engine ? this.engine.config.pollingInterval / 1000 : 10;
     }
 
     getRecentLiquidations() {
@@ -229,7 +312,7 @@ class BotWrapper {
                     walletBalance: ethers.formatEther(this.walletBalance)
                 });
             } catch (error) {
-                console.error('Error updating wallet balance:', error.message);
+                log.error(`Error updating wallet balance: ${error.message}`);
             }
         }
     }
@@ -239,79 +322,33 @@ class BotWrapper {
             try {
                 this.currentBlock = await this.provider.getBlockNumber();
             } catch (error) {
-                console.error('Error updating block:', error.message);
+                log.error(`Error updating block: ${error.message}`);
             }
         }
     }
 
     /**
-     * Estimate gas for liquidation with configurable buffer
-     * Returns dynamic gas limit or falls back to default
+     * Dashboard-only mode: emit mock opportunities when ENABLE_DEMO_MODE=true
+     * The real pipeline lives in LiquidationEngine and is never mixed with demo data
      */
-    async estimateGasForLiquidation(opportunity) {
-        try {
-            const swapFee = 2500; // 0.25% tier
-            const gasEstimate = await this.liquidationContract.executeLiquidation.estimateGas(
-                opportunity.borrower,
-                opportunity.debtToken,
-                opportunity.collateralToken,
-                opportunity.vDebtToken,
-                opportunity.vCollateralToken,
-                opportunity.repayAmount,
-                swapFee,
-                opportunity.minOutBps
-            );
-            
-            // Add configurable buffer to gas estimate
-            const bufferMultiplier = 100n + BigInt(this.GAS_ESTIMATE_BUFFER_PERCENT);
-            const gasWithBuffer = (gasEstimate * bufferMultiplier) / 100n;
-            console.log(`   Gas Estimate: ${gasEstimate.toString()} (with ${this.GAS_ESTIMATE_BUFFER_PERCENT}% buffer: ${gasWithBuffer.toString()})`);
-            return gasWithBuffer;
-        } catch (error) {
-            console.log(`   Gas estimation failed, using default: ${error.message}`);
-            return this.DEFAULT_GAS_LIMIT;
-        }
-    }
-
-    async runMonitoringCycle() {
-        if (!this.isRunning || !this.provider) {
+    runDemoCycle() {
+        if (!this.isRunning || process.env.ENABLE_DEMO_MODE !== 'true') {
             return;
         }
 
-        console.log('\n🔍 Scanning for liquidation opportunities...');
-        
-        // Update block and balance
-        await this.updateCurrentBlock();
-        await this.updateWalletBalance();
-
-        // TODO: Integrate actual liquidation monitoring logic from bscLiquidationBot.js
-        // This is a simplified version for dashboard demonstration
-        // In production, replace this with actual Venus Protocol monitoring:
-        // 1. Call getActiveBorrowers() to get list of borrowers
-        // 2. For each borrower, call checkLiquidationOpportunity()
-        // 3. If profitable opportunity found, call executeLiquidation()
-        
-        // DEMO MODE: The following code is for demonstration only
-        // Remove or disable this section when integrating real bot logic
-        if (process.env.ENABLE_DEMO_MODE === 'true') {
-            // Simulate finding an opportunity (5% chance per cycle)
-            if (Math.random() > 0.95) {
-                const mockOpportunity = {
-                    borrower: '0x' + Math.random().toString(16).substring(2, 42),
-                    expectedProfit: (Math.random() * 0.1).toFixed(4) + ' BNB',
-                    shortfall: (Math.random() * 100).toFixed(2) + ' USD',
-                    repayAmount: (Math.random() * 10).toFixed(4) + ' tokens',
-                    timestamp: Date.now()
-                };
-                
-                this.currentOpportunities.unshift(mockOpportunity);
-                if (this.currentOpportunities.length > 5) {
-                    this.currentOpportunities.pop();
-                }
-                
-                this.dashboardServer.emitLiquidationFound(mockOpportunity);
-                console.log('💡 Demo opportunity found:', mockOpportunity.borrower);
-            }
+        // Simulate finding an opportunity (5% chance per cycle)
+        if (Math.random() > 0.95) {
+            const mockOpportunity = {
+                borrower: '0x' + Math.random().toString(16).substring(2, 42),
+                expectedProfit: (Math.random() * 0.1).toFixed(4) + ' BNB',
+                shortfall: (Math.random() * 100).toFixed(2) + ' USD',
+                repayAmount: (Math.random() * 10).toFixed(4) + ' tokens',
+                timestamp: Date.now()
+            };
+            
+            this.addOpportunity(mockOpportunity);
+            this.dashboardServer.emitLiquidationFound(mockOpportunity);
+            log.info(`💡 Demo opportunity found: ${mockOpportunity.borrower}`);
         }
     }
 
@@ -320,51 +357,58 @@ class BotWrapper {
     }
 
     async run() {
-        console.log(`\n${"=".repeat(70)}`);
-        console.log(`   BSC VENUS LIQUIDATION BOT WITH DASHBOARD`);
-        console.log(`   Flash Loans: PancakeSwap V3 (0% FEES!)`);
-        console.log(`${"=".repeat(70)}\n`);
-        
-        if (this.wallet) {
-            console.log(`💼 Wallet: ${this.wallet.address}`);
-            console.log(`🏦 Venus Comptroller: ${this.VENUS_COMPTROLLER}`);
-            console.log(`💰 Min Profit: ${ethers.formatEther(this.MIN_PROFIT_THRESHOLD)} BNB`);
-            console.log(`⚙️  Polling Interval: ${this.POLLING_INTERVAL}ms`);
-        }
+        log.info(`🤖 BSC VENUS LIQUIDATION BOT WITH DASHBOARD - Flash Loans: PancakeSwap V3 (pool fee tier, 0.01%-1%)`, this.engine ? {
+            wallet: this.wallet.address,
+            comptroller: this.engine.comptrollerAddress,
+            minProfitBnb: ethers.formatEther(this.engine.config.minProfitThreshold),
+            scanMode: this.engine.config.scanMode
+        } : {});
 
         // Start dashboard server
         const dashboardPort = process.env.DASHBOARD_PORT || 3000;
         await this.startDashboard(dashboardPort);
 
-        if (this.wallet) {
-            this.sendMessage(
-                `🤖 *Liquidation Bot Started*\n\n` +
-                `Protocol: Venus (BSC)\n` +
-                `Flash Loans: FREE (0%)\n` +
-                `Min Profit: ${ethers.formatEther(this.MIN_PROFIT_THRESHOLD)} BNB\n` +
-                `Dashboard: http://localhost:${dashboardPort}\n` +
-                `Status: 🟢 Active`
-            );
-        }
-
-        // Main monitoring loop
-        while (true) {
-            if (this.isRunning) {
-                await this.runMonitoringCycle();
+        if (!this.engine) {
+            // Dashboard-only mode: keep the UI alive (with optional demo data)
+            while (true) {
+                this.runDemoCycle();
+                await new Promise(resolve => setTimeout(resolve, 10000));
             }
-            
-            await new Promise(resolve => setTimeout(resolve, this.POLLING_INTERVAL));
         }
+
+        // Database, circuit breaker and event monitoring
+        await this.engine.initialize();
+        this.configReloader.start();
+        await Promise.all([this.updateCurrentBlock(), this.updateWalletBalance()]);
+
+        this.sendMessage(
+            `🤖 *Liquidation Bot Started*\n\n` +
+            `Network: ${NETWORK.NAME} (chain ${NETWORK.CHAIN_ID})\n` +
+            `Protocol: Venus\n` +
+            `Flash Loans: PancakeSwap V3 (pays the flash pool fee tier)\n` +
+            `Min Profit: ${ethers.formatEther(this.engine.config.minProfitThreshold)} BNB\n` +
+            `Dashboard: http://localhost:${dashboardPort}\n` +
+            `Status: 🟢 Active`
+        );
+
+        // Main monitoring loop (shared with bscLiquidationBot.js)
+        await this.engine.run();
     }
 }
 
 // Start the bot with dashboard
+let botWrapper = null;
+
 async function main() {
-    const botWrapper = new BotWrapper();
+    botWrapper = new BotWrapper();
     await botWrapper.run();
 }
 
 main().catch(error => {
-    console.error("💥 Fatal error:", error);
-    process.exit(1);
+    log.error(`💥 Fatal error: ${error.stack || error}`);
+    if (botWrapper) {
+        botWrapper.shutdownCoordinator.shutdown('fatal error', 1);
+    } else {
+        process.exit(1);
+    }
 });
@@ -4,28 +4,28 @@
 require("dotenv").config();
 const ethers = require("ethers");
 const TelegramBot = require('node-telegram-bot-api');
-const pLimit = require('p-limit');
-
-// Helper utilities for Venus liquidation math
-const {
-    getVenusAccountData,
-    getAllBorrowPositions,
-    getAllCollateralPositions,
-    getLiquidationParameters,
-    findBestLiquidationPair,
-    verifyLiquidatable
-} = require('./helpers/venusHelpers');
-
-const {
-    calculateCollateralSeized,
-    calculateLiquidationProfit
-} = require('./helpers/liquidationCalculator');
-
-// New safety and monitoring helpers
-const CircuitBreaker = require('./helpers/circuitBreaker');
-const EventMonitor = require('./helpers/eventMonitor');
-const MulticallHelper = require('./helpers/multicall');
+
+const { createLogger } = require('./helpers/logger');
+
+const log = createLogger('bot');
+
+// Validate every tunable before anything else reads them
+const { loadConfig } = require('./helpers/configSchema');
+let startupConfig;
+try {
+    startupConfig = loadConfig();
+} catch (error) {
+    log.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+// Shared liquidation pipeline (also used by botWithDashboard.js)
+const LiquidationEngine = require('./helpers/liquidationEngine');
+const { getNetworkConfig } = require('./helpers/networkConfig');
 const BorrowerDatabase = require('./helpers/borrowerDatabase');
+const ConfigReloader = require('./helpers/configReloader');
+const ShutdownCoordinator = require('./helpers/shutdownCoordinator');
+const { instrumentEngine, registry, startMetricsServer } = require('./helpers/metrics');
 
 // ============================================
 // CONFIGURATION
@@ -43,102 +43,53 @@ if (missingEnv.length) {
     throw new Error(`Missing required environment variables: ${missingEnv.join(', ')}`);
 }
 
+// Addresses, default RPC and explorer of the selected profile (NETWORK / config.json)
+const NETWORK = getNetworkConfig();
+log.info(`🌐 Network: ${NETWORK.NAME} (chain ${NETWORK.CHAIN_ID})`);
+
 // Use WebSocket provider for event monitoring, fallback to HTTP for regular calls
-const BSC_RPC_HTTP = process.env.BSC_RPC_QUICKNODE || "https://bsc-dataseed.binance.org/";
+const BSC_RPC_HTTP = process.env.BSC_RPC_QUICKNODE || NETWORK.RPC_URL;
 const BSC_RPC_WSS = process.env.BSC_RPC_WSS || process.env.BSC_RPC_QUICKNODE?.replace('https://', 'wss://') || null;
 
 // Primary provider for transactions and regular calls
 const provider = new ethers.JsonRpcProvider(BSC_RPC_HTTP);
 const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
 
-// WebSocket provider for event listening (if available)
+// WebSocket provider for new block headers and event listening (if available)
 let wsProvider = null;
-if (BSC_RPC_WSS && process.env.USE_EVENT_MONITORING === 'true') {
+if (BSC_RPC_WSS && (startupConfig.scanMode === 'block' || startupConfig.useEventMonitoring)) {
     try {
         wsProvider = new ethers.WebSocketProvider(BSC_RPC_WSS);
-        console.log('✅ WebSocket provider initialized for event monitoring');
+        log.info('✅ WebSocket provider initialized for block headers and events');
     } catch (error) {
-        console.warn('⚠️  WebSocket provider failed to initialize, using HTTP for events:', error.message);
+        log.warn(`⚠️  WebSocket provider failed to initialize, using HTTP for events: ${error.message}`);
     }
 }
 
-// Venus Protocol Addresses (BSC Mainnet)
-const VENUS_COMPTROLLER = "0xfD36E2c2a6789Db23113685031d7F16329158384";
-const VENUS_ORACLE = "0xd8B6dA2bfEC71D684D3E2a2FC9492dDad5C3787F";
-
-// Venus vTokens (most liquid markets)
-const VENUS_MARKETS = {
-    vBNB: "0xA07c5b74C9B40447a954e1466938b865b6BBea36",    // Wrapped BNB
-    vUSDT: "0xfD5840Cd36d94D7229439859C0112a4185BC0255",   // USDT
-    vBUSD: "0x95c78222B3D6e262426483D42CfA53685A67Ab9D",   // BUSD
-    vBTC: "0x882C173bC7Ff3b7786CA16dfeD3DFFfb9Ee7847B",    // BTCB
-    vETH: "0xf508fCD89b8bd15579dc79A6827cB4686A3592c8",    // ETH
-    vUSDC: "0xecA88125a5ADbe82614ffC12D0DB554E2e2867C8"    // USDC
-};
-
 // Your deployed liquidation contract
 const LIQUIDATION_CONTRACT = process.env.LIQUIDATION_CONTRACT_ADDRESS;
 
-// Bot parameters
-const MIN_PROFIT_THRESHOLD = ethers.parseEther("0.01"); // 0.01 BNB min profit
-const MAX_LIQUIDATION_SIZE = ethers.parseEther("100");  // Cap liquidation size (in BNB notional)
-const HEALTH_FACTOR_THRESHOLD = ethers.parseEther("1.0"); // < 1.0 = liquidatable
-const POLLING_INTERVAL = 10000; // Check every 10 seconds
-const BORROWER_REFRESH_INTERVAL_MS = 60000; // Refresh borrower list every 60s
-const BORROWER_PRUNING_INTERVAL_MS = parseInt(process.env.BORROWER_PRUNING_INTERVAL_MS || "300000"); // Prune every 5 minutes
-const MAX_BORROWERS_PER_SCAN = parseInt(process.env.MAX_BORROWERS_PER_SCAN || "25"); // Limit per cycle to reduce RPC load
-const MAX_CONCURRENT_CHECKS = parseInt(process.env.MAX_CONCURRENT_CHECKS || "5"); // Max parallel borrower checks
-const HISTORICAL_CATCH_INTERVAL_MS = parseInt(process.env.HISTORICAL_CATCH_INTERVAL_MS || "3600000"); // Large historical catch every hour
-const HISTORICAL_CATCH_BLOCKS = parseInt(process.env.HISTORICAL_CATCH_BLOCKS || "10000"); // Blocks to scan in periodic catch
-const WEBSOCKET_CLOSE_TIMEOUT_MS = 5000; // Timeout for WebSocket graceful shutdown
-
-const ONE = ethers.parseEther("1");
-const DEFAULT_SWAP_SLIPPAGE = 0.01; // 1%
-const DEFAULT_GAS_LIMIT = 800000n;
-const DEFAULT_MIN_OUT_BPS = 100; // 1% buffer over repay to protect profit
-const GAS_ESTIMATE_BUFFER_PERCENT = parseInt(process.env.GAS_ESTIMATE_BUFFER_PERCENT || "20"); // Default 20% buffer
-
 // ============================================
-// CONTRACT ABIs
+// INITIALIZE ENGINE
 // ============================================
 
-const COMPTROLLER_ABI = [
-    "function getAccountLiquidity(address account) external view returns (uint, uint, uint)",
-    "function getAllMarkets() external view returns (address[])",
-    "function liquidationIncentiveMantissa() external view returns (uint)",
-    "function markets(address) external view returns (bool, uint, bool)"
-];
-
-const VTOKEN_ABI = [
-    "function borrowBalanceCurrent(address account) external returns (uint)",
-    "function balanceOfUnderlying(address owner) external returns (uint)",
-    "function exchangeRateCurrent() external returns (uint)",
-    "function underlying() external view returns (address)",
-    "function liquidateBorrow(address borrower, uint repayAmount, address vTokenCollateral) external returns (uint)"
-];
-
-const ORACLE_ABI = [
-    "function getUnderlyingPrice(address vToken) external view returns (uint)"
-];
-
-const LIQUIDATION_ABI = [
-    "function executeLiquidation(address borrower, address debtToken, address collateralToken, address vDebtToken, address vCollateralToken, uint256 repayAmount, uint24 swapFee) external"
-];
-
-// ============================================
-// INITIALIZE CONTRACTS
-// ============================================
+const borrowerDB = new BorrowerDatabase();
+const engine = new LiquidationEngine({
+    provider,
+    wallet,
+    wsProvider,
+    liquidationContractAddress: LIQUIDATION_CONTRACT,
+    network: NETWORK,
+    borrowerDB
+});
+const { circuitBreaker, eventMonitor } = engine;
 
-const comptroller = new ethers.Contract(VENUS_COMPTROLLER, COMPTROLLER_ABI, provider);
-const oracle = new ethers.Contract(VENUS_ORACLE, ORACLE_ABI, provider);
-const liquidationContract = new ethers.Contract(LIQUIDATION_CONTRACT, LIQUIDATION_ABI, wallet);
+// Prometheus metrics on METRICS_PORT (no dashboard in this entry point)
+instrumentEngine(engine);
+let metricsServer = null;
 
-// Initialize safety and monitoring systems
-const circuitBreaker = new CircuitBreaker(oracle, VENUS_MARKETS);
-const borrowerDB = new BorrowerDatabase();
-// Use WebSocket provider for event monitoring if available, otherwise fallback to HTTP
-const eventMonitor = new EventMonitor(wsProvider || provider, VENUS_MARKETS, borrowerDB);
-const multicallHelper = new MulticallHelper(provider);
+// Re-apply safe settings from .env on SIGHUP or file change (CONFIG_WATCH=false: SIGHUP only)
+const configReloader = new ConfigReloader({ target: engine, watch: process.env.CONFIG_WATCH !== 'false' });
 
 // ============================================
 // TELEGRAM BOT
@@ -147,411 +98,95 @@ const multicallHelper = new MulticallHelper(provider);
 const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: true });
 const sendMessage = (text) => {
     bot.sendMessage(process.env.TELEGRAM_CHAT_ID, text, { parse_mode: 'Markdown' })
-        .catch(e => console.error('Telegram error:', e.message));
+        .catch(e => log.error(`Telegram error: ${e.message}`));
 };
 
 // ============================================
-// STATE TRACKING
-// ============================================
-
-let isRunning = true;
-let liquidationCount = 0;
-let totalProfit = 0n;
-let monitoredAddresses = new Set();
-let cachedBorrowers = [];
-let lastBorrowerFetchTs = 0;
-let lastBorrowerBlock = 0;
-let lastPruningTs = 0;
-let lastHistoricalCatchTs = 0;
-let useEventMonitoring = process.env.USE_EVENT_MONITORING === 'true';
-
-// ============================================
-// UTILITY HELPERS
-// ============================================
-
-async function getBnbPriceUSD() {
-    // Venus oracle price for vBNB (18 decimals, USD)
-    return oracle.getUnderlyingPrice(VENUS_MARKETS.vBNB);
-}
-
-function convertAmountToBNB(amount, tokenPriceUSD, bnbPriceUSD) {
-    if (!tokenPriceUSD || !bnbPriceUSD) return 0n;
-    const valueUSD = (amount * tokenPriceUSD) / ONE;
-    return (valueUSD * ONE) / bnbPriceUSD;
-}
-
-function convertBNBToAmount(bnbAmount, tokenPriceUSD, bnbPriceUSD) {
-    if (!tokenPriceUSD || !bnbPriceUSD) return bnbAmount;
-    const valueUSD = (bnbAmount * bnbPriceUSD) / ONE;
-    return (valueUSD * ONE) / tokenPriceUSD;
-}
-
-async function getSafeGasPrice() {
-    const fee = await provider.getFeeData();
-    return fee.gasPrice ? fee.gasPrice : ethers.parseUnits("3", "gwei");
-}
-
-/**
- * Estimate gas for liquidation with 20% buffer
- * Returns dynamic gas limit or falls back to default
- */
-async function estimateGasForLiquidation(opportunity) {
-    try {
-        const swapFee = 2500; // 0.25% tier
-        const gasEstimate = await liquidationContract.executeLiquidation.estimateGas(
-            opportunity.borrower,
-            opportunity.debtToken,
-            opportunity.collateralToken,
-            opportunity.vDebtToken,
-            opportunity.vCollateralToken,
-            opportunity.repayAmount,
-            swapFee,
-            opportunity.minOutBps
-        );
-        
-        // Add configurable buffer to gas estimate (default 20%)
-        const bufferMultiplier = 100n + BigInt(GAS_ESTIMATE_BUFFER_PERCENT);
-        const gasWithBuffer = (gasEstimate * bufferMultiplier) / 100n;
-        console.log(`   Gas Estimate: ${gasEstimate.toString()} (with ${GAS_ESTIMATE_BUFFER_PERCENT}% buffer: ${gasWithBuffer.toString()})`);
-        return gasWithBuffer;
-    } catch (error) {
-        console.log(`   Gas estimation failed, using default: ${error.message}`);
-        return DEFAULT_GAS_LIMIT;
-    }
-}
-
-// ============================================
-// CORE FUNCTIONS
+// ENGINE NOTIFICATIONS
 // ============================================
 
-/**
- * Get all borrowers from Venus Protocol
- * Now supports both event monitoring and legacy polling
- */
-async function getActiveBorrowers() {
-    // If event monitoring is enabled and has borrowers, use those
-    if (useEventMonitoring && eventMonitor.getCount() > 0) {
-        const borrowers = eventMonitor.getActiveBorrowers();
-        console.log(`   Using ${borrowers.length} borrowers from event monitor`);
-        return borrowers.slice(0, MAX_BORROWERS_PER_SCAN);
-    }
-
-    // Legacy method: query historical events
-    const now = Date.now();
-    if (now - lastBorrowerFetchTs < BORROWER_REFRESH_INTERVAL_MS && cachedBorrowers.length) {
-        return cachedBorrowers;
-    }
-
-    const borrowers = new Set();
-    const markets = Object.values(VENUS_MARKETS); // Limit to most liquid markets to reduce calls
-
-    const currentBlock = await provider.getBlockNumber();
-    const fromBlock = lastBorrowerBlock ? lastBorrowerBlock + 1 : Math.max(currentBlock - 500, 0);
-    lastBorrowerBlock = currentBlock;
-    
-    for (const marketAddress of markets) {
-        const vToken = new ethers.Contract(marketAddress, VTOKEN_ABI, provider);
-        
-        try {
-            const filter = vToken.filters.Borrow();
-            const events = await vToken.queryFilter(filter, fromBlock, currentBlock);
-            
-            events.forEach(event => {
-                borrowers.add(event.args.borrower);
-            });
-        } catch (error) {
-            console.log(`Error fetching events for ${marketAddress}: ${error.message}`);
-        }
-    }
-    
-    cachedBorrowers = Array.from(borrowers).slice(0, MAX_BORROWERS_PER_SCAN);
-    lastBorrowerFetchTs = now;
-    return cachedBorrowers;
-}
-
-/**
- * Check if a position is liquidatable using Venus helpers
- */
-async function checkLiquidationOpportunity(borrowerAddress) {
-    try {
-        const account = await getVenusAccountData(comptroller, borrowerAddress);
-        if (!account || !account.isLiquidatable) {
-            return null;
-        }
-
-        const [borrowPositions, collateralPositions, params, bnbPriceUSD, gasPrice] = await Promise.all([
-            getAllBorrowPositions(comptroller, oracle, borrowerAddress, provider),
-            getAllCollateralPositions(comptroller, oracle, borrowerAddress, provider),
-            getLiquidationParameters(comptroller),
-            getBnbPriceUSD(),
-            getSafeGasPrice()
-        ]);
-
-        if (!borrowPositions.length || !collateralPositions.length || !params) {
-            return null;
-        }
-
-        const pair = await findBestLiquidationPair(borrowPositions, collateralPositions, comptroller);
-        if (!pair) {
-            return null;
-        }
-
-        // Respect close factor and our own size cap
-        let repayAmount = pair.maxRepayAmount;
-
-        const repayValueBNB = convertAmountToBNB(repayAmount, pair.debtPosition.priceUSD, bnbPriceUSD);
-        if (repayValueBNB > MAX_LIQUIDATION_SIZE) {
-            repayAmount = convertBNBToAmount(MAX_LIQUIDATION_SIZE, pair.debtPosition.priceUSD, bnbPriceUSD);
-        }
-
-        // Expected collateral seized with liquidation incentive
-        const collateralReceived = calculateCollateralSeized(
-            repayAmount,
-            pair.debtPosition.priceUSD,
-            pair.collateralPosition.priceUSD,
-            pair.liquidationIncentive
-        );
-
-        // Convert collateral to debt token using oracle-derived rate
-        const collateralToDebtRate = (pair.collateralPosition.priceUSD * ONE) / pair.debtPosition.priceUSD;
-
-        const profit = calculateLiquidationProfit(
-            repayAmount,
-            collateralReceived,
-            collateralToDebtRate,
-            gasPrice,
-            DEFAULT_GAS_LIMIT,
-            DEFAULT_SWAP_SLIPPAGE
-        );
-
-        const profitBNB = convertAmountToBNB(profit.netProfit, pair.debtPosition.priceUSD, bnbPriceUSD);
-
-        if (!profit.isProfitable || profitBNB < MIN_PROFIT_THRESHOLD) {
-            return null;
-        }
-
-        return {
-            borrower: borrowerAddress,
-            debtToken: pair.debtPosition.underlying === 'BNB' ? ethers.ZeroAddress : pair.debtPosition.underlying,
-            collateralToken: pair.collateralPosition.underlying === 'BNB' ? ethers.ZeroAddress : pair.collateralPosition.underlying,
-            vDebtToken: pair.debtPosition.vToken,
-            vCollateralToken: pair.collateralPosition.vToken,
-            repayAmount,
-            expectedProfit: profitBNB,
-            expectedProfitBreakdown: profit.breakdown,
-            gasPrice,
-            shortfall: account.shortfall,
-            minOutBps: DEFAULT_MIN_OUT_BPS
-        };
-        
-    } catch (error) {
-        console.error(`Error checking ${borrowerAddress}: ${error.message}`);
-        return null;
-    }
-}
+engine.on('circuitBreakerTripped', ({ reason }) => {
+    sendMessage(`🚨 *Circuit Breaker Tripped*\n\n${reason}\n\nBot operations halted for safety.`);
+});
 
-/**
- * Execute liquidation
- */
-async function executeLiquidation(opportunity) {
-    try {
-        console.log(`\n⚡ EXECUTING LIQUIDATION`);
-        console.log(`   Borrower: ${opportunity.borrower}`);
-        console.log(`   Debt Repay: ${ethers.formatEther(opportunity.repayAmount)} tokens`);
-        console.log(`   Expected Profit: ${ethers.formatEther(opportunity.expectedProfit)} BNB\n`);
-        
-        const stillValid = await verifyLiquidatable(comptroller, opportunity.borrower);
-        if (!stillValid) {
-            console.log('Position no longer liquidatable, skipping.');
-            return false;
-        }
+engine.on('liquidationExecuted', ({ opportunity, receipt, realizedProfit, liquidationCount, totalProfit }) => {
+    sendMessage(
+        `🎯 *Liquidation Success!*\n\n` +
+        `Borrower: \`${opportunity.borrower.substring(0, 10)}...\`\n` +
+        `Profit: *${realizedProfit === null ? 'unknown' : ethers.formatEther(realizedProfit)} BNB* (expected ${ethers.formatEther(opportunity.expectedProfit)})\n` +
+        `Total: ${ethers.formatEther(totalProfit)} BNB\n` +
+        `Count: ${liquidationCount}\n` +
+        `[View TX](${NETWORK.EXPLORER_URL}/tx/${receipt.hash})`
+    );
+});
 
-        // Determine swap fee (use 0.25% tier - most liquid)
-        const swapFee = 2500;
-        
-        // Use dynamic gas estimation with fallback
-        const gasLimit = await estimateGasForLiquidation(opportunity);
-        
-        // Execute liquidation via our contract
-        const tx = await liquidationContract.executeLiquidation(
-            opportunity.borrower,
-            opportunity.debtToken,
-            opportunity.collateralToken,
-            opportunity.vDebtToken,
-            opportunity.vCollateralToken,
-            opportunity.repayAmount,
-            swapFee,
-            opportunity.minOutBps,
-            {
-                gasLimit: gasLimit,
-                gasPrice: opportunity.gasPrice
-            }
-        );
-        
-        console.log(`   📤 TX sent: ${tx.hash}`);
-        const receipt = await tx.wait();
-        
-        if (receipt.status === 1) {
-            liquidationCount++;
-            totalProfit += opportunity.expectedProfit;
-            
-            // Record liquidation in database
-            if (borrowerDB.isEnabled) {
-                borrowerDB.recordLiquidation(
-                    receipt.hash,
-                    opportunity.borrower,
-                    opportunity.debtToken,
-                    opportunity.collateralToken,
-                    opportunity.repayAmount,
-                    opportunity.expectedProfit,
-                    receipt.gasUsed
-                );
-            }
-            
-            console.log(`\n✅ LIQUIDATION SUCCESSFUL!`);
-            console.log(`   Gas Used: ${receipt.gasUsed.toString()}`);
-            console.log(`   Total Liquidations: ${liquidationCount}`);
-            console.log(`   Total Profit: ${ethers.formatEther(totalProfit)} BNB`);
-            
-            sendMessage(
-                `🎯 *Liquidation Success!*\n\n` +
-                `Borrower: \`${opportunity.borrower.substring(0, 10)}...\`\n` +
-                `Profit: *${ethers.formatEther(opportunity.expectedProfit)} BNB*\n` +
-                `Total: ${ethers.formatEther(totalProfit)} BNB\n` +
-                `Count: ${liquidationCount}\n` +
-                `[View TX](https://bscscan.com/tx/${receipt.hash})`
-            );
-            
-            return true;
-        }
-        
-    } catch (error) {
-        const errorMsg = error.reason || error.message || 'Unknown error';
-        console.error(`❌ Liquidation failed: ${errorMsg}`);
-        
-        sendMessage(`❌ *Liquidation Failed*\n\nReason: ${errorMsg.substring(0, 100)}`);
-        return false;
-    }
-}
+engine.on('configReloaded', ({ applied, restartRequired }) => {
+    if (!applied.length && !restartRequired.length) return;
+    sendMessage(
+        `🔧 *Config Reloaded*\n\n` +
+        `Applied: ${applied.map(change => change.env).join(', ') || 'none'}` +
+        (restartRequired.length ? `\nRestart required: ${restartRequired.map(change => change.env).join(', ')}` : '')
+    );
+});
 
-/**
- * Main monitoring loop
- */
-async function monitorPositions() {
-    console.log(`\n🔍 Scanning for liquidation opportunities...`);
-    
-    // Check circuit breaker before proceeding
-    if (!circuitBreaker.isOperational()) {
-        console.log(`⚠️  Circuit breaker tripped: ${circuitBreaker.getStatus().tripReason}`);
-        console.log(`   Skipping monitoring cycle for safety`);
-        return;
-    }
+engine.on('liquidationFailed', ({ reason }) => {
+    sendMessage(`❌ *Liquidation Failed*\n\nReason: ${reason.substring(0, 100)}`);
+});
 
-    // Perform price safety check
-    const pricesOk = await circuitBreaker.checkPrices();
-    if (!pricesOk) {
-        sendMessage(`🚨 *Circuit Breaker Tripped*\n\n${circuitBreaker.getStatus().tripReason}\n\nBot operations halted for safety.`);
-        return;
-    }
-    
-    // Periodic pruning of borrower list
-    if (useEventMonitoring) {
-        const now = Date.now();
-        if (now - lastPruningTs > BORROWER_PRUNING_INTERVAL_MS) {
-            try {
-                await eventMonitor.pruneBorrowers(multicallHelper);
-                lastPruningTs = now;
-            } catch (error) {
-                console.error(`❌ Pruning error: ${error.message}`);
-            }
-        }
-        
-        // Periodic large historical catch (to catch any missed events)
-        if (HISTORICAL_CATCH_INTERVAL_MS > 0 && now - lastHistoricalCatchTs > HISTORICAL_CATCH_INTERVAL_MS) {
-            try {
-                const currentBlock = await provider.getBlockNumber();
-                const fromBlock = Math.max(currentBlock - HISTORICAL_CATCH_BLOCKS, 0);
-                console.log(`📜 Running periodic historical catch (${fromBlock} to ${currentBlock})...`);
-                await eventMonitor.getHistoricalBorrowers(fromBlock, currentBlock);
-                lastHistoricalCatchTs = now;
-            } catch (error) {
-                console.error(`❌ Historical catch error: ${error.message}`);
-            }
-        }
-    }
-    
-    try {
-        // Get list of borrowers to monitor
-        const borrowers = await getActiveBorrowers();
-        
-        console.log(`   Found ${borrowers.length} active borrowers`);
-        
-        // Rate-limit concurrent checks to avoid overwhelming RPC provider
-        const limit = pLimit(MAX_CONCURRENT_CHECKS);
-        
-        // Check borrowers in parallel with concurrency limit
-        const checkPromises = borrowers.map(borrower => 
-            limit(async () => {
-                if (!isRunning) return null;
-                return checkLiquidationOpportunity(borrower);
-            })
-        );
-        
-        const opportunities = (await Promise.all(checkPromises)).filter(opp => opp !== null);
-        
-        // Execute liquidations sequentially (safer for transactions)
-        for (const opportunity of opportunities) {
-            if (!isRunning) break;
-            
-            console.log(`\n💡 LIQUIDATION OPPORTUNITY FOUND!`);
-            console.log(`   Borrower: ${opportunity.borrower}`);
-            console.log(`   Shortfall: ${ethers.formatEther(opportunity.shortfall)} USD`);
-            console.log(`   Expected Profit: ${ethers.formatEther(opportunity.expectedProfit)} BNB`);
-            
-            // Execute liquidation
-            const success = await executeLiquidation(opportunity);
-            
-            if (success) {
-                // Wait a bit after successful liquidation
-                await new Promise(resolve => setTimeout(resolve, 5000));
-            }
-        }
-        
-    } catch (error) {
-        console.error(`❌ Monitoring error: ${error.message}`);
-    }
-}
+// Liquidatable on a protocol the flash contract can't execute (e.g. Aave v3)
+engine.on('opportunityReported', (opportunity) => {
+    sendMessage(
+        `👀 *Liquidatable on ${opportunity.pool}*\n\n` +
+        `Borrower: \`${opportunity.borrower.substring(0, 10)}...\`\n` +
+        `Est. profit: ${ethers.formatEther(opportunity.expectedProfit)} BNB (not executed)`
+    );
+});
 
 // ============================================
 // TELEGRAM COMMANDS
 // ============================================
 
 bot.onText(/\/start/, () => {
-    isRunning = true;
+    engine.start();
     sendMessage("✅ Liquidation Bot *STARTED*");
 });
 
 bot.onText(/\/stop/, () => {
-    isRunning = false;
+    engine.stop();
     sendMessage("⏸️ Liquidation Bot *STOPPED*");
 });
 
 bot.onText(/\/status/, async () => {
     const balance = await provider.getBalance(wallet.address);
     const blockNumber = await provider.getBlockNumber();
-    const cbStatus = circuitBreaker.getStatus();
+    const stats = engine.getStats();
     
     sendMessage(
         `📊 *Bot Status*\n\n` +
-        `Network: BSC Mainnet\n` +
+        `Network: ${NETWORK.NAME} (chain ${NETWORK.CHAIN_ID})\n` +
         `Protocol: Venus\n` +
-        `Status: ${isRunning ? '🟢 Running' : '🔴 Stopped'}\n` +
+        `Status: ${stats.isRunning ? '🟢 Running' : '🔴 Stopped'}\n` +
         `Block: ${blockNumber}\n` +
-        `Liquidations: ${liquidationCount}\n` +
-        `Total Profit: ${ethers.formatEther(totalProfit)} BNB\n` +
+        `Liquidations: ${stats.liquidationCount}\n` +
+        `Total Profit: ${ethers.formatEther(stats.totalProfit)} BNB\n` +
         `Balance: ${ethers.formatEther(balance)} BNB\n` +
-        `Circuit Breaker: ${cbStatus.isTripped ? '🔴 Tripped' : '🟢 OK'}\n` +
-        `Event Monitor: ${useEventMonitoring ? `🟢 Active (${eventMonitor.getCount()} borrowers)` : '⚪ Disabled'}`
+        `Circuit Breaker: ${stats.circuitBreaker.isTripped ? '🔴 Tripped' : '🟢 OK'}\n` +
+        `Event Monitor: ${stats.useEventMonitoring ? `🟢 Active (${eventMonitor.getCount()} borrowers)` : '⚪ Disabled'}` +
+        (stats.dryRun ? `\nMode: 📝 Dry run (${stats.paperTradeCount} paper trades)` : '')
+    );
+});
+
+bot.onText(/\/paper/, () => {
+    const summary = engine.borrowerDB.getPaperTradeSummary();
+    const stats = engine.getStats();
+    
+    sendMessage(
+        `📝 *Paper Trading*\n\n` +
+        `Mode: ${stats.dryRun ? '🟢 Dry run' : '⚪ Live'}\n` +
+        `This session: ${stats.paperTradeCount} trades, ${ethers.formatEther(stats.paperProfit)} BNB\n` +
+        `Recorded: ${summary.count} trades (${summary.simulatedSuccess} simulated OK)\n` +
+        `Expected Profit: ${ethers.formatEther(summary.expectedProfit)} BNB\n` +
+        `Liquidated on-chain by others: ${summary.liquidatedOnChain}`
     );
 });
 
@@ -561,7 +196,7 @@ bot.onText(/\/reset/, async () => {
 });
 
 bot.onText(/\/events/, () => {
-    if (!useEventMonitoring) {
+    if (!engine.config.useEventMonitoring) {
         sendMessage("⚠️ *Event monitoring is disabled*\n\nSet USE_EVENT_MONITORING=true in .env to enable.");
         return;
     }
@@ -588,107 +223,64 @@ bot.onText(/\/events/, () => {
 // ============================================
 
 async function main() {
-    console.log(`\n${"=".repeat(70)}`);
-    console.log(`   BSC VENUS LIQUIDATION BOT`);
-    console.log(`   Flash Loans: PancakeSwap V3 (0% FEES!)`);
-    console.log(`${"=".repeat(70)}\n`);
-    
-    console.log(`💼 Wallet: ${wallet.address}`);
-    console.log(`🏦 Venus Comptroller: ${VENUS_COMPTROLLER}`);
-    console.log(`💰 Min Profit: ${ethers.formatEther(MIN_PROFIT_THRESHOLD)} BNB`);
-    console.log(`⚙️  Polling Interval: ${POLLING_INTERVAL}ms\n`);
+    log.info(`🤖 BSC VENUS LIQUIDATION BOT - Flash Loans: PancakeSwap V3 (pool fee tier, 0.01%-1%)`, {
+        wallet: wallet.address,
+        comptroller: engine.comptrollerAddress,
+        minProfitBnb: ethers.formatEther(engine.config.minProfitThreshold),
+        scanMode: engine.config.scanMode
+    });
     
-    // Initialize database
-    borrowerDB.initialize();
-    
-    // Initialize circuit breaker
-    await circuitBreaker.initialize();
-    
-    // Initialize event monitoring if enabled
-    if (useEventMonitoring) {
-        console.log('🎯 Event monitoring enabled');
-        
-        // Load borrowers from database for warm start
-        eventMonitor.loadFromDatabase();
-        
-        await eventMonitor.startListening();
-        
-        // Get historical borrowers to seed the monitor
-        const currentBlock = await provider.getBlockNumber();
-        const historicalBlocks = parseInt(process.env.HISTORICAL_BLOCKS_STARTUP || "5000");
-        const fromBlock = Math.max(currentBlock - historicalBlocks, 0);
-        console.log(`📜 Seeding from last ${historicalBlocks} blocks (${fromBlock} to ${currentBlock})...`);
-        await eventMonitor.getHistoricalBorrowers(fromBlock, currentBlock);
-    } else {
-        console.log('📊 Using legacy event polling (set USE_EVENT_MONITORING=true for real-time monitoring)\n');
+    if (engine.config.metricsPort) {
+        metricsServer = await startMetricsServer(engine.config.metricsPort, registry, process.env.DASHBOARD_API_KEY);
     }
+
+    // Database, circuit breaker and event monitoring
+    await engine.initialize();
+    configReloader.start();
     
     sendMessage(
         `🤖 *Liquidation Bot Started*\n\n` +
-        `Protocol: Venus (BSC)\n` +
-        `Flash Loans: FREE (0%)\n` +
-        `Min Profit: ${ethers.formatEther(MIN_PROFIT_THRESHOLD)} BNB\n` +
+        `Network: ${NETWORK.NAME} (chain ${NETWORK.CHAIN_ID})\n` +
+        `Protocol: Venus\n` +
+        `Flash Loans: PancakeSwap V3 (pays the flash pool fee tier)\n` +
+        `Min Profit: ${ethers.formatEther(engine.config.minProfitThreshold)} BNB\n` +
         `Circuit Breaker: 🟢 Active\n` +
-        `Event Monitor: ${useEventMonitoring ? '🟢 Active' : '⚪ Disabled'}\n` +
+        `Event Monitor: ${engine.config.useEventMonitoring ? '🟢 Active' : '⚪ Disabled'}\n` +
+        `Mode: ${engine.config.dryRun ? '📝 Dry run (no transactions sent)' : '⚡ Live'}\n` +
         `Status: 🟢 Running`
     );
     
     // Main loop
-    while (true) {
-        if (isRunning) {
-            await monitorPositions();
-        }
-        
-        // Wait before next scan
-        await new Promise(resolve => setTimeout(resolve, POLLING_INTERVAL));
-    }
+    await engine.run();
 }
 
 // ============================================
 // CLEANUP ON EXIT
 // ============================================
 
-process.on('SIGINT', () => {
-    console.log('\n👋 Shutting down gracefully...');
-    
-    // Synchronous cleanup
-    if (useEventMonitoring) {
-        eventMonitor.stopListening();
-    }
-    
-    // Close database connection (synchronous)
-    borrowerDB.close();
-    
-    // Close WebSocket provider (async but with timeout)
-    if (wsProvider) {
-        // Timeout ensures cleanup doesn't hang indefinitely
-        // WebSocket providers may take time to close gracefully, but we don't want
-        // to block shutdown forever if there are network issues
-        const timeout = setTimeout(() => {
-            console.log('⚠️  WebSocket close timeout, forcing exit');
-            process.exit(0);
-        }, WEBSOCKET_CLOSE_TIMEOUT_MS);
-        
-        wsProvider.destroy().then(() => {
-            clearTimeout(timeout);
-            console.log('✅ WebSocket connection closed');
-            process.exit(0);
-        }).catch(() => {
-            clearTimeout(timeout);
-            console.log('⚠️  WebSocket close error, exiting anyway');
-            process.exit(0);
-        });
-    } else {
-        process.exit(0);
-    }
-});
+// SIGINT, SIGTERM (pm2 restart) and uncaught errors: stop scanning, let an
+// in-flight liquidation confirm and get recorded (SHUTDOWN_TIMEOUT_MS), then close
+const shutdownCoordinator = new ShutdownCoordinator({ engine })
+    .addStep('Config reloader', () => configReloader.stop())
+    .addStep('Telegram', async () => {
+        await bot.sendMessage(process.env.TELEGRAM_CHAT_ID, '🛑 Liquidation Bot *SHUT DOWN*', { parse_mode: 'Markdown' });
+        await bot.stopPolling();
+    })
+    .addStep('Metrics', () => metricsServer && new Promise(resolve => metricsServer.close(resolve)))
+    .addStep('WebSocket', async () => {
+        if (wsProvider) {
+            await wsProvider.destroy();
+            log.info('✅ WebSocket connection closed');
+        }
+    })
+    .install();
 
 // ============================================
 // START BOT
 // ============================================
 
 main().catch(error => {
-    console.error("💥 Fatal error:", error);
+    log.error(`💥 Fatal error: ${error.stack || error}`);
     sendMessage(`💥 *Fatal Error*\n${error.message}`);
-    process.exit(1);
+    shutdownCoordinator.shutdown('fatal error', 1);
 });
@@ -19,7 +19,9 @@ interface IWBNB {
 /**
  * @title BSC LiquidationV3
  * @notice Flash-swap based liquidation executor for Venus on BSC
- * @dev Uses PancakeSwap V3 flash swaps (0% fee) to source repay capital.
+ * @dev Uses PancakeSwap V3 flash swaps to source repay capital. The flash pool and the
+ *      collateral swap pool are different fee tiers of the same pair, since the flash pool
+ *      is locked until the callback returns.
  *      Protects against pool ordering issues and enforces a minimum output to avoid slippage losses.
  */
 contract BSC_LiquidationV3 is IUniswapV3FlashCallback, ReentrancyGuard, Pausable {
@@ -27,11 +29,7 @@ contract BSC_LiquidationV3 is IUniswapV3FlashCallback, ReentrancyGuard, Pausable
     address public immutable pancakeV3Factory;
     address public immutable pancakeV3Router;
     address public immutable venusComptroller; // for reference, not directly used here
-
-    // Core BSC addresses
-    address public constant PANCAKE_V3_FACTORY = 0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865;
-    address public constant VENUS_COMPTROLLER = 0xfD36E2c2a6789Db23113685031d7F16329158384;
-    address public constant WBNB = 0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c;
+    address public immutable WBNB; // wrapped native token of the network (config.json TOKENS.WBNB)
 
     struct FlashCallbackData {
         address borrower;
@@ -40,6 +38,7 @@ contract BSC_LiquidationV3 is IUniswapV3FlashCallback, ReentrancyGuard, Pausable
         address vDebtToken;
         address vCollateralToken;
         uint256 repayAmount;
+        uint24 flashFee;
         uint24 swapFee;
         bool debtIsNative;
         bool collateralIsNative;
@@ -68,16 +67,19 @@ contract BSC_LiquidationV3 is IUniswapV3FlashCallback, ReentrancyGuard, Pausable
     constructor(
         address _pancakeV3Router,
         address _pancakeV3Factory,
-        address _venusComptroller
+        address _venusComptroller,
+        address _wbnb
     ) {
         require(_pancakeV3Router != address(0), "Invalid V3 router");
         require(_pancakeV3Factory != address(0), "Invalid V3 factory");
         require(_venusComptroller != address(0), "Invalid comptroller");
+        require(_wbnb != address(0), "Invalid WBNB");
 
         owner = msg.sender;
         pancakeV3Router = _pancakeV3Router;
         pancakeV3Factory = _pancakeV3Factory;
         venusComptroller = _venusComptroller;
+        WBNB = _wbnb;
     }
 
     /**
@@ -89,7 +91,8 @@ contract BSC_LiquidationV3 is IUniswapV3FlashCallback, ReentrancyGuard, Pausable
      * @param vDebtToken Venus vToken for debt
      * @param vCollateralToken Venus vToken for collateral
      * @param repayAmount Amount of debt to repay (and flash-borrow)
-     * @param swapFee V3 fee tier (500, 2500, 10000)
+     * @param flashFee V3 fee tier of the pool to flash-borrow from (100, 500, 2500, 10000)
+     * @param swapFee V3 fee tier used to swap collateral back (must differ from flashFee)
      * @param minOutBps Minimum output buffer in basis points above repay (e.g., 100 = +1%)
      */
     function executeLiquidation(
@@ -99,18 +102,20 @@ contract BSC_LiquidationV3 is IUniswapV3FlashCallback, ReentrancyGuard, Pausable
         address vDebtToken,
         address vCollateralToken,
         uint256 repayAmount,
+        uint24 flashFee,
         uint24 swapFee,
         uint24 minOutBps
     ) external onlyOwner nonReentrant whenNotPaused {
         require(borrower != address(0), "Invalid borrower");
         require(repayAmount > 0, "Invalid repay amount");
         require(minOutBps <= 5000, "minOut too high");
+        require(flashFee != swapFee, "Flash and swap pool must differ");
 
         bool debtIsNative = (debtToken == address(0));
         bool collateralIsNative = (collateralToken == address(0));
 
         address borrowToken = debtIsNative ? WBNB : debtToken;
-        address poolAddress = _getV3Pool(borrowToken, collateralIsNative ? WBNB : collateralToken, swapFee);
+        address poolAddress = _getV3Pool(borrowToken, collateralIsNative ? WBNB : collateralToken, flashFee);
         require(poolAddress != address(0), "Pool does not exist");
 
         IUniswapV3Pool pool = IUniswapV3Pool(poolAddress);
@@ -130,6 +135,7 @@ contract BSC_LiquidationV3 is IUniswapV3FlashCallback, ReentrancyGuard, Pausable
                 vDebtToken: vDebtToken,
                 vCollateralToken: vCollateralToken,
                 repayAmount: repayAmount,
+                flashFee: flashFee,
                 swapFee: swapFee,
                 debtIsNative: debtIsNative,
                 collateralIsNative: collateralIsNative,
@@ -150,7 +156,7 @@ contract BSC_LiquidationV3 is IUniswapV3FlashCallback, ReentrancyGuard, Pausable
     ) external override {
         FlashCallbackData memory decoded = abi.decode(data, (FlashCallbackData));
 
-        address poolAddress = _getV3Pool(decoded.debtToken, decoded.collateralToken, decoded.swapFee);
+        address poolAddress = _getV3Pool(decoded.debtToken, decoded.collateralToken, decoded.flashFee);
         require(msg.sender == poolAddress, "Unauthorized callback");
 
         // Determine which side was borrowed
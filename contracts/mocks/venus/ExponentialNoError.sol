@@ -0,0 +1,196 @@
+// SPDX-License-Identifier: BSD-3-Clause
+pragma solidity 0.8.25;
+
+/**
+ * @title Exponential module for storing fixed-precision decimals
+ * @author Compound
+ * @notice Exp is a struct which stores decimals with a fixed precision of 18 decimal places.
+ *         Thus, if we wanted to store the 5.1, mantissa would store 5.1e18. That is:
+ *         `Exp({mantissa: 5100000000000000000})`.
+ */
+contract ExponentialNoError {
+    uint internal constant expScale = 1e18;
+    uint internal constant doubleScale = 1e36;
+    uint internal constant halfExpScale = expScale / 2;
+    uint internal constant mantissaOne = expScale;
+
+    struct Exp {
+        uint mantissa;
+    }
+
+    struct Double {
+        uint mantissa;
+    }
+
+    /**
+     * @dev Truncates the given exp to a whole number value.
+     *      For example, truncate(Exp{mantissa: 15 * expScale}) = 15
+     */
+    function truncate(Exp memory exp) internal pure returns (uint) {
+        // Note: We are not using careful math here as we're performing a division that cannot fail
+        return exp.mantissa / expScale;
+    }
+
+    /**
+     * @dev Multiply an Exp by a scalar, then truncate to return an unsigned integer.
+     */
+    function mul_ScalarTruncate(Exp memory a, uint scalar) internal pure returns (uint) {
+        Exp memory product = mul_(a, scalar);
+        return truncate(product);
+    }
+
+    /**
+     * @dev Multiply an Exp by a scalar, truncate, then add an to an unsigned integer, returning an unsigned integer.
+     */
+    function mul_ScalarTruncateAddUInt(Exp memory a, uint scalar, uint addend) internal pure returns (uint) {
+        Exp memory product = mul_(a, scalar);
+        return add_(truncate(product), addend);
+    }
+
+    /**
+     * @dev Checks if first Exp is less than second Exp.
+     */
+    function lessThanExp(Exp memory left, Exp memory right) internal pure returns (bool) {
+        return left.mantissa < right.mantissa;
+    }
+
+    /**
+     * @dev Checks if left Exp <= right Exp.
+     */
+    function lessThanOrEqualExp(Exp memory left, Exp memory right) internal pure returns (bool) {
+        return left.mantissa <= right.mantissa;
+    }
+
+    /**
+     * @dev Checks if left Exp > right Exp.
+     */
+    function greaterThanExp(Exp memory left, Exp memory right) internal pure returns (bool) {
+        return left.mantissa > right.mantissa;
+    }
+
+    /**
+     * @dev returns true if Exp is exactly zero
+     */
+    function isZeroExp(Exp memory value) internal pure returns (bool) {
+        return value.mantissa == 0;
+    }
+
+    function safe224(uint n, string memory errorMessage) internal pure returns (uint224) {
+        require(n < 2 ** 224, errorMessage);
+        return uint224(n);
+    }
+
+    function safe32(uint n, string memory errorMessage) internal pure returns (uint32) {
+        require(n < 2 ** 32, errorMessage);
+        return uint32(n);
+    }
+
+    function add_(Exp memory a, Exp memory b) internal pure returns (Exp memory) {
+        return Exp({ mantissa: add_(a.mantissa, b.mantissa) });
+    }
+
+    function add_(Double memory a, Double memory b) internal pure returns (Double memory) {
+        return Double({ mantissa: add_(a.mantissa, b.mantissa) });
+    }
+
+    function add_(uint a, uint b) internal pure returns (uint) {
+        return add_(a, b, "addition overflow");
+    }
+
+    function add_(uint a, uint b, string memory errorMessage) internal pure returns (uint) {
+        uint c = a + b;
+        require(c >= a, errorMessage);
+        return c;
+    }
+
+    function sub_(Exp memory a, Exp memory b) internal pure returns (Exp memory) {
+        return Exp({ mantissa: sub_(a.mantissa, b.mantissa) });
+    }
+
+    function sub_(Double memory a, Double memory b) internal pure returns (Double memory) {
+        return Double({ mantissa: sub_(a.mantissa, b.mantissa) });
+    }
+
+    function sub_(uint a, uint b) internal pure returns (uint) {
+        return sub_(a, b, "subtraction underflow");
+    }
+
+    function sub_(uint a, uint b, string memory errorMessage) internal pure returns (uint) {
+        require(b <= a, errorMessage);
+        return a - b;
+    }
+
+    function mul_(Exp memory a, Exp memory b) internal pure returns (Exp memory) {
+        return Exp({ mantissa: mul_(a.mantissa, b.mantissa) / expScale });
+    }
+
+    function mul_(Exp memory a, uint b) internal pure returns (Exp memory) {
+        return Exp({ mantissa: mul_(a.mantissa, b) });
+    }
+
+    function mul_(uint a, Exp memory b) internal pure returns (uint) {
+        return mul_(a, b.mantissa) / expScale;
+    }
+
+    function mul_(Double memory a, Double memory b) internal pure returns (Double memory) {
+        return Double({ mantissa: mul_(a.mantissa, b.mantissa) / doubleScale });
+    }
+
+    function mul_(Double memory a, uint b) internal pure returns (Double memory) {
+        return Double({ mantissa: mul_(a.mantissa, b) });
+    }
+
+    function mul_(uint a, Double memory b) internal pure returns (uint) {
+        return mul_(a, b.mantissa) / doubleScale;
+    }
+
+    function mul_(uint a, uint b) internal pure returns (uint) {
+        return mul_(a, b, "multiplication overflow");
+    }
+
+    function mul_(uint a, uint b, string memory errorMessage) internal pure returns (uint) {
+        if (a == 0 || b == 0) {
+            return 0;
+        }
+        uint c = a * b;
+        require(c / a == b, errorMessage);
+        return c;
+    }
+
+    function div_(Exp memory a, Exp memory b) internal pure returns (Exp memory) {
+        return Exp({ mantissa: div_(mul_(a.mantissa, expScale), b.mantissa) });
+    }
+
+    function div_(Exp memory a, uint b) internal pure returns (Exp memory) {
+        return Exp({ mantissa: div_(a.mantissa, b) });
+    }
+
+    function div_(uint a, Exp memory b) internal pure returns (uint) {
+        return div_(mul_(a, expScale), b.mantissa);
+    }
+
+    function div_(Double memory a, Double memory b) internal pure returns (Double memory) {
+        return Double({ mantissa: div_(mul_(a.mantissa, doubleScale), b.mantissa) });
+    }
+
+    function div_(Double memory a, uint b) internal pure returns (Double memory) {
+        return Double({ mantissa: div_(a.mantissa, b) });
+    }
+
+    function div_(uint a, Double memory b) internal pure returns (uint) {
+        return div_(mul_(a, doubleScale), b.mantissa);
+    }
+
+    function div_(uint a, uint b) internal pure returns (uint) {
+        return div_(a, b, "divide by zero");
+    }
+
+    function div_(uint a, uint b, string memory errorMessage) internal pure returns (uint) {
+        require(b > 0, errorMessage);
+        return a / b;
+    }
+
+    function fraction(uint a, uint b) internal pure returns (Double memory) {
+        return Double({ mantissa: div_(mul_(a, doubleScale), b) });
+    }
+}
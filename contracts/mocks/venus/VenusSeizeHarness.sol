@@ -0,0 +1,169 @@
+// SPDX-License-Identifier: BSD-3-Clause
+pragma solidity 0.8.25;
+
+import { ExponentialNoError } from "./ExponentialNoError.sol";
+
+/**
+ * @title VenusSeizeHarness
+ * @notice Test-only wrapper around Venus' own seize math, vendored from the npm packages
+ *         venus-protocol 10.3.0 and isolated-pools 4.4.0 (scope venusprotocol, see LICENSE). ExponentialNoError.sol is copied unchanged; the function bodies
+ *         marked "Venus:" below are copied verbatim, with the oracle, exchange rate,
+ *         balance and Comptroller reads they make replaced by storage set through the setters
+ */
+contract VenusSeizeHarness is ExponentialNoError {
+    uint256 internal constant NO_ERROR = 0;
+    uint256 internal constant PRICE_ERROR = 13; // ComptrollerErrorReporter.Error.PRICE_ERROR
+    uint256 internal constant MANTISSA_ONE = 1e18;
+
+    uint256 public liquidationIncentiveMantissa;
+    uint256 public protocolSeizeShareMantissa;
+    uint256 public treasuryPercentMantissa;
+    mapping(address => uint256) public underlyingPrice;
+    mapping(address => uint256) public exchangeRateStored;
+    mapping(address => mapping(address => uint256)) public vTokenBalance;
+
+    function setLiquidationIncentive(uint256 mantissa) external {
+        liquidationIncentiveMantissa = mantissa;
+    }
+
+    function setProtocolSeizeShare(uint256 mantissa) external {
+        protocolSeizeShareMantissa = mantissa;
+    }
+
+    function setTreasuryPercent(uint256 mantissa) external {
+        treasuryPercentMantissa = mantissa;
+    }
+
+    function setMarket(address vToken, uint256 price, uint256 exchangeRate) external {
+        underlyingPrice[vToken] = price;
+        exchangeRateStored[vToken] = exchangeRate;
+    }
+
+    function setBalance(address vToken, address account, uint256 balance) external {
+        vTokenBalance[vToken][account] = balance;
+    }
+
+    /// @notice Venus: ComptrollerLens.liquidateCalculateSeizeTokens (core pool)
+    function liquidateCalculateSeizeTokens(
+        address vTokenBorrowed,
+        address vTokenCollateral,
+        uint actualRepayAmount
+    ) public view returns (uint, uint) {
+        /* Read oracle prices for borrowed and collateral markets */
+        uint priceBorrowedMantissa = underlyingPrice[vTokenBorrowed];
+        uint priceCollateralMantissa = underlyingPrice[vTokenCollateral];
+        if (priceBorrowedMantissa == 0 || priceCollateralMantissa == 0) {
+            return (PRICE_ERROR, 0);
+        }
+
+        /*
+         * Get the exchange rate and calculate the number of collateral tokens to seize:
+         *  seizeAmount = actualRepayAmount * liquidationIncentive * priceBorrowed / priceCollateral
+         *  seizeTokens = seizeAmount / exchangeRate
+         *   = actualRepayAmount * (liquidationIncentive * priceBorrowed) / (priceCollateral * exchangeRate)
+         */
+        uint exchangeRateMantissa = exchangeRateStored[vTokenCollateral];
+
+        uint seizeTokens = _calculateSeizeTokens(
+            actualRepayAmount,
+            liquidationIncentiveMantissa,
+            priceBorrowedMantissa,
+            priceCollateralMantissa,
+            exchangeRateMantissa
+        );
+
+        return (NO_ERROR, seizeTokens);
+    }
+
+    /// @notice Venus: isolated-pools Comptroller.liquidateCalculateSeizeTokens
+    function liquidateCalculateSeizeTokensIsolated(
+        address vTokenBorrowed,
+        address vTokenCollateral,
+        uint256 actualRepayAmount
+    ) external view returns (uint256 error, uint256 tokensToSeize) {
+        /* Read oracle prices for borrowed and collateral markets */
+        uint256 priceBorrowedMantissa = underlyingPrice[vTokenBorrowed];
+        uint256 priceCollateralMantissa = underlyingPrice[vTokenCollateral];
+
+        /*
+         * Get the exchange rate and calculate the number of collateral tokens to seize:
+         *  seizeAmount = actualRepayAmount * liquidationIncentive * priceBorrowed / priceCollateral
+         *  seizeTokens = seizeAmount / exchangeRate
+         *   = actualRepayAmount * (liquidationIncentive * priceBorrowed) / (priceCollateral * exchangeRate)
+         */
+        uint256 exchangeRateMantissa = exchangeRateStored[vTokenCollateral]; // Note: reverts on error
+        uint256 seizeTokens;
+        Exp memory numerator;
+        Exp memory denominator;
+        Exp memory ratio;
+
+        numerator = mul_(Exp({ mantissa: liquidationIncentiveMantissa }), Exp({ mantissa: priceBorrowedMantissa }));
+        denominator = mul_(Exp({ mantissa: priceCollateralMantissa }), Exp({ mantissa: exchangeRateMantissa }));
+        ratio = div_(numerator, denominator);
+
+        seizeTokens = mul_ScalarTruncate(ratio, actualRepayAmount);
+
+        return (NO_ERROR, seizeTokens);
+    }
+
+    /// @notice Venus: the protocol share split of isolated-pools VToken._seize
+    function splitSeizeTokens(uint256 seizeTokens) public view returns (uint256, uint256) {
+        uint256 numerator = mul_(seizeTokens, Exp({ mantissa: protocolSeizeShareMantissa }));
+        uint256 protocolSeizeTokens = div_(numerator, Exp({ mantissa: liquidationIncentiveMantissa }));
+        uint256 liquidatorSeizeTokens = seizeTokens - protocolSeizeTokens;
+        return (protocolSeizeTokens, liquidatorSeizeTokens);
+    }
+
+    /// @notice Venus: Liquidator._splitLiquidationIncentive (core pool treasury share)
+    function splitLiquidationIncentive(uint256 seizedAmount) public view returns (uint256 ours, uint256 theirs) {
+        uint256 totalIncentive = liquidationIncentiveMantissa;
+        uint256 bonusMantissa = totalIncentive - MANTISSA_ONE;
+
+        // Our share is % of bonus portion only
+        uint256 bonusAmount = (seizedAmount * bonusMantissa) / totalIncentive;
+        ours = (bonusAmount * treasuryPercentMantissa) / MANTISSA_ONE;
+
+        theirs = seizedAmount - ours;
+    }
+
+    /**
+     * @notice vTokens a core pool liquidation through the Liquidator moves: the seize
+     *         (reverting like VToken.liquidateBorrowFresh) and the treasury's cut of it
+     */
+    function previewLiquidation(
+        address borrower,
+        address vTokenBorrowed,
+        address vTokenCollateral,
+        uint256 repayAmount
+    ) external view returns (uint256 seizeTokens, uint256 ours, uint256 theirs) {
+        uint256 amountSeizeError;
+        (amountSeizeError, seizeTokens) = liquidateCalculateSeizeTokens(vTokenBorrowed, vTokenCollateral, repayAmount);
+        // Venus: VToken.liquidateBorrowFresh
+        require(amountSeizeError == uint(0), "LIQUIDATE_COMPTROLLER_CALCULATE_AMOUNT_SEIZE_FAILED");
+
+        /* Revert if borrower collateral token balance < seizeTokens */
+        require(vTokenBalance[vTokenCollateral][borrower] >= seizeTokens, "LIQUIDATE_SEIZE_TOO_MUCH");
+
+        (ours, theirs) = splitLiquidationIncentive(seizeTokens);
+    }
+
+    /// @notice Venus: ComptrollerLens._calculateSeizeTokens
+    function _calculateSeizeTokens(
+        uint actualRepayAmount,
+        uint liquidationIncentiveMantissa,
+        uint priceBorrowedMantissa,
+        uint priceCollateralMantissa,
+        uint exchangeRateMantissa
+    ) internal pure returns (uint seizeTokens) {
+        Exp memory numerator = mul_(
+            Exp({ mantissa: liquidationIncentiveMantissa }),
+            Exp({ mantissa: priceBorrowedMantissa })
+        );
+        Exp memory denominator = mul_(
+            Exp({ mantissa: priceCollateralMantissa }),
+            Exp({ mantissa: exchangeRateMantissa })
+        );
+
+        seizeTokens = mul_ScalarTruncate(div_(numerator, denominator), actualRepayAmount);
+    }
+}
@@ -0,0 +1,288 @@
+/**
+ * helpers/aaveV3Adapter.js
+ *
+ * Aave v3 (and compatible forks) behind the ProtocolAdapter interface
+ * Account data comes from Pool.getUserAccountData, positions from the
+ * PoolDataProvider and prices from the AaveOracle (base currency units), both
+ * read for every reserve in one multicall.
+ * Markets are identified by their reserve asset, so position.vToken and
+ * position.underlying are the same address
+ */
+
+const { ethers } = require("ethers");
+const ProtocolAdapter = require('./protocolAdapter');
+const MulticallHelper = require('./multicall');
+const { createLogger } = require('./logger');
+
+const log = createLogger('aaveV3');
+
+const ADDRESSES_PROVIDER_ABI = [
+    "function getPool() external view returns (address)",
+    "function getPriceOracle() external view returns (address)",
+    "function getPoolDataProvider() external view returns (address)"
+];
+
+const AAVE_POOL_ABI = [
+    "function getUserAccountData(address user) external view returns (uint256 totalCollateralBase, uint256 totalDebtBase, uint256 availableBorrowsBase, uint256 currentLiquidationThreshold, uint256 ltv, uint256 healthFactor)",
+    "function getReservesList() external view returns (address[])",
+    "function liquidationCall(address collateralAsset, address debtAsset, address user, uint256 debtToCover, bool receiveAToken) external",
+    "event Borrow(address indexed reserve, address user, address indexed onBehalfOf, uint256 amount, uint8 interestRateMode, uint256 borrowRate, uint16 indexed referralCode)"
+];
+
+const AAVE_DATA_PROVIDER_ABI = [
+    "function getUserReserveData(address asset, address user) external view returns (uint256 currentATokenBalance, uint256 currentStableDebt, uint256 currentVariableDebt, uint256 principalStableDebt, uint256 scaledVariableDebt, uint256 stableBorrowRate, uint256 liquidityRate, uint40 stableRateLastUpdated, bool usageAsCollateralEnabled)",
+    "function getReserveConfigurationData(address asset) external view returns (uint256 decimals, uint256 ltv, uint256 liquidationThreshold, uint256 liquidationBonus, uint256 reserveFactor, bool usageAsCollateralEnabled, bool borrowingEnabled, bool stableBorrowRateEnabled, bool isActive, bool isFrozen)"
+];
+
+const AAVE_ORACLE_ABI = [
+    "function getAssetPrice(address asset) external view returns (uint256)",
+    "function BASE_CURRENCY_UNIT() external view returns (uint256)"
+];
+
+const ERC20_SYMBOL_ABI = [
+    "function symbol() external view returns (string)"
+];
+
+const ONE = ethers.parseEther("1");
+
+// Aave v3 liquidates 50% of a debt, or all of it once the health factor drops below 0.95
+const DEFAULT_CLOSE_FACTOR = ethers.parseEther("0.5");
+const MAX_CLOSE_FACTOR = ONE;
+const CLOSE_FACTOR_HF_THRESHOLD = ethers.parseEther("0.95");
+
+class AaveV3Adapter extends ProtocolAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} [options.name] - Display name
+     * @param {Object} options.pool - Aave Pool contract
+     * @param {Object} options.dataProvider - PoolDataProvider contract
+     * @param {Object} options.oracle - AaveOracle contract
+     * @param {Object} options.provider - Provider for token metadata
+     * @param {MulticallHelper} [options.multicallHelper] - Batches position reads
+     */
+    constructor({ name = 'Aave v3', pool, dataProvider, oracle, provider, multicallHelper = new MulticallHelper(provider) }) {
+        super('aave-v3', name, pool.target);
+        this.pool = pool;
+        this.dataProvider = dataProvider;
+        this.oracle = oracle;
+        this.provider = provider;
+        this.multicallHelper = multicallHelper;
+        this.reserves = new Map(); // asset (lowercase) -> { asset, symbol, decimals, liquidationBonus }
+        this.baseCurrencyUnit = null;
+    }
+
+    /**
+     * Oracle base currency unit (1e8 for USD-denominated deployments), read once
+     */
+    async getBaseCurrencyUnit() {
+        if (this.baseCurrencyUnit === null) {
+            this.baseCurrencyUnit = await this.oracle.BASE_CURRENCY_UNIT();
+        }
+        return this.baseCurrencyUnit;
+    }
+
+    /**
+     * Base currency amount -> USD with 18 decimals
+     */
+    async toUSD(baseAmount) {
+        return (baseAmount * ONE) / (await this.getBaseCurrencyUnit());
+    }
+
+    /**
+     * Reserve metadata, read once per asset
+     */
+    async getReserve(asset) {
+        const key = asset.toLowerCase();
+        if (this.reserves.has(key)) {
+            return this.reserves.get(key);
+        }
+
+        const token = new ethers.Contract(asset, ERC20_SYMBOL_ABI, this.provider);
+        const [configuration, symbol] = await Promise.all([
+            this.dataProvider.getReserveConfigurationData(asset),
+            token.symbol()
+        ]);
+        const reserve = {
+            asset,
+            symbol,
+            decimals: Number(configuration.decimals),
+            liquidationBonus: configuration.liquidationBonus // bps, 10500 = 5% bonus
+        };
+        this.reserves.set(key, reserve);
+        return reserve;
+    }
+
+    /**
+     * Oracle price converted to the Venus scale (amount * price / 1e18 = USD)
+     */
+    async toPriceUSD(reserve, price) {
+        return (await this.toUSD(price)) * ONE / 10n ** BigInt(reserve.decimals);
+    }
+
+    async getAccountData(borrower, overrides = {}) {
+        try {
+            const data = await this.pool.getUserAccountData(borrower, overrides);
+            const [collateralUSD, debtUSD] = await Promise.all([
+                this.toUSD(data.totalCollateralBase),
+                this.toUSD(data.totalDebtBase)
+            ]);
+            // currentLiquidationThreshold is the weighted average in bps
+            const adjustedCollateral = (collateralUSD * data.currentLiquidationThreshold) / 10000n;
+
+            return {
+                liquidity: adjustedCollateral > debtUSD ? adjustedCollateral - debtUSD : 0n,
+                shortfall: debtUSD > adjustedCollateral ? debtUSD - adjustedCollateral : 0n,
+                healthFactor: data.healthFactor, // MaxUint256 without debt
+                isLiquidatable: data.healthFactor < ONE
+            };
+        } catch (error) {
+            log.error(`Error getting Aave account data: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Both sides from one multicall: every reserve's user data and oracle price
+     * (the reserve list and new reserves' metadata are separate reads)
+     * @returns {Promise<Object>} { borrowPositions, collateralPositions } (empty on failure)
+     */
+    async getPositions(borrower, overrides = {}) {
+        try {
+            const assets = Array.from(await this.pool.getReservesList(overrides));
+            const dataProviderAddress = this.dataProvider.target;
+            const oracleAddress = this.oracle.target;
+            const calls = assets.flatMap(asset => [
+                { target: dataProviderAddress, allowFailure: true, callData: this.dataProvider.interface.encodeFunctionData('getUserReserveData', [asset, borrower]) },
+                { target: oracleAddress, allowFailure: true, callData: this.oracle.interface.encodeFunctionData('getAssetPrice', [asset]) }
+            ]);
+            const results = await this.multicallHelper.batchCall(calls, overrides);
+
+            const borrowPositions = [];
+            const collateralPositions = [];
+            for (const [i, asset] of assets.entries()) {
+                const dataResult = results[2 * i];
+                const priceResult = results[2 * i + 1];
+                // Skip reserves whose reads failed
+                if (!dataResult.success || !priceResult.success) continue;
+
+                const data = this.dataProvider.interface.decodeFunctionResult('getUserReserveData', dataResult.returnData);
+                const borrowBalance = data.currentStableDebt + data.currentVariableDebt;
+                // Supplied but not enabled as collateral can't be seized
+                const collateralBalance = data.usageAsCollateralEnabled ? data.currentATokenBalance : 0n;
+                if (borrowBalance === 0n && collateralBalance === 0n) continue;
+
+                const reserve = await this.getReserve(asset);
+                const [price] = this.oracle.interface.decodeFunctionResult('getAssetPrice', priceResult.returnData);
+                const priceUSD = await this.toPriceUSD(reserve, price);
+                const market = { vToken: reserve.asset, vTokenSymbol: reserve.symbol, underlying: reserve.asset };
+
+                if (borrowBalance > 0n) {
+                    borrowPositions.push({
+                        ...market,
+                        borrowBalance,
+                        priceUSD,
+                        valueUSD: (borrowBalance * priceUSD) / ONE
+                    });
+                }
+                if (collateralBalance > 0n) {
+                    collateralPositions.push({
+                        ...market,
+                        underlyingBalance: collateralBalance,
+                        priceUSD,
+                        valueUSD: (collateralBalance * priceUSD) / ONE,
+                        liquidationBonus: reserve.liquidationBonus
+                    });
+                }
+            }
+            return { borrowPositions: sortByValue(borrowPositions), collateralPositions: sortByValue(collateralPositions) };
+        } catch (error) {
+            log.error(`Error getting Aave positions: ${error.message}`);
+            return { borrowPositions: [], collateralPositions: [] };
+        }
+    }
+
+    async getBorrowPositions(borrower, overrides = {}) {
+        return (await this.getPositions(borrower, overrides)).borrowPositions;
+    }
+
+    async getCollateralPositions(borrower, overrides = {}) {
+        return (await this.getPositions(borrower, overrides)).collateralPositions;
+    }
+
+    /**
+     * Aave's bonus is per collateral reserve; the lowest one across the
+     * borrower's collateral keeps every pair's estimate conservative
+     */
+    async getLiquidationParameters(account, collateralPositions = []) {
+        const bonuses = collateralPositions.map(position => position.liquidationBonus).filter(Boolean);
+        if (!account || !bonuses.length) {
+            return null;
+        }
+
+        const minBonus = bonuses.reduce((min, bonus) => (bonus < min ? bonus : min));
+        const liquidationIncentive = minBonus * 10n ** 14n; // bps -> 18 decimals
+        const closeFactor = account.healthFactor < CLOSE_FACTOR_HF_THRESHOLD ? MAX_CLOSE_FACTOR : DEFAULT_CLOSE_FACTOR;
+
+        return {
+            liquidationIncentive,
+            closeFactor,
+            incentivePercent: ((Number(liquidationIncentive) / 1e18) - 1) * 100,
+            closeFactorPercent: (Number(closeFactor) / 1e18) * 100
+        };
+    }
+
+    encodeLiquidationCall({ borrower, debtPosition, collateralPosition, repayAmount }) {
+        return {
+            to: this.address,
+            data: this.pool.interface.encodeFunctionData('liquidationCall', [
+                collateralPosition.underlying,
+                debtPosition.underlying,
+                borrower,
+                repayAmount,
+                false // receive the underlying, not aTokens
+            ]),
+            value: 0n
+        };
+    }
+
+    getEventSources() {
+        return [{
+            name: this.name,
+            address: this.address,
+            abi: AAVE_POOL_ABI,
+            event: 'Borrow',
+            getBorrower: args => args.onBehalfOf // the account that carries the debt
+        }];
+    }
+}
+
+function sortByValue(positions) {
+    return positions.sort((a, b) => (a.valueUSD > b.valueUSD ? -1 : a.valueUSD < b.valueUSD ? 1 : 0));
+}
+
+/**
+ * Resolve Pool, oracle and data provider from a PoolAddressesProvider
+ */
+async function loadAaveV3Adapter({ name, addressesProvider, provider, multicallHelper }) {
+    const registry = new ethers.Contract(addressesProvider, ADDRESSES_PROVIDER_ABI, provider);
+    const [poolAddress, oracleAddress, dataProviderAddress] = await Promise.all([
+        registry.getPool(),
+        registry.getPriceOracle(),
+        registry.getPoolDataProvider()
+    ]);
+
+    return new AaveV3Adapter({
+        name,
+        pool: new ethers.Contract(poolAddress, AAVE_POOL_ABI, provider),
+        dataProvider: new ethers.Contract(dataProviderAddress, AAVE_DATA_PROVIDER_ABI, provider),
+        oracle: new ethers.Contract(oracleAddress, AAVE_ORACLE_ABI, provider),
+        provider,
+        multicallHelper
+    });
+}
+
+module.exports = AaveV3Adapter;
+module.exports.loadAaveV3Adapter = loadAaveV3Adapter;
+module.exports.AAVE_POOL_ABI = AAVE_POOL_ABI;
+module.exports.AAVE_DATA_PROVIDER_ABI = AAVE_DATA_PROVIDER_ABI;
+module.exports.AAVE_ORACLE_ABI = AAVE_ORACLE_ABI;
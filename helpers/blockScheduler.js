@@ -0,0 +1,209 @@
+/**
+ * helpers/blockScheduler.js
+ *
+ * Runs one scan per new block instead of on a fixed timer
+ * Block headers come from the WebSocket provider (newHeads) when there is one,
+ * otherwise from HTTP polling. If the WebSocket goes quiet for staleBlockMs the
+ * scheduler falls back to HTTP polling and keeps re-subscribing to the WebSocket,
+ * switching back as soon as its headers resume. Scans never overlap: blocks that arrive
+ * while a scan is running are collapsed into one scan of the newest block, and
+ * the skipped count and arrival-to-completion lag are reported per scan
+ */
+
+const { EventEmitter } = require('events');
+const { createLogger } = require('./logger');
+
+const log = createLogger('blockScheduler');
+
+/**
+ * Events:
+ *   scanned  { blockNumber, lagMs, durationMs, skipped, source } - scan for this block finished
+ *   fallback { reason }                                         - switched from WebSocket to HTTP polling
+ *   recovered { blockNumber }                                   - WebSocket headers resumed, HTTP polling stopped
+ *   stopped
+ */
+class BlockScheduler extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.provider - HTTP provider (polled for blocks without a WebSocket)
+     * @param {Object} [options.wsProvider] - WebSocket provider (newHeads subscription)
+     * @param {Function} options.scan - async (blockNumber) => void; returns null when nothing was scanned (paused)
+     * @param {number} [options.pollIntervalMs] - HTTP block polling interval
+     * @param {number} [options.staleBlockMs] - Fall back to HTTP after this long without a WebSocket block
+     */
+    constructor({ provider, wsProvider = null, scan, pollIntervalMs = 1000, staleBlockMs = 15000 }) {
+        super();
+        this.provider = provider;
+        this.wsProvider = wsProvider;
+        this.scan = scan;
+        this.pollIntervalMs = pollIntervalMs;
+        this.staleBlockMs = staleBlockMs;
+
+        this.isActive = false;
+        this.source = null;           // 'websocket' | 'http'
+        this.subscribed = null;       // Provider we're listening on
+        this.watchdog = null;
+        this.isScanning = false;
+        this.pending = null;          // Newest block not scanned yet { blockNumber, arrivedTs }
+        this.lastSeenBlock = 0;
+        this.lastBlockTs = 0;
+        this.lastScannedBlock = 0;
+        this.probing = false;         // Listening on the WebSocket while on HTTP fallback
+        this.onBlock = (blockNumber) => this.handleBlock(Number(blockNumber));
+        this.onProbeBlock = (blockNumber) => this.recover(Number(blockNumber));
+    }
+
+    async start() {
+        if (this.isActive) {
+            return;
+        }
+        this.isActive = true;
+        this.lastBlockTs = Date.now();
+
+        if (this.wsProvider) {
+            try {
+                await this.subscribe(this.wsProvider, 'websocket');
+            } catch (error) {
+                await this.fallBack(`subscription failed: ${error.message}`);
+            }
+            this.watchdog = setInterval(() => this.checkStale(), Math.max(this.staleBlockMs / 3, 1000));
+        } else {
+            await this.subscribe(this.provider, 'http');
+        }
+        log.info(`⛓️  Scanning every new block (${this.source}${this.source === 'http' ? `, polled every ${this.pollIntervalMs}ms` : ''})`);
+    }
+
+    stop() {
+        if (!this.isActive) {
+            return;
+        }
+        this.isActive = false;
+        clearInterval(this.watchdog);
+        this.stopProbe();
+        this.unsubscribe();
+        this.pending = null;
+        this.emit('stopped');
+    }
+
+    async subscribe(provider, source) {
+        this.unsubscribe();
+        if (source === 'http') {
+            provider.pollingInterval = this.pollIntervalMs;
+        }
+        await provider.on('block', this.onBlock);
+        this.subscribed = provider;
+        this.source = source;
+    }
+
+    unsubscribe() {
+        if (this.subscribed) {
+            this.subscribed.off('block', this.onBlock);
+            this.subscribed = null;
+        }
+    }
+
+    async fallBack(reason) {
+        log.warn(`⚠️  WebSocket block feed ${reason} - falling back to HTTP polling`);
+        await this.subscribe(this.provider, 'http');
+        this.emit('fallback', { reason });
+    }
+
+    /**
+     * Runs every staleBlockMs / 3: falls back when the WebSocket is silent, and
+     * while on HTTP re-subscribes to the WebSocket to find out when it is back
+     */
+    checkStale() {
+        if (!this.isActive) {
+            return;
+        }
+        if (this.source === 'websocket' && Date.now() - this.lastBlockTs > this.staleBlockMs) {
+            this.fallBack(`silent for ${Math.round((Date.now() - this.lastBlockTs) / 1000)}s`)
+                .catch(error => log.error(`❌ HTTP block polling failed to start: ${error.message}`));
+        } else if (this.source === 'http' && this.wsProvider) {
+            this.probe().catch(error => log.debug(`WebSocket re-subscription failed: ${error.message}`));
+        }
+    }
+
+    // A fresh subscription each time: the previous one may have died with the socket
+    async probe() {
+        this.stopProbe();
+        this.probing = true;
+        await this.wsProvider.on('block', this.onProbeBlock);
+    }
+
+    stopProbe() {
+        if (this.probing) {
+            this.wsProvider.off('block', this.onProbeBlock);
+            this.probing = false;
+        }
+    }
+
+    async recover(blockNumber) {
+        if (!this.isActive || this.source !== 'http') {
+            return;
+        }
+        this.stopProbe();
+        try {
+            await this.subscribe(this.wsProvider, 'websocket');
+        } catch (error) {
+            log.warn(`⚠️  WebSocket block feed resumed but subscribing failed, staying on HTTP: ${error.message}`);
+            await this.subscribe(this.provider, 'http');
+            return;
+        }
+        log.info(`✅ WebSocket block feed resumed at block ${blockNumber} - stopped HTTP polling`);
+        this.emit('recovered', { blockNumber });
+        this.handleBlock(blockNumber);
+    }
+
+    handleBlock(blockNumber) {
+        if (!this.isActive || blockNumber <= this.lastSeenBlock) {
+            return;
+        }
+        this.lastSeenBlock = blockNumber;
+        this.lastBlockTs = Date.now();
+        // Only the newest block matters; older pending ones are skipped
+        this.pending = { blockNumber, arrivedTs: this.lastBlockTs };
+
+        if (!this.isScanning) {
+            this.runPending();
+        }
+    }
+
+    async runPending() {
+        this.isScanning = true;
+        while (this.pending && this.isActive) {
+            const { blockNumber, arrivedTs } = this.pending;
+            this.pending = null;
+            const skipped = this.lastScannedBlock ? Math.max(blockNumber - this.lastScannedBlock - 1, 0) : 0;
+            const startTs = Date.now();
+
+            let result;
+            try {
+                result = await this.scan(blockNumber);
+            } catch (error) {
+                log.error(`❌ Scan for block ${blockNumber} failed: ${error.message}`);
+            }
+
+            if (result === null) {
+                // Nothing scanned (paused): no lag to report, and skip counting restarts on resume
+                this.lastScannedBlock = 0;
+                continue;
+            }
+            const completedTs = Date.now();
+            this.lastScannedBlock = blockNumber;
+            if (skipped) {
+                log.info(`⏭️  Skipped ${skipped} block(s) while the previous scan ran`, { blockNumber });
+            }
+            this.emit('scanned', {
+                blockNumber,
+                lagMs: completedTs - arrivedTs,
+                durationMs: completedTs - startTs,
+                skipped,
+                source: this.source
+            });
+        }
+        this.isScanning = false;
+    }
+}
+
+module.exports = BlockScheduler;
@@ -7,6 +7,13 @@
 
 const Database = require('better-sqlite3');
 const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('borrowerDatabase');
+
+// A competitor's liquidation only answers paper trades from shortly before it;
+// older open trades for the same borrower were a different shortfall
+const PAPER_TRADE_MATCH_BLOCKS = 100;
 
 class BorrowerDatabase {
     constructor(dbPath = null) {
@@ -23,7 +30,7 @@ class BorrowerDatabase {
      */
     initialize() {
         if (!this.isEnabled) {
-            console.log('📊 Database persistence disabled (set DATABASE_URL to enable)');
+            log.info('📊 Database persistence disabled (set DATABASE_URL to enable)');
             return;
         }
 
@@ -75,6 +82,59 @@ class BorrowerDatabase {
                 )
             `);
             
+            // Create paper_trades table (dry-run results, compared later against on-chain liquidations)
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS paper_trades (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    borrower_address TEXT NOT NULL,
+                    debt_token TEXT NOT NULL,
+                    collateral_token TEXT NOT NULL,
+                    vdebt_token TEXT NOT NULL,
+                    vcollateral_token TEXT NOT NULL,
+                    repay_amount TEXT NOT NULL,
+                    expected_profit_bnb TEXT NOT NULL,
+                    gas_limit TEXT,
+                    gas_price TEXT,
+                    min_out_bps INTEGER,
+                    simulated_success BOOLEAN NOT NULL,
+                    simulation_error TEXT,
+                    block_number INTEGER,
+                    timestamp INTEGER NOT NULL,
+                    onchain_liquidator TEXT,
+                    onchain_tx_hash TEXT,
+                    onchain_block INTEGER
+                )
+            `);
+            
+            // Create tx_attempts table (every send, speed-up and cancel of a liquidation tx)
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS tx_attempts (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    tx_hash TEXT,
+                    nonce INTEGER NOT NULL,
+                    kind TEXT NOT NULL,
+                    label TEXT,
+                    channel TEXT,
+                    gas_price TEXT,
+                    status TEXT NOT NULL,
+                    error TEXT,
+                    timestamp INTEGER NOT NULL,
+                    updated_at INTEGER
+                )
+            `);
+            
+            // Create liquidation_thresholds table (oracle price per market that would make a borrower liquidatable)
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS liquidation_thresholds (
+                    borrower_address TEXT NOT NULL,
+                    vtoken_address TEXT NOT NULL,
+                    threshold_price TEXT NOT NULL,
+                    direction TEXT NOT NULL,
+                    updated_at INTEGER NOT NULL,
+                    PRIMARY KEY (borrower_address, vtoken_address)
+                )
+            `);
+            
             // Create indexes for faster queries
             this.db.exec(`
                 CREATE INDEX IF NOT EXISTS idx_borrowers_has_balance ON borrowers(has_balance);
@@ -82,13 +142,17 @@ class BorrowerDatabase {
                 CREATE INDEX IF NOT EXISTS idx_borrower_markets_address ON borrower_markets(borrower_address);
                 CREATE INDEX IF NOT EXISTS idx_liquidations_borrower ON liquidations(borrower_address);
                 CREATE INDEX IF NOT EXISTS idx_liquidations_timestamp ON liquidations(timestamp);
+                CREATE INDEX IF NOT EXISTS idx_paper_trades_borrower ON paper_trades(borrower_address);
+                CREATE INDEX IF NOT EXISTS idx_paper_trades_timestamp ON paper_trades(timestamp);
+                CREATE INDEX IF NOT EXISTS idx_tx_attempts_nonce ON tx_attempts(nonce);
+                CREATE INDEX IF NOT EXISTS idx_tx_attempts_hash ON tx_attempts(tx_hash);
             `);
             
-            console.log(`✅ Database initialized: ${this.dbPath}`);
-            console.log(`   Borrowers tracked: ${this.getBorrowerCount()}`);
+            log.info(`✅ Database initialized: ${this.dbPath}`);
+            log.info(`   Borrowers tracked: ${this.getBorrowerCount()}`);
             
         } catch (error) {
-            console.error('❌ Database initialization failed:', error.message);
+            log.error(`❌ Database initialization failed: ${error.message}`);
             this.isEnabled = false;
         }
     }
@@ -111,7 +175,7 @@ class BorrowerDatabase {
             
             stmt.run(address, now, now, now, now);
         } catch (error) {
-            console.error(`Error adding borrower ${address}:`, error.message);
+            log.error(`Error adding borrower ${address}: ${error.message}`);
         }
     }
 
@@ -139,7 +203,7 @@ class BorrowerDatabase {
         try {
             insertMany(addresses);
         } catch (error) {
-            console.error('Error adding borrowers batch:', error.message);
+            log.error(`Error adding borrowers batch: ${error.message}`);
         }
     }
 
@@ -158,7 +222,7 @@ class BorrowerDatabase {
             
             stmt.run(Date.now(), address);
         } catch (error) {
-            console.error(`Error marking borrower ${address}:`, error.message);
+            log.error(`Error marking borrower ${address}: ${error.message}`);
         }
     }
 
@@ -178,7 +242,7 @@ class BorrowerDatabase {
             const rows = stmt.all();
             return rows.map(row => row.address);
         } catch (error) {
-            console.error('Error getting active borrowers:', error.message);
+            log.error(`Error getting active borrowers: ${error.message}`);
             return [];
         }
     }
@@ -208,7 +272,7 @@ class BorrowerDatabase {
             
             updateMany();
         } catch (error) {
-            console.error(`Error updating markets for ${borrowerAddress}:`, error.message);
+            log.error(`Error updating markets for ${borrowerAddress}: ${error.message}`);
         }
     }
 
@@ -239,10 +303,255 @@ class BorrowerDatabase {
                 Date.now()
             );
         } catch (error) {
-            console.error('Error recording liquidation:', error.message);
+            log.error(`Error recording liquidation: ${error.message}`);
         }
     }
 
+    /**
+     * Record a dry-run (paper) liquidation
+     * @param {Object} trade - Opportunity fields plus simulation result and block number
+     */
+    recordPaperTrade(trade) {
+        if (!this.isEnabled || !this.db) return;
+        
+        try {
+            const stmt = this.db.prepare(`
+                INSERT INTO paper_trades (
+                    borrower_address, debt_token, collateral_token, vdebt_token, vcollateral_token,
+                    repay_amount, expected_profit_bnb, gas_limit, gas_price, min_out_bps,
+                    simulated_success, simulation_error, block_number, timestamp
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+            
+            stmt.run(
+                trade.borrower,
+                trade.debtToken,
+                trade.collateralToken,
+                trade.vDebtToken,
+                trade.vCollateralToken,
+                trade.repayAmount.toString(),
+                trade.expectedProfit.toString(),
+                trade.gasLimit?.toString() || null,
+                trade.gasPrice?.toString() || null,
+                trade.minOutBps ?? null,
+                trade.simulatedSuccess ? 1 : 0,
+                trade.simulationError || null,
+                trade.blockNumber ?? null,
+                Date.now()
+            );
+        } catch (error) {
+            log.error(`Error recording paper trade: ${error.message}`);
+        }
+    }
+
+    /**
+     * Attach an observed on-chain liquidation to open paper trades for the borrower
+     * recorded within maxBlocks blocks before it
+     * Lets paper PnL be compared with what competitors actually executed
+     * @returns {number} Number of paper trades matched
+     */
+    recordOnChainLiquidation(borrowerAddress, liquidator, txHash, blockNumber, maxBlocks = PAPER_TRADE_MATCH_BLOCKS) {
+        if (!this.isEnabled || !this.db || blockNumber == null) return 0;
+        
+        try {
+            const stmt = this.db.prepare(`
+                UPDATE paper_trades
+                SET onchain_liquidator = ?, onchain_tx_hash = ?, onchain_block = ?
+                WHERE borrower_address = ? AND onchain_tx_hash IS NULL
+                  AND block_number BETWEEN ? AND ?
+            `);
+            
+            const result = stmt.run(liquidator, txHash, blockNumber, borrowerAddress, blockNumber - maxBlocks, blockNumber);
+            return result.changes;
+        } catch (error) {
+            log.error(`Error recording on-chain liquidation for ${borrowerAddress}: ${error.message}`);
+            return 0;
+        }
+    }
+
+    /**
+     * Get most recent paper trades
+     */
+    getPaperTrades(limit = 50) {
+        if (!this.isEnabled || !this.db) return [];
+        
+        try {
+            const stmt = this.db.prepare(`
+                SELECT * FROM paper_trades
+                ORDER BY timestamp DESC, id DESC
+                LIMIT ?
+            `);
+            
+            return stmt.all(limit);
+        } catch (error) {
+            log.error(`Error getting paper trades: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Summarize paper trading results
+     * Note: expectedProfit is a string (sum of successful simulations) to maintain precision
+     */
+    getPaperTradeSummary() {
+        const empty = { count: 0, simulatedSuccess: 0, liquidatedOnChain: 0, expectedProfit: '0' };
+        if (!this.isEnabled || !this.db) return empty;
+        
+        try {
+            const rows = this.db.prepare(`
+                SELECT expected_profit_bnb, simulated_success, onchain_tx_hash FROM paper_trades
+            `).all();
+            
+            let expectedProfit = 0n;
+            let simulatedSuccess = 0;
+            let liquidatedOnChain = 0;
+            for (const row of rows) {
+                if (row.simulated_success) {
+                    simulatedSuccess++;
+                    try {
+                        expectedProfit += BigInt(row.expected_profit_bnb);
+                    } catch (e) {
+                        // Skip invalid entries
+                    }
+                }
+                if (row.onchain_tx_hash) {
+                    liquidatedOnChain++;
+                }
+            }
+            
+            return {
+                count: rows.length,
+                simulatedSuccess,
+                liquidatedOnChain,
+                expectedProfit: expectedProfit.toString()
+            };
+        } catch (error) {
+            return empty;
+        }
+    }
+
+    /**
+     * Record a transaction attempt (initial send, speed-up or cancel)
+     * @param {Object} attempt - { txHash, nonce, kind, label, channel, gasPrice, status, error }
+     */
+    recordTxAttempt(attempt) {
+        if (!this.isEnabled || !this.db) return;
+        
+        try {
+            const stmt = this.db.prepare(`
+                INSERT INTO tx_attempts (tx_hash, nonce, kind, label, channel, gas_price, status, error, timestamp)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+            
+            stmt.run(
+                attempt.txHash || null,
+                attempt.nonce,
+                attempt.kind,
+                attempt.label || null,
+                attempt.channel || null,
+                attempt.gasPrice?.toString() || null,
+                attempt.status,
+                attempt.error || null,
+                Date.now()
+            );
+        } catch (error) {
+            log.error(`Error recording tx attempt: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update the status of a recorded attempt (mined, reverted, replaced, dropped)
+     */
+    updateTxAttemptStatus(txHash, status) {
+        if (!this.isEnabled || !this.db) return;
+        
+        try {
+            const stmt = this.db.prepare(`
+                UPDATE tx_attempts SET status = ?, updated_at = ? WHERE tx_hash = ?
+            `);
+            stmt.run(status, Date.now(), txHash);
+        } catch (error) {
+            log.error(`Error updating tx attempt ${txHash}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get most recent transaction attempts
+     */
+    getTxAttempts(limit = 50) {
+        if (!this.isEnabled || !this.db) return [];
+        
+        try {
+            const stmt = this.db.prepare(`
+                SELECT * FROM tx_attempts
+                ORDER BY timestamp DESC, id DESC
+                LIMIT ?
+            `);
+            
+            return stmt.all(limit);
+        } catch (error) {
+            log.error(`Error getting tx attempts: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Replace a borrower's liquidation price thresholds
+     * @param {string} borrowerAddress
+     * @param {Array} thresholds - [{ vToken, thresholdPrice, direction }]
+     */
+    saveLiquidationThresholds(borrowerAddress, thresholds) {
+        if (!this.isEnabled || !this.db) return;
+        
+        const remove = this.db.prepare('DELETE FROM liquidation_thresholds WHERE borrower_address = ?');
+        const insert = this.db.prepare(`
+            INSERT INTO liquidation_thresholds (borrower_address, vtoken_address, threshold_price, direction, updated_at)
+            VALUES (?, ?, ?, ?, ?)
+        `);
+        
+        try {
+            const now = Date.now();
+            const replace = this.db.transaction(() => {
+                remove.run(borrowerAddress);
+                for (const { vToken, thresholdPrice, direction } of thresholds) {
+                    insert.run(borrowerAddress, vToken, thresholdPrice.toString(), direction, now);
+                }
+            });
+            
+            replace();
+        } catch (error) {
+            log.error(`Error saving thresholds for ${borrowerAddress}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load all liquidation price thresholds
+     * @returns {Map} borrower -> [{ vToken, thresholdPrice, direction }]
+     */
+    getLiquidationThresholds() {
+        const thresholds = new Map();
+        if (!this.isEnabled || !this.db) return thresholds;
+        
+        try {
+            const rows = this.db.prepare('SELECT * FROM liquidation_thresholds').all();
+            for (const row of rows) {
+                if (!thresholds.has(row.borrower_address)) {
+                    thresholds.set(row.borrower_address, []);
+                }
+                thresholds.get(row.borrower_address).push({
+                    vToken: row.vtoken_address,
+                    thresholdPrice: BigInt(row.threshold_price),
+                    direction: row.direction
+                });
+            }
+        } catch (error) {
+            log.error(`Error loading liquidation thresholds: ${error.message}`);
+        }
+        
+        return thresholds;
+    }
+
     /**
      * Get borrower count
      */
@@ -318,7 +627,7 @@ class BorrowerDatabase {
             const result = stmt.run(cutoff);
             return result.changes;
         } catch (error) {
-            console.error('Error cleaning up old borrowers:', error.message);
+            log.error(`Error cleaning up old borrowers: ${error.message}`);
             return 0;
         }
     }
@@ -329,7 +638,7 @@ class BorrowerDatabase {
     close() {
         if (this.db) {
             this.db.close();
-            console.log('✅ Database connection closed');
+            log.info('✅ Database connection closed');
         }
     }
 }
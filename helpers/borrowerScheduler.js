@@ -0,0 +1,164 @@
+/**
+ * helpers/borrowerScheduler.js
+ *
+ * Health-factor based scan scheduling
+ * Keeps the last known health factor per borrower and decides who is due for a
+ * check: near-liquidation accounts every scan, healthier ones progressively less
+ * often, and every borrower at least once per full sweep interval
+ */
+
+const { ethers } = require("ethers");
+
+const DEFAULT_SCHEDULER_CONFIG = {
+    // Ordered by maxHealthFactor; first matching tier wins
+    tiers: [
+        { name: 'critical', maxHealthFactor: ethers.parseEther("1.05"), intervalMs: 0 },   // Every scan
+        { name: 'warning', maxHealthFactor: ethers.parseEther("1.2"), intervalMs: 60000 },
+        { name: 'watch', maxHealthFactor: ethers.parseEther("1.5"), intervalMs: 5 * 60000 }
+    ],
+    healthyIntervalMs: 30 * 60000,   // Everyone above the last tier
+    fullSweepIntervalMs: 60 * 60000  // Nobody goes unchecked longer than this
+};
+
+class BorrowerScheduler {
+    /**
+     * @param {Object} [config] - Overrides for DEFAULT_SCHEDULER_CONFIG
+     */
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_SCHEDULER_CONFIG, ...config };
+        this.borrowers = new Map(); // address (lowercase) -> { address, healthFactor, lastChecked, addedAt }
+    }
+
+    /**
+     * Track new borrowers (never checked yet)
+     */
+    add(addresses) {
+        const now = Date.now();
+        for (const address of addresses) {
+            const key = address.toLowerCase();
+            if (!this.borrowers.has(key)) {
+                this.borrowers.set(key, { address, healthFactor: null, lastChecked: 0, addedAt: now });
+            }
+        }
+    }
+
+    /**
+     * Make the tracked set match `addresses` (adds new, drops pruned)
+     */
+    sync(addresses) {
+        const keep = new Set(addresses.map(address => address.toLowerCase()));
+        for (const key of this.borrowers.keys()) {
+            if (!keep.has(key)) {
+                this.borrowers.delete(key);
+            }
+        }
+        this.add(addresses);
+    }
+
+    remove(address) {
+        this.borrowers.delete(address.toLowerCase());
+    }
+
+    /**
+     * Record a fresh health factor (18 decimals)
+     */
+    update(address, healthFactor) {
+        const key = address.toLowerCase();
+        const entry = this.borrowers.get(key) || { address, addedAt: Date.now() };
+        entry.healthFactor = healthFactor;
+        entry.lastChecked = Date.now();
+        this.borrowers.set(key, entry);
+    }
+
+    /**
+     * Record a check without a health factor (e.g. the read failed)
+     */
+    markChecked(address) {
+        const entry = this.borrowers.get(address.toLowerCase());
+        if (entry) {
+            entry.lastChecked = Date.now();
+        }
+    }
+
+    getTier(healthFactor) {
+        if (healthFactor === null) {
+            return { name: 'unknown', intervalMs: 0 };
+        }
+        const tier = this.config.tiers.find(t => healthFactor < t.maxHealthFactor);
+        return tier || { name: 'healthy', intervalMs: this.config.healthyIntervalMs };
+    }
+
+    /**
+     * Borrowers due for a check, most urgent first
+     *
+     * Order: critical tier (lowest health factor first), then anyone past the
+     * full sweep interval (oldest first), then never-checked borrowers, then
+     * the remaining due borrowers (oldest check first)
+     *
+     * @param {number} limit - Max borrowers to return
+     * @returns {string[]} Addresses
+     */
+    nextBatch(limit) {
+        const now = Date.now();
+        const critical = [];
+        const sweep = [];
+        const unknown = [];
+        const due = [];
+
+        for (const entry of this.borrowers.values()) {
+            const tier = this.getTier(entry.healthFactor);
+            const age = now - entry.lastChecked;
+
+            if (entry.healthFactor === null) {
+                unknown.push(entry);
+            } else if (tier === this.config.tiers[0]) {
+                critical.push(entry);
+            } else if (age >= this.config.fullSweepIntervalMs) {
+                sweep.push(entry);
+            } else if (age >= tier.intervalMs) {
+                due.push(entry);
+            }
+        }
+
+        critical.sort((a, b) => (a.healthFactor < b.healthFactor ? -1 : a.healthFactor > b.healthFactor ? 1 : 0));
+        sweep.sort((a, b) => a.lastChecked - b.lastChecked);
+        unknown.sort((a, b) => a.lastChecked - b.lastChecked || a.addedAt - b.addedAt);
+        due.sort((a, b) => a.lastChecked - b.lastChecked);
+
+        return [...critical, ...sweep, ...unknown, ...due]
+            .slice(0, limit)
+            .map(entry => entry.address);
+    }
+
+    /**
+     * Order addresses by last known health factor, lowest first (unknown last)
+     */
+    sortByRisk(addresses) {
+        const healthFactorOf = address => this.borrowers.get(address.toLowerCase())?.healthFactor ?? null;
+        return [...addresses].sort((a, b) => {
+            const hfA = healthFactorOf(a);
+            const hfB = healthFactorOf(b);
+            if (hfA === hfB) return 0;
+            if (hfA === null) return 1;
+            if (hfB === null) return -1;
+            return hfA < hfB ? -1 : 1;
+        });
+    }
+
+    /**
+     * Borrower count per tier
+     */
+    getStats() {
+        const counts = { total: this.borrowers.size, unknown: 0, healthy: 0 };
+        for (const tier of this.config.tiers) {
+            counts[tier.name] = 0;
+        }
+        for (const entry of this.borrowers.values()) {
+            counts[this.getTier(entry.healthFactor).name]++;
+        }
+        return counts;
+    }
+}
+
+module.exports = BorrowerScheduler;
+module.exports.DEFAULT_SCHEDULER_CONFIG = DEFAULT_SCHEDULER_CONFIG;
@@ -6,13 +6,25 @@
  */
 
 const { ethers } = require("ethers");
+const { createLogger } = require('./logger');
+
+const log = createLogger('circuitBreaker');
 
 class CircuitBreaker {
-    constructor(oracle, markets) {
+    /**
+     * @param {Object} oracle - Price oracle
+     * @param {Object} markets - Map of symbol -> vToken address
+     * @param {MulticallHelper} multicallHelper - Batches the price reads, one multicall per oracle
+     * @param {Function} [getOracle] - vToken -> oracle, for markets priced by another oracle (isolated pools)
+     * @param {number} [maxPriceChangePercent] - Max price change per check before tripping
+     */
+    constructor(oracle, markets, multicallHelper, getOracle = null, maxPriceChangePercent = 30) {
         this.oracle = oracle;
         this.markets = markets;
+        this.multicallHelper = multicallHelper;
+        this.getOracle = getOracle || (() => this.oracle);
         this.priceHistory = new Map(); // Store price history for each market
-        this.maxPriceChangePercent = 30; // 30% max price change per check
+        this.maxPriceChangePercent = maxPriceChangePercent;
         this.historySize = 10; // Keep last 10 price points
         this.isTripped = false;
         this.tripReason = null;
@@ -22,36 +34,65 @@ class CircuitBreaker {
      * Initialize price history for all markets
      */
     async initialize() {
-        console.log('🛡️  Initializing circuit breaker...');
+        log.info('🛡️  Initializing circuit breaker...');
+        let prices = {};
+        try {
+            prices = await this.getPrices();
+        } catch (error) {
+            log.error(`   Error reading prices: ${error.message}`);
+        }
         for (const [symbol, address] of Object.entries(this.markets)) {
-            try {
-                const price = await this.oracle.getUnderlyingPrice(address);
-                this.priceHistory.set(address, [{ price, timestamp: Date.now() }]);
-                console.log(`   ${symbol}: ${ethers.formatUnits(price, 18)} USD`);
-            } catch (error) {
-                console.error(`   Error initializing ${symbol}: ${error.message}`);
+            const price = prices[address];
+            if (!price) {
+                log.error(`   Error initializing ${symbol}: no oracle price`);
+                continue;
             }
+            this.priceHistory.set(address, [{ price, timestamp: Date.now() }]);
+            log.info(`   ${symbol}: ${ethers.formatUnits(price, 18)} USD`);
+        }
+        log.info('✅ Circuit breaker initialized\n');
+    }
+
+    /**
+     * Every market's price, one multicall per oracle
+     * @param {Object} [overrides] - Call overrides ({ blockTag })
+     * @returns {Promise<Object>} vToken -> price (0n when the read failed)
+     */
+    async getPrices(overrides = {}) {
+        const byOracle = new Map();
+        for (const address of Object.values(this.markets)) {
+            const oracle = this.getOracle(address);
+            byOracle.set(oracle, [...(byOracle.get(oracle) || []), address]);
         }
-        console.log('✅ Circuit breaker initialized\n');
+        const results = await Promise.all(
+            Array.from(byOracle, ([oracle, addresses]) => this.multicallHelper.getOraclePrices(oracle, addresses, overrides))
+        );
+        return Object.assign({}, ...results);
     }
 
     /**
      * Check if price movement is within acceptable range
+     * Accepted prices become the latest ones, so getLatestPrices() reflects the checked block
+     * @param {Object} [overrides] - Call overrides ({ blockTag } of the scan cycle)
      */
-    async checkPrices() {
+    async checkPrices(overrides = {}) {
         if (this.isTripped) {
             return false;
         }
 
         try {
+            const prices = await this.getPrices(overrides);
             for (const [symbol, address] of Object.entries(this.markets)) {
-                const currentPrice = await this.oracle.getUnderlyingPrice(address);
+                const currentPrice = prices[address];
+                if (!currentPrice) {
+                    throw new Error(`no oracle price for ${symbol}`);
+                }
                 const history = this.priceHistory.get(address);
                 
                 // Initialize history if not present (defensive check)
                 if (!history || history.length === 0) {
                     this.priceHistory.set(address, [{ price: currentPrice, timestamp: Date.now() }]);
-                    console.log(`   Initializing price history for ${symbol}`);
+                    log.info(`   Initializing price history for ${symbol}`);
                     continue;
                 }
 
@@ -92,7 +133,7 @@ class CircuitBreaker {
 
             return true; // All prices are within acceptable range
         } catch (error) {
-            console.error(`❌ Circuit breaker price check error: ${error.message}`);
+            log.error(`❌ Circuit breaker price check error: ${error.message}`);
             // On error, be conservative and trip the breaker
             this.trip(`Price check failed: ${error.message}`);
             return false;
@@ -105,19 +146,18 @@ class CircuitBreaker {
     trip(reason) {
         this.isTripped = true;
         this.tripReason = reason;
-        console.error(`\n🚨 CIRCUIT BREAKER TRIPPED: ${reason}`);
-        console.error(`   Bot operations halted for safety\n`);
+        log.error(`\n🚨 CIRCUIT BREAKER TRIPPED: ${reason} - bot operations halted for safety\n`);
     }
 
     /**
      * Manually reset the circuit breaker
      */
     async reset() {
-        console.log('🔄 Resetting circuit breaker...');
+        log.info('🔄 Resetting circuit breaker...');
         this.isTripped = false;
         this.tripReason = null;
         await this.initialize(); // Re-initialize price history
-        console.log('✅ Circuit breaker reset\n');
+        log.info('✅ Circuit breaker reset\n');
     }
 
     /**
@@ -131,6 +171,20 @@ class CircuitBreaker {
         };
     }
 
+    /**
+     * Most recent accepted price per market
+     * @returns {Map} vToken address -> price
+     */
+    getLatestPrices() {
+        const prices = new Map();
+        for (const [address, history] of this.priceHistory) {
+            if (history.length > 0) {
+                prices.set(address, history[history.length - 1].price);
+            }
+        }
+        return prices;
+    }
+
     /**
      * Check if circuit breaker allows operations
      */
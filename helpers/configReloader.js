@@ -0,0 +1,104 @@
+/**
+ * helpers/configReloader.js
+ *
+ * Hot reload of the engine settings
+ * Re-reads .env on SIGHUP or when the file changes, validates it against the
+ * config schema and hands the result to engine.applyConfig(). An invalid file
+ * is reported and the running config is kept as-is
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { loadConfig } = require('./configSchema');
+const { createLogger } = require('./logger');
+
+const log = createLogger('config');
+
+/**
+ * Events:
+ *   reloaded     { applied, restartRequired, trigger } - new config applied
+ *   reloadFailed { errors, trigger }                   - validation failed, nothing applied
+ */
+class ConfigReloader extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.target - Has applyConfig(config) (the LiquidationEngine)
+     * @param {string} [options.envPath] - .env file to re-read
+     * @param {boolean} [options.watch] - Also reload when the file changes (SIGHUP always works)
+     * @param {number} [options.watchIntervalMs] - fs.watchFile polling interval
+     */
+    constructor({ target, envPath = path.join(process.cwd(), '.env'), watch = true, watchIntervalMs = 2000 }) {
+        super();
+        this.target = target;
+        this.envPath = envPath;
+        this.watch = watch;
+        this.watchIntervalMs = watchIntervalMs;
+        this.isActive = false;
+        this.onSignal = () => this.reload('SIGHUP');
+        this.onFileChange = (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                this.reload('file');
+            }
+        };
+    }
+
+    start() {
+        if (this.isActive) {
+            return;
+        }
+        process.on('SIGHUP', this.onSignal);
+        if (this.watch) {
+            fs.watchFile(this.envPath, { interval: this.watchIntervalMs }, this.onFileChange);
+        }
+        this.isActive = true;
+        log.info(`🔧 Config reload: SIGHUP${this.watch ? ` or edit ${this.envPath}` : ''}`);
+    }
+
+    stop() {
+        if (!this.isActive) {
+            return;
+        }
+        process.off('SIGHUP', this.onSignal);
+        if (this.watch) {
+            fs.unwatchFile(this.envPath, this.onFileChange);
+        }
+        this.isActive = false;
+    }
+
+    /**
+     * Process environment with the current .env file on top
+     * (a variable removed from the file keeps its value from startup)
+     */
+    readEnv() {
+        if (!fs.existsSync(this.envPath)) {
+            return { ...process.env };
+        }
+        return { ...process.env, ...dotenv.parse(fs.readFileSync(this.envPath)) };
+    }
+
+    /**
+     * @param {string} [trigger] - What caused the reload (for logs/events)
+     * @returns {Object|null} applyConfig() result, or null if the new config is invalid
+     */
+    reload(trigger = 'manual') {
+        log.info(`\n🔧 Reloading config (${trigger})...`);
+
+        let next;
+        try {
+            next = loadConfig(this.readEnv());
+        } catch (error) {
+            const errors = error.errors || [error.message];
+            log.error(`❌ Config reload rejected, keeping current settings:\n  - ${errors.join('\n  - ')}`);
+            this.emit('reloadFailed', { errors, trigger });
+            return null;
+        }
+
+        const result = this.target.applyConfig(next);
+        this.emit('reloaded', { ...result, trigger });
+        return result;
+    }
+}
+
+module.exports = ConfigReloader;
@@ -0,0 +1,205 @@
+/**
+ * helpers/configSchema.js
+ *
+ * Typed schema for the engine settings read from the environment
+ * Every entry names its env variable, type, default and bounds; loadConfig()
+ * validates all of them at once and reports every problem in one error.
+ * `reloadable` entries may change on a running bot (see helpers/configReloader.js);
+ * the rest are wired into providers/listeners at startup and need a restart
+ */
+
+const { ethers } = require("ethers");
+const { parseFeedList } = require('./oracleListener');
+const { parseMarketList } = require('./marketRegistry');
+const { LEVELS, FORMATS } = require('./logger');
+
+class ConfigError extends Error {
+    /**
+     * @param {string[]} errors - One message per invalid setting
+     */
+    constructor(errors) {
+        super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+function oneOf(values) {
+    return (raw) => {
+        if (!values.includes(raw)) throw new Error(`expected one of ${values.join(', ')}`);
+        return raw;
+    };
+}
+
+// Parsers: raw env string -> typed value; throw with a readable reason
+const TYPES = {
+    int: (raw) => {
+        if (!/^-?\d+$/.test(raw)) throw new Error('expected an integer');
+        return parseInt(raw, 10);
+    },
+    float: (raw) => {
+        if (!/^-?\d+(\.\d+)?$/.test(raw)) throw new Error('expected a number');
+        return parseFloat(raw);
+    },
+    bool: (raw) => {
+        if (raw !== 'true' && raw !== 'false') throw new Error('expected true or false');
+        return raw === 'true';
+    },
+    ether: (raw) => {
+        if (!/^\d+(\.\d{1,18})?$/.test(raw)) throw new Error('expected a decimal amount (e.g. 0.05)');
+        return ethers.parseEther(raw);
+    },
+    gwei: (raw) => {
+        if (!/^\d+(\.\d{1,9})?$/.test(raw)) throw new Error('expected a gwei amount (e.g. 3 or 0.5)');
+        return ethers.parseUnits(raw, 'gwei');
+    },
+    address: (raw) => {
+        if (!raw) return null;
+        if (!ethers.isAddress(raw)) throw new Error('expected a 0x address');
+        return raw;
+    },
+    url: (raw) => {
+        if (!raw) return null;
+        if (!/^(https?|wss?):\/\//.test(raw)) throw new Error('expected an http(s) or ws(s) URL');
+        return raw;
+    },
+    urlList: (raw) => {
+        const urls = (raw || "").split(",").map(url => url.trim()).filter(Boolean);
+        const invalid = urls.filter(url => !/^(https?|wss?):\/\//.test(url));
+        if (invalid.length) throw new Error(`invalid URL(s): ${invalid.join(', ')}`);
+        return urls;
+    },
+    logLevel: oneOf(Object.keys(LEVELS)),
+    logFormat: oneOf(FORMATS),
+    scanMode: oneOf(['block', 'interval']),
+    marketList: (raw) => parseMarketList(raw),
+    feedList: (raw) => parseFeedList(raw)
+};
+
+/**
+ * key: { env, type, default (raw string), min, max, reloadable }
+ * min/max are in the parsed type (BigInt for ether/gwei)
+ */
+const CONFIG_SCHEMA = {
+    minProfitThreshold: { env: 'MIN_PROFIT_THRESHOLD', type: 'ether', default: '0.01', reloadable: true }, // Min net profit (BNB) to execute
+    maxLiquidationSize: { env: 'MAX_LIQUIDATION_SIZE', type: 'ether', default: '100', min: ethers.parseEther('0.1'), reloadable: true }, // Cap liquidation size (in BNB notional)
+    scanMode: { env: 'SCAN_MODE', type: 'scanMode', default: 'block' }, // block: one scan per new block; interval: every POLLING_INTERVAL_MS
+    pollingInterval: { env: 'POLLING_INTERVAL_MS', type: 'int', default: '10000', min: 1000, reloadable: true }, // Time between scans (SCAN_MODE=interval)
+    blockPollIntervalMs: { env: 'BLOCK_POLL_INTERVAL_MS', type: 'int', default: '1000', min: 250 }, // HTTP block polling when there's no WebSocket
+    staleBlockMs: { env: 'STALE_BLOCK_MS', type: 'int', default: '15000', min: 3000 }, // Fall back to HTTP polling after this long without a WebSocket block
+    borrowerPruningIntervalMs: { env: 'BORROWER_PRUNING_INTERVAL_MS', type: 'int', default: '300000', min: 0, reloadable: true }, // Prune zero-balance borrowers every 5 minutes
+    maxBorrowersPerScan: { env: 'MAX_BORROWERS_PER_SCAN', type: 'int', default: '25', min: 1, reloadable: true }, // Limit per cycle to reduce RPC load
+    healthyRecheckIntervalMs: { env: 'HEALTHY_RECHECK_INTERVAL_MS', type: 'int', default: '1800000', min: 0, reloadable: true }, // Healthy borrowers (HF >= 1.5) every 30 min
+    fullSweepIntervalMs: { env: 'FULL_SWEEP_INTERVAL_MS', type: 'int', default: '3600000', min: 0, reloadable: true }, // Every borrower at least once an hour
+    healthFactorThreshold: { env: 'HEALTH_FACTOR_THRESHOLD', type: 'ether', default: '1.0', min: ethers.parseEther('1'), reloadable: true }, // Price thresholds target this health factor
+    oracleFeeds: { env: 'ORACLE_FEEDS', type: 'feedList', default: '' }, // Market symbol -> extra price feed (on top of the Venus oracle's); updates trigger immediate scans
+    maxConcurrentChecks: { env: 'MAX_CONCURRENT_CHECKS', type: 'int', default: '5', min: 1, max: 50, reloadable: true }, // Max parallel borrower checks
+    maxOpportunityAgeBlocks: { env: 'MAX_OPPORTUNITY_AGE_BLOCKS', type: 'int', default: '2', min: 0, reloadable: true }, // Re-check older opportunities at the current block before executing
+    historicalBlocksStartup: { env: 'HISTORICAL_BLOCKS_STARTUP', type: 'int', default: '5000', min: 0 }, // Blocks to seed on startup
+    historicalCatchIntervalMs: { env: 'HISTORICAL_CATCH_INTERVAL_MS', type: 'int', default: '3600000', min: 0, reloadable: true }, // Large historical catch every hour
+    historicalCatchBlocks: { env: 'HISTORICAL_CATCH_BLOCKS', type: 'int', default: '10000', min: 0, reloadable: true }, // Blocks to scan in periodic catch
+    useEventMonitoring: { env: 'USE_EVENT_MONITORING', type: 'bool', default: 'false' },
+    discoverMarkets: { env: 'DISCOVER_MARKETS', type: 'bool', default: 'true' }, // List every Comptroller market, not just the seed map
+    marketRefreshIntervalMs: { env: 'MARKET_REFRESH_INTERVAL_MS', type: 'int', default: '3600000', min: 0, reloadable: true }, // Look for newly listed markets hourly
+    marketAllowList: { env: 'MARKET_ALLOW_LIST', type: 'marketList', default: '' }, // Symbols or vToken addresses; empty = all
+    marketDenyList: { env: 'MARKET_DENY_LIST', type: 'marketList', default: '' },
+    poolRegistryAddress: { env: 'VENUS_POOL_REGISTRY', type: 'address', default: '' }, // Venus PoolRegistry; isolated pools are scanned when set
+    aaveV3AddressesProvider: { env: 'AAVE_V3_POOL_ADDRESSES_PROVIDER', type: 'address', default: '' }, // Also monitor this Aave v3 deployment
+    dryRun: { env: 'DRY_RUN', type: 'bool', default: 'false' }, // Paper trading: simulate and record, never broadcast
+    quoteSlippageBps: { env: 'QUOTE_SLIPPAGE_BPS', type: 'int', default: '50', min: 0, max: 5000, reloadable: true }, // Executed swap may land 0.5% below the QuoterV2 quote
+    gasEstimateBufferPercent: { env: 'GAS_ESTIMATE_BUFFER_PERCENT', type: 'int', default: '20', min: 0, max: 200, reloadable: true },
+    maxGasPrice: { env: 'MAX_GAS_PRICE_GWEI', type: 'gwei', default: '20', reloadable: true }, // Cap for bids, speed-ups and cancels
+    minGasPrice: { env: 'MIN_GAS_PRICE_GWEI', type: 'gwei', default: '1', reloadable: true },
+    gasProfitSharePercent: { env: 'GAS_PROFIT_SHARE_PERCENT', type: 'int', default: '10', min: 0, max: 100, reloadable: true }, // Max share of gross profit bid as gas
+    gasPriceMultiplier: { env: 'GAS_PRICE_MULTIPLIER', type: 'float', default: '1.0', min: 0.1, max: 10, reloadable: true }, // Applied to the fee-history baseline
+    gasFeeHistoryPercentile: { env: 'GAS_FEE_HISTORY_PERCENTILE', type: 'int', default: '60', min: 1, max: 99, reloadable: true },
+    txDeadlineMs: { env: 'TX_DEADLINE_MS', type: 'int', default: '60000', min: 1000, reloadable: true }, // Cancel a liquidation tx still pending after this
+    txSpeedUpIntervalMs: { env: 'TX_SPEED_UP_INTERVAL_MS', type: 'int', default: '15000', min: 1000, reloadable: true }, // Re-send with higher gas this often
+    privateRpcUrl: { env: 'PRIVATE_RPC_URL', type: 'url', default: '' }, // Protected RPC (no public mempool)
+    privateSubmitMinProfit: { env: 'PRIVATE_SUBMIT_MIN_PROFIT', type: 'ether', default: '0.05' }, // Use it from this expected profit (BNB)
+    broadcastRpcUrls: { env: 'BROADCAST_RPC_URLS', type: 'urlList', default: '' },
+    broadcastSubmitMinProfit: { env: 'BROADCAST_SUBMIT_MIN_PROFIT', type: 'ether', default: '0.2' }, // Fan out to all endpoints from this profit
+    maxPriceChangePercent: { env: 'MAX_PRICE_CHANGE_PERCENT', type: 'int', default: '30', min: 1, max: 100, reloadable: true }, // Circuit breaker trips on a bigger move between checks
+    shutdownTimeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', type: 'int', default: '120000', min: 0, reloadable: true }, // Wait this long for an in-flight liquidation on shutdown
+    logLevel: { env: 'LOG_LEVEL', type: 'logLevel', default: 'info', reloadable: true }, // debug | info | warn | error | silent
+    logFormat: { env: 'LOG_FORMAT', type: 'logFormat', default: 'text', reloadable: true }, // text (emoji lines) | json (one object per line)
+    metricsPort: { env: 'METRICS_PORT', type: 'int', default: '0', min: 0, max: 65535 } // Standalone /metrics listener when the dashboard is off (0 = disabled)
+};
+
+/**
+ * Parse and validate every schema entry
+ * @param {Object} [env] - Variables to read (process.env by default)
+ * @returns {Object} Typed config keyed like DEFAULT_CONFIG
+ * @throws {ConfigError} Listing every invalid setting
+ */
+function loadConfig(env = process.env) {
+    const config = {};
+    const errors = [];
+
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        const raw = (env[spec.env] ?? '').trim() || spec.default;
+        try {
+            const value = TYPES[spec.type](raw);
+            if (spec.min !== undefined && value < spec.min) {
+                throw new Error(`must be >= ${formatSetting(key, spec.min)}`);
+            }
+            if (spec.max !== undefined && value > spec.max) {
+                throw new Error(`must be <= ${formatSetting(key, spec.max)}`);
+            }
+            config[key] = value;
+        } catch (error) {
+            errors.push(`${spec.env}="${raw}": ${error.message}`);
+        }
+    }
+
+    if (config.minGasPrice !== undefined && config.maxGasPrice !== undefined && config.minGasPrice > config.maxGasPrice) {
+        errors.push('MIN_GAS_PRICE_GWEI must not exceed MAX_GAS_PRICE_GWEI');
+    }
+
+    if (errors.length) {
+        throw new ConfigError(errors);
+    }
+    return config;
+}
+
+function formatValue(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (Array.isArray(value)) return `[${value.join(', ')}]`;
+    if (value && typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Human-readable value of one setting (amounts in BNB/gwei, not wei)
+ */
+function formatSetting(key, value) {
+    const spec = CONFIG_SCHEMA[key];
+    if (spec && typeof value === 'bigint') {
+        if (spec.type === 'ether') return ethers.formatEther(value);
+        if (spec.type === 'gwei') return `${ethers.formatUnits(value, 'gwei')} gwei`;
+    }
+    return formatValue(value);
+}
+
+/**
+ * Schema entries whose value differs between two configs
+ * @returns {Array} [{ key, env, from, to, reloadable }]
+ */
+function diffConfig(current, next) {
+    const changes = [];
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        if (formatValue(current[key]) !== formatValue(next[key])) {
+            changes.push({ key, env: spec.env, from: current[key], to: next[key], reloadable: Boolean(spec.reloadable) });
+        }
+    }
+    return changes;
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    ConfigError,
+    loadConfig,
+    diffConfig,
+    formatValue,
+    formatSetting
+};
@@ -0,0 +1,124 @@
+/**
+ * helpers/contractBindings.js
+ *
+ * Loads contract ABIs from Hardhat artifacts and checks that the deployed
+ * liquidation contract is the one we compiled and that we are allowed to use it
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ARTIFACTS_DIR = path.join(__dirname, '..', 'artifacts');
+
+/**
+ * Load a compiled contract artifact
+ * Also pulls the immutable references from the build info, since deployed code
+ * has the real immutable values where the artifact has zeros
+ *
+ * @param {string} contractName - Contract (and source file) name
+ * @param {string} artifactsDir - Hardhat artifacts directory
+ * @returns {Object} Artifact with an extra `immutableReferences` field
+ */
+function loadArtifact(contractName = 'BSC_LiquidationV3', artifactsDir = DEFAULT_ARTIFACTS_DIR) {
+    const artifactPath = path.join(artifactsDir, 'contracts', `${contractName}.sol`, `${contractName}.json`);
+    if (!fs.existsSync(artifactPath)) {
+        throw new Error(`Artifact not found at ${artifactPath}. Run "npx hardhat compile" first.`);
+    }
+
+    const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+
+    let immutableReferences = {};
+    const dbgPath = artifactPath.replace(/\.json$/, '.dbg.json');
+    if (fs.existsSync(dbgPath)) {
+        const dbg = JSON.parse(fs.readFileSync(dbgPath, 'utf8'));
+        const buildInfoPath = path.resolve(path.dirname(dbgPath), dbg.buildInfo);
+        if (fs.existsSync(buildInfoPath)) {
+            const buildInfo = JSON.parse(fs.readFileSync(buildInfoPath, 'utf8'));
+            const compiled = buildInfo.output.contracts[artifact.sourceName][contractName];
+            immutableReferences = compiled.evm.deployedBytecode.immutableReferences || {};
+        }
+    }
+
+    return { ...artifact, immutableReferences };
+}
+
+/**
+ * Zero out immutable slots in runtime bytecode
+ * @param {string} bytecode - Hex bytecode (with or without 0x)
+ * @param {Object} immutableReferences - { astId: [{ start, length }] } in bytes
+ * @returns {string} Lowercase hex without 0x
+ */
+function maskImmutables(bytecode, immutableReferences = {}) {
+    const chars = bytecode.toLowerCase().replace(/^0x/, '').split('');
+
+    for (const refs of Object.values(immutableReferences)) {
+        for (const { start, length } of refs) {
+            for (let i = start * 2; i < (start + length) * 2 && i < chars.length; i++) {
+                chars[i] = '0';
+            }
+        }
+    }
+
+    return chars.join('');
+}
+
+/**
+ * Compare deployed runtime code with the artifact, ignoring immutables
+ */
+function bytecodeMatches(deployedCode, artifact) {
+    if (!deployedCode || deployedCode === '0x') {
+        return false;
+    }
+    return maskImmutables(deployedCode, artifact.immutableReferences)
+        === maskImmutables(artifact.deployedBytecode, artifact.immutableReferences);
+}
+
+/**
+ * Startup compatibility check for BSC_LiquidationV3
+ *
+ * @param {Object} options
+ * @param {Object} options.contract - ethers Contract bound to the deployed address
+ * @param {Object} options.provider - Provider for getCode
+ * @param {Object} options.artifact - Artifact from loadArtifact()
+ * @param {string} options.expectedOwner - Our wallet address
+ * @returns {Promise<Object>} { address, bytecodeMatches, owner, isOwner, paused, errors }
+ */
+async function checkLiquidationContract({ contract, provider, artifact, expectedOwner }) {
+    const address = await contract.getAddress();
+    const errors = [];
+
+    const code = await provider.getCode(address);
+    const matches = bytecodeMatches(code, artifact);
+    if (code === '0x') {
+        errors.push(`No contract deployed at ${address}`);
+    } else if (!matches) {
+        errors.push(`Deployed bytecode at ${address} does not match the ${artifact.contractName} artifact`);
+    }
+
+    let owner = null;
+    let paused = null;
+    if (code !== '0x') {
+        try {
+            [owner, paused] = await Promise.all([contract.owner(), contract.paused()]);
+        } catch (error) {
+            errors.push(`Could not read owner()/paused(): ${error.message}`);
+        }
+    }
+
+    const isOwner = owner !== null && owner.toLowerCase() === expectedOwner.toLowerCase();
+    if (owner !== null && !isOwner) {
+        errors.push(`Wallet ${expectedOwner} is not the contract owner (${owner})`);
+    }
+    if (paused === true) {
+        errors.push('Contract is paused');
+    }
+
+    return { address, bytecodeMatches: matches, owner, isOwner, paused, errors };
+}
+
+module.exports = {
+    loadArtifact,
+    maskImmutables,
+    bytecodeMatches,
+    checkLiquidationContract
+};
@@ -6,6 +6,9 @@
  */
 
 const { ethers } = require("ethers");
+const { createLogger } = require('./logger');
+
+const log = createLogger('eventMonitor');
 
 // Time to hold lock after RepayBorrow event to prevent rapid concurrent processing
 const REPAY_LOCK_TIMEOUT_MS = 1000;
@@ -17,6 +20,8 @@ class EventMonitor {
         this.database = database;
         this.activeBorrowers = new Set();
         this.eventListeners = [];
+        this.sources = []; // Other protocols' borrow events (see ProtocolAdapter.getEventSources)
+        this.sourceBorrowers = new Set(); // Found through sources; Venus balance pruning doesn't apply
         this.isListening = false;
         this.repayLocks = new Map(); // Prevent race conditions in repay handler
         
@@ -34,80 +39,141 @@ class EventMonitor {
      */
     async startListening() {
         if (this.isListening) {
-            console.log('⚠️  Event monitor already listening');
+            log.warn('⚠️  Event monitor already listening');
             return;
         }
 
-        console.log('👂 Starting real-time event monitoring...');
+        log.info('👂 Starting real-time event monitoring...');
         
         for (const [symbol, address] of Object.entries(this.markets)) {
-            try {
-                const vToken = new ethers.Contract(address, this.vTokenABI, this.provider);
+            this.listenToMarket(symbol, address);
+        }
+        this.sources.forEach(source => this.listenToSource(source));
+        
+        this.isListening = true;
+        log.info(`✅ Event monitoring active for ${Object.keys(this.markets).length} markets\n`);
+    }
+
+    /**
+     * Attach Borrow/RepayBorrow/LiquidateBorrow listeners to one market
+     */
+    listenToMarket(symbol, address) {
+        try {
+            const vToken = new ethers.Contract(address, this.vTokenABI, this.provider);
+            
+            // Listen for Borrow events
+            vToken.on("Borrow", (borrower, borrowAmount, accountBorrows, totalBorrows, event) => {
+                this.activeBorrowers.add(borrower);
+                // Persist to database if available
+                if (this.database) {
+                    this.database.addBorrower(borrower);
+                }
+                log.info(`📊 Borrow event: ${borrower.substring(0, 10)}... borrowed from ${symbol}`);
+            });
+            
+            // Listen for RepayBorrow events
+            vToken.on("RepayBorrow", async (payer, borrower, repayAmount, accountBorrows, totalBorrows, event) => {
+                // Prevent race conditions: Multiple rapid RepayBorrow events for the same borrower
+                // could execute concurrently, leading to database inconsistencies. The lock ensures
+                // only one event per borrower is processed at a time.
+                if (this.repayLocks.has(borrower)) {
+                    return;
+                }
                 
-                // Listen for Borrow events
-                vToken.on("Borrow", (borrower, borrowAmount, accountBorrows, totalBorrows, event) => {
-                    this.activeBorrowers.add(borrower);
-                    // Persist to database if available
-                    if (this.database) {
-                        this.database.addBorrower(borrower);
-                    }
-                    console.log(`📊 Borrow event: ${borrower.substring(0, 10)}... borrowed from ${symbol}`);
-                });
+                this.repayLocks.set(borrower, true);
                 
-                // Listen for RepayBorrow events
-                vToken.on("RepayBorrow", async (payer, borrower, repayAmount, accountBorrows, totalBorrows, event) => {
-                    // Prevent race conditions: Multiple rapid RepayBorrow events for the same borrower
-                    // could execute concurrently, leading to database inconsistencies. The lock ensures
-                    // only one event per borrower is processed at a time.
-                    if (this.repayLocks.has(borrower)) {
-                        return;
-                    }
-                    
-                    this.repayLocks.set(borrower, true);
+                try {
+                    // Call borrowBalanceStored to verify if borrower has zero balance
+                    // This is safer than relying on the event's accountBorrows parameter
+                    const currentBalance = await vToken.borrowBalanceStored(borrower);
                     
-                    try {
-                        // Call borrowBalanceStored to verify if borrower has zero balance
-                        // This is safer than relying on the event's accountBorrows parameter
-                        const currentBalance = await vToken.borrowBalanceStored(borrower);
-                        
-                        if (currentBalance === 0n) {
-                            // Fully repaid, remove from active borrowers
-                            this.activeBorrowers.delete(borrower);
-                            // Update database
-                            if (this.database) {
-                                this.database.markBorrowerZeroBalance(borrower);
-                            }
-                            console.log(`💰 Repay event: ${borrower.substring(0, 10)}... fully repaid ${symbol} (removed from tracking)`);
-                        } else {
-                            console.log(`💰 Repay event: ${borrower.substring(0, 10)}... partially repaid ${symbol} (balance: ${currentBalance.toString()})`);
+                    if (currentBalance === 0n) {
+                        // Fully repaid, remove from active borrowers
+                        this.activeBorrowers.delete(borrower);
+                        // Update database
+                        if (this.database) {
+                            this.database.markBorrowerZeroBalance(borrower);
                         }
-                    } catch (error) {
-                        // If verification fails, keep borrower in set to be safe
-                        console.log(`   Warning: Could not verify balance for ${borrower.substring(0, 10)}... - ${error.message}`);
-                    } finally {
-                        // Release lock after a short delay to prevent rapid concurrent events
-                        setTimeout(() => {
-                            this.repayLocks.delete(borrower);
-                        }, REPAY_LOCK_TIMEOUT_MS);
+                        log.info(`💰 Repay event: ${borrower.substring(0, 10)}... fully repaid ${symbol} (removed from tracking)`);
+                    } else {
+                        log.info(`💰 Repay event: ${borrower.substring(0, 10)}... partially repaid ${symbol} (balance: ${currentBalance.toString()})`);
                     }
-                });
-                
-                // Listen for LiquidateBorrow events
-                vToken.on("LiquidateBorrow", (liquidator, borrower, repayAmount, vTokenCollateral, seizeTokens, event) => {
-                    console.log(`⚡ Liquidation event: ${borrower.substring(0, 10)}... liquidated on ${symbol}`);
-                    // Don't remove from set, they might still have other borrows
-                });
-                
-                this.eventListeners.push({ vToken, symbol });
-                console.log(`   ✅ Monitoring ${symbol}`);
-                
-            } catch (error) {
-                console.error(`   ❌ Error setting up listener for ${symbol}: ${error.message}`);
-            }
+                } catch (error) {
+                    // If verification fails, keep borrower in set to be safe
+                    log.warn(`⚠️  Could not verify balance for ${borrower.substring(0, 10)}... - ${error.message}`);
+                } finally {
+                    // Release lock after a short delay to prevent rapid concurrent events
+                    setTimeout(() => {
+                        this.repayLocks.delete(borrower);
+                    }, REPAY_LOCK_TIMEOUT_MS);
+                }
+            });
+            
+            // Listen for LiquidateBorrow events
+            vToken.on("LiquidateBorrow", (liquidator, borrower, repayAmount, vTokenCollateral, seizeTokens, event) => {
+                log.info(`⚡ Liquidation event: ${borrower.substring(0, 10)}... liquidated on ${symbol}`);
+                // Match against paper trades so dry-run results can be compared with reality
+                if (this.database) {
+                    this.database.recordOnChainLiquidation(borrower, liquidator, event.log.transactionHash, event.log.blockNumber);
+                }
+                // Don't remove from set, they might still have other borrows
+            });
+            
+            this.eventListeners.push({ vToken, symbol });
+            log.info(`   ✅ Monitoring ${symbol}`);
+            
+        } catch (error) {
+            log.error(`   ❌ Error setting up listener for ${symbol}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Start listening on markets added after startListening (e.g. newly listed)
+     * @param {Array} markets - [{ symbol, address }]
+     */
+    watchMarkets(markets) {
+        if (!this.isListening) {
+            return;
+        }
+        for (const { symbol, address } of markets) {
+            this.listenToMarket(symbol, address);
+        }
+    }
+
+    /**
+     * Track borrowers from another protocol's borrow event
+     * @param {Object} source - { name, address, abi, event, getBorrower(args) }
+     */
+    listenToSource(source) {
+        try {
+            const contract = new ethers.Contract(source.address, source.abi, this.provider);
+            contract.on(source.event, (...args) => {
+                const event = args[args.length - 1];
+                const borrower = source.getBorrower(event.args);
+                this.activeBorrowers.add(borrower);
+                this.sourceBorrowers.add(borrower);
+                if (this.database) {
+                    this.database.addBorrower(borrower);
+                }
+                log.info(`📊 ${source.event} event: ${borrower.substring(0, 10)}... on ${source.name}`);
+            });
+            this.eventListeners.push({ vToken: contract, symbol: source.name });
+            log.info(`   ✅ Monitoring ${source.name}`);
+        } catch (error) {
+            log.error(`   ❌ Error setting up listener for ${source.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add event sources (e.g. from a protocol adapter); listened to right away
+     * if the monitor is already running
+     * @param {Array} sources - [{ name, address, abi, event, getBorrower(args) }]
+     */
+    watchSources(sources) {
+        this.sources.push(...sources);
+        if (this.isListening) {
+            sources.forEach(source => this.listenToSource(source));
         }
-        
-        this.isListening = true;
-        console.log(`✅ Event monitoring active for ${Object.keys(this.markets).length} markets\n`);
     }
 
     /**
@@ -118,7 +184,7 @@ class EventMonitor {
             return;
         }
 
-        console.log('🛑 Stopping event monitoring...');
+        log.info('🛑 Stopping event monitoring...');
         
         for (const { vToken } of this.eventListeners) {
             vToken.removeAllListeners();
@@ -126,7 +192,7 @@ class EventMonitor {
         
         this.eventListeners = [];
         this.isListening = false;
-        console.log('✅ Event monitoring stopped\n');
+        log.info('✅ Event monitoring stopped\n');
     }
 
     /**
@@ -135,7 +201,7 @@ class EventMonitor {
     async getHistoricalBorrowers(fromBlock, toBlock) {
         const borrowers = new Set();
         
-        console.log(`📜 Fetching historical events from block ${fromBlock} to ${toBlock}...`);
+        log.info(`📜 Fetching historical events from block ${fromBlock} to ${toBlock}...`);
         
         for (const [symbol, address] of Object.entries(this.markets)) {
             try {
@@ -151,7 +217,7 @@ class EventMonitor {
                 });
                 
                 if (events.length > 0) {
-                    console.log(`   ${symbol}: Found ${events.length} borrow events`);
+                    log.info(`   ${symbol}: Found ${events.length} borrow events`);
                     
                     // Batch add to database
                     if (this.database && events.length > 0) {
@@ -161,11 +227,32 @@ class EventMonitor {
                 }
                 
             } catch (error) {
-                console.error(`   Error fetching events for ${symbol}: ${error.message}`);
+                log.error(`   Error fetching events for ${symbol}: ${error.message}`);
+            }
+        }
+        
+        for (const source of this.sources) {
+            try {
+                const contract = new ethers.Contract(source.address, source.abi, this.provider);
+                const events = await contract.queryFilter(contract.filters[source.event](), fromBlock, toBlock);
+                const addresses = events.map(event => source.getBorrower(event.args));
+                addresses.forEach(address => {
+                    borrowers.add(address);
+                    this.activeBorrowers.add(address);
+                    this.sourceBorrowers.add(address);
+                });
+                if (addresses.length > 0) {
+                    log.info(`   ${source.name}: Found ${addresses.length} borrow events`);
+                    if (this.database) {
+                        this.database.addBorrowersBatch(addresses);
+                    }
+                }
+            } catch (error) {
+                log.error(`   Error fetching events for ${source.name}: ${error.message}`);
             }
         }
         
-        console.log(`✅ Found ${borrowers.size} unique borrowers\n`);
+        log.info(`✅ Found ${borrowers.size} unique borrowers\n`);
         return Array.from(borrowers);
     }
 
@@ -195,6 +282,7 @@ class EventMonitor {
      */
     clear() {
         this.activeBorrowers.clear();
+        this.sourceBorrowers.clear();
     }
 
     /**
@@ -208,7 +296,7 @@ class EventMonitor {
             this.activeBorrowers.add(address);
         }
         
-        console.log(`📥 Loaded ${borrowers.length} borrowers from database`);
+        log.info(`📥 Loaded ${borrowers.length} borrowers from database`);
         return borrowers.length;
     }
 
@@ -219,12 +307,12 @@ class EventMonitor {
      * @returns {Object} { checked: number, pruned: number }
      */
     async pruneBorrowers(multicallHelper) {
-        const borrowers = Array.from(this.activeBorrowers);
+        const borrowers = Array.from(this.activeBorrowers).filter(borrower => !this.sourceBorrowers.has(borrower));
         if (borrowers.length === 0) {
             return { checked: 0, pruned: 0 };
         }
 
-        console.log(`🧹 Pruning borrower list (checking ${borrowers.length} addresses)...`);
+        log.info(`🧹 Pruning borrower list (checking ${borrowers.length} addresses)...`);
         
         const vTokenAddresses = Object.values(this.markets);
         
@@ -244,7 +332,7 @@ class EventMonitor {
             }
         }
         
-        console.log(`   ✅ Pruned ${prunedCount} borrowers with zero balances (${this.activeBorrowers.size} remain)`);
+        log.info(`   ✅ Pruned ${prunedCount} borrowers with zero balances (${this.activeBorrowers.size} remain)`);
         
         return { checked: borrowers.length, pruned: prunedCount };
     }
@@ -0,0 +1,138 @@
+/**
+ * helpers/gasStrategy.js
+ *
+ * Profit-aware gas bidding
+ * Baseline comes from eth_feeHistory percentiles over recent blocks; on top of
+ * that we are willing to spend a share of the expected profit on gas so that
+ * juicy liquidations outbid competing liquidators
+ */
+
+const { ethers } = require("ethers");
+
+const DEFAULT_GAS_STRATEGY_CONFIG = {
+    profitSharePercent: 10,                         // Spend up to 10% of gross profit on gas
+    minGasPrice: ethers.parseUnits("1", "gwei"),
+    maxGasPrice: ethers.parseUnits("20", "gwei"),
+    feeHistoryBlocks: 20,
+    feeHistoryPercentile: 60,
+    baselineMultiplier: 1.0,
+    baselineCacheMs: 3000,                          // ~1 BSC block
+    fallbackGasPrice: ethers.parseUnits("3", "gwei")
+};
+
+class GasStrategy {
+    /**
+     * @param {Object} provider - JSON-RPC provider (needs eth_feeHistory)
+     * @param {Object} [config] - Overrides for DEFAULT_GAS_STRATEGY_CONFIG
+     */
+    constructor(provider, config = {}) {
+        this.provider = provider;
+        this.config = { ...DEFAULT_GAS_STRATEGY_CONFIG, ...config };
+        this.cachedBaseline = null;
+        this.cachedBaselineTs = 0;
+        this.cachedBaselineTag = null;
+    }
+
+    clamp(gasPrice) {
+        const { minGasPrice, maxGasPrice } = this.config;
+        if (gasPrice < minGasPrice) return minGasPrice;
+        if (gasPrice > maxGasPrice) return maxGasPrice;
+        return gasPrice;
+    }
+
+    /**
+     * Gas price paid by recent blocks: next base fee + median of the per-block
+     * priority fee percentile
+     * @param {number|string} [blockTag] - Newest block of the window
+     */
+    async fetchFeeHistoryGasPrice(blockTag = 'latest') {
+        const { feeHistoryBlocks, feeHistoryPercentile } = this.config;
+        const history = await this.provider.send('eth_feeHistory', [
+            ethers.toQuantity(feeHistoryBlocks),
+            typeof blockTag === 'number' ? ethers.toQuantity(blockTag) : blockTag,
+            [feeHistoryPercentile]
+        ]);
+
+        const rewards = (history.reward || [])
+            .map(percentiles => BigInt(percentiles[0]))
+            .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        if (!rewards.length) {
+            throw new Error('eth_feeHistory returned no rewards');
+        }
+
+        // Last entry is the base fee of the next block (0 on BSC)
+        const baseFees = history.baseFeePerGas || [];
+        const nextBaseFee = baseFees.length ? BigInt(baseFees[baseFees.length - 1]) : 0n;
+
+        return nextBaseFee + rewards[Math.floor(rewards.length / 2)];
+    }
+
+    /**
+     * Baseline gas price, cached for about a block (for as long as it is asked
+     * for the same block when pinned to a block number)
+     * Falls back to eth_gasPrice, then to a fixed price
+     * @param {number|string} [blockTag] - Block the fee history ends at
+     */
+    async getBaselineGasPrice(blockTag = 'latest') {
+        const now = Date.now();
+        if (this.cachedBaseline !== null && this.cachedBaselineTag === blockTag
+            && (typeof blockTag === 'number' || now - this.cachedBaselineTs < this.config.baselineCacheMs)) {
+            return this.cachedBaseline;
+        }
+
+        let gasPrice;
+        try {
+            gasPrice = await this.fetchFeeHistoryGasPrice(blockTag);
+        } catch (error) {
+            try {
+                const fee = await this.provider.getFeeData();
+                gasPrice = fee.gasPrice || this.config.fallbackGasPrice;
+            } catch (feeError) {
+                gasPrice = this.config.fallbackGasPrice;
+            }
+        }
+
+        // Multiplier in basis points to stay in BigInt
+        const multiplierBps = BigInt(Math.round(this.config.baselineMultiplier * 10000));
+        gasPrice = this.clamp((gasPrice * multiplierBps) / 10000n);
+
+        this.cachedBaseline = gasPrice;
+        this.cachedBaselineTs = now;
+        this.cachedBaselineTag = blockTag;
+        return gasPrice;
+    }
+
+    /**
+     * Gas price to bid for one liquidation
+     *
+     * Bids the larger of the baseline and `profitSharePercent` of gross profit
+     * spread over the gas limit, but never so high that net profit drops below
+     * `minNetProfit` (unless the baseline itself does), and always within the
+     * min/max caps
+     *
+     * @param {Object} params
+     * @param {BigInt} params.grossProfit - Expected profit before gas (BNB wei)
+     * @param {BigInt} params.gasLimit - Gas limit for the tx
+     * @param {BigInt} params.baseline - Baseline gas price
+     * @param {BigInt} [params.minNetProfit] - Profit that must remain after gas
+     * @returns {BigInt} Gas price in wei
+     */
+    calculateBid({ grossProfit, gasLimit, baseline, minNetProfit = 0n }) {
+        const profitBid = (grossProfit * BigInt(this.config.profitSharePercent)) / 100n / gasLimit;
+        let bid = profitBid > baseline ? profitBid : baseline;
+
+        if (grossProfit > minNetProfit) {
+            const ceiling = (grossProfit - minNetProfit) / gasLimit;
+            if (bid > ceiling) {
+                bid = ceiling > baseline ? ceiling : baseline;
+            }
+        } else {
+            bid = baseline;
+        }
+
+        return this.clamp(bid);
+    }
+}
+
+module.exports = GasStrategy;
+module.exports.DEFAULT_GAS_STRATEGY_CONFIG = DEFAULT_GAS_STRATEGY_CONFIG;
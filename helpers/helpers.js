@@ -48,7 +48,7 @@ async function getTokenAndContract(token0Address, token1Address, provider) {
  * Get quote from Quoter V2
  * Compatible with both Uniswap V3 and Camelot (Algebra) quoters
  */
-async function getQuote(quoter, tokenIn, tokenOut, amountIn, fee) {
+async function getQuote(quoter, tokenIn, tokenOut, amountIn, fee, overrides = {}) {
     try {
         // QuoterV2.quoteExactInputSingle parameters
         const params = {
@@ -60,7 +60,7 @@ async function getQuote(quoter, tokenIn, tokenOut, amountIn, fee) {
         };
 
         // Call quoteExactInputSingle
-        const quote = await quoter.quoteExactInputSingle.staticCall(params);
+        const quote = await quoter.quoteExactInputSingle.staticCall(params, overrides);
         
         // Handle different return formats
         // Uniswap V3: returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)
@@ -171,9 +171,9 @@ async function poolExists(factory, token0, token1, fee) {
 
 /**
  * Get all pools for a token pair across different fee tiers
+ * Defaults to Uniswap V3 tiers; pass PancakeSwap V3 tiers (100, 500, 2500, 10000) explicitly
  */
-async function getAllPools(factory, token0, token1) {
-    const feeTiers = [500, 3000, 10000];
+async function getAllPools(factory, token0, token1, feeTiers = [500, 3000, 10000]) {
     const pools = [];
     
     for (const fee of feeTiers) {
@@ -6,6 +6,11 @@
  */
 
 const ethers = require('ethers');
+const { createLogger } = require('./logger');
+
+const log = createLogger('liquidationCalculator');
+
+const EXP_SCALE = 10n ** 18n; // Venus Exponential mantissa scale
 
 /**
  * Calculate health factor from Venus account data
@@ -86,6 +91,124 @@ function calculateCollateralSeized(
     return collateralAmount;
 }
 
+/**
+ * Port of Venus Comptroller.liquidateCalculateSeizeTokens (Exponential math, truncating)
+ * 
+ * seizeTokens = repay * (incentive * priceBorrowed) / (priceCollateral * exchangeRate)
+ * Each Exp multiply/divide truncates at 18 decimals in the same order as on-chain,
+ * so the result matches the vTokens the protocol seizes exactly
+ * 
+ * @param {BigInt} actualRepayAmount - Debt repaid (debt token units)
+ * @param {BigInt} priceBorrowed - Oracle getUnderlyingPrice of the debt vToken
+ * @param {BigInt} priceCollateral - Oracle getUnderlyingPrice of the collateral vToken
+ * @param {BigInt} exchangeRate - Collateral vToken exchangeRateStored
+ * @param {BigInt} liquidationIncentive - Comptroller liquidationIncentiveMantissa
+ * @returns {BigInt} Collateral vTokens seized from the borrower (0 without prices)
+ */
+function calculateSeizeTokens(actualRepayAmount, priceBorrowed, priceCollateral, exchangeRate, liquidationIncentive) {
+    if (priceBorrowed === 0n || priceCollateral === 0n || exchangeRate === 0n) {
+        return 0n; // Comptroller returns PRICE_ERROR
+    }
+    return (getSeizeRatio(priceBorrowed, priceCollateral, exchangeRate, liquidationIncentive) * actualRepayAmount) / EXP_SCALE;
+}
+
+// Exp ratio of seized vTokens per unit of debt repaid (18 decimals)
+function getSeizeRatio(priceBorrowed, priceCollateral, exchangeRate, liquidationIncentive) {
+    const numerator = (liquidationIncentive * priceBorrowed) / EXP_SCALE;
+    const denominator = (priceCollateral * exchangeRate) / EXP_SCALE;
+    return denominator === 0n ? 0n : (numerator * EXP_SCALE) / denominator;
+}
+
+/**
+ * Split seized vTokens like VToken._seize: the protocol keeps
+ * protocolSeizeShare of the incentive part, the liquidator gets the rest
+ * 
+ * @param {BigInt} seizeTokens - From calculateSeizeTokens
+ * @param {BigInt} protocolSeizeShare - Collateral vToken protocolSeizeShareMantissa (0 when it takes none)
+ * @param {BigInt} liquidationIncentive - Comptroller liquidationIncentiveMantissa
+ * @returns {Object} { protocolSeizeTokens, liquidatorSeizeTokens }
+ */
+function splitSeizeTokens(seizeTokens, protocolSeizeShare, liquidationIncentive) {
+    const protocolSeizeTokens = protocolSeizeShare > 0n
+        ? (((seizeTokens * protocolSeizeShare) / EXP_SCALE) * EXP_SCALE) / liquidationIncentive
+        : 0n;
+    return { protocolSeizeTokens, liquidatorSeizeTokens: seizeTokens - protocolSeizeTokens };
+}
+
+/**
+ * Treasury cut like the core pool's Liquidator._splitLiquidationIncentive: it keeps
+ * treasuryPercent of the bonus part of the vTokens it was seized
+ * 
+ * @param {BigInt} seizedTokens - vTokens the Liquidator received
+ * @param {BigInt} treasuryPercent - Liquidator treasuryPercentMantissa (0 outside the core pool)
+ * @param {BigInt} liquidationIncentive - Comptroller liquidationIncentiveMantissa
+ * @returns {BigInt} vTokens kept for the treasury
+ */
+function calculateTreasurySeizeTokens(seizedTokens, treasuryPercent, liquidationIncentive) {
+    if (treasuryPercent === 0n || liquidationIncentive <= EXP_SCALE) {
+        return 0n;
+    }
+    const bonusTokens = (seizedTokens * (liquidationIncentive - EXP_SCALE)) / liquidationIncentive;
+    return (bonusTokens * treasuryPercent) / EXP_SCALE;
+}
+
+/**
+ * Collateral a Venus liquidation actually pays out
+ * 
+ * Seized vTokens are computed the Comptroller's way and capped by the borrower's
+ * vToken balance (liquidateBorrow reverts with LIQUIDATE_SEIZE_TOO_MUCH above it,
+ * so the repay amount is reduced to fit). The protocol's share (isolated pools) and
+ * the Liquidator's treasury share (core pool) are taken out and what is left is
+ * valued at the exchange rate redeem() uses
+ * 
+ * @param {Object} params
+ * @param {BigInt} params.repayAmount - Intended repay (debt token units)
+ * @param {BigInt} params.priceBorrowed - Oracle price of the debt vToken
+ * @param {BigInt} params.priceCollateral - Oracle price of the collateral vToken
+ * @param {BigInt} params.exchangeRate - Collateral vToken exchange rate
+ * @param {BigInt} params.liquidationIncentive - Comptroller incentive mantissa
+ * @param {BigInt} [params.protocolSeizeShare] - Collateral vToken protocol share mantissa
+ * @param {BigInt} [params.treasuryPercent] - Core pool Liquidator treasuryPercentMantissa
+ * @param {BigInt} [params.collateralBalance] - Borrower's collateral vToken balance (no cap when omitted)
+ * @returns {Object} { repayAmount, seizeTokens, protocolSeizeTokens, liquidatorSeizeTokens, treasurySeizeTokens, collateralReceived, isCapped }
+ *   liquidatorSeizeTokens is what the vToken transfers, before the treasury share;
+ *   collateralReceived is in collateral underlying units
+ */
+function calculateVenusSeize({
+    repayAmount,
+    priceBorrowed,
+    priceCollateral,
+    exchangeRate,
+    liquidationIncentive,
+    protocolSeizeShare = 0n,
+    treasuryPercent = 0n,
+    collateralBalance = null
+}) {
+    let seizeTokens = calculateSeizeTokens(repayAmount, priceBorrowed, priceCollateral, exchangeRate, liquidationIncentive);
+    let isCapped = false;
+
+    if (collateralBalance !== null && seizeTokens > collateralBalance) {
+        // Largest repay whose seize fits in the balance (ratio * repay / 1e18 <= balance)
+        const ratio = getSeizeRatio(priceBorrowed, priceCollateral, exchangeRate, liquidationIncentive);
+        repayAmount = (collateralBalance * EXP_SCALE) / ratio;
+        seizeTokens = calculateSeizeTokens(repayAmount, priceBorrowed, priceCollateral, exchangeRate, liquidationIncentive);
+        isCapped = true;
+    }
+
+    const { protocolSeizeTokens, liquidatorSeizeTokens } = splitSeizeTokens(seizeTokens, protocolSeizeShare, liquidationIncentive);
+    const treasurySeizeTokens = calculateTreasurySeizeTokens(liquidatorSeizeTokens, treasuryPercent, liquidationIncentive);
+
+    return {
+        repayAmount,
+        seizeTokens,
+        protocolSeizeTokens,
+        liquidatorSeizeTokens,
+        treasurySeizeTokens,
+        collateralReceived: ((liquidatorSeizeTokens - treasurySeizeTokens) * exchangeRate) / EXP_SCALE, // redeem() truncates the same way
+        isCapped
+    };
+}
+
 /**
  * Calculate net profit from liquidation
  * 
@@ -164,6 +287,92 @@ function calculateLiquidationProfit(
     };
 }
 
+/**
+ * Calculate net profit from liquidation using a DEX quote for the seized collateral
+ * 
+ * Unlike calculateLiquidationProfit, the collateral → debt conversion comes from
+ * an actual swap quote for the exact seized amount, so price impact is included.
+ * 
+ * @param {BigInt} repayAmount - Amount borrowed via flash swap (debt token)
+ * @param {BigInt} collateralReceived - Collateral received from liquidation
+ * @param {BigInt} quotedAmountOut - Quoted debt token output for swapping collateralReceived
+ * @param {BigInt} gasCostInDebt - Gas cost already converted to debt token units
+ * @param {BigInt} flashFee - Flash pool fee owed on top of repayAmount (debt token)
+ * @returns {Object} Detailed profit breakdown
+ */
+function calculateQuotedLiquidationProfit(
+    repayAmount,
+    collateralReceived,
+    quotedAmountOut,
+    gasCostInDebt,
+    flashFee = 0n
+) {
+    // Calculate gross profit (before gas)
+    const amountOwed = repayAmount + flashFee;
+    const grossProfit = quotedAmountOut > amountOwed
+        ? quotedAmountOut - amountOwed
+        : 0n;
+    
+    // Calculate net profit (after gas)
+    const netProfit = grossProfit > gasCostInDebt ? grossProfit - gasCostInDebt : 0n;
+    const isProfitable = netProfit > 0n;
+    
+    // In basis points
+    const roi = repayAmount > 0n
+        ? (netProfit * 10000n) / repayAmount
+        : 0n;
+    
+    return {
+        repayAmount,
+        collateralReceived,
+        quotedAmountOut,
+        flashFee,
+        gasCost: gasCostInDebt,
+        grossProfit,
+        netProfit,
+        isProfitable,
+        roi,
+        breakdown: {
+            repayAmount: ethers.formatEther(repayAmount),
+            collateralReceived: ethers.formatEther(collateralReceived),
+            quotedAmountOut: ethers.formatEther(quotedAmountOut),
+            flashFee: ethers.formatEther(flashFee),
+            gasCost: ethers.formatEther(gasCostInDebt),
+            grossProfit: ethers.formatEther(grossProfit),
+            netProfit: ethers.formatEther(netProfit),
+            roi: `${(Number(roi) / 100).toFixed(2)}%`,
+            isProfitable: isProfitable ? '✅ YES' : '❌ NO'
+        }
+    };
+}
+
+/**
+ * Derive the contract's minOutBps from a swap quote
+ * 
+ * BSC_LiquidationV3 requires swap output >= owed * (1 + minOutBps / 10000), where
+ * owed is the flash-borrowed amount plus the flash fee.
+ * We allow the executed swap to come in at most `slippageBps` below the quote.
+ * 
+ * @param {BigInt} repayAmount - Amount owed to the flash pool (repay + flash fee)
+ * @param {BigInt} quotedAmountOut - Quoted swap output in debt token
+ * @param {number} slippageBps - Tolerated shortfall vs. the quote (50 = 0.5%)
+ * @param {number} maxBps - Contract upper bound (5000)
+ * @returns {number|null} minOutBps, or null if the quote cannot cover the repay
+ */
+function calculateMinOutBps(repayAmount, quotedAmountOut, slippageBps = 50, maxBps = 5000) {
+    if (repayAmount <= 0n) {
+        return null;
+    }
+    
+    const minAcceptableOut = (quotedAmountOut * BigInt(10000 - slippageBps)) / 10000n;
+    if (minAcceptableOut < repayAmount) {
+        return null;
+    }
+    
+    const bps = Number(((minAcceptableOut - repayAmount) * 10000n) / repayAmount);
+    return Math.min(bps, maxBps);
+}
+
 /**
  * Find optimal liquidation size
  * Iterates through different repay amounts to find maximum profit
@@ -270,11 +479,12 @@ PROFITABLE:         ${analysis.breakdown.isProfitable}
  * 
  * @param {Object} comptroller - Venus Comptroller contract
  * @param {string} borrower - Borrower address
+ * @param {Object} [overrides] - Call overrides ({ blockTag })
  * @returns {Promise<boolean>} True if still liquidatable
  */
-async function verifyLiquidatable(comptroller, borrower) {
+async function verifyLiquidatable(comptroller, borrower, overrides = {}) {
     try {
-        const [error, liquidity, shortfall] = await comptroller.getAccountLiquidity(borrower);
+        const [error, liquidity, shortfall] = await comptroller.getAccountLiquidity(borrower, overrides);
         
         if (error !== 0n) {
             return false;
@@ -283,7 +493,7 @@ async function verifyLiquidatable(comptroller, borrower) {
         // Shortfall > 0 means underwater
         return shortfall > 0n;
     } catch (error) {
-        console.error('Error verifying liquidation:', error.message);
+        log.error(`Error verifying liquidation: ${error.message}`);
         return false;
     }
 }
@@ -293,7 +503,13 @@ module.exports = {
     isLiquidatable,
     calculateMaxRepayAmount,
     calculateCollateralSeized,
+    calculateSeizeTokens,
+    splitSeizeTokens,
+    calculateTreasurySeizeTokens,
+    calculateVenusSeize,
     calculateLiquidationProfit,
+    calculateQuotedLiquidationProfit,
+    calculateMinOutBps,
     findOptimalLiquidationSize,
     getLiquidationIncentivePercent,
     estimateLiquidationGasCost,
@@ -0,0 +1,1726 @@
+/**
+ * helpers/liquidationEngine.js
+ *
+ * Venus liquidation pipeline shared by bscLiquidationBot.js and botWithDashboard.js
+ * Borrower discovery → opportunity check → execution, exposed as a lifecycle-managed
+ * class that reports progress through events instead of talking to Telegram/dashboard directly
+ */
+
+const { EventEmitter, once } = require('events');
+const { ethers } = require("ethers");
+// p-limit v7 is ESM-only; require() returns the module namespace
+const { default: pLimit } = require('p-limit');
+
+const {
+    calculateAccountHealthFactor,
+    rankLiquidationPairs,
+    COMPTROLLER_ABI,
+    ORACLE_ABI
+} = require('./venusHelpers');
+
+const {
+    calculateQuotedLiquidationProfit,
+    calculateMinOutBps,
+    verifyLiquidatable
+} = require('./liquidationCalculator');
+
+const PoolSelector = require('./poolSelector');
+const { loadArtifact, checkLiquidationContract } = require('./contractBindings');
+const TransactionManager = require('./transactionManager');
+const { createSubmissionRoutes, selectSubmitter } = require('./transactionSubmitter');
+const GasStrategy = require('./gasStrategy');
+const { decodeRevertReason, classifyRevert } = require('./revertDecoder');
+const BorrowerScheduler = require('./borrowerScheduler');
+const { computePriceThresholds, PriceTriggerIndex } = require('./liquidationThresholds');
+const OracleListener = require('./oracleListener');
+const { discoverFeeds } = OracleListener;
+const MarketRegistry = require('./marketRegistry');
+const { VenusPool, loadIsolatedPool, fetchIsolatedPools } = require('./venusPools');
+const { loadAaveV3Adapter } = require('./aaveV3Adapter');
+const CircuitBreaker = require('./circuitBreaker');
+const BlockScheduler = require('./blockScheduler');
+const { createLogger, configure: configureLogger, withContext, getContext, newCorrelationId } = require('./logger');
+const EventMonitor = require('./eventMonitor');
+const MulticallHelper = require('./multicall');
+const BorrowerDatabase = require('./borrowerDatabase');
+const { getNetworkConfig } = require('./networkConfig');
+const { loadConfig, diffConfig, formatSetting } = require('./configSchema');
+
+const log = createLogger('engine');
+
+// Addresses of the active network profile (config.json NETWORKS, selected by NETWORK)
+const NETWORK = getNetworkConfig();
+const VENUS_COMPTROLLER = NETWORK.VENUS.COMPTROLLER;
+const VENUS_ORACLE = NETWORK.VENUS.ORACLE;
+
+// Venus vTokens (most liquid markets) - seed for discovery via comptroller.getAllMarkets()
+const VENUS_MARKETS = NETWORK.VENUS.MARKETS;
+
+const PANCAKE_V3_FACTORY_ABI = [
+    "function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)"
+];
+
+const QUOTER_V2_ABI = [
+    "function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)"
+];
+
+const ONE = ethers.parseEther("1");
+
+const VTOKEN_EVENTS = new ethers.Interface([
+    "event LiquidateBorrow(address liquidator, address borrower, uint repayAmount, address vTokenCollateral, uint seizeTokens)"
+]);
+const LIQUIDATE_BORROW_TOPIC = VTOKEN_EVENTS.getEvent('LiquidateBorrow').topicHash;
+
+// Bot parameters (overridable per engine via the `config` option)
+// Environment-driven settings are typed and validated by helpers/configSchema.js
+const DEFAULT_CONFIG = {
+    ...loadConfig(),
+    borrowerRefreshIntervalMs: 60000, // Refresh borrower list every 60s
+    priceUpdateDebounceMs: 250, // Coalesce feed updates landing in the same block
+    poolCacheTtlMs: 6 * 60 * 60 * 1000, // Re-discover pool topology every 6 hours
+    defaultGasLimit: 800000n,
+    gasFeeHistoryBlocks: 20,
+    txGasBumpPercent: 15, // Per replacement (nodes require >= 10%)
+    txMaxReplacements: 3,
+    postLiquidationDelayMs: 5000 // Pause after a successful liquidation
+};
+
+/**
+ * Liquidation engine
+ *
+ * Events:
+ *   started / stopped                    - isRunning toggled
+ *   scanStarted                          - monitoring cycle began
+ *   scanCompleted  { borrowersScanned, opportunitiesFound, durationMs, trigger: 'poll'|'price', cycleId, blockNumber }
+ *   blockScanned   { blockNumber, lagMs, durationMs, skipped, source } - block-driven cycle done (lag from block arrival)
+ *   scanSkipped    { reason }            - circuit breaker prevented the cycle
+ *   circuitBreakerTripped { reason }     - breaker tripped during this cycle's price check
+ *   priceTriggered { borrowers }         - oracle prices crossed these borrowers' liquidation thresholds
+ *   priceUpdateScan { markets, borrowers } - a feed update is triggering an out-of-cycle scan
+ *   marketsAdded   [{ symbol, address, pool }] - newly discovered markets now being monitored
+ *   poolAdded      { name, comptroller }  - isolated pool discovered in the PoolRegistry
+ *   protocolAdded  { protocol, name, address } - another lending protocol is being monitored
+ *   opportunityReported opportunity      - liquidatable on a protocol BSC_LiquidationV3 can't execute (monitor only)
+ *   configReloaded { applied, restartRequired } - reloaded settings (see applyConfig)
+ *   opportunityFound  opportunity
+ *   liquidationExecuted { opportunity, receipt, realizedProfit, liquidationCount, totalProfit } - realizedProfit: BNB from LiquidationExecuted (null if missing)
+ *   liquidationFailed   { opportunity, reason }
+ *   simulationFailed    { opportunity, reason, category } - pre-flight staticCall reverted, opportunity dropped
+ *   opportunityStale    { opportunity, currentBlock } - gone when re-checked at the current block, dropped
+ *   paperTrade     { opportunity, simulation, blockNumber, gasLimit } - dry-run result (nothing broadcast)
+ *   scanError      error
+ */
+class LiquidationEngine extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.provider - HTTP provider for reads
+     * @param {Object} options.wallet - Signer that owns the liquidation contract
+     * @param {Object} [options.wsProvider] - WebSocket provider for event listening
+     * @param {string} options.liquidationContractAddress - Deployed BSC_LiquidationV3
+     * @param {Object} [options.network] - Network profile from getNetworkConfig (active network by default)
+     * @param {Object} [options.markets] - Map of symbol -> vToken address (seed when discovering markets)
+     * @param {string} [options.comptrollerAddress] - Venus core pool Comptroller
+     * @param {string} [options.oracleAddress] - Venus PriceOracle
+     * @param {BorrowerDatabase} [options.borrowerDB] - Persistence layer
+     * @param {Object} [options.liquidationArtifact] - Compiled BSC_LiquidationV3 artifact (loaded from artifacts/ by default)
+     * @param {Array} [options.submissionRoutes] - [{ minProfit, submitter }] (built from config by default)
+     * @param {Object} [options.config] - Overrides for DEFAULT_CONFIG
+     */
+    constructor(options) {
+        super();
+
+        const {
+            provider,
+            wallet,
+            wsProvider = null,
+            liquidationContractAddress,
+            network = NETWORK,
+            markets = network.VENUS.MARKETS,
+            comptrollerAddress = network.VENUS.COMPTROLLER,
+            oracleAddress = network.VENUS.ORACLE,
+            borrowerDB = null,
+            liquidationArtifact = loadArtifact('BSC_LiquidationV3'),
+            submissionRoutes = null,
+            config: overrides = {}
+        } = options;
+
+        this.provider = provider;
+        this.wallet = wallet;
+        this.wsProvider = wsProvider;
+        this.network = network;
+        this.comptrollerAddress = comptrollerAddress;
+        this.config = { ...DEFAULT_CONFIG, ...overrides };
+
+        this.comptroller = new ethers.Contract(comptrollerAddress, COMPTROLLER_ABI, provider);
+        this.oracle = new ethers.Contract(oracleAddress, ORACLE_ABI, provider);
+        // Shared (and grown in place) by every component that iterates markets
+        this.marketRegistry = new MarketRegistry({
+            comptroller: this.comptroller,
+            provider,
+            oracle: this.oracle,
+            markets: { ...markets },
+            allowList: this.config.marketAllowList,
+            denyList: this.config.marketDenyList
+        });
+        this.markets = this.marketRegistry.markets;
+
+        this.multicallHelper = new MulticallHelper(provider, network.MULTICALL3_ADDRESS);
+
+        // Core pool first; isolated pools are appended at initialize
+        this.corePool = new VenusPool({
+            name: 'Core',
+            address: comptrollerAddress,
+            comptroller: this.comptroller,
+            oracle: this.oracle,
+            provider,
+            marketRegistry: this.marketRegistry,
+            multicallHelper: this.multicallHelper
+        });
+        this.pools = [];                // ProtocolAdapters: Venus pools and other protocols
+        this.marketPools = new Map();   // vToken (lowercase) -> VenusPool
+        this.borrowerPools = new Map(); // borrower (lowercase) -> Set(pool id) with positions
+        this.addPool(this.corePool, Object.entries(this.markets).map(([symbol, address]) => ({ symbol, address })));
+        this.liquidationArtifact = liquidationArtifact;
+        this.liquidationContract = new ethers.Contract(liquidationContractAddress, liquidationArtifact.abi, wallet);
+        this.pancakeFactory = new ethers.Contract(network.PANCAKESWAP_V3.FACTORY_ADDRESS, PANCAKE_V3_FACTORY_ABI, provider);
+        this.quoter = new ethers.Contract(network.PANCAKESWAP_V3.QUOTER_V2_ADDRESS, QUOTER_V2_ABI, provider);
+        this.poolSelector = new PoolSelector({
+            factory: this.pancakeFactory,
+            quoter: this.quoter,
+            provider,
+            cacheTtlMs: this.config.poolCacheTtlMs
+        });
+
+        // Safety and monitoring systems
+        this.circuitBreaker = new CircuitBreaker(
+            this.oracle,
+            this.markets,
+            this.multicallHelper,
+            vToken => this.getPoolForMarket(vToken).oracle,
+            this.config.maxPriceChangePercent
+        );
+        this.borrowerDB = borrowerDB || new BorrowerDatabase();
+        // Use WebSocket provider for event monitoring if available, otherwise fallback to HTTP
+        this.eventMonitor = new EventMonitor(wsProvider || provider, this.markets, this.borrowerDB);
+        this.scheduler = new BorrowerScheduler({
+            healthyIntervalMs: this.config.healthyRecheckIntervalMs,
+            fullSweepIntervalMs: this.config.fullSweepIntervalMs
+        });
+        this.priceTriggers = new PriceTriggerIndex();
+        this.oracleListener = new OracleListener(wsProvider || provider, {}); // Feeds mapped once markets are discovered
+        this.gasStrategy = new GasStrategy(provider, {
+            profitSharePercent: this.config.gasProfitSharePercent,
+            minGasPrice: this.config.minGasPrice,
+            maxGasPrice: this.config.maxGasPrice,
+            feeHistoryBlocks: this.config.gasFeeHistoryBlocks,
+            feeHistoryPercentile: this.config.gasFeeHistoryPercentile,
+            baselineMultiplier: this.config.gasPriceMultiplier
+        });
+        this.submissionRoutes = submissionRoutes || createSubmissionRoutes(wallet, this.config);
+        this.txManager = new TransactionManager({
+            wallet,
+            provider,
+            database: this.borrowerDB,
+            config: {
+                deadlineMs: this.config.txDeadlineMs,
+                speedUpIntervalMs: this.config.txSpeedUpIntervalMs,
+                gasBumpPercent: this.config.txGasBumpPercent,
+                maxReplacements: this.config.txMaxReplacements,
+                maxGasPrice: this.config.maxGasPrice
+            }
+        });
+
+        // State tracking
+        this.isRunning = true;
+        this.isShuttingDown = false;
+        this.liquidationCount = 0;
+        this.totalProfit = 0n;
+        this.lastBorrowerFetchTs = 0;
+        this.lastBorrowerBlock = 0;
+        this.lastLiquidationLogBlock = 0;
+        this.lastPruningTs = 0;
+        this.lastHistoricalCatchTs = 0;
+        this.paperTradeCount = 0;
+        this.paperProfit = 0n;
+        this.scanQueue = Promise.resolve();
+        this.pendingPriceMarkets = new Set();
+        this.priceUpdateTimer = null;
+        this.pendingLiquidation = null; // Opportunity whose tx is out (between send and record)
+        this.blockScheduler = null;
+        this.isClosed = false;
+    }
+
+    /**
+     * Register a pool and route its markets (seed and discovered) back to it
+     * @param {VenusPool} pool
+     * @param {Array} [markets] - Markets already in the shared map [{ symbol, address }]
+     */
+    addPool(pool, markets = []) {
+        this.pools.push(pool);
+        markets.forEach(({ address }) => this.marketPools.set(address.toLowerCase(), pool));
+        pool.trackMarkets(markets);
+
+        pool.marketRegistry.on('marketsAdded', added => {
+            added.forEach(({ address }) => this.marketPools.set(address.toLowerCase(), pool));
+            pool.trackMarkets(added);
+            this.eventMonitor.watchMarkets(added);
+            this.emit('marketsAdded', added.map(market => ({ ...market, pool: pool.name })));
+        });
+    }
+
+    /**
+     * Monitor another lending protocol alongside Venus
+     * @param {ProtocolAdapter} adapter
+     */
+    addAdapter(adapter) {
+        this.pools.push(adapter);
+        this.eventMonitor.watchSources(adapter.getEventSources());
+        log.info(`🔌 Monitoring ${adapter.name} (${adapter.protocol}) at ${adapter.address}`);
+        this.emit('protocolAdded', { protocol: adapter.protocol, name: adapter.name, address: adapter.address });
+    }
+
+    /**
+     * Venus pools only (the Comptroller multicalls don't apply to other protocols)
+     */
+    getVenusPools() {
+        return this.pools.filter(pool => pool.protocol === 'venus');
+    }
+
+    getPool(comptrollerAddress) {
+        if (!comptrollerAddress) {
+            return this.corePool;
+        }
+        return this.pools.find(pool => pool.id === comptrollerAddress.toLowerCase()) || this.corePool;
+    }
+
+    getPoolForMarket(vToken) {
+        return this.marketPools.get(vToken.toLowerCase()) || this.corePool;
+    }
+
+    /**
+     * Load isolated pools from the PoolRegistry that we don't know yet and list their markets
+     */
+    async discoverIsolatedPools() {
+        const { poolRegistryAddress, marketAllowList, marketDenyList } = this.config;
+        if (!poolRegistryAddress) {
+            return;
+        }
+
+        let listed;
+        try {
+            listed = await fetchIsolatedPools(poolRegistryAddress, this.provider);
+        } catch (error) {
+            log.error(`❌ Isolated pool discovery failed: ${error.message}`);
+            return;
+        }
+
+        for (const { name, comptroller } of listed) {
+            if (this.pools.some(pool => pool.id === comptroller.toLowerCase())) {
+                continue;
+            }
+            try {
+                const pool = await loadIsolatedPool({
+                    name,
+                    address: comptroller,
+                    provider: this.provider,
+                    multicallHelper: this.multicallHelper,
+                    markets: this.markets,
+                    allowList: marketAllowList,
+                    denyList: marketDenyList
+                });
+                this.addPool(pool);
+                log.info(`🏝️  Isolated pool: ${name} (${comptroller})`);
+                this.emit('poolAdded', { name, comptroller });
+                await pool.marketRegistry.refresh();
+            } catch (error) {
+                log.error(`❌ Error loading isolated pool ${name}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Feed address -> vTokens it prices: the feeds behind each pool's Venus oracle,
+     * plus config.oracleFeeds (keyed by market symbol) for feeds it doesn't expose
+     */
+    async buildFeedMap() {
+        const feeds = {};
+        const add = (feed, vToken) => {
+            const key = ethers.getAddress(feed);
+            const vTokens = feeds[key] || [];
+            if (!vTokens.some(address => address.toLowerCase() === vToken.toLowerCase())) {
+                feeds[key] = [...vTokens, vToken];
+            }
+        };
+
+        for (const pool of this.getVenusPools()) {
+            try {
+                const markets = [];
+                for (const { address } of pool.markets.values()) {
+                    const { underlying } = await pool.marketRegistry.getMetadata(address);
+                    markets.push({ vToken: address, underlying });
+                }
+                const discovered = await discoverFeeds(pool.oracle, markets, this.provider);
+                Object.entries(discovered).forEach(([feed, vTokens]) => vTokens.forEach(vToken => add(feed, vToken)));
+                log.info(`🔮 ${pool.name}: ${Object.keys(discovered).length} price feed(s) found behind the oracle`);
+            } catch (error) {
+                log.warn(`⚠️  Could not read ${pool.name} oracle feeds: ${error.message}`);
+            }
+        }
+
+        for (const [symbol, feed] of Object.entries(this.config.oracleFeeds)) {
+            const vToken = this.markets[symbol];
+            if (!vToken) {
+                log.warn(`⚠️  Oracle feed configured for unknown market ${symbol}, ignoring`);
+                continue;
+            }
+            add(feed, vToken);
+        }
+        return feeds;
+    }
+
+    // ============================================
+    // LIFECYCLE
+    // ============================================
+
+    /**
+     * Verify the liquidation contract, then initialize database,
+     * circuit breaker and (optionally) event monitoring
+     */
+    async initialize() {
+        await this.verifyLiquidationContract();
+        await this.txManager.syncNonce();
+
+        this.borrowerDB.initialize();
+        for (const [borrower, thresholds] of this.borrowerDB.getLiquidationThresholds()) {
+            this.priceTriggers.update(borrower, thresholds);
+        }
+
+        if (this.config.discoverMarkets) {
+            // New markets and pools after startup are picked up by maintainMarkets()
+            try {
+                await this.marketRegistry.refresh();
+            } catch (error) {
+                log.error(`❌ Market discovery failed, using ${Object.keys(this.markets).length} configured markets: ${error.message}`);
+            }
+            await this.discoverIsolatedPools();
+        } else if (this.config.poolRegistryAddress) {
+            log.warn('⚠️  VENUS_POOL_REGISTRY is ignored with DISCOVER_MARKETS=false (isolated pool markets are only discovered)');
+        }
+        this.oracleListener.feeds = await this.buildFeedMap();
+
+        if (this.config.aaveV3AddressesProvider) {
+            try {
+                this.addAdapter(await loadAaveV3Adapter({
+                    addressesProvider: this.config.aaveV3AddressesProvider,
+                    provider: this.provider,
+                    multicallHelper: this.multicallHelper
+                }));
+            } catch (error) {
+                log.error(`❌ Error loading Aave v3 from ${this.config.aaveV3AddressesProvider}: ${error.message}`);
+            }
+        }
+
+        await this.circuitBreaker.initialize();
+
+        if (this.config.dryRun) {
+            log.info('📝 DRY RUN: liquidations are simulated with staticCall and never broadcast');
+            if (!this.borrowerDB.isEnabled) {
+                log.warn('⚠️  Database disabled - paper trades will only be logged (set DATABASE_URL to persist them)');
+            }
+        }
+
+        if (this.config.useEventMonitoring) {
+            log.info('🎯 Event monitoring enabled');
+
+            // Load borrowers from database for warm start
+            this.eventMonitor.loadFromDatabase();
+
+            await this.eventMonitor.startListening();
+
+            // Get historical borrowers to seed the monitor
+            const currentBlock = await this.provider.getBlockNumber();
+            const historicalBlocks = this.config.historicalBlocksStartup;
+            const fromBlock = Math.max(currentBlock - historicalBlocks, 0);
+            log.info(`📜 Seeding from last ${historicalBlocks} blocks (${fromBlock} to ${currentBlock})...`);
+            await this.eventMonitor.getHistoricalBorrowers(fromBlock, currentBlock);
+        } else {
+            log.info('📊 Using legacy event polling (set USE_EVENT_MONITORING=true for real-time monitoring)\n');
+        }
+
+        if (Object.keys(this.oracleListener.feeds).length) {
+            this.oracleListener.on('priceUpdate', ({ vTokens }) => this.handlePriceUpdate(vTokens));
+            await this.oracleListener.start();
+        } else {
+            const nextScan = this.config.scanMode === 'block' ? 'next block' : `${this.config.pollingInterval / 1000}s poll`;
+            log.info(`⏱️  No oracle price feeds found (Venus oracle or ORACLE_FEEDS) - price moves are picked up by the ${nextScan}\n`);
+        }
+    }
+
+    /**
+     * Resume scanning and execution
+     */
+    start() {
+        if (this.isShuttingDown) {
+            return;
+        }
+        this.isRunning = true;
+        this.emit('started');
+    }
+
+    /**
+     * Pause scanning and execution (the run loop keeps ticking)
+     */
+    stop() {
+        this.isRunning = false;
+        this.emit('stopped');
+    }
+
+    /**
+     * Scan on every new block (or every pollingInterval with SCAN_MODE=interval)
+     * until shutdown() is called
+     */
+    async run() {
+        if (this.isShuttingDown) {
+            return;
+        }
+
+        if (this.config.scanMode === 'interval') {
+            while (!this.isShuttingDown) {
+                if (this.isRunning) {
+                    await this.monitorPositions();
+                }
+
+                // Wait before next scan
+                await new Promise(resolve => setTimeout(resolve, this.config.pollingInterval));
+            }
+            return;
+        }
+
+        this.blockScheduler = new BlockScheduler({
+            provider: this.provider,
+            wsProvider: this.wsProvider,
+            pollIntervalMs: this.config.blockPollIntervalMs,
+            staleBlockMs: this.config.staleBlockMs,
+            scan: (blockNumber) => (this.isRunning ? this.monitorPositions(blockNumber) : null)
+        });
+        this.blockScheduler.on('scanned', (stats) => this.emit('blockScanned', stats));
+
+        const stopped = once(this.blockScheduler, 'stopped');
+        await this.blockScheduler.start();
+        await stopped;
+    }
+
+    /**
+     * Apply a reloaded config: reloadable settings take effect on the running
+     * engine (and the components that copied them at construction), the rest
+     * are reported and keep their current value until a restart
+     * @param {Object} next - Full validated config from loadConfig()
+     * @returns {Object} { applied, restartRequired } - diffConfig entries
+     */
+    applyConfig(next) {
+        const changes = diffConfig(this.config, next);
+        const applied = changes.filter(change => change.reloadable);
+        const restartRequired = changes.filter(change => !change.reloadable);
+
+        applied.forEach(({ key, to }) => { this.config[key] = to; });
+
+        Object.assign(this.gasStrategy.config, {
+            profitSharePercent: this.config.gasProfitSharePercent,
+            minGasPrice: this.config.minGasPrice,
+            maxGasPrice: this.config.maxGasPrice,
+            feeHistoryPercentile: this.config.gasFeeHistoryPercentile,
+            baselineMultiplier: this.config.gasPriceMultiplier
+        });
+        Object.assign(this.txManager.config, {
+            deadlineMs: this.config.txDeadlineMs,
+            speedUpIntervalMs: this.config.txSpeedUpIntervalMs,
+            maxGasPrice: this.config.maxGasPrice
+        });
+        Object.assign(this.scheduler.config, {
+            healthyIntervalMs: this.config.healthyRecheckIntervalMs,
+            fullSweepIntervalMs: this.config.fullSweepIntervalMs
+        });
+        this.circuitBreaker.maxPriceChangePercent = this.config.maxPriceChangePercent;
+
+        configureLogger({ level: this.config.logLevel, format: this.config.logFormat });
+
+        if (!changes.length) {
+            log.info('🔧 Config reloaded: no changes');
+        }
+        for (const { key, env, from, to, reloadable } of changes) {
+            const line = `${env}: ${formatSetting(key, from)} -> ${formatSetting(key, to)}`;
+            if (reloadable) {
+                log.info(`🔧 ${line}`);
+            } else {
+                log.warn(`⚠️  ${line} (restart required, not applied)`);
+            }
+        }
+
+        this.emit('configReloaded', { applied, restartRequired });
+        return { applied, restartRequired };
+    }
+
+    /**
+     * Stop taking new work and wait for the scan in progress (and the liquidation
+     * tx it may have out) to finish: mined and recorded, cancelled or dropped
+     * @param {number} timeoutMs - Give up waiting after this long
+     * @returns {Promise<boolean>} True if everything finished in time
+     */
+    async drain(timeoutMs) {
+        this.isShuttingDown = true;
+        this.isRunning = false;
+        this.blockScheduler?.stop();
+        clearTimeout(this.priceUpdateTimer);
+        this.priceUpdateTimer = null;
+        this.pendingPriceMarkets.clear();
+
+        if (this.pendingLiquidation) {
+            log.info(`⏳ Waiting for the liquidation of ${this.pendingLiquidation.borrower} to confirm (up to ${timeoutMs / 1000}s)...`);
+        }
+
+        let timer;
+        const timedOut = new Promise(resolve => { timer = setTimeout(() => resolve(false), timeoutMs); });
+        const drained = await Promise.race([this.scanQueue.then(() => true), timedOut]);
+        clearTimeout(timer);
+
+        if (!drained && this.pendingLiquidation) {
+            log.warn(`⚠️  Liquidation of ${this.pendingLiquidation.borrower} still pending after ${timeoutMs / 1000}s - its tx attempts are in the database`);
+        } else if (!drained) {
+            log.warn(`⚠️  Scan still running after ${timeoutMs / 1000}s, shutting down anyway`);
+        }
+        return drained;
+    }
+
+    /**
+     * Write what only lives in memory to the database so the next start is warm
+     * (borrowers found by polling; event-monitored ones are stored as they arrive)
+     */
+    persistState() {
+        if (!this.borrowerDB.isEnabled) {
+            return;
+        }
+        const borrowers = Array.from(this.scheduler.borrowers.values(), entry => entry.address);
+        if (borrowers.length) {
+            this.borrowerDB.addBorrowersBatch(borrowers);
+            log.info(`💾 Saved ${borrowers.length} tracked borrowers`);
+        }
+    }
+
+    /**
+     * Stop the loop, persist state and release listeners and the database handle
+     * Call drain() first to let an in-flight liquidation finish
+     * WebSocket providers are owned by the caller and closed there
+     */
+    shutdown() {
+        this.isShuttingDown = true;
+        this.isRunning = false;
+        if (this.isClosed) {
+            return;
+        }
+        this.isClosed = true;
+
+        this.blockScheduler?.stop();
+        if (this.config.useEventMonitoring) {
+            this.eventMonitor.stopListening();
+        }
+        this.oracleListener.stop();
+        clearTimeout(this.priceUpdateTimer);
+
+        this.persistState();
+        this.borrowerDB.close();
+    }
+
+    /**
+     * Snapshot of engine state for status commands and the dashboard
+     */
+    getStats() {
+        return {
+            isRunning: this.isRunning,
+            liquidationCount: this.liquidationCount,
+            totalProfit: this.totalProfit,
+            activeBorrowers: this.config.useEventMonitoring
+                ? this.eventMonitor.getCount()
+                : this.scheduler.borrowers.size,
+            scheduler: this.scheduler.getStats(),
+            marketCount: Object.keys(this.markets).length,
+            pools: this.pools.map(pool => ({
+                name: pool.name,
+                protocol: pool.protocol,
+                comptroller: pool.address,
+                borrowers: Array.from(this.borrowerPools.values()).filter(ids => ids.has(pool.id)).length
+            })),
+            useEventMonitoring: this.config.useEventMonitoring,
+            dryRun: this.config.dryRun,
+            paperTradeCount: this.paperTradeCount,
+            paperProfit: this.paperProfit,
+            circuitBreaker: this.circuitBreaker.getStatus()
+        };
+    }
+
+    // ============================================
+    // UTILITY HELPERS
+    // ============================================
+
+    async getBnbPriceUSD(overrides = {}) {
+        // Venus oracle price for vBNB (18 decimals, USD); vBNB may be filtered out of the scanned markets
+        return this.oracle.getUnderlyingPrice(this.markets.vBNB || this.network.VENUS.MARKETS.vBNB, overrides);
+    }
+
+    /**
+     * Oracle prices for markets across pools, each read from its pool's oracle
+     * @param {Object} [overrides] - Call overrides ({ blockTag })
+     * @returns {Object} vToken -> price
+     */
+    async getMarketPrices(vTokens, overrides = {}) {
+        const byPool = new Map();
+        for (const vToken of vTokens) {
+            const pool = this.getPoolForMarket(vToken);
+            byPool.set(pool, [...(byPool.get(pool) || []), vToken]);
+        }
+        const results = await Promise.all(
+            Array.from(byPool, ([pool, markets]) => this.multicallHelper.getOraclePrices(pool.oracle, markets, overrides))
+        );
+        return Object.assign({}, ...results);
+    }
+
+    /**
+     * Baseline gas price from recent fee history (before profit-based bidding)
+     * @param {number|string} [blockTag] - Block the fee history ends at
+     */
+    async getSafeGasPrice(blockTag) {
+        return this.gasStrategy.getBaselineGasPrice(blockTag);
+    }
+
+    /**
+     * Refuse to start unless the deployed contract matches our artifact,
+     * our wallet is its owner and it is not paused
+     */
+    async verifyLiquidationContract() {
+        log.info('🔎 Verifying liquidation contract...');
+        const result = await checkLiquidationContract({
+            contract: this.liquidationContract,
+            provider: this.provider,
+            artifact: this.liquidationArtifact,
+            expectedOwner: await this.wallet.getAddress()
+        });
+
+        if (result.errors.length) {
+            result.errors.forEach(error => log.error(`   ❌ ${error}`));
+            throw new Error(`Liquidation contract self-check failed: ${result.errors.join('; ')}`);
+        }
+
+        log.info(`✅ Contract ${result.address} verified (bytecode match, owner, not paused)\n`);
+        return result;
+    }
+
+    /**
+     * Native BNB legs are flash-borrowed and swapped as WBNB by the contract
+     */
+    toSwapToken(underlying) {
+        return underlying === 'BNB' ? this.network.TOKENS.WBNB : underlying;
+    }
+
+    /**
+     * Swap route quality for a debt/collateral pair (0 = not executable, 1 = good)
+     * The contract flash-borrows from one fee tier and swaps collateral through
+     * another, so a pair is only executable when at least two pools exist
+     */
+    async getRouteQuality(debtPosition, collateralPosition) {
+        const debtToken = this.toSwapToken(debtPosition.underlying);
+        const collateralToken = this.toSwapToken(collateralPosition.underlying);
+        const hasRoute = await this.poolSelector.hasRoute(debtToken, collateralToken);
+        return hasRoute ? 1 : 0;
+    }
+
+    /**
+     * Estimate gas for liquidation with configurable buffer
+     * Returns dynamic gas limit or falls back to default
+     */
+    async estimateGasForLiquidation(opportunity) {
+        try {
+            const gasEstimate = await this.liquidationContract.executeLiquidation.estimateGas(
+                opportunity.borrower,
+                opportunity.debtToken,
+                opportunity.collateralToken,
+                opportunity.vDebtToken,
+                opportunity.vCollateralToken,
+                opportunity.repayAmount,
+                opportunity.flashFee,
+                opportunity.swapFee,
+                opportunity.minOutBps
+            );
+
+            // Add configurable buffer to gas estimate (default 20%)
+            const bufferPercent = this.config.gasEstimateBufferPercent;
+            const gasWithBuffer = (gasEstimate * (100n + BigInt(bufferPercent))) / 100n;
+            log.info(`   Gas Estimate: ${gasEstimate.toString()} (with ${bufferPercent}% buffer: ${gasWithBuffer.toString()})`);
+            return gasWithBuffer;
+        } catch (error) {
+            log.warn(`   ⚠️  Gas estimation failed, using default: ${error.message}`);
+            return this.config.defaultGasLimit;
+        }
+    }
+
+    // ============================================
+    // CORE PIPELINE
+    // ============================================
+
+    /**
+     * Get borrowers to check this cycle, most at-risk first (see BorrowerScheduler)
+     * Supports both event monitoring and legacy polling for discovery
+     */
+    async getActiveBorrowers() {
+        const { maxBorrowersPerScan } = this.config;
+
+        // If event monitoring is enabled and has borrowers, use those
+        if (this.config.useEventMonitoring && this.eventMonitor.getCount() > 0) {
+            const borrowers = this.eventMonitor.getActiveBorrowers();
+            this.scheduler.sync(borrowers);
+            log.info(`   Using ${borrowers.length} borrowers from event monitor`);
+            return this.scheduler.nextBatch(maxBorrowersPerScan);
+        }
+
+        // Legacy method: query recent Borrow events
+        const now = Date.now();
+        if (now - this.lastBorrowerFetchTs >= this.config.borrowerRefreshIntervalMs) {
+            this.scheduler.add(await this.fetchRecentBorrowers());
+            this.lastBorrowerFetchTs = now;
+        }
+        return this.scheduler.nextBatch(maxBorrowersPerScan);
+    }
+
+    /**
+     * Borrowers from Borrow events since the last fetch (legacy discovery)
+     */
+    async fetchRecentBorrowers() {
+        const borrowers = new Set();
+        const markets = Object.values(this.markets); // Limit to most liquid markets to reduce calls
+
+        const currentBlock = await this.provider.getBlockNumber();
+        const fromBlock = this.lastBorrowerBlock ? this.lastBorrowerBlock + 1 : Math.max(currentBlock - 500, 0);
+        this.lastBorrowerBlock = currentBlock;
+
+        for (const marketAddress of markets) {
+            const vToken = new ethers.Contract(marketAddress, this.eventMonitor.vTokenABI, this.provider);
+
+            try {
+                const filter = vToken.filters.Borrow();
+                const events = await vToken.queryFilter(filter, fromBlock, currentBlock);
+
+                events.forEach(event => {
+                    borrowers.add(event.args.borrower);
+                });
+            } catch (error) {
+                log.warn(`⚠️  Error fetching events for ${marketAddress}: ${error.message}`);
+            }
+        }
+
+        // Other protocols' borrow events
+        for (const source of this.pools.filter(pool => pool.protocol !== 'venus').flatMap(pool => pool.getEventSources())) {
+            try {
+                const contract = new ethers.Contract(source.address, source.abi, this.provider);
+                const events = await contract.queryFilter(contract.filters[source.event](), fromBlock, currentBlock);
+                events.forEach(event => borrowers.add(source.getBorrower(event.args)));
+            } catch (error) {
+                log.warn(`⚠️  Error fetching events for ${source.name}: ${error.message}`);
+            }
+        }
+
+        return Array.from(borrowers);
+    }
+
+    /**
+     * Batch-read account state for scanned borrowers in every pool: health
+     * factors feed the scheduler, per-market liquidation price thresholds feed
+     * the trigger index, entered markets tell which pools each borrower uses
+     *
+     * Two rounds of multicalls: account liquidity + entered markets per pool,
+     * then account snapshots, collateral factors and prices of entered markets.
+     * Other protocols' adapters only contribute their health factor
+     * @param {Array} borrowers
+     * @param {number} [blockTag] - Block every read is pinned to (the scan cycle's)
+     * @returns {Promise<Map>} Venus pool -> borrowers with a shortfall there (empty if the refresh failed)
+     */
+    async refreshHealthFactors(borrowers, blockTag) {
+        const shortfalls = new Map();
+        if (!borrowers.length) return shortfalls;
+
+        const overrides = blockTag === undefined ? {} : { blockTag };
+        try {
+            const venusPools = this.getVenusPools();
+            const accountCalls = [];
+            for (const pool of venusPools) {
+                for (const borrower of borrowers) {
+                    for (const method of ['getAccountLiquidity', 'getAssetsIn']) {
+                        accountCalls.push({
+                            target: pool.address,
+                            allowFailure: true,
+                            callData: pool.comptroller.interface.encodeFunctionData(method, [borrower])
+                        });
+                    }
+                }
+            }
+            const [accountResults, adapterAccounts] = await Promise.all([
+                this.multicallHelper.batchCall(accountCalls, overrides),
+                this.readAdapterAccounts(borrowers, overrides)
+            ]);
+
+            // Accounts with at least one entered market, per pool
+            const accounts = [];
+            const failed = new Set();
+            let index = 0;
+            for (const pool of venusPools) {
+                for (const borrower of borrowers) {
+                    const liquidityResult = accountResults[index++];
+                    const assetsInResult = accountResults[index++];
+                    if (!liquidityResult.success || !assetsInResult.success) {
+                        failed.add(borrower);
+                        continue;
+                    }
+                    const [error, liquidity, shortfall] = pool.comptroller.interface.decodeFunctionResult('getAccountLiquidity', liquidityResult.returnData);
+                    if (error !== 0n) {
+                        failed.add(borrower);
+                        continue;
+                    }
+                    if (shortfall > 0n) {
+                        shortfalls.set(pool, [...(shortfalls.get(pool) || []), borrower]);
+                    }
+                    const [assetsIn] = pool.comptroller.interface.decodeFunctionResult('getAssetsIn', assetsInResult.returnData);
+                    if (assetsIn.length) {
+                        accounts.push({ pool, borrower, liquidity, shortfall, assetsIn: Array.from(assetsIn) });
+                    }
+                }
+            }
+
+            const poolMarkets = new Map(); // pool -> Set(vToken)
+            for (const { pool, assetsIn } of accounts) {
+                if (!poolMarkets.has(pool)) {
+                    poolMarkets.set(pool, new Set());
+                }
+                assetsIn.forEach(vToken => poolMarkets.get(pool).add(vToken));
+            }
+
+            // Borrowing enters the market, so entered markets cover every position that counts
+            const [snapshots, poolData] = await Promise.all([
+                this.multicallHelper.getAccountSnapshots(
+                    accounts.flatMap(({ borrower, assetsIn }) => assetsIn.map(vToken => ({ borrower, vToken }))),
+                    overrides
+                ),
+                Promise.all(Array.from(poolMarkets, async ([pool, vTokens]) => {
+                    const markets = Array.from(vTokens);
+                    const [collateralFactors, prices] = await Promise.all([
+                        this.multicallHelper.getCollateralFactors(pool.comptroller, markets, pool.isolated, overrides),
+                        this.multicallHelper.getOraclePrices(pool.oracle, markets, overrides)
+                    ]);
+                    return [pool, { collateralFactors, prices }];
+                }))
+            ]);
+            const poolState = new Map(poolData);
+
+            // Pools are independent: thresholds per pool, health factor is the worst pool's
+            const results = new Map(); // borrower -> { healthFactor, thresholds, exposedMarkets, poolIds }
+            for (const { pool, borrower, liquidity, shortfall, assetsIn } of accounts) {
+                const { collateralFactors, prices } = poolState.get(pool);
+
+                const positions = [];
+                let totalBorrowUSD = 0n;
+                for (const vToken of assetsIn) {
+                    const snapshot = snapshots[borrower]?.[vToken];
+                    if (!snapshot) continue;
+
+                    const { vTokenBalance, borrowBalance, exchangeRate } = snapshot;
+                    const price = prices[vToken] || 0n;
+                    const borrowUSD = (borrowBalance * price) / ONE;
+                    const collateralUSD = (((vTokenBalance * exchangeRate) / ONE) * price / ONE) * (collateralFactors[vToken] || 0n) / ONE;
+                    totalBorrowUSD += borrowUSD;
+                    positions.push({ vToken, price, collateralUSD, borrowUSD });
+                }
+
+                // Comptroller's view of collateral (also covers positions whose snapshot failed)
+                const adjustedCollateral = totalBorrowUSD + liquidity - shortfall;
+                const thresholds = computePriceThresholds({
+                    positions,
+                    totalCollateralUSD: adjustedCollateral > 0n ? adjustedCollateral : 0n,
+                    totalBorrowUSD,
+                    targetHealthFactor: this.config.healthFactorThreshold
+                });
+                const healthFactor = calculateAccountHealthFactor(liquidity, shortfall, totalBorrowUSD);
+
+                const result = results.get(borrower) || { healthFactor: ethers.MaxUint256, thresholds: [], exposedMarkets: [], poolIds: new Set() };
+                if (healthFactor < result.healthFactor) {
+                    result.healthFactor = healthFactor;
+                }
+                result.thresholds.push(...thresholds);
+                result.exposedMarkets.push(...positions
+                    .filter(({ collateralUSD, borrowUSD }) => collateralUSD > 0n || borrowUSD > 0n)
+                    .map(({ vToken }) => vToken));
+                result.poolIds.add(pool.id);
+                results.set(borrower, result);
+            }
+
+            // Other protocols report a health factor directly (no price thresholds)
+            for (const { pool, borrower, account } of adapterAccounts) {
+                if (!account) {
+                    failed.add(borrower);
+                    continue;
+                }
+                if (account.healthFactor === ethers.MaxUint256) {
+                    continue; // No debt there
+                }
+                const result = results.get(borrower) || { healthFactor: ethers.MaxUint256, thresholds: [], exposedMarkets: [], poolIds: new Set() };
+                if (account.healthFactor < result.healthFactor) {
+                    result.healthFactor = account.healthFactor;
+                }
+                result.poolIds.add(pool.id);
+                results.set(borrower, result);
+            }
+
+            for (const borrower of borrowers) {
+                // A failed pool read could hide a position - keep what we knew
+                if (failed.has(borrower)) {
+                    this.scheduler.markChecked(borrower);
+                    continue;
+                }
+                const result = results.get(borrower) || { healthFactor: ethers.MaxUint256, thresholds: [], exposedMarkets: [], poolIds: new Set() };
+                this.scheduler.update(borrower, result.healthFactor);
+                this.borrowerPools.set(borrower.toLowerCase(), result.poolIds);
+                this.updatePriceThresholds(borrower, result.thresholds, result.exposedMarkets);
+            }
+            return shortfalls;
+        } catch (error) {
+            log.error(`   ❌ Health factor refresh failed: ${error.message}`);
+            borrowers.forEach(borrower => this.scheduler.markChecked(borrower));
+            return new Map();
+        }
+    }
+
+    /**
+     * Positions of every borrower with a shortfall, one getPositionsBatch
+     * multicall per pool instead of one snapshot per borrower check
+     * @param {Map} shortfalls - From refreshHealthFactors
+     * @param {number} blockTag
+     * @returns {Promise<Map>} pool id -> borrower -> { borrowPositions, collateralPositions }
+     */
+    async loadShortfallPositions(shortfalls, blockTag) {
+        if (!shortfalls?.size) {
+            return new Map();
+        }
+        const entries = await Promise.all(Array.from(shortfalls, async ([pool, borrowers]) =>
+            [pool.id, await pool.getPositionsBatch(borrowers, { blockTag })]
+        ));
+        return new Map(entries);
+    }
+
+    /**
+     * Account data from the non-Venus adapters, one read per borrower and protocol
+     * @returns {Promise<Array>} [{ pool, borrower, account }] (account null when the read failed)
+     */
+    async readAdapterAccounts(borrowers, overrides = {}) {
+        const adapters = this.pools.filter(pool => pool.protocol !== 'venus');
+        const limit = pLimit(this.config.maxConcurrentChecks);
+        return Promise.all(adapters.flatMap(pool => borrowers.map(borrower =>
+            limit(async () => ({ pool, borrower, account: await pool.getAccountData(borrower, overrides) }))
+        )));
+    }
+
+    /**
+     * Replace a borrower's liquidation price thresholds in the index and database
+     */
+    updatePriceThresholds(borrower, thresholds, exposedMarkets = []) {
+        this.priceTriggers.update(borrower, thresholds, exposedMarkets);
+        this.borrowerDB.saveLiquidationThresholds(borrower, thresholds);
+    }
+
+    /**
+     * Borrowers whose liquidation price threshold was crossed by the latest
+     * circuit breaker prices (read at the cycle's block by checkPrices)
+     */
+    getPriceTriggeredBorrowers() {
+        const triggered = this.priceTriggers.findTriggered(this.circuitBreaker.getLatestPrices());
+        if (triggered.length) {
+            log.info(`   ⚡ Price thresholds crossed for ${triggered.length} borrower(s)`);
+            this.emit('priceTriggered', { borrowers: triggered });
+        }
+        return triggered;
+    }
+
+    /**
+     * Check if a borrower is liquidatable and profitable in any pool they use
+     * (every pool until their positions have been read once)
+     * @param {string} borrowerAddress
+     * @param {number} [blockTag] - Block every read is pinned to (current block by default)
+     * @param {Map} [positions] - Preloaded positions at blockTag (pool id -> borrower -> positions)
+     * @returns {Object|null} Most profitable opportunity ready for executeLiquidation, or null
+     */
+    async checkLiquidationOpportunity(borrowerAddress, blockTag = null, positions = null) {
+        const poolIds = this.borrowerPools.get(borrowerAddress.toLowerCase());
+        const pools = poolIds ? this.pools.filter(pool => poolIds.has(pool.id)) : this.pools;
+        blockTag = blockTag ?? await this.provider.getBlockNumber();
+
+        let best = null;
+        for (const pool of pools) {
+            const opportunity = await this.checkPoolOpportunity(pool, borrowerAddress, blockTag, positions?.get(pool.id)?.get(borrowerAddress));
+            if (opportunity && (!best || opportunity.expectedProfit > best.expectedProfit)) {
+                best = opportunity;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Check one pool (Comptroller, or another protocol's market through its
+     * adapter): the debt and collateral of a liquidation always come from the same pool
+     *
+     * Every read (account, positions, prices, gas, quotes) is pinned to blockTag so
+     * they come from one chain state even across load-balanced RPC nodes
+     * @param {number} blockTag - Block number to read at
+     * @param {Object} [positions] - Borrower's positions already read at blockTag (read here otherwise)
+     * @returns {Object|null} Opportunity (with its blockNumber), or null
+     */
+    async checkPoolOpportunity(pool, borrowerAddress, blockTag, positions = null) {
+        const overrides = { blockTag };
+        try {
+            const account = await pool.getAccountData(borrowerAddress, overrides);
+            if (!account || !account.isLiquidatable) {
+                return null;
+            }
+
+            const [{ borrowPositions, collateralPositions }, bnbPriceUSD, gasPrice] = await Promise.all([
+                positions || pool.getPositions(borrowerAddress, overrides),
+                this.getBnbPriceUSD(overrides),
+                this.getSafeGasPrice(blockTag)
+            ]);
+            const params = await pool.getLiquidationParameters(account, collateralPositions, overrides);
+
+            if (!borrowPositions.length || !collateralPositions.length || !params) {
+                return null;
+            }
+
+            // Isolated pools reject liquidateBorrow below their collateral floor
+            if (pool.minLiquidatableCollateral > 0n) {
+                const totalCollateralUSD = collateralPositions.reduce((sum, position) => sum + position.valueUSD, 0n);
+                if (totalCollateralUSD <= pool.minLiquidatableCollateral) {
+                    log.info(`   ${borrowerAddress} is below the ${pool.name} pool's min liquidatable collateral`);
+                    return null;
+                }
+            }
+
+            // Score every debt × collateral pair and take the best one
+            const gasCostUSD = (gasPrice * this.config.defaultGasLimit * bnbPriceUSD) / ONE;
+            const candidates = await rankLiquidationPairs(borrowPositions, collateralPositions, params, {
+                gasCostUSD,
+                getRouteQuality: (debtPosition, collateralPosition) => this.getRouteQuality(debtPosition, collateralPosition)
+            });
+            if (!candidates.length) {
+                return null;
+            }
+            const pair = candidates[0];
+
+            // Respect close factor and our own size cap
+            let repayAmount = pair.maxRepayAmount;
+
+            const repayValueBNB = convertAmountToBNB(repayAmount, pair.debtPosition.priceUSD, bnbPriceUSD);
+            if (repayValueBNB > this.config.maxLiquidationSize) {
+                repayAmount = convertBNBToAmount(this.config.maxLiquidationSize, pair.debtPosition.priceUSD, bnbPriceUSD);
+            }
+
+            // Collateral the protocol pays out for this repay (smaller repay if the collateral can't cover it)
+            const seize = pool.calculateSeize({
+                debtPosition: pair.debtPosition,
+                collateralPosition: pair.collateralPosition,
+                repayAmount,
+                liquidationIncentive: pair.liquidationIncentive,
+                treasuryPercent: params.treasuryPercent || 0n
+            });
+            repayAmount = seize.repayAmount;
+            const collateralReceived = seize.collateralReceived;
+            if (repayAmount === 0n || collateralReceived === 0n) {
+                return null;
+            }
+
+            // Pick flash + swap pools and quote the exact seized amount collateral → debt
+            const route = await this.poolSelector.selectRoute(
+                this.toSwapToken(pair.debtPosition.underlying),
+                this.toSwapToken(pair.collateralPosition.underlying),
+                repayAmount,
+                collateralReceived,
+                overrides
+            );
+            if (!route) {
+                log.info(`   No executable PancakeSwap V3 route for ${borrowerAddress}`);
+                return null;
+            }
+
+            const gasCostBNB = gasPrice * this.config.defaultGasLimit;
+            const gasCostInDebt = convertBNBToAmount(gasCostBNB, pair.debtPosition.priceUSD, bnbPriceUSD);
+
+            const profit = calculateQuotedLiquidationProfit(
+                repayAmount,
+                collateralReceived,
+                route.quotedAmountOut,
+                gasCostInDebt,
+                route.flashFeeAmount
+            );
+
+            // Bid part of the profit as gas, keeping at least minProfitThreshold
+            const grossProfitBNB = convertAmountToBNB(profit.grossProfit, pair.debtPosition.priceUSD, bnbPriceUSD);
+            const bidGasPrice = this.gasStrategy.calculateBid({
+                grossProfit: grossProfitBNB,
+                gasLimit: this.config.defaultGasLimit,
+                baseline: gasPrice,
+                minNetProfit: this.config.minProfitThreshold
+            });
+            const bidGasCostBNB = bidGasPrice * this.config.defaultGasLimit;
+            const profitBNB = grossProfitBNB > bidGasCostBNB ? grossProfitBNB - bidGasCostBNB : 0n;
+
+            if (!profit.isProfitable || profitBNB < this.config.minProfitThreshold) {
+                return null;
+            }
+
+            // On-chain guard: revert if the swap lands further below the quote than we tolerate
+            const minOutBps = calculateMinOutBps(
+                repayAmount + route.flashFeeAmount,
+                route.quotedAmountOut,
+                this.config.quoteSlippageBps
+            );
+            if (minOutBps === null) {
+                return null;
+            }
+
+            return {
+                borrower: borrowerAddress,
+                comptroller: pool.address,
+                pool: pool.name,
+                protocol: pool.protocol,
+                executable: pool.supportsFlashLiquidation,
+                // Direct call for protocols the flash contract can't liquidate
+                liquidationCall: pool.supportsFlashLiquidation ? null : pool.encodeLiquidationCall({
+                    borrower: borrowerAddress,
+                    debtPosition: pair.debtPosition,
+                    collateralPosition: pair.collateralPosition,
+                    repayAmount
+                }),
+                debtToken: pair.debtPosition.underlying === 'BNB' ? ethers.ZeroAddress : pair.debtPosition.underlying,
+                collateralToken: pair.collateralPosition.underlying === 'BNB' ? ethers.ZeroAddress : pair.collateralPosition.underlying,
+                vDebtToken: pair.debtPosition.vToken,
+                vCollateralToken: pair.collateralPosition.vToken,
+                repayAmount,
+                expectedProfit: profitBNB,
+                expectedProfitBreakdown: profit.breakdown,
+                // To value the contract's profit (paid in the debt token) once mined
+                debtPriceUSD: pair.debtPosition.priceUSD,
+                bnbPriceUSD,
+                gasPrice: bidGasPrice,
+                baselineGasPrice: gasPrice,
+                shortfall: account.shortfall,
+                flashFee: route.flashFee,
+                swapFee: route.swapFee,
+                quotedAmountOut: route.quotedAmountOut,
+                minOutBps,
+                pairScore: pair.score,
+                candidateCount: candidates.length,
+                blockNumber: blockTag
+            };
+
+        } catch (error) {
+            log.error(`Error checking ${borrowerAddress}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * What a mined liquidation actually earned: the profit the contract paid out
+     * (LiquidationExecuted, in the debt token) valued in BNB at detection prices.
+     * Gas is not deducted
+     * @returns {bigint|null} null when the receipt has no LiquidationExecuted log
+     */
+    getRealizedProfit(opportunity, receipt) {
+        const contractAddress = this.liquidationContract.target.toLowerCase();
+        for (const entry of receipt.logs || []) {
+            if (entry.address.toLowerCase() !== contractAddress) continue;
+            const parsed = this.liquidationContract.interface.parseLog(entry);
+            if (parsed?.name === 'LiquidationExecuted') {
+                return convertAmountToBNB(parsed.args.profit, opportunity.debtPriceUSD, opportunity.bnbPriceUSD);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Execute liquidation through the flash-swap contract
+     * @returns {Promise<boolean>} True if the liquidation was mined successfully
+     */
+    async executeLiquidation(opportunity) {
+        try {
+            log.info(this.config.dryRun ? `\n📝 SIMULATING LIQUIDATION (dry run)` : `\n⚡ EXECUTING LIQUIDATION`, {
+                borrower: opportunity.borrower,
+                repayAmount: ethers.formatEther(opportunity.repayAmount),
+                expectedProfitBnb: ethers.formatEther(opportunity.expectedProfit)
+            });
+
+            // The opportunity reflects opportunity.blockNumber; recompute it if the chain has moved on since
+            const currentBlock = await this.provider.getBlockNumber();
+            if (currentBlock - opportunity.blockNumber > this.config.maxOpportunityAgeBlocks) {
+                const refreshed = await this.checkPoolOpportunity(this.getPool(opportunity.comptroller), opportunity.borrower, currentBlock);
+                if (!refreshed) {
+                    log.info(`Opportunity from block ${opportunity.blockNumber} is gone at block ${currentBlock}, skipping.`);
+                    this.emit('opportunityStale', { opportunity, currentBlock });
+                    return false;
+                }
+                log.info(`   Re-checked at block ${currentBlock} (found at ${opportunity.blockNumber})`);
+                Object.assign(opportunity, refreshed);
+            }
+
+            const stillValid = await verifyLiquidatable(this.getPool(opportunity.comptroller).comptroller, opportunity.borrower, { blockTag: opportunity.blockNumber });
+            if (!stillValid) {
+                log.info('Position no longer liquidatable, skipping.');
+                return false;
+            }
+
+            // Use dynamic gas estimation with fallback
+            const gasLimit = await this.estimateGasForLiquidation(opportunity);
+
+            // Pre-flight: never pay gas for a tx that reverts against pending state
+            const simulation = await this.simulateLiquidation(opportunity, gasLimit);
+
+            if (this.config.dryRun) {
+                return this.recordPaperTrade(opportunity, gasLimit, simulation);
+            }
+
+            if (!simulation.success) {
+                log.info(`🚫 Simulation failed [${simulation.category}]: ${simulation.error} - dropping ${opportunity.borrower}`);
+                this.emit('simulationFailed', { opportunity, reason: simulation.error, category: simulation.category });
+                return false;
+            }
+
+            // Execute liquidation via our contract (nonce, speed-up and cancel handled by txManager)
+            const txRequest = await this.liquidationContract.executeLiquidation.populateTransaction(
+                opportunity.borrower,
+                opportunity.debtToken,
+                opportunity.collateralToken,
+                opportunity.vDebtToken,
+                opportunity.vCollateralToken,
+                opportunity.repayAmount,
+                opportunity.flashFee,
+                opportunity.swapFee,
+                opportunity.minOutBps
+            );
+
+            const submitter = selectSubmitter(this.submissionRoutes, opportunity.expectedProfit);
+            this.pendingLiquidation = opportunity;
+            const result = await this.txManager.send(txRequest, {
+                gasLimit,
+                gasPrice: opportunity.gasPrice,
+                label: opportunity.borrower,
+                submitter
+            });
+            log.info(`   📤 TX ${result.status} via ${submitter.name}: ${result.hash} (${result.attempts} attempt(s))`);
+
+            if (result.status !== 'mined') {
+                throw new Error(`Transaction ${result.status}: ${result.hash}`);
+            }
+            const receipt = result.receipt;
+
+            this.liquidationCount++;
+            const realizedProfit = this.getRealizedProfit(opportunity, receipt);
+            if (realizedProfit === null) {
+                log.warn(`⚠️  No LiquidationExecuted event in ${receipt.hash}, realized profit unknown`);
+            }
+            this.totalProfit += realizedProfit ?? 0n;
+
+            // Record liquidation in database
+            if (this.borrowerDB.isEnabled) {
+                this.borrowerDB.recordLiquidation(
+                    receipt.hash,
+                    opportunity.borrower,
+                    opportunity.debtToken,
+                    opportunity.collateralToken,
+                    opportunity.repayAmount,
+                    realizedProfit ?? 0n,
+                    receipt.gasUsed
+                );
+            }
+
+            log.info(`\n✅ LIQUIDATION SUCCESSFUL!`, {
+                borrower: opportunity.borrower,
+                txHash: receipt.hash,
+                gasUsed: receipt.gasUsed,
+                realizedProfitBnb: realizedProfit === null ? null : ethers.formatEther(realizedProfit),
+                liquidationCount: this.liquidationCount,
+                totalProfitBnb: ethers.formatEther(this.totalProfit)
+            });
+
+            this.emit('liquidationExecuted', {
+                opportunity,
+                receipt,
+                realizedProfit,
+                liquidationCount: this.liquidationCount,
+                totalProfit: this.totalProfit
+            });
+
+            return true;
+
+        } catch (error) {
+            const errorMsg = error.reason || error.message || 'Unknown error';
+            log.error(`❌ Liquidation failed: ${errorMsg}`, { borrower: opportunity.borrower });
+
+            this.emit('liquidationFailed', { opportunity, reason: errorMsg });
+            return false;
+        } finally {
+            this.pendingLiquidation = null;
+        }
+    }
+
+    /**
+     * Simulate executeLiquidation with eth_call from the owner wallet at the pending block
+     * @returns {Promise<Object>} { success, error, category }
+     */
+    async simulateLiquidation(opportunity, gasLimit) {
+        try {
+            await this.liquidationContract.executeLiquidation.staticCall(
+                opportunity.borrower,
+                opportunity.debtToken,
+                opportunity.collateralToken,
+                opportunity.vDebtToken,
+                opportunity.vCollateralToken,
+                opportunity.repayAmount,
+                opportunity.flashFee,
+                opportunity.swapFee,
+                opportunity.minOutBps,
+                {
+                    gasLimit: gasLimit,
+                    gasPrice: opportunity.gasPrice,
+                    blockTag: 'pending'
+                }
+            );
+            return { success: true, error: null, category: null };
+        } catch (error) {
+            const reason = decodeRevertReason(error, this.liquidationContract.interface);
+            return { success: false, error: reason, category: classifyRevert(reason) };
+        }
+    }
+
+    /**
+     * Dry-run path: persist the would-be trade with its simulation result
+     * @returns {Promise<boolean>} True if the simulation succeeded
+     */
+    async recordPaperTrade(opportunity, gasLimit, simulation) {
+        const blockNumber = await this.provider.getBlockNumber();
+
+        this.paperTradeCount++;
+        if (simulation.success) {
+            this.paperProfit += opportunity.expectedProfit;
+        }
+
+        this.borrowerDB.recordPaperTrade({
+            borrower: opportunity.borrower,
+            debtToken: opportunity.debtToken,
+            collateralToken: opportunity.collateralToken,
+            vDebtToken: opportunity.vDebtToken,
+            vCollateralToken: opportunity.vCollateralToken,
+            repayAmount: opportunity.repayAmount,
+            expectedProfit: opportunity.expectedProfit,
+            gasLimit,
+            gasPrice: opportunity.gasPrice,
+            minOutBps: opportunity.minOutBps,
+            simulatedSuccess: simulation.success,
+            simulationError: simulation.error,
+            blockNumber
+        });
+
+        log.info(`📝 PAPER TRADE (block ${blockNumber}): ${simulation.success ? '✅ simulation passed' : `❌ simulation reverted [${simulation.category}]: ${simulation.error}`}`, {
+            borrower: opportunity.borrower,
+            paperTrades: this.paperTradeCount,
+            paperProfitBnb: ethers.formatEther(this.paperProfit)
+        });
+
+        this.emit('paperTrade', { opportunity, simulation, blockNumber, gasLimit });
+        return simulation.success;
+    }
+
+    /**
+     * Run one monitoring cycle: safety checks, borrower maintenance, checks and execution
+     * Every log line of the cycle (checks, execution, tx handling) carries its cycleId
+     * @param {number} [blockNumber] - Block that triggered the cycle (block-driven scanning)
+     */
+    async monitorPositions(blockNumber = null) {
+        const context = blockNumber === null ? { cycleId: newCorrelationId('scan') } : { cycleId: newCorrelationId('scan'), blockNumber };
+        return this.runExclusive(() => withContext(context, () => this.runScanCycle(blockNumber)));
+    }
+
+    /**
+     * Serialize scans so polled and price-triggered cycles never execute side by side
+     */
+    runExclusive(task) {
+        const run = this.scanQueue.then(task);
+        this.scanQueue = run.catch(() => {});
+        return run;
+    }
+
+    async runScanCycle(blockNumber = null) {
+        log.info(`\n🔍 Scanning for liquidation opportunities...`);
+        const startTs = Date.now();
+
+        // Check circuit breaker before proceeding
+        if (!this.circuitBreaker.isOperational()) {
+            const reason = this.circuitBreaker.getStatus().tripReason;
+            log.warn(`⚠️  Circuit breaker tripped, skipping monitoring cycle for safety: ${reason}`);
+            this.emit('scanSkipped', { reason });
+            return;
+        }
+
+        // Perform price safety check at the block every read of the cycle is pinned to
+        const blockTag = blockNumber ?? await this.provider.getBlockNumber();
+        const pricesOk = await this.circuitBreaker.checkPrices({ blockTag });
+        if (!pricesOk) {
+            const reason = this.circuitBreaker.getStatus().tripReason;
+            this.emit('circuitBreakerTripped', { reason });
+            this.emit('scanSkipped', { reason });
+            return;
+        }
+
+        this.emit('scanStarted');
+
+        await this.maintainMarkets();
+        await this.maintainBorrowers();
+
+        try {
+            // Borrowers whose thresholds were just crossed go first, on top of the scheduled batch
+            const triggered = this.getPriceTriggeredBorrowers();
+            const scheduled = await this.getActiveBorrowers();
+            const triggeredKeys = new Set(triggered.map(borrower => borrower.toLowerCase()));
+            const borrowers = [...triggered, ...scheduled.filter(borrower => !triggeredKeys.has(borrower.toLowerCase()))];
+
+            log.info(`   Found ${borrowers.length} active borrowers`);
+
+            await this.scanBorrowers(borrowers, startTs, 'poll', blockTag);
+
+            if (this.config.dryRun) {
+                await this.recordOnChainLiquidations(blockTag);
+            }
+        } catch (error) {
+            log.error(`❌ Monitoring error: ${error.message}`);
+            this.emit('scanError', error);
+        }
+    }
+
+    /**
+     * Check the given borrowers, refresh their health factors and execute what's profitable
+     * All reads of the cycle are pinned to one block (the triggering block, or the current one)
+     */
+    async scanBorrowers(borrowers, startTs, trigger, blockNumber = null) {
+        const blockTag = blockNumber ?? await this.provider.getBlockNumber();
+
+        // Health factors first: the same account read tells which borrowers have a shortfall,
+        // and their positions are loaded in one batch per pool for the checks below
+        const shortfalls = await this.refreshHealthFactors(borrowers, blockTag);
+        const positions = await this.loadShortfallPositions(shortfalls, blockTag);
+
+        // Rate-limit concurrent checks to avoid overwhelming RPC provider
+        const limit = pLimit(this.config.maxConcurrentChecks);
+
+        // Check borrowers in parallel with concurrency limit
+        const results = await Promise.all(borrowers.map(borrower =>
+            limit(() => withContext({ borrower }, async () => {
+                if (!this.isRunning) return null;
+                return this.checkLiquidationOpportunity(borrower, blockTag, positions);
+            }))
+        ));
+        const opportunities = results.filter(opp => opp !== null);
+
+        // Execute liquidations sequentially (safer for transactions)
+        for (const opportunity of opportunities) {
+            if (!this.isRunning) break;
+
+            opportunity.cycleId = getContext().cycleId;
+            log.info(`\n💡 LIQUIDATION OPPORTUNITY FOUND!`, {
+                borrower: opportunity.borrower,
+                pool: opportunity.pool,
+                shortfallUsd: ethers.formatEther(opportunity.shortfall),
+                expectedProfitBnb: ethers.formatEther(opportunity.expectedProfit),
+                blockNumber: opportunity.blockNumber
+            });
+
+            if (opportunity.executable === false) {
+                log.info(`   ${opportunity.pool} (${opportunity.protocol}) can't be liquidated by BSC_LiquidationV3 - reported only`);
+                this.emit('opportunityReported', opportunity);
+                continue;
+            }
+            this.emit('opportunityFound', opportunity);
+
+            const success = await withContext({ borrower: opportunity.borrower }, () => this.executeLiquidation(opportunity));
+
+            if (success && !this.config.dryRun) {
+                // Wait a bit after successful liquidation
+                await new Promise(resolve => setTimeout(resolve, this.config.postLiquidationDelayMs));
+            }
+        }
+
+        this.emit('scanCompleted', {
+            borrowersScanned: borrowers.length,
+            opportunitiesFound: opportunities.length,
+            durationMs: Date.now() - startTs,
+            trigger,
+            cycleId: getContext().cycleId,
+            blockNumber: blockTag
+        });
+    }
+
+    /**
+     * Queue markets reported by the oracle listener; updates in the same block
+     * are coalesced into one scan
+     */
+    handlePriceUpdate(vTokens) {
+        vTokens.forEach(vToken => this.pendingPriceMarkets.add(vToken));
+        if (this.priceUpdateTimer) {
+            return;
+        }
+        this.priceUpdateTimer = setTimeout(() => {
+            this.priceUpdateTimer = null;
+            const markets = Array.from(this.pendingPriceMarkets);
+            this.pendingPriceMarkets.clear();
+            this.runExclusive(() => withContext({ cycleId: newCorrelationId('price') }, () => this.scanPriceUpdate(markets))).catch(() => {});
+        }, this.config.priceUpdateDebounceMs);
+    }
+
+    /**
+     * Attach LiquidateBorrow events on tracked markets since the last cycle to
+     * matching paper trades (with or without the event monitor)
+     * @param {number} blockTag - The scan cycle's block
+     */
+    async recordOnChainLiquidations(blockTag) {
+        const fromBlock = this.lastLiquidationLogBlock ? this.lastLiquidationLogBlock + 1 : Math.max(blockTag - 500, 0);
+        if (fromBlock > blockTag) {
+            return;
+        }
+
+        try {
+            const logs = await this.provider.getLogs({
+                address: Object.values(this.markets),
+                topics: [LIQUIDATE_BORROW_TOPIC],
+                fromBlock,
+                toBlock: blockTag
+            });
+            this.lastLiquidationLogBlock = blockTag;
+
+            for (const entry of logs) {
+                const { liquidator, borrower } = VTOKEN_EVENTS.parseLog(entry).args;
+                if (this.borrowerDB.recordOnChainLiquidation(borrower, liquidator, entry.transactionHash, entry.blockNumber)) {
+                    log.info(`   ⚡ On-chain liquidation of ${borrower} by ${liquidator} matched to paper trades`);
+                }
+            }
+        } catch (error) {
+            log.warn(`⚠️  Error fetching liquidation events: ${error.message}`);
+        }
+    }
+
+    /**
+     * Out-of-cycle scan of borrowers exposed to markets whose price just updated
+     * Crossed thresholds first, then lowest known health factor, capped at maxBorrowersPerScan
+     */
+    async scanPriceUpdate(markets) {
+        if (!this.isRunning || this.isShuttingDown || !this.circuitBreaker.isOperational()) {
+            return;
+        }
+        const startTs = Date.now();
+
+        try {
+            const blockTag = await this.provider.getBlockNumber();
+            const prices = await this.getMarketPrices(markets, { blockTag });
+            const triggered = this.priceTriggers.findTriggered(prices);
+            const triggeredKeys = new Set(triggered.map(borrower => borrower.toLowerCase()));
+            const exposed = this.scheduler.sortByRisk(
+                this.priceTriggers.getExposed(markets).filter(borrower => !triggeredKeys.has(borrower.toLowerCase()))
+            );
+            const borrowers = [
+                ...triggered,
+                ...exposed.slice(0, Math.max(this.config.maxBorrowersPerScan - triggered.length, 0))
+            ];
+            if (!borrowers.length) {
+                return;
+            }
+
+            log.info(`\n🔮 Oracle update for ${markets.length} market(s): scanning ${borrowers.length} exposed borrowers`);
+            if (triggered.length) {
+                this.emit('priceTriggered', { borrowers: triggered });
+            }
+            this.emit('priceUpdateScan', { markets, borrowers });
+
+            await this.scanBorrowers(borrowers, startTs, 'price', blockTag);
+        } catch (error) {
+            log.error(`❌ Price update scan error: ${error.message}`);
+            this.emit('scanError', error);
+        }
+    }
+
+    /**
+     * Periodic check for newly listed markets
+     */
+    async maintainMarkets() {
+        const { discoverMarkets, marketRefreshIntervalMs } = this.config;
+        if (!discoverMarkets || Date.now() - this.marketRegistry.lastRefreshTs < marketRefreshIntervalMs) {
+            return;
+        }
+
+        await this.discoverIsolatedPools();
+        for (const pool of this.getVenusPools()) {
+            try {
+                await pool.marketRegistry.refresh();
+            } catch (error) {
+                log.error(`❌ Market refresh error (${pool.name}): ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Periodic pruning and historical catch-up of the event-monitored borrower set
+     */
+    async maintainBorrowers() {
+        if (!this.config.useEventMonitoring) {
+            return;
+        }
+
+        const now = Date.now();
+        if (now - this.lastPruningTs > this.config.borrowerPruningIntervalMs) {
+            try {
+                await this.eventMonitor.pruneBorrowers(this.multicallHelper);
+                this.lastPruningTs = now;
+            } catch (error) {
+                log.error(`❌ Pruning error: ${error.message}`);
+            }
+        }
+
+        // Periodic large historical catch (to catch any missed events)
+        const { historicalCatchIntervalMs, historicalCatchBlocks } = this.config;
+        if (historicalCatchIntervalMs > 0 && now - this.lastHistoricalCatchTs > historicalCatchIntervalMs) {
+            try {
+                const currentBlock = await this.provider.getBlockNumber();
+                const fromBlock = Math.max(currentBlock - historicalCatchBlocks, 0);
+                log.info(`📜 Running periodic historical catch (${fromBlock} to ${currentBlock})...`);
+                await this.eventMonitor.getHistoricalBorrowers(fromBlock, currentBlock);
+                this.lastHistoricalCatchTs = now;
+            } catch (error) {
+                log.error(`❌ Historical catch error: ${error.message}`);
+            }
+        }
+    }
+}
+
+function convertAmountToBNB(amount, tokenPriceUSD, bnbPriceUSD) {
+    if (!tokenPriceUSD || !bnbPriceUSD) return 0n;
+    const valueUSD = (amount * tokenPriceUSD) / ONE;
+    return (valueUSD * ONE) / bnbPriceUSD;
+}
+
+function convertBNBToAmount(bnbAmount, tokenPriceUSD, bnbPriceUSD) {
+    if (!tokenPriceUSD || !bnbPriceUSD) return bnbAmount;
+    const valueUSD = (bnbAmount * bnbPriceUSD) / ONE;
+    return (valueUSD * ONE) / tokenPriceUSD;
+}
+
+module.exports = LiquidationEngine;
+module.exports.DEFAULT_CONFIG = DEFAULT_CONFIG;
+module.exports.VENUS_COMPTROLLER = VENUS_COMPTROLLER;
+module.exports.VENUS_ORACLE = VENUS_ORACLE;
+module.exports.VENUS_MARKETS = VENUS_MARKETS;
+module.exports.NETWORK = NETWORK;
@@ -0,0 +1,165 @@
+/**
+ * helpers/liquidationThresholds.js
+ *
+ * Per-borrower oracle price thresholds
+ * For every market a borrower uses, the price at which (all else equal) their
+ * health factor would drop to the liquidation threshold. Collateral-heavy
+ * markets trigger when the price falls to the threshold, debt-heavy markets
+ * when it rises to it.
+ */
+
+const { ethers } = require("ethers");
+
+const ONE = ethers.parseEther("1");
+
+/**
+ * Compute price thresholds for one borrower
+ *
+ * With c_i the risk-adjusted collateral value and b_i the borrow value in market i,
+ * C / B the totals and T the target health factor, scaling price i by x gives
+ *   (C - c_i + c_i·x) / (B - b_i + b_i·x) = T
+ *   x = (T·(B - b_i) - (C - c_i)) / (c_i - T·b_i)
+ *
+ * @param {Object} params
+ * @param {Array} params.positions - [{ vToken, price, collateralUSD, borrowUSD }] (collateralUSD already × CF)
+ * @param {BigInt} params.totalCollateralUSD - Risk-adjusted collateral C
+ * @param {BigInt} params.totalBorrowUSD - Total borrows B
+ * @param {BigInt} params.targetHealthFactor - T (18 decimals)
+ * @returns {Array} [{ vToken, currentPrice, thresholdPrice, direction: 'down'|'up' }]
+ */
+function computePriceThresholds({ positions, totalCollateralUSD, totalBorrowUSD, targetHealthFactor }) {
+    const thresholds = [];
+    if (totalBorrowUSD === 0n) {
+        return thresholds;
+    }
+
+    for (const { vToken, price, collateralUSD, borrowUSD } of positions) {
+        if (price === 0n || (collateralUSD === 0n && borrowUSD === 0n)) {
+            continue;
+        }
+
+        const numerator = (targetHealthFactor * (totalBorrowUSD - borrowUSD)) / ONE - (totalCollateralUSD - collateralUSD);
+        const denominator = collateralUSD - (targetHealthFactor * borrowUSD) / ONE;
+        if (denominator === 0n) {
+            continue;
+        }
+
+        // Price moves can't go below zero: a non-positive ratio means this market alone can't liquidate them
+        const sameSign = (numerator > 0n) === (denominator > 0n);
+        if (!sameSign || numerator === 0n) {
+            continue;
+        }
+
+        thresholds.push({
+            vToken,
+            currentPrice: price,
+            thresholdPrice: (price * numerator) / denominator,
+            direction: denominator > 0n ? 'down' : 'up'
+        });
+    }
+
+    return thresholds;
+}
+
+/**
+ * Index of thresholds and market exposure for quick "who is affected?" lookups
+ */
+class PriceTriggerIndex {
+    constructor() {
+        this.byMarket = new Map();   // vToken (lowercase) -> Map(borrower -> { thresholdPrice, direction })
+        this.exposure = new Map();   // vToken (lowercase) -> Set(borrower)
+        this.byBorrower = new Map(); // borrower -> [vToken (lowercase)]
+    }
+
+    /**
+     * Replace a borrower's thresholds and market exposure
+     * @param {string} borrower
+     * @param {Array} thresholds - From computePriceThresholds
+     * @param {string[]} [exposedMarkets] - Every market they supply or borrow (thresholds always count)
+     */
+    update(borrower, thresholds, exposedMarkets = []) {
+        this.remove(borrower);
+
+        const markets = new Set(exposedMarkets.map(vToken => vToken.toLowerCase()));
+        for (const { vToken, thresholdPrice, direction } of thresholds) {
+            const key = vToken.toLowerCase();
+            if (!this.byMarket.has(key)) {
+                this.byMarket.set(key, new Map());
+            }
+            this.byMarket.get(key).set(borrower, { thresholdPrice, direction });
+            markets.add(key);
+        }
+        for (const key of markets) {
+            if (!this.exposure.has(key)) {
+                this.exposure.set(key, new Set());
+            }
+            this.exposure.get(key).add(borrower);
+        }
+        this.byBorrower.set(borrower, Array.from(markets));
+    }
+
+    remove(borrower) {
+        for (const key of this.byBorrower.get(borrower) || []) {
+            const entries = this.byMarket.get(key);
+            if (entries) {
+                entries.delete(borrower);
+                if (entries.size === 0) {
+                    this.byMarket.delete(key);
+                }
+            }
+            const exposed = this.exposure.get(key);
+            if (exposed) {
+                exposed.delete(borrower);
+                if (exposed.size === 0) {
+                    this.exposure.delete(key);
+                }
+            }
+        }
+        this.byBorrower.delete(borrower);
+    }
+
+    /**
+     * Borrowers whose threshold has been crossed by the given prices
+     * @param {Object|Map} prices - vToken -> current oracle price
+     * @returns {string[]} Affected borrowers
+     */
+    findTriggered(prices) {
+        const entries = prices instanceof Map ? prices.entries() : Object.entries(prices);
+        const triggered = new Set();
+
+        for (const [vToken, price] of entries) {
+            const market = this.byMarket.get(vToken.toLowerCase());
+            if (!market) continue;
+
+            for (const [borrower, { thresholdPrice, direction }] of market) {
+                if ((direction === 'down' && price <= thresholdPrice) || (direction === 'up' && price >= thresholdPrice)) {
+                    triggered.add(borrower);
+                }
+            }
+        }
+
+        return Array.from(triggered);
+    }
+
+    /**
+     * Borrowers with a position in any of the given markets
+     */
+    getExposed(vTokens) {
+        const exposed = new Set();
+        for (const vToken of vTokens) {
+            for (const borrower of this.exposure.get(vToken.toLowerCase()) || []) {
+                exposed.add(borrower);
+            }
+        }
+        return Array.from(exposed);
+    }
+
+    get size() {
+        return this.byBorrower.size;
+    }
+}
+
+module.exports = {
+    computePriceThresholds,
+    PriceTriggerIndex
+};
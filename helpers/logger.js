@@ -0,0 +1,143 @@
+/**
+ * helpers/logger.js
+ *
+ * Leveled, module-tagged logging with an optional JSON output
+ * LOG_FORMAT=text (default) keeps the familiar one-line emoji messages prefixed
+ * with the module tag; LOG_FORMAT=json writes one object per line for log
+ * shippers. Context set with withContext() (e.g. the scan cycle id) follows the
+ * async call chain and is attached to every JSON line logged inside it (text
+ * lines show the cycle id as a tag)
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const FORMATS = ['text', 'json'];
+
+const settings = {
+    level: LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info',
+    format: FORMATS.includes(process.env.LOG_FORMAT) ? process.env.LOG_FORMAT : 'text',
+    // level -> line writer; warn/error go to stderr like console.warn/error
+    write: (level, line) => (level === 'warn' || level === 'error' ? console.error(line) : console.log(line))
+};
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * @param {Object} options - { level, format, write }
+ * @returns {Object} Previous settings (pass back to configure() to restore)
+ */
+function configure(options = {}) {
+    const previous = { ...settings };
+    if (options.level !== undefined) {
+        if (LEVELS[options.level] === undefined) throw new Error(`Unknown log level "${options.level}"`);
+        settings.level = options.level;
+    }
+    if (options.format !== undefined) {
+        if (!FORMATS.includes(options.format)) throw new Error(`Unknown log format "${options.format}"`);
+        settings.format = options.format;
+    }
+    if (options.write) {
+        settings.write = options.write;
+    }
+    return previous;
+}
+
+/**
+ * Run fn with extra fields on every log line inside it (nested contexts merge)
+ */
+function withContext(fields, fn) {
+    return contextStorage.run({ ...getContext(), ...fields }, fn);
+}
+
+function getContext() {
+    return contextStorage.getStore() || {};
+}
+
+/**
+ * Short random id, e.g. "scan-3f9a1c2e"
+ */
+function newCorrelationId(prefix) {
+    return `${prefix}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function toJSONValue(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (value instanceof Error) return { message: value.message, code: value.code, stack: value.stack };
+    return value;
+}
+
+function formatText(value) {
+    if (value instanceof Error) return value.message;
+    if (value && typeof value === 'object') return JSON.stringify(value, (key, v) => toJSONValue(v));
+    return String(value);
+}
+
+class Logger {
+    /**
+     * @param {string} module - Tag on every line (e.g. 'eventMonitor')
+     * @param {Object} [fields] - Bound fields (see child())
+     */
+    constructor(module, fields = {}) {
+        this.module = module;
+        this.fields = fields;
+    }
+
+    /**
+     * Logger with extra fields on every line (same module tag)
+     */
+    child(fields) {
+        return new Logger(this.module, { ...this.fields, ...fields });
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[settings.level];
+    }
+
+    log(level, message, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+        const context = getContext();
+
+        if (settings.format === 'json') {
+            const entry = { ts: new Date().toISOString(), level, module: this.module, msg: message.trim(), ...context, ...this.fields, ...fields };
+            settings.write(level, JSON.stringify(entry, (key, value) => toJSONValue(value)));
+            return;
+        }
+
+        // Text lines stay short: of the context only the cycle id is shown (as a tag)
+        const tag = context.cycleId ? `[${this.module}] [${context.cycleId}]` : `[${this.module}]`;
+        const extra = Object.entries({ ...this.fields, ...fields })
+            .filter(([, value]) => value !== undefined)
+            .map(([key, value]) => ` ${key}=${formatText(value)}`)
+            .join('');
+        // Keep leading blank lines of sectioned messages ahead of the tag
+        const [, lead, body] = message.match(/^(\n*)([\s\S]*)$/);
+        settings.write(level, `${lead}${tag} ${body}${extra}`);
+    }
+
+    debug(message, fields) { this.log('debug', message, fields); }
+    info(message, fields) { this.log('info', message, fields); }
+    warn(message, fields) { this.log('warn', message, fields); }
+    error(message, fields) { this.log('error', message, fields); }
+}
+
+/**
+ * @param {string} module - Module tag
+ */
+function createLogger(module) {
+    return new Logger(module);
+}
+
+module.exports = {
+    LEVELS,
+    FORMATS,
+    Logger,
+    createLogger,
+    configure,
+    withContext,
+    getContext,
+    newCorrelationId
+};
@@ -0,0 +1,155 @@
+/**
+ * helpers/marketRegistry.js
+ *
+ * Venus market discovery from the Comptroller
+ * Lists markets via getAllMarkets(), caches per-market metadata (symbol,
+ * underlying, decimals) and applies the configured allow/deny lists. The
+ * `markets` map (symbol -> vToken) is updated in place so every component
+ * holding a reference sees newly listed markets
+ */
+
+const { EventEmitter } = require('events');
+const { ethers } = require("ethers");
+const { createLogger } = require('./logger');
+
+const log = createLogger('marketRegistry');
+
+const VTOKEN_METADATA_ABI = [
+    "function symbol() external view returns (string)",
+    "function underlying() external view returns (address)"
+];
+
+const ERC20_METADATA_ABI = [
+    "function symbol() external view returns (string)",
+    "function decimals() external view returns (uint8)"
+];
+
+/**
+ * Parse a comma-separated list of market symbols or vToken addresses
+ */
+function parseMarketList(value) {
+    return (value || "").split(",").map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Events:
+ *   marketsAdded [{ symbol, address }] - markets that passed the filters for the first time
+ */
+class MarketRegistry extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.comptroller - Comptroller contract (getAllMarkets)
+     * @param {Object} options.provider - Provider for metadata reads
+     * @param {Object} [options.oracle] - Price oracle; markets it can't price are skipped
+     * @param {Object} [options.markets] - Seed map of symbol -> vToken, updated in place
+     * @param {string[]} [options.allowList] - Only these symbols/addresses (empty = all)
+     * @param {string[]} [options.denyList] - Never these symbols/addresses
+     */
+    constructor({ comptroller, provider, oracle = null, markets = {}, allowList = [], denyList = [] }) {
+        super();
+        this.comptroller = comptroller;
+        this.provider = provider;
+        this.oracle = oracle;
+        this.markets = markets;
+        this.allowList = new Set(allowList.map(item => item.toLowerCase()));
+        this.denyList = new Set(denyList.map(item => item.toLowerCase()));
+        this.metadata = new Map(); // vToken (lowercase) -> { address, symbol, underlying, underlyingSymbol, underlyingDecimals }
+        this.seen = new Set();     // vTokens (lowercase) already added or filtered out for good
+        this.lastRefreshTs = 0;
+
+        // Filters apply to the seed map too
+        for (const [symbol, address] of Object.entries(this.markets)) {
+            if (!this.isAllowed(symbol, address)) {
+                delete this.markets[symbol];
+            }
+        }
+    }
+
+    isAllowed(symbol, address) {
+        const keys = [symbol.toLowerCase(), address.toLowerCase()];
+        if (keys.some(key => this.denyList.has(key))) {
+            return false;
+        }
+        return this.allowList.size === 0 || keys.some(key => this.allowList.has(key));
+    }
+
+    /**
+     * Metadata for one market, read once and cached
+     * vBNB has no underlying(): it is reported as the zero address with 18 decimals
+     */
+    async getMetadata(address) {
+        const key = address.toLowerCase();
+        if (this.metadata.has(key)) {
+            return this.metadata.get(key);
+        }
+
+        const vToken = new ethers.Contract(address, VTOKEN_METADATA_ABI, this.provider);
+        const [symbol, underlying] = await Promise.all([
+            vToken.symbol(),
+            vToken.underlying().catch(() => ethers.ZeroAddress)
+        ]);
+
+        let underlyingSymbol = 'BNB';
+        let underlyingDecimals = 18;
+        if (underlying !== ethers.ZeroAddress) {
+            const token = new ethers.Contract(underlying, ERC20_METADATA_ABI, this.provider);
+            const [tokenSymbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+            underlyingSymbol = tokenSymbol;
+            underlyingDecimals = Number(decimals);
+        }
+
+        const metadata = { address, symbol, underlying, underlyingSymbol, underlyingDecimals };
+        this.metadata.set(key, metadata);
+        return metadata;
+    }
+
+    /**
+     * Re-list markets from the Comptroller and add new ones
+     * @returns {Array} Newly added [{ symbol, address }]
+     */
+    async refresh() {
+        const listed = await this.comptroller.getAllMarkets();
+        Object.values(this.markets).forEach(address => this.seen.add(address.toLowerCase()));
+        const added = [];
+
+        for (const address of listed) {
+            if (this.seen.has(address.toLowerCase())) {
+                continue;
+            }
+            try {
+                const { symbol } = await this.getMetadata(address);
+                if (!this.isAllowed(symbol, address)) {
+                    this.seen.add(address.toLowerCase());
+                    continue;
+                }
+                if (this.markets[symbol]) {
+                    // Symbols aren't unique across Venus' history - keep the first
+                    log.warn(`⚠️  Skipping ${address}: symbol ${symbol} already mapped to ${this.markets[symbol]}`);
+                    this.seen.add(address.toLowerCase());
+                    continue;
+                }
+                // A market without a price would trip the circuit breaker on every check.
+                // Not marked seen: it is retried on the next refresh, once its oracle is configured
+                if (this.oracle && (await this.oracle.getUnderlyingPrice(address)) === 0n) {
+                    log.warn(`⚠️  Skipping ${symbol}: oracle price is zero`);
+                    continue;
+                }
+                this.seen.add(address.toLowerCase());
+                this.markets[symbol] = address;
+                added.push({ symbol, address });
+            } catch (error) {
+                log.error(`   Error reading market ${address} (retried next refresh): ${error.message}`);
+            }
+        }
+
+        this.lastRefreshTs = Date.now();
+        if (added.length) {
+            log.info(`🏦 Discovered ${added.length} market(s): ${added.map(m => m.symbol).join(', ')}`);
+            this.emit('marketsAdded', added);
+        }
+        return added;
+    }
+}
+
+module.exports = MarketRegistry;
+module.exports.parseMarketList = parseMarketList;
@@ -0,0 +1,438 @@
+/**
+ * helpers/metrics.js
+ *
+ * Prometheus metrics in the text exposition format (no client library needed)
+ * A Registry holds counters, gauges and histograms; collectors refresh
+ * point-in-time values (wallet balance, breaker state) on every scrape.
+ * instrumentEngine() turns LiquidationEngine events into the bot's metrics and
+ * instrumentProvider() times every JSON-RPC round trip per endpoint.
+ * /metrics is served by the dashboard (server.js) or by startMetricsServer()
+ * when the dashboard is off, behind DASHBOARD_API_KEY when it is set
+ */
+
+const http = require('http');
+const { ethers } = require("ethers");
+const { createLogger } = require('./logger');
+
+const log = createLogger('metrics');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const PREFIX = 'liquidation_bot_';
+
+const SCAN_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const RPC_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, { name, help, labelNames = [] }) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map(); // label key -> { labels, value }
+    }
+
+    key(labels) {
+        const unknown = Object.keys(labels).filter(label => !this.labelNames.includes(label));
+        if (unknown.length) {
+            throw new Error(`${this.name}: unknown label(s) ${unknown.join(', ')}`);
+        }
+        return JSON.stringify(this.labelNames.map(label => labels[label] ?? ''));
+    }
+
+    entry(labels, create) {
+        const key = this.key(labels);
+        if (!this.values.has(key)) {
+            const ordered = {};
+            this.labelNames.forEach(label => { ordered[label] = labels[label] ?? ''; });
+            this.values.set(key, { labels: ordered, ...create() });
+        }
+        return this.values.get(key);
+    }
+
+    get(labels = {}) {
+        return this.values.get(this.key(labels))?.value;
+    }
+
+    reset() {
+        this.values.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const { labels, value } of this.values.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${formatNumber(value)}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    inc(labels = {}, amount = 1) {
+        if (amount < 0) {
+            throw new Error(`${this.name}: counters only go up`);
+        }
+        this.entry(labels, () => ({ value: 0 })).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(options) {
+        super('gauge', options);
+    }
+
+    set(labels, value) {
+        this.entry(labels, () => ({ value: 0 })).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor({ buckets = SCAN_BUCKETS, ...options }) {
+        super('histogram', options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const entry = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    get(labels = {}) {
+        const entry = this.values.get(this.key(labels));
+        return entry && { sum: entry.sum, count: entry.count };
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const { labels, counts, sum, count } of this.values.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+        this.collectors = [];
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            const existing = this.metrics.get(metric.name);
+            if (existing.type !== metric.type) {
+                throw new Error(`Metric ${metric.name} already registered as a ${existing.type}`);
+            }
+            return existing;
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    get(name) {
+        return this.metrics.get(name);
+    }
+
+    /**
+     * Run fn before each scrape to refresh gauges; errors are logged, not thrown
+     */
+    addCollector(fn) {
+        this.collectors.push(fn);
+    }
+
+    /**
+     * @returns {Promise<string>} Exposition text for every metric
+     */
+    async render() {
+        await Promise.all(this.collectors.map(async (collect) => {
+            try {
+                await collect();
+            } catch (error) {
+                log.warn(`⚠️  Metrics collector failed: ${error.message}`);
+            }
+        }));
+        return `${Array.from(this.metrics.values(), metric => metric.render()).join('\n')}\n`;
+    }
+}
+
+// Shared by every module of the process (like the logger settings)
+const registry = new Registry();
+
+/**
+ * The bot's metric set, created once per registry
+ */
+function getBotMetrics(target = registry) {
+    return {
+        scanDuration: target.histogram({
+            name: `${PREFIX}scan_duration_seconds`,
+            help: 'Duration of scan cycles',
+            labelNames: ['trigger'],
+            buckets: SCAN_BUCKETS
+        }),
+        borrowersScanned: target.counter({
+            name: `${PREFIX}borrowers_scanned_total`,
+            help: 'Borrowers checked by scan cycles',
+            labelNames: ['trigger']
+        }),
+        opportunitiesFound: target.counter({
+            name: `${PREFIX}opportunities_found_total`,
+            help: 'Profitable liquidation opportunities found (executable=false: reported only)',
+            labelNames: ['protocol', 'executable']
+        }),
+        liquidationsExecuted: target.counter({
+            name: `${PREFIX}liquidations_executed_total`,
+            help: 'Liquidation transactions mined successfully'
+        }),
+        liquidationsFailed: target.counter({
+            name: `${PREFIX}liquidations_failed_total`,
+            help: 'Liquidations that failed (stage=simulation/stale: dropped before sending)',
+            labelNames: ['stage']
+        }),
+        paperTrades: target.counter({
+            name: `${PREFIX}paper_trades_total`,
+            help: 'Dry-run liquidations by simulation result',
+            labelNames: ['result']
+        }),
+        realizedProfit: target.counter({
+            name: `${PREFIX}realized_profit_bnb_total`,
+            help: 'Profit executed liquidations paid out per their LiquidationExecuted events, before gas (BNB)'
+        }),
+        expectedProfit: target.counter({
+            name: `${PREFIX}expected_profit_bnb_total`,
+            help: 'Profit executed liquidations were expected to make when found (BNB)'
+        }),
+        gasSpent: target.counter({
+            name: `${PREFIX}gas_spent_bnb_total`,
+            help: 'Gas paid by executed liquidations, gas used x effective gas price (BNB)'
+        }),
+        blockScanLag: target.histogram({
+            name: `${PREFIX}block_scan_lag_seconds`,
+            help: 'Time from block arrival to the end of its scan',
+            labelNames: ['source'],
+            buckets: SCAN_BUCKETS
+        }),
+        blocksSkipped: target.counter({
+            name: `${PREFIX}blocks_skipped_total`,
+            help: 'Blocks not scanned because the previous scan overran'
+        }),
+        running: target.gauge({
+            name: `${PREFIX}running`,
+            help: '1 while scanning and executing, 0 when paused or shutting down'
+        }),
+        circuitBreakerTripped: target.gauge({
+            name: `${PREFIX}circuit_breaker_tripped`,
+            help: '1 while the circuit breaker is tripped'
+        }),
+        trackedBorrowers: target.gauge({
+            name: `${PREFIX}tracked_borrowers`,
+            help: 'Borrowers currently tracked'
+        }),
+        walletBalance: target.gauge({
+            name: `${PREFIX}wallet_balance_bnb`,
+            help: 'Native balance of the liquidator wallet (BNB)'
+        }),
+        rpcDuration: target.histogram({
+            name: `${PREFIX}rpc_request_duration_seconds`,
+            help: 'JSON-RPC round trip time per endpoint',
+            labelNames: ['endpoint'],
+            buckets: RPC_BUCKETS
+        }),
+        rpcErrors: target.counter({
+            name: `${PREFIX}rpc_errors_total`,
+            help: 'Failed JSON-RPC requests per endpoint',
+            labelNames: ['endpoint']
+        })
+    };
+}
+
+/**
+ * Endpoint label without path or query (RPC URLs often embed API keys)
+ */
+function endpointLabel(url) {
+    try {
+        return new URL(url).host;
+    } catch {
+        return 'unknown';
+    }
+}
+
+/**
+ * Time every request an ethers JsonRpcProvider/WebSocketProvider sends
+ * (batches count as one request)
+ * @param {Object} provider
+ * @param {string} [endpoint] - Label (host of the provider URL by default)
+ */
+function instrumentProvider(provider, endpoint = null, metrics = getBotMetrics()) {
+    if (!provider || typeof provider._send !== 'function' || provider.__metricsInstrumented) {
+        return provider;
+    }
+    const label = endpoint || endpointLabel(provider._getConnection?.().url || provider.websocket?.url);
+    const send = provider._send.bind(provider);
+
+    provider._send = async (payload) => {
+        const startTs = Date.now();
+        try {
+            return await send(payload);
+        } catch (error) {
+            metrics.rpcErrors.inc({ endpoint: label });
+            throw error;
+        } finally {
+            metrics.rpcDuration.observe({ endpoint: label }, (Date.now() - startTs) / 1000);
+        }
+    };
+    provider.__metricsInstrumented = true;
+    return provider;
+}
+
+/**
+ * Feed the bot metrics from engine events and scrape-time collectors
+ * @param {LiquidationEngine} engine
+ */
+function instrumentEngine(engine, target = registry) {
+    const metrics = getBotMetrics(target);
+
+    engine.on('scanCompleted', ({ borrowersScanned, durationMs, trigger }) => {
+        metrics.scanDuration.observe({ trigger }, durationMs / 1000);
+        metrics.borrowersScanned.inc({ trigger }, borrowersScanned);
+    });
+    engine.on('blockScanned', ({ lagMs, skipped, source }) => {
+        metrics.blockScanLag.observe({ source }, lagMs / 1000);
+        if (skipped) {
+            metrics.blocksSkipped.inc({}, skipped);
+        }
+    });
+    engine.on('opportunityFound', (opportunity) => {
+        metrics.opportunitiesFound.inc({ protocol: opportunity.protocol || 'venus', executable: 'true' });
+    });
+    engine.on('opportunityReported', (opportunity) => {
+        metrics.opportunitiesFound.inc({ protocol: opportunity.protocol || 'venus', executable: 'false' });
+    });
+    engine.on('liquidationExecuted', ({ opportunity, receipt, realizedProfit }) => {
+        metrics.liquidationsExecuted.inc();
+        metrics.expectedProfit.inc({}, Number(ethers.formatEther(opportunity.expectedProfit)));
+        if (realizedProfit != null) {
+            metrics.realizedProfit.inc({}, Number(ethers.formatEther(realizedProfit)));
+        }
+        if (receipt) {
+            metrics.gasSpent.inc({}, Number(ethers.formatEther(receipt.gasUsed * receipt.gasPrice)));
+        }
+    });
+    engine.on('liquidationFailed', () => metrics.liquidationsFailed.inc({ stage: 'execution' }));
+    engine.on('simulationFailed', () => metrics.liquidationsFailed.inc({ stage: 'simulation' }));
+    engine.on('opportunityStale', () => metrics.liquidationsFailed.inc({ stage: 'stale' }));
+    engine.on('paperTrade', ({ simulation }) => {
+        metrics.paperTrades.inc({ result: simulation.success ? 'success' : 'reverted' });
+    });
+
+    target.addCollector(() => {
+        metrics.running.set({}, engine.isRunning ? 1 : 0);
+        metrics.circuitBreakerTripped.set({}, engine.circuitBreaker.isOperational() ? 0 : 1);
+        metrics.trackedBorrowers.set({}, engine.getStats().activeBorrowers);
+    });
+    target.addCollector(async () => {
+        const balance = await engine.provider.getBalance(await engine.wallet.getAddress());
+        metrics.walletBalance.set({}, Number(ethers.formatEther(balance)));
+    });
+
+    instrumentProvider(engine.provider, null, metrics);
+    if (engine.wsProvider) {
+        instrumentProvider(engine.wsProvider, null, metrics);
+    }
+    return metrics;
+}
+
+/**
+ * Scrape auth: the x-api-key header (like the dashboard API) or a bearer token,
+ * which is what Prometheus' `authorization` scrape setting sends
+ * @param {string} [apiKey] - Required key; without one every request passes
+ */
+function isAuthorized(req, apiKey) {
+    if (!apiKey) {
+        return true;
+    }
+    return req.headers['x-api-key'] === apiKey || req.headers.authorization === `Bearer ${apiKey}`;
+}
+
+/**
+ * Standalone /metrics listener for runs without the dashboard
+ * @param {number} port
+ * @param {Registry} [target]
+ * @param {string} [apiKey] - Require this key (see isAuthorized)
+ * @returns {Promise<http.Server>}
+ */
+function startMetricsServer(port, target = registry, apiKey = null) {
+    const server = http.createServer(async (req, res) => {
+        if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+            res.writeHead(404).end();
+            return;
+        }
+        if (!isAuthorized(req, apiKey)) {
+            res.writeHead(401).end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+        res.end(await target.render());
+    });
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => {
+            log.info(`📈 Metrics on http://localhost:${server.address().port}/metrics`);
+            resolve(server);
+        });
+    });
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    Counter,
+    Gauge,
+    Histogram,
+    Registry,
+    registry,
+    getBotMetrics,
+    endpointLabel,
+    instrumentProvider,
+    instrumentEngine,
+    isAuthorized,
+    startMetricsServer
+};
@@ -6,12 +6,18 @@
  */
 
 const { ethers } = require("ethers");
+const { createLogger } = require('./logger');
+
+const log = createLogger('multicall');
 
 // Multicall3 is deployed at the same address on BSC and many EVM chains
 // This is a well-known, deterministic deployment using Nick's method
-// See: https://www.multicall3.com/
+// See: https://www.multicall3.com/ (default; local deployments pass their own)
 const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
 
+// Larger batches are split so one eth_call stays under node gas/response limits
+const MAX_CALLS_PER_BATCH = 500;
+
 const MULTICALL3_ABI = [
     {
         "inputs": [
@@ -64,17 +70,24 @@ const MULTICALL3_ABI = [
 ];
 
 class MulticallHelper {
-    constructor(provider) {
+    /**
+     * @param {Object} provider - Ethers provider
+     * @param {string} [multicallAddress] - Multicall3 deployment (network profile MULTICALL3_ADDRESS)
+     */
+    constructor(provider, multicallAddress = MULTICALL3_ADDRESS) {
         this.provider = provider;
-        this.multicall = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+        this.multicall = new ethers.Contract(multicallAddress, MULTICALL3_ABI, provider);
+        this.marketMetadata = new Map(); // vToken -> { symbol, underlying } (immutable, read once)
     }
 
     /**
      * Batch multiple contract calls into a single RPC request
+     * (one request per MAX_CALLS_PER_BATCH calls, sent in parallel)
      * @param {Array} calls - Array of { target: address, callData: bytes, allowFailure: bool }
+     * @param {Object} [overrides] - Call overrides, e.g. { blockTag } to read every call at one block
      * @returns {Array} Array of { success: bool, returnData: bytes }
      */
-    async batchCall(calls) {
+    async batchCall(calls, overrides = {}) {
         try {
             const multicallCalls = calls.map(call => ({
                 target: call.target,
@@ -82,10 +95,16 @@ class MulticallHelper {
                 callData: call.callData
             }));
 
-            const results = await this.multicall.aggregate3(multicallCalls);
-            return results;
+            const chunks = [];
+            for (let i = 0; i < multicallCalls.length; i += MAX_CALLS_PER_BATCH) {
+                chunks.push(multicallCalls.slice(i, i + MAX_CALLS_PER_BATCH));
+            }
+
+            // aggregate3 is payable in the ABI; staticCall keeps it a read on plain providers
+            const results = await Promise.all(chunks.map(chunk => this.multicall.aggregate3.staticCall(chunk, overrides)));
+            return results.flat();
         } catch (error) {
-            console.error('Multicall batch failed:', error.message);
+            log.error(`Multicall batch failed: ${error.message}`);
             throw error;
         }
     }
@@ -163,13 +182,100 @@ class MulticallHelper {
         return balances;
     }
 
+    /**
+     * Batch read account snapshots (supply + borrow) for borrower × vToken pairs
+     * @param {Array} pairs - Array of { borrower, vToken }
+     * @param {Object} [overrides] - Call overrides ({ blockTag })
+     * @returns {Object} Map of borrower -> vToken -> { vTokenBalance, borrowBalance, exchangeRate } (failed reads omitted)
+     */
+    async getAccountSnapshots(pairs, overrides = {}) {
+        const vTokenInterface = new ethers.Interface([
+            "function getAccountSnapshot(address account) external view returns (uint, uint, uint, uint)"
+        ]);
+
+        const calls = pairs.map(({ borrower, vToken }) => ({
+            target: vToken,
+            allowFailure: true,
+            callData: vTokenInterface.encodeFunctionData("getAccountSnapshot", [borrower])
+        }));
+
+        const results = await this.batchCall(calls, overrides);
+
+        const snapshots = {};
+        for (let i = 0; i < pairs.length; i++) {
+            const { borrower, vToken } = pairs[i];
+            const result = results[i];
+
+            if (!snapshots[borrower]) {
+                snapshots[borrower] = {};
+            }
+            if (!result.success) {
+                continue;
+            }
+
+            try {
+                const [error, vTokenBalance, borrowBalance, exchangeRate] = vTokenInterface.decodeFunctionResult(
+                    "getAccountSnapshot",
+                    result.returnData
+                );
+                if (error === 0n) {
+                    snapshots[borrower][vToken] = { vTokenBalance, borrowBalance, exchangeRate };
+                }
+            } catch (error) {
+                // Failed to decode, leave the market out
+            }
+        }
+
+        return snapshots;
+    }
+
+    /**
+     * Batch get collateral factors for multiple vTokens
+     * @param {Object} comptroller - Comptroller contract instance
+     * @param {Array} vTokenAddresses - Array of vToken addresses
+     * @param {boolean} [useLiquidationThreshold] - Isolated pools: read the liquidation threshold instead
+     * @param {Object} [overrides] - Call overrides ({ blockTag })
+     * @returns {Object} Map of vToken -> mantissa (0 if unlisted or unreadable)
+     */
+    async getCollateralFactors(comptroller, vTokenAddresses, useLiquidationThreshold = false, overrides = {}) {
+        // Core returns (isListed, collateralFactor, isVenus), isolated pools (isListed, collateralFactor, liquidationThreshold)
+        const comptrollerInterface = new ethers.Interface([
+            "function markets(address) external view returns (bool, uint, uint)"
+        ]);
+        const comptrollerAddress = await comptroller.getAddress();
+
+        const results = await this.batchCall(vTokenAddresses.map(vToken => ({
+            target: comptrollerAddress,
+            allowFailure: true,
+            callData: comptrollerInterface.encodeFunctionData("markets", [vToken])
+        })), overrides);
+
+        const factors = {};
+        vTokenAddresses.forEach((vToken, i) => {
+            factors[vToken] = 0n;
+            if (results[i].success) {
+                try {
+                    const [isListed, collateralFactor, liquidationThreshold] = comptrollerInterface.decodeFunctionResult("markets", results[i].returnData);
+                    if (isListed) {
+                        factors[vToken] = useLiquidationThreshold ? liquidationThreshold : collateralFactor;
+                    }
+                } catch (error) {
+                    // Failed to decode, leave at 0
+                }
+            }
+        });
+
+        return factors;
+    }
+
     /**
      * Batch get oracle prices for multiple vTokens
      * @param {Object} oracle - Oracle contract instance
      * @param {Array} vTokenAddresses - Array of vToken addresses
+     * @param {Object} [overrides] - Call overrides ({ blockTag })
      * @returns {Object} Map of vToken -> price
      */
-    async getOraclePrices(oracle, vTokenAddresses) {
+    async getOraclePrices(oracle, vTokenAddresses, overrides = {}) {
         const calls = [];
         const oracleInterface = new ethers.Interface([
             "function getUnderlyingPrice(address vToken) external view returns (uint)"
@@ -186,7 +292,7 @@ class MulticallHelper {
             });
         }
 
-        const results = await this.batchCall(calls);
+        const results = await this.batchCall(calls, overrides);
         
         const prices = {};
         for (let i = 0; i < vTokenAddresses.length; i++) {
@@ -211,6 +317,123 @@ class MulticallHelper {
         return prices;
     }
 
+    /**
+     * Everything needed to value borrowers' positions in one pool, in one multicall:
+     * account snapshots (vToken balance, borrow balance, exchange rate) for every
+     * borrower × market, each market's price, collateral factor and protocol seize
+     * share, and the symbol/underlying of markets not seen before
+     * @param {Object} options
+     * @param {Object} options.comptroller - Comptroller contract instance
+     * @param {Object} options.oracle - Oracle contract instance
+     * @param {Array} options.markets - vToken addresses
+     * @param {Array} options.borrowers - Borrower addresses
+     * @param {boolean} [options.useLiquidationThreshold] - Isolated pools: read the liquidation threshold instead
+     * @param {number|string} [options.blockTag] - Block to read at (latest by default)
+     * @returns {Object} { accounts: borrower -> vToken -> { vTokenBalance, borrowBalance, exchangeRate },
+     *   prices: vToken -> price, collateralFactors: vToken -> mantissa, protocolSeizeShares: vToken -> mantissa,
+     *   metadata: vToken -> { symbol, underlying } }
+     *   Failed reads are omitted (prices, collateral factors and seize shares of failed reads are 0;
+     *   core pool vTokens have no protocolSeizeShareMantissa())
+     */
+    async getPoolSnapshot({ comptroller, oracle, markets, borrowers, useLiquidationThreshold = false, blockTag }) {
+        const vTokenInterface = new ethers.Interface([
+            "function getAccountSnapshot(address account) external view returns (uint, uint, uint, uint)",
+            "function protocolSeizeShareMantissa() external view returns (uint)",
+            "function symbol() external view returns (string)",
+            "function underlying() external view returns (address)"
+        ]);
+        const comptrollerInterface = new ethers.Interface([
+            "function markets(address) external view returns (bool, uint, uint)"
+        ]);
+        const oracleInterface = new ethers.Interface([
+            "function getUnderlyingPrice(address vToken) external view returns (uint)"
+        ]);
+        const [comptrollerAddress, oracleAddress] = await Promise.all([comptroller.getAddress(), oracle.getAddress()]);
+
+        // { kind, vToken, borrower } per call, decoded in the same order
+        const calls = [];
+        const callMetadata = [];
+        const add = (target, iface, method, args, meta) => {
+            calls.push({ target, allowFailure: true, callData: iface.encodeFunctionData(method, args) });
+            callMetadata.push(meta);
+        };
+        const unknownMarkets = markets.filter(vToken => !this.marketMetadata.has(vToken));
+
+        for (const borrower of borrowers) {
+            for (const vToken of markets) {
+                add(vToken, vTokenInterface, "getAccountSnapshot", [borrower], { kind: "account", vToken, borrower });
+            }
+        }
+        for (const vToken of markets) {
+            add(oracleAddress, oracleInterface, "getUnderlyingPrice", [vToken], { kind: "price", vToken });
+            add(comptrollerAddress, comptrollerInterface, "markets", [vToken], { kind: "market", vToken });
+            add(vToken, vTokenInterface, "protocolSeizeShareMantissa", [], { kind: "seizeShare", vToken });
+        }
+        for (const vToken of unknownMarkets) {
+            add(vToken, vTokenInterface, "symbol", [], { kind: "symbol", vToken });
+            add(vToken, vTokenInterface, "underlying", [], { kind: "underlying", vToken });
+        }
+
+        const results = await this.batchCall(calls, blockTag === undefined ? {} : { blockTag });
+
+        const accounts = {};
+        const prices = {};
+        const collateralFactors = {};
+        const protocolSeizeShares = {};
+        const newMetadata = {};
+        borrowers.forEach(borrower => { accounts[borrower] = {}; });
+        markets.forEach(vToken => {
+            prices[vToken] = 0n;
+            collateralFactors[vToken] = 0n;
+            protocolSeizeShares[vToken] = 0n;
+        });
+
+        callMetadata.forEach(({ kind, vToken, borrower }, i) => {
+            const { success, returnData } = results[i];
+            try {
+                if (kind === "account") {
+                    if (!success) return;
+                    const [error, vTokenBalance, borrowBalance, exchangeRate] = vTokenInterface.decodeFunctionResult("getAccountSnapshot", returnData);
+                    if (error === 0n) {
+                        accounts[borrower][vToken] = { vTokenBalance, borrowBalance, exchangeRate };
+                    }
+                } else if (kind === "price") {
+                    if (success) prices[vToken] = oracleInterface.decodeFunctionResult("getUnderlyingPrice", returnData)[0];
+                } else if (kind === "market") {
+                    if (!success) return;
+                    const [isListed, collateralFactor, liquidationThreshold] = comptrollerInterface.decodeFunctionResult("markets", returnData);
+                    if (isListed) {
+                        collateralFactors[vToken] = useLiquidationThreshold ? liquidationThreshold : collateralFactor;
+                    }
+                } else if (kind === "seizeShare") {
+                    if (success) protocolSeizeShares[vToken] = vTokenInterface.decodeFunctionResult("protocolSeizeShareMantissa", returnData)[0];
+                } else {
+                    newMetadata[vToken] = newMetadata[vToken] || {};
+                    // vBNB has no underlying(); a failed symbol() leaves the market unknown
+                    newMetadata[vToken][kind] = success
+                        ? vTokenInterface.decodeFunctionResult(kind, returnData)[0]
+                        : (kind === "underlying" ? ethers.ZeroAddress : null);
+                }
+            } catch (error) {
+                // Failed to decode, treat as a failed read
+            }
+        });
+
+        for (const [vToken, { symbol, underlying }] of Object.entries(newMetadata)) {
+            if (symbol) {
+                this.marketMetadata.set(vToken, { symbol, underlying: underlying || ethers.ZeroAddress });
+            }
+        }
+        const metadata = {};
+        markets.forEach(vToken => {
+            if (this.marketMetadata.has(vToken)) {
+                metadata[vToken] = this.marketMetadata.get(vToken);
+            }
+        });
+
+        return { accounts, prices, collateralFactors, protocolSeizeShares, metadata };
+    }
+
     /**
      * Check which borrowers have non-zero borrow balances
      * Returns only borrowers with active borrows (for pruning)
@@ -242,3 +465,4 @@ class MulticallHelper {
 }
 
 module.exports = MulticallHelper;
+module.exports.MAX_CALLS_PER_BATCH = MAX_CALLS_PER_BATCH;
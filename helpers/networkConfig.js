@@ -0,0 +1,51 @@
+/**
+ * helpers/networkConfig.js
+ *
+ * Named network profiles from config.json (NETWORKS.bsc, NETWORKS.bscTestnet,
+ * NETWORKS.hardhat). The active profile is NETWORK from the environment, else
+ * PROJECT_SETTINGS.NETWORK. A profile may set EXTENDS to start from another
+ * profile and only override what differs (e.g. a local fork or mock deployment)
+ */
+
+const config = require('../config.json');
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, overrides) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+        merged[key] = isObject(value) && isObject(base[key]) ? deepMerge(base[key], value) : value;
+    }
+    return merged;
+}
+
+/**
+ * Resolve a network profile (EXTENDS chains included)
+ * @param {string} [name] - Profile name (defaults to the active network)
+ * @param {Object} [networks] - Profiles to resolve from (config.json NETWORKS by default)
+ * @returns {Object} Profile with NAME set
+ */
+function getNetworkConfig(name = getActiveNetworkName(), networks = config.NETWORKS, seen = []) {
+    const profile = networks[name];
+    if (!profile) {
+        throw new Error(`Unknown network "${name}" (config.json NETWORKS has: ${Object.keys(networks).join(', ')})`);
+    }
+    if (seen.includes(name)) {
+        throw new Error(`Network profile inheritance loop: ${[...seen, name].join(' -> ')}`);
+    }
+
+    const { EXTENDS, ...own } = profile;
+    const base = EXTENDS ? getNetworkConfig(EXTENDS, networks, [...seen, name]) : {};
+    return { ...deepMerge(base, own), NAME: name };
+}
+
+function getActiveNetworkName() {
+    return process.env.NETWORK || config.PROJECT_SETTINGS.NETWORK;
+}
+
+module.exports = {
+    getNetworkConfig,
+    getActiveNetworkName
+};
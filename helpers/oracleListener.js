@@ -0,0 +1,198 @@
+/**
+ * helpers/oracleListener.js
+ *
+ * Listens for price feed updates behind the Venus oracle
+ * Chainlink-style aggregators (Chainlink, Binance Oracle) emit AnswerUpdated on
+ * every new round; we map each feed back to the vTokens it prices and report
+ * which markets just moved so the engine can scan exposed borrowers right away
+ *
+ * Feeds are read from the Venus ResilientOracle at startup (discoverFeeds) and
+ * proxies are re-resolved periodically, so an aggregator upgrade behind a
+ * Chainlink proxy moves the subscription to the new aggregator
+ */
+
+const { EventEmitter } = require('events');
+const { ethers } = require("ethers");
+const { createLogger } = require('./logger');
+
+const log = createLogger('oracleListener');
+
+const AGGREGATOR_ABI = [
+    "event AnswerUpdated(int256 indexed current, uint256 indexed roundId, uint256 updatedAt)",
+    "function aggregator() external view returns (address)"
+];
+
+// ResilientOracle: oracles[0] is the main oracle. Newer versions append cachingEnabled,
+// which decoding the shorter tuple ignores
+const RESILIENT_ORACLE_ABI = [
+    "function getTokenConfig(address asset) external view returns (tuple(address asset, address[3] oracles, bool[3] enableFlagsForOracles))"
+];
+
+// Chainlink-style main oracles (ChainlinkOracle, RedStoneOracle)
+const FEED_ORACLE_ABI = [
+    "function tokenConfigs(address asset) external view returns (address asset, address feed, uint256 maxStalePeriod)"
+];
+
+// How the Venus oracles key BNB (vBNB has no underlying())
+const NATIVE_TOKEN_ADDRESS = "0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB";
+
+/**
+ * Parse a "SYMBOL:0xfeed,SYMBOL:0xfeed" list (e.g. ORACLE_FEEDS)
+ * @returns {Object} symbol -> feed address
+ */
+function parseFeedList(value) {
+    const feeds = {};
+    for (const entry of (value || "").split(",").map(item => item.trim()).filter(Boolean)) {
+        const [symbol, address] = entry.split(":").map(part => part.trim());
+        if (!symbol || !address || !ethers.isAddress(address)) {
+            throw new Error(`Invalid oracle feed entry "${entry}" (expected SYMBOL:0xaddress)`);
+        }
+        feeds[symbol] = address;
+    }
+    return feeds;
+}
+
+/**
+ * Feeds behind a Venus ResilientOracle for the given markets
+ * Markets whose main oracle has no Chainlink-style feed (e.g. Binance Oracle)
+ * or whose config can't be read are left out
+ * @param {Object} oracle - ResilientOracle contract (or its address)
+ * @param {Array} markets - [{ vToken, underlying }] (zero address underlying for vBNB)
+ * @param {Object} provider
+ * @returns {Promise<Object>} Feed address -> [vToken addresses it prices]
+ */
+async function discoverFeeds(oracle, markets, provider) {
+    const oracleAddress = typeof oracle === 'string' ? oracle : await oracle.getAddress();
+    const resilientOracle = new ethers.Contract(oracleAddress, RESILIENT_ORACLE_ABI, provider);
+    const feeds = {};
+
+    for (const { vToken, underlying } of markets) {
+        const asset = underlying === ethers.ZeroAddress ? NATIVE_TOKEN_ADDRESS : underlying;
+        try {
+            const { oracles } = await resilientOracle.getTokenConfig(asset);
+            const mainOracle = new ethers.Contract(oracles[0], FEED_ORACLE_ABI, provider);
+            const { feed } = await mainOracle.tokenConfigs(asset);
+            if (feed !== ethers.ZeroAddress) {
+                const key = ethers.getAddress(feed);
+                feeds[key] = [...(feeds[key] || []), vToken];
+            }
+        } catch (error) {
+            log.debug(`No Chainlink-style feed for ${vToken}: ${error.shortMessage || error.message}`);
+        }
+    }
+    return feeds;
+}
+
+/**
+ * Events:
+ *   priceUpdate { feed, vTokens, answer, roundId } - a feed published a new round
+ */
+class OracleListener extends EventEmitter {
+    /**
+     * @param {Object} provider - Provider for subscriptions (WebSocket preferred)
+     * @param {Object} feeds - Feed address -> [vToken addresses it prices]
+     * @param {Object} [options]
+     * @param {number} [options.resolveIntervalMs] - How often proxies are re-resolved to their aggregator
+     */
+    constructor(provider, feeds, { resolveIntervalMs = 60 * 60 * 1000 } = {}) {
+        super();
+        this.provider = provider;
+        this.feeds = feeds;
+        this.resolveIntervalMs = resolveIntervalMs;
+        this.subscriptions = new Map(); // feed -> { aggregatorAddress, contract }
+        this.resolveTimer = null;
+        this.isListening = false;
+    }
+
+    /**
+     * Resolve a proxy to the aggregator that actually emits events
+     * Plain aggregators (no aggregator()) are used as-is
+     */
+    async resolveAggregator(feedAddress) {
+        try {
+            const proxy = new ethers.Contract(feedAddress, AGGREGATOR_ABI, this.provider);
+            return await proxy.aggregator();
+        } catch (error) {
+            return feedAddress;
+        }
+    }
+
+    async start() {
+        if (this.isListening) {
+            return;
+        }
+
+        log.info('🔮 Starting oracle price feed listener...');
+
+        for (const [feed, vTokens] of Object.entries(this.feeds)) {
+            try {
+                await this.subscribe(feed, vTokens, await this.resolveAggregator(feed));
+                log.info(`   ✅ Feed ${feed} (${vTokens.length} market${vTokens.length === 1 ? '' : 's'})`);
+            } catch (error) {
+                log.error(`   ❌ Error subscribing to feed ${feed}: ${error.message}`);
+            }
+        }
+
+        this.isListening = true;
+        this.resolveTimer = setInterval(() => {
+            this.refreshAggregators().catch(error => log.error(`❌ Aggregator refresh failed: ${error.message}`));
+        }, this.resolveIntervalMs);
+        log.info(`✅ Oracle listener active for ${this.subscriptions.size} feeds\n`);
+    }
+
+    async subscribe(feed, vTokens, aggregatorAddress) {
+        const aggregator = new ethers.Contract(aggregatorAddress, AGGREGATOR_ABI, this.provider);
+        await aggregator.on("AnswerUpdated", (current, roundId) => {
+            this.emit('priceUpdate', { feed, vTokens, answer: current, roundId });
+        });
+        this.subscriptions.set(feed, { aggregatorAddress, contract: aggregator });
+    }
+
+    /**
+     * Move subscriptions whose proxy now points at a different aggregator
+     * (feeds that failed to subscribe at startup are retried too)
+     */
+    async refreshAggregators() {
+        for (const [feed, vTokens] of Object.entries(this.feeds)) {
+            const current = this.subscriptions.get(feed);
+            let aggregatorAddress;
+            if (current) {
+                try {
+                    aggregatorAddress = await new ethers.Contract(feed, AGGREGATOR_ABI, this.provider).aggregator();
+                } catch (error) {
+                    continue; // Plain aggregator, or the read failed: keep the current subscription
+                }
+                if (current.aggregatorAddress.toLowerCase() === aggregatorAddress.toLowerCase()) {
+                    continue;
+                }
+            } else {
+                aggregatorAddress = await this.resolveAggregator(feed);
+            }
+            try {
+                await this.subscribe(feed, vTokens, aggregatorAddress);
+                current?.contract.removeAllListeners();
+                log.info(`🔮 Feed ${feed} now listening on aggregator ${aggregatorAddress}`);
+            } catch (error) {
+                log.error(`❌ Error subscribing to feed ${feed}: ${error.message}`);
+            }
+        }
+    }
+
+    stop() {
+        if (!this.isListening) {
+            return;
+        }
+
+        clearInterval(this.resolveTimer);
+        this.resolveTimer = null;
+        for (const { contract } of this.subscriptions.values()) {
+            contract.removeAllListeners();
+        }
+        this.subscriptions.clear();
+        this.isListening = false;
+    }
+}
+
+module.exports = OracleListener;
+module.exports.parseFeedList = parseFeedList;
+module.exports.discoverFeeds = discoverFeeds;
@@ -0,0 +1,165 @@
+/**
+ * helpers/poolSelector.js
+ *
+ * PancakeSwap V3 pool discovery and fee tier selection for liquidations
+ *
+ * A liquidation needs two different pools for the same pair: one to flash-borrow
+ * the debt token from and one to swap the seized collateral back through. The
+ * flash pool is locked for the duration of the callback, so the swap cannot
+ * reuse it.
+ */
+
+const { ethers } = require("ethers");
+const { getQuote } = require('./helpers');
+
+// PancakeSwap V3 fee tiers: 0.01%, 0.05%, 0.25%, 1%
+const PANCAKE_V3_FEE_TIERS = [100, 500, 2500, 10000];
+
+const ERC20_BALANCE_ABI = [
+    "function balanceOf(address) view returns (uint256)"
+];
+
+class PoolSelector {
+    /**
+     * @param {Object} options
+     * @param {Object} options.factory - PancakeSwap V3 factory contract
+     * @param {Object} options.quoter - PancakeSwap V3 QuoterV2 contract
+     * @param {Object} options.provider - Provider for pool balance reads
+     * @param {number[]} [options.feeTiers] - Fee tiers to probe
+     * @param {number} [options.cacheTtlMs] - How long discovered pool topology is trusted
+     * @param {number} [options.emptyCacheTtlMs] - How long a pair without pools is trusted (pools can be created)
+     */
+    constructor({ factory, quoter, provider, feeTiers = PANCAKE_V3_FEE_TIERS, cacheTtlMs = 6 * 60 * 60 * 1000, emptyCacheTtlMs = 5 * 60 * 1000 }) {
+        this.factory = factory;
+        this.quoter = quoter;
+        this.provider = provider;
+        this.feeTiers = feeTiers;
+        this.cacheTtlMs = cacheTtlMs;
+        this.emptyCacheTtlMs = emptyCacheTtlMs;
+        this.poolCache = new Map(); // pairKey -> { pools, timestamp, ttlMs }
+    }
+
+    pairKey(tokenA, tokenB) {
+        const [a, b] = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort();
+        return `${a}:${b}`;
+    }
+
+    /**
+     * Get all existing pools for a pair (cached)
+     *
+     * Only complete lookups are cached: if any fee tier's getPool() fails the
+     * result is used once and discovery runs again next time, so an RPC error
+     * can't make a pair look unroutable for the whole cache TTL
+     * @returns {Promise<Array>} [{ fee, address, feePct }]
+     */
+    async getPools(tokenA, tokenB) {
+        const key = this.pairKey(tokenA, tokenB);
+        const cached = this.poolCache.get(key);
+        if (cached && Date.now() - cached.timestamp < cached.ttlMs) {
+            return cached.pools;
+        }
+
+        const lookups = await Promise.all(this.feeTiers.map(async (fee) => {
+            try {
+                return { fee, address: await this.factory.getPool(tokenA, tokenB, fee) };
+            } catch (error) {
+                return null;
+            }
+        }));
+        const pools = lookups
+            .filter(lookup => lookup && lookup.address && lookup.address !== ethers.ZeroAddress)
+            .map(({ fee, address }) => ({ fee, address, feePct: fee / 10000 }));
+
+        if (lookups.every(Boolean)) {
+            this.poolCache.set(key, {
+                pools,
+                timestamp: Date.now(),
+                ttlMs: pools.length ? this.cacheTtlMs : this.emptyCacheTtlMs
+            });
+        }
+        return pools;
+    }
+
+    /**
+     * Whether the pair has enough pools for a flash borrow plus a separate swap
+     */
+    async hasRoute(debtToken, collateralToken) {
+        const pools = await this.getPools(debtToken, collateralToken);
+        return pools.length >= 2;
+    }
+
+    /**
+     * Debt token balance held by a pool (upper bound for a flash borrow)
+     */
+    async getFlashLiquidity(token, poolAddress, overrides = {}) {
+        try {
+            const tokenContract = new ethers.Contract(token, ERC20_BALANCE_ABI, this.provider);
+            return await tokenContract.balanceOf(poolAddress, overrides);
+        } catch (error) {
+            return 0n;
+        }
+    }
+
+    /**
+     * Pick the flash pool and swap pool for a liquidation
+     *
+     * Flash pools must hold at least `repayAmount` of the debt token. Among the
+     * valid (flash, swap) combinations we take the one with the highest swap
+     * output after paying the flash fee.
+     *
+     * @param {string} debtToken - Debt token (WBNB for native)
+     * @param {string} collateralToken - Collateral token (WBNB for native)
+     * @param {BigInt} repayAmount - Debt amount to flash-borrow
+     * @param {BigInt} collateralAmount - Seized collateral to swap back
+     * @param {Object} [overrides] - Call overrides for balances and quotes ({ blockTag })
+     * @returns {Promise<Object|null>} { flashFee, flashPool, flashFeeAmount, swapFee, swapPool, quotedAmountOut }
+     */
+    async selectRoute(debtToken, collateralToken, repayAmount, collateralAmount, overrides = {}) {
+        const pools = await this.getPools(debtToken, collateralToken);
+        if (pools.length < 2) {
+            return null;
+        }
+
+        const [balances, quotes] = await Promise.all([
+            Promise.all(pools.map(pool => this.getFlashLiquidity(debtToken, pool.address, overrides))),
+            Promise.all(pools.map(pool => getQuote(this.quoter, collateralToken, debtToken, collateralAmount, pool.fee, overrides)))
+        ]);
+
+        let best = null;
+
+        pools.forEach((flashPool, i) => {
+            if (balances[i] < repayAmount) {
+                return;
+            }
+            // V3 flash fee rounds up
+            const flashFeeAmount = (repayAmount * BigInt(flashPool.fee) + 999999n) / 1000000n;
+
+            pools.forEach((swapPool, j) => {
+                if (i === j || !quotes[j].success || quotes[j].amountOut === 0n) {
+                    return;
+                }
+                const netOut = quotes[j].amountOut - flashFeeAmount;
+                if (!best || netOut > best.netOut) {
+                    best = {
+                        flashFee: flashPool.fee,
+                        flashPool: flashPool.address,
+                        flashFeeAmount,
+                        swapFee: swapPool.fee,
+                        swapPool: swapPool.address,
+                        quotedAmountOut: quotes[j].amountOut,
+                        netOut
+                    };
+                }
+            });
+        });
+
+        return best;
+    }
+
+    clearCache() {
+        this.poolCache.clear();
+    }
+}
+
+module.exports = PoolSelector;
+module.exports.PANCAKE_V3_FEE_TIERS = PANCAKE_V3_FEE_TIERS;
@@ -20,6 +20,9 @@
  */
 
 const ethers = require('ethers');
+const { createLogger } = require('./logger');
+
+const log = createLogger('profitCalculator');
 
 /**
  * Calculate flashloan repayment amount (borrowed + fee)
@@ -271,7 +274,7 @@ async function findBestOpportunity(
       }
       
     } catch (error) {
-      console.error(`Error analyzing amount ${ethers.formatEther(testAmount)}: ${error.message}`);
+      log.error(`Error analyzing amount ${ethers.formatEther(testAmount)}: ${error.message}`);
     }
     
     testAmount += step;
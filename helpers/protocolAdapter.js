@@ -0,0 +1,121 @@
+/**
+ * helpers/protocolAdapter.js
+ *
+ * Common interface for the lending protocols the engine monitors
+ * - VenusPool (helpers/venusPools.js): Venus core and isolated pools
+ * - AaveV3Adapter (helpers/aaveV3Adapter.js): Aave v3 and forks
+ *
+ * Amounts and prices are normalized to the Venus conventions used across the
+ * bot: USD values with 18 decimals, and prices scaled so that
+ * amount * priceUSD / 1e18 is that amount's USD value
+ *
+ * Reads take ethers call overrides as their last argument; the engine passes
+ * { blockTag } so every read of a scan cycle sees the same block
+ */
+
+const { calculateCollateralSeized } = require('./liquidationCalculator');
+
+class ProtocolAdapter {
+    /**
+     * @param {string} protocol - Protocol id ("venus", "aave-v3")
+     * @param {string} name - Display name of this market/pool
+     * @param {string} address - Entry point (Comptroller, Aave Pool)
+     */
+    constructor(protocol, name, address) {
+        this.protocol = protocol;
+        this.name = name;
+        this.address = address;
+        this.id = address.toLowerCase();
+    }
+
+    /**
+     * Whether BSC_LiquidationV3 can execute this protocol's liquidations
+     * (it calls vToken.liquidateBorrow); others are monitored and reported only
+     */
+    get supportsFlashLiquidation() {
+        return false;
+    }
+
+    /**
+     * @param {string} borrower
+     * @param {Object} [overrides] - Call overrides ({ blockTag })
+     * @returns {Promise<Object|null>} { liquidity, shortfall, healthFactor, isLiquidatable } (18 decimals)
+     */
+    async getAccountData(borrower, overrides) {
+        throw new Error(`${this.protocol}: getAccountData() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<Array>} [{ vToken, vTokenSymbol, underlying, borrowBalance, priceUSD, valueUSD }]
+     *   vToken is the protocol's market id (the vToken on Venus, the reserve asset on Aave)
+     */
+    async getBorrowPositions(borrower, overrides) {
+        throw new Error(`${this.protocol}: getBorrowPositions() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<Array>} [{ vToken, vTokenSymbol, underlying, underlyingBalance, priceUSD, valueUSD }]
+     */
+    async getCollateralPositions(borrower, overrides) {
+        throw new Error(`${this.protocol}: getCollateralPositions() not implemented`);
+    }
+
+    /**
+     * Borrow and collateral positions together; adapters that can read both in
+     * one request (Venus multicall snapshots) override this
+     * @returns {Promise<Object>} { borrowPositions, collateralPositions }
+     */
+    async getPositions(borrower, overrides = {}) {
+        const [borrowPositions, collateralPositions] = await Promise.all([
+            this.getBorrowPositions(borrower, overrides),
+            this.getCollateralPositions(borrower, overrides)
+        ]);
+        return { borrowPositions, collateralPositions };
+    }
+
+    /**
+     * @param {Object} account - From getAccountData
+     * @param {Array} collateralPositions - From getCollateralPositions
+     * @param {Object} [overrides] - Call overrides ({ blockTag })
+     * @returns {Promise<Object|null>} { liquidationIncentive, closeFactor, incentivePercent, closeFactorPercent, [treasuryPercent] }
+     */
+    async getLiquidationParameters(account, collateralPositions, overrides) {
+        throw new Error(`${this.protocol}: getLiquidationParameters() not implemented`);
+    }
+
+    /**
+     * Collateral paid out for repaying repayAmount of debtPosition. The default
+     * values the seize in USD (repay value x incentive); Venus overrides it with
+     * the Comptroller's exact vToken math
+     * @param {Object} params - { debtPosition, collateralPosition, repayAmount, liquidationIncentive, treasuryPercent }
+     * @returns {Object} { repayAmount, collateralReceived } - repayAmount may be reduced to what the collateral covers
+     */
+    calculateSeize({ debtPosition, collateralPosition, repayAmount, liquidationIncentive }) {
+        const collateralReceived = calculateCollateralSeized(
+            repayAmount,
+            debtPosition.priceUSD,
+            collateralPosition.priceUSD,
+            liquidationIncentive
+        );
+        return { repayAmount, collateralReceived };
+    }
+
+    /**
+     * Direct (non flash) liquidation call for one debt/collateral pair
+     * @param {Object} params - { borrower, debtPosition, collateralPosition, repayAmount }
+     * @returns {Object} { to, data, value }
+     */
+    encodeLiquidationCall(params) {
+        throw new Error(`${this.protocol}: encodeLiquidationCall() not implemented`);
+    }
+
+    /**
+     * Contract events that reveal new borrowers
+     * @returns {Array} [{ name, address, abi, event, getBorrower(args) }]
+     */
+    getEventSources() {
+        return [];
+    }
+}
+
+module.exports = ProtocolAdapter;
@@ -0,0 +1,124 @@
+/**
+ * helpers/revertDecoder.js
+ *
+ * Decodes and classifies reverts from BSC_LiquidationV3 simulations
+ * Handles require() strings, panics and custom errors (OpenZeppelin v5 uses
+ * custom errors such as EnforcedPause)
+ */
+
+const { ethers } = require("ethers");
+
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71";        // Panic(uint256)
+
+// Revert reason (substring) -> category. First match wins
+const REVERT_CATEGORIES = [
+    ['Not profitable', 'UNPROFITABLE'],
+    ['Too little received', 'SLIPPAGE'],
+    ['Pool does not exist', 'NO_POOL'],
+    ['Flash and swap pool must differ', 'NO_POOL'],
+    ['Liquidation failed', 'LIQUIDATION_REJECTED'],   // also matches "Liquidation failed (BNB)"
+    ['No collateral received', 'COLLATERAL'],
+    ['No collateral after redeem', 'COLLATERAL'],
+    ['No BNB collateral', 'COLLATERAL'],
+    ['Redeem failed', 'COLLATERAL'],
+    ['Only owner', 'NOT_OWNER'],
+    ['EnforcedPause', 'PAUSED'],
+    ['Pausable: paused', 'PAUSED'],
+    ['Unauthorized callback', 'CALLBACK'],
+    ['minOut too high', 'INVALID_PARAMS'],
+    ['Invalid borrower', 'INVALID_PARAMS'],
+    ['Invalid repay amount', 'INVALID_PARAMS'],
+    ['LOK', 'POOL_LOCKED'],
+    ['STF', 'TRANSFER'],
+    ['Panic', 'PANIC']
+];
+
+/**
+ * Find the revert data on an ethers error (may be nested in error.info / error.error)
+ */
+function extractRevertData(error) {
+    const candidates = [error?.data, error?.info?.error?.data, error?.error?.data];
+    for (const data of candidates) {
+        if (typeof data === 'string' && data.startsWith('0x') && data.length >= 10) {
+            return data;
+        }
+        if (data && typeof data.data === 'string') {
+            return data.data;
+        }
+    }
+    return null;
+}
+
+/**
+ * Decode raw revert data
+ * @param {string} data - Revert data hex
+ * @param {Object} [iface] - ethers Interface with the contract's custom errors
+ * @returns {string|null} Human-readable reason
+ */
+function decodeRevertData(data, iface = null) {
+    if (!data || data === '0x') {
+        return null;
+    }
+
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const selector = data.slice(0, 10).toLowerCase();
+    try {
+        if (selector === ERROR_STRING_SELECTOR) {
+            return coder.decode(['string'], '0x' + data.slice(10))[0];
+        }
+        if (selector === PANIC_SELECTOR) {
+            const code = coder.decode(['uint256'], '0x' + data.slice(10))[0];
+            return `Panic(0x${code.toString(16)})`;
+        }
+        if (iface) {
+            const parsed = iface.parseError(data);
+            if (parsed) {
+                return parsed.args.length ? `${parsed.name}(${parsed.args.join(', ')})` : parsed.name;
+            }
+        }
+    } catch (error) {
+        // Fall through to the raw selector
+    }
+    return `Unknown revert ${selector}`;
+}
+
+/**
+ * Decode a revert from an ethers call error
+ * @returns {string} Reason
+ */
+function decodeRevertReason(error, iface = null) {
+    if (error?.revert) {
+        const { name, args } = error.revert;
+        if (name === 'Error') return args[0];
+        if (name === 'Panic') return `Panic(0x${BigInt(args[0]).toString(16)})`;
+        return args.length ? `${name}(${args.join(', ')})` : name;
+    }
+    if (error?.reason) {
+        return error.reason;
+    }
+
+    const decoded = decodeRevertData(extractRevertData(error), iface);
+    if (decoded) {
+        return decoded;
+    }
+    return error?.shortMessage || error?.message || 'Unknown error';
+}
+
+/**
+ * Map a decoded reason to a category
+ */
+function classifyRevert(reason) {
+    if (!reason) {
+        return 'UNKNOWN';
+    }
+    const match = REVERT_CATEGORIES.find(([pattern]) => reason.includes(pattern));
+    return match ? match[1] : 'UNKNOWN';
+}
+
+module.exports = {
+    decodeRevertData,
+    decodeRevertReason,
+    classifyRevert,
+    REVERT_CATEGORIES
+};
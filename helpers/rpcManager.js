@@ -2,6 +2,11 @@
 // UPDATED FOR LIQUIDATION BOT - Minor changes only
 
 const { ethers } = require("ethers");
+const { createLogger } = require('./logger');
+const { getBotMetrics, endpointLabel } = require('./metrics');
+
+const log = createLogger('rpcManager');
+const metrics = getBotMetrics();
 
 /**
  * Multi-RPC failover manager with automatic rotation and health tracking
@@ -59,7 +64,7 @@ function getNextHealthyIndex() {
     }
     
     // If all RPCs are failing, reset counters and use first one
-    console.warn('⚠️ All RPCs have failures, resetting health metrics');
+    log.warn('⚠️ All RPCs have failures, resetting health metrics');
     rpcHealth.forEach(h => {
         h.consecutiveFailures = 0;
         h.failures = 0;
@@ -74,8 +79,11 @@ function getNextHealthyIndex() {
 function markFailure(index) {
     rpcHealth[index].failures++;
     rpcHealth[index].consecutiveFailures++;
-    console.warn(`⚠️ RPC ${index} (${RPC_URLS[index].substring(0, 30)}...) marked as failed`);
-    console.warn(`   Total failures: ${rpcHealth[index].failures}, Consecutive: ${rpcHealth[index].consecutiveFailures}`);
+    metrics.rpcErrors.inc({ endpoint: endpointLabel(RPC_URLS[index]) });
+    log.warn(`⚠️ RPC ${index} (${RPC_URLS[index].substring(0, 30)}...) marked as failed`, {
+        failures: rpcHealth[index].failures,
+        consecutiveFailures: rpcHealth[index].consecutiveFailures
+    });
 }
 
 /**
@@ -90,6 +98,7 @@ function markSuccess(index, responseTime = 0) {
     
     // Calculate moving average response time
     if (responseTime > 0) {
+        metrics.rpcDuration.observe({ endpoint: endpointLabel(RPC_URLS[index]) }, responseTime / 1000);
         health.avgResponseTime = health.avgResponseTime === 0
             ? responseTime
             : (health.avgResponseTime * 0.9 + responseTime * 0.1);
@@ -104,13 +113,13 @@ function shouldRotate() {
     
     // Rotate based on request count
     if (requestCount >= ROTATION_INTERVAL) {
-        console.log(`🔄 Rotating RPC: Request count reached (${requestCount} requests)`);
+        log.info(`🔄 Rotating RPC: Request count reached (${requestCount} requests)`);
         return true;
     }
     
     // Rotate based on time
     if (timeSinceRotation >= ROTATION_TIME) {
-        console.log(`🔄 Rotating RPC: Time interval reached (${Math.floor(timeSinceRotation / 1000 / 60)} minutes)`);
+        log.info(`🔄 Rotating RPC: Time interval reached (${Math.floor(timeSinceRotation / 1000 / 60)} minutes)`);
         return true;
     }
     
@@ -129,10 +138,9 @@ function rotateProvider() {
         requestCount = 0;
         lastRotation = Date.now();
         
-        console.log(`\n🔁 RPC ROTATED`);
-        console.log(`   From: [${oldIndex}] ${RPC_URLS[oldIndex].substring(0, 40)}...`);
-        console.log(`   To:   [${currentIndex}] ${RPC_URLS[currentIndex].substring(0, 40)}...`);
-        console.log(`   Reason: Scheduled rotation\n`);
+        log.info(`🔁 RPC ROTATED: [${oldIndex}] ${RPC_URLS[oldIndex].substring(0, 40)}... -> [${currentIndex}] ${RPC_URLS[currentIndex].substring(0, 40)}...`, {
+            reason: 'scheduled rotation'
+        });
     }
     
     return provider;
@@ -168,7 +176,7 @@ async function getProvider() {
         return provider;
         
     } catch (err) {
-        console.error(`❌ RPC [${currentIndex}] failed: ${err.message}`);
+        log.error(`❌ RPC [${currentIndex}] failed: ${err.message}`);
         markFailure(currentIndex);
         
         // Try next RPC
@@ -178,7 +186,7 @@ async function getProvider() {
         requestCount = 0;
         lastRotation = Date.now();
         
-        console.log(`🔁 Switched to RPC [${currentIndex}] ${RPC_URLS[currentIndex].substring(0, 40)}...`);
+        log.info(`🔁 Switched to RPC [${currentIndex}] ${RPC_URLS[currentIndex].substring(0, 40)}...`);
         
         // Verify new provider works
         try {
@@ -186,7 +194,7 @@ async function getProvider() {
             markSuccess(currentIndex);
             return provider;
         } catch (err2) {
-            console.error(`❌ Backup RPC also failed: ${err2.message}`);
+            log.error(`❌ Backup RPC also failed: ${err2.message}`);
             markFailure(currentIndex);
             throw new Error('All RPCs failing');
         }
@@ -240,7 +248,7 @@ function switchToFastest() {
     const fastestIndex = getFastestRPC();
     
     if (fastestIndex !== currentIndex) {
-        console.log(`⚡ Switching to fastest RPC [${fastestIndex}] (${rpcHealth[fastestIndex].avgResponseTime.toFixed(0)}ms avg)`);
+        log.info(`⚡ Switching to fastest RPC [${fastestIndex}] (${rpcHealth[fastestIndex].avgResponseTime.toFixed(0)}ms avg)`);
         currentIndex = fastestIndex;
         provider = new ethers.JsonRpcProvider(RPC_URLS[currentIndex]);
         requestCount = 0;
@@ -254,7 +262,7 @@ function switchToFastest() {
  * Force rotation to next RPC (useful for testing)
  */
 function forceRotation() {
-    console.log('🔧 Force rotating RPC...');
+    log.info('🔧 Force rotating RPC...');
     return rotateProvider();
 }
 
@@ -269,27 +277,22 @@ function resetHealth() {
         h.avgResponseTime = 0;
         h.totalRequests = 0;
     });
-    console.log('✅ RPC health metrics reset');
+    log.info('✅ RPC health metrics reset');
 }
 
 // Periodic health check
 setInterval(() => {
     const stats = getRPCStats();
-    console.log(`\n📊 RPC Health Check:`);
-    console.log(`   Current: [${stats.currentIndex}] ${stats.currentRPC.substring(0, 50)}...`);
-    console.log(`   Requests since rotation: ${stats.requestCount}/${ROTATION_INTERVAL}`);
-    console.log(`   Time since rotation: ${stats.timeSinceRotation}s / ${ROTATION_TIME/1000}s`);
-    
     const unhealthy = rpcHealth.filter(h => h.consecutiveFailures > 0);
-    if (unhealthy.length > 0) {
-        console.log(`   ⚠️ Unhealthy RPCs: ${unhealthy.length}/${RPC_URLS.length}`);
-    }
-    
-    // Show fastest RPC
     const fastest = getFastestRPC();
-    if (rpcHealth[fastest].avgResponseTime > 0) {
-        console.log(`   ⚡ Fastest RPC: [${fastest}] (${rpcHealth[fastest].avgResponseTime.toFixed(0)}ms avg)`);
-    }
+
+    log.info(`📊 RPC Health Check: [${stats.currentIndex}] ${stats.currentRPC.substring(0, 50)}...`, {
+        requestsSinceRotation: `${stats.requestCount}/${ROTATION_INTERVAL}`,
+        secondsSinceRotation: `${stats.timeSinceRotation}/${ROTATION_TIME / 1000}`,
+        unhealthy: `${unhealthy.length}/${RPC_URLS.length}`,
+        // Fastest RPC (once response times are known)
+        ...(rpcHealth[fastest].avgResponseTime > 0 && { fastest, fastestAvgMs: Math.round(rpcHealth[fastest].avgResponseTime) })
+    });
 }, HEALTH_CHECK_INTERVAL);
 
 module.exports = { 
@@ -0,0 +1,150 @@
+/**
+ * helpers/shutdownCoordinator.js
+ *
+ * One shutdown path for SIGINT, SIGTERM and uncaught errors
+ * Stops new scans, waits for an in-flight liquidation to confirm or time out
+ * (so a mined tx is always recorded), persists state and closes the engine,
+ * then runs the entry point's own cleanup steps (WebSocket, Telegram, dashboard)
+ * before exiting. A second signal while draining exits immediately
+ */
+
+const { EventEmitter } = require('events');
+const { createLogger } = require('./logger');
+
+const log = createLogger('shutdown');
+
+const DEFAULT_STEP_TIMEOUT_MS = 5000; // Per cleanup step, e.g. WebSocket close
+
+/**
+ * Events:
+ *   shutdown { reason, exitCode, drained } - about to exit
+ */
+class ShutdownCoordinator extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {LiquidationEngine} [options.engine] - Drained and shut down first (none in dashboard-only mode)
+     * @param {number} [options.drainTimeoutMs] - Max wait for in-flight work (engine.config.shutdownTimeoutMs by default)
+     * @param {number} [options.stepTimeoutMs] - Max wait per cleanup step
+     * @param {Function} [options.exit] - Called with the exit code at the end
+     */
+    constructor({ engine = null, drainTimeoutMs = null, stepTimeoutMs = DEFAULT_STEP_TIMEOUT_MS, exit = (code) => process.exit(code) } = {}) {
+        super();
+        this.engine = engine;
+        this.drainTimeoutMs = drainTimeoutMs;
+        this.stepTimeoutMs = stepTimeoutMs;
+        this.exit = exit;
+        this.steps = [];
+        this.shutdownPromise = null;
+        this.handlers = null;
+        this.proc = null;
+    }
+
+    /**
+     * Register a cleanup step, run in order after the engine is closed
+     * @param {string} name - For logs
+     * @param {Function} fn - May return a promise
+     */
+    addStep(name, fn) {
+        this.steps.push({ name, fn });
+        return this;
+    }
+
+    /**
+     * Route signals and uncaught errors to shutdown()
+     * @param {Object} [proc] - process (injectable for tests)
+     */
+    install(proc = process) {
+        const onSignal = (signal) => {
+            if (this.shutdownPromise) {
+                log.warn(`\n⚠️  ${signal} received again, exiting without waiting`);
+                this.exit(1);
+                return;
+            }
+            this.shutdown(signal);
+        };
+        const onError = (kind) => (error) => {
+            log.error(`💥 ${kind}: ${error?.stack || error}`);
+            this.shutdown(kind, 1);
+        };
+
+        this.handlers = {
+            SIGINT: onSignal,
+            SIGTERM: onSignal,
+            uncaughtException: onError('Uncaught exception'),
+            unhandledRejection: onError('Unhandled rejection')
+        };
+        for (const [event, handler] of Object.entries(this.handlers)) {
+            proc.on(event, handler);
+        }
+        this.proc = proc;
+        return this;
+    }
+
+    uninstall() {
+        if (!this.handlers) {
+            return;
+        }
+        for (const [event, handler] of Object.entries(this.handlers)) {
+            this.proc.off(event, handler);
+        }
+        this.handlers = null;
+    }
+
+    /**
+     * Shut down once; later calls return the same promise
+     * @param {string} reason - Signal name or error kind
+     * @param {number} [exitCode]
+     */
+    shutdown(reason, exitCode = 0) {
+        if (!this.shutdownPromise) {
+            this.shutdownPromise = this.run(reason, exitCode);
+        }
+        return this.shutdownPromise;
+    }
+
+    async run(reason, exitCode) {
+        log.info(`\n👋 Shutting down gracefully (${reason})...`);
+        let drained = true;
+
+        if (this.engine) {
+            const timeoutMs = this.drainTimeoutMs ?? this.engine.config.shutdownTimeoutMs;
+            try {
+                drained = await this.engine.drain(timeoutMs);
+            } catch (error) {
+                drained = false;
+                log.error(`❌ Drain failed: ${error.message}`);
+            }
+            try {
+                this.engine.shutdown();
+            } catch (error) {
+                log.error(`❌ Engine shutdown failed: ${error.message}`);
+            }
+        }
+
+        for (const { name, fn } of this.steps) {
+            await this.runStep(name, fn);
+        }
+
+        this.emit('shutdown', { reason, exitCode, drained });
+        log.info('✅ Shutdown complete');
+        this.exit(exitCode);
+    }
+
+    async runStep(name, fn) {
+        let timer;
+        const timedOut = new Promise(resolve => { timer = setTimeout(() => resolve('timeout'), this.stepTimeoutMs); });
+        try {
+            const result = await Promise.race([Promise.resolve().then(fn), timedOut]);
+            if (result === 'timeout') {
+                log.warn(`⚠️  ${name}: no response after ${this.stepTimeoutMs / 1000}s, continuing`);
+            }
+        } catch (error) {
+            log.warn(`⚠️  ${name}: ${error.message}`);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+module.exports = ShutdownCoordinator;
+module.exports.DEFAULT_STEP_TIMEOUT_MS = DEFAULT_STEP_TIMEOUT_MS;
@@ -0,0 +1,228 @@
+/**
+ * helpers/transactionManager.js
+ *
+ * Local nonce tracking and stuck-transaction handling for liquidation txs
+ * Sends with an explicit nonce, speeds up (same nonce, higher gas) while the tx
+ * is pending and cancels it (0-value self transfer) once the deadline passes
+ */
+
+const { ethers } = require("ethers");
+const { PublicRpcSubmitter } = require('./transactionSubmitter');
+const { createLogger } = require('./logger');
+
+const log = createLogger('txManager');
+
+const DEFAULT_TX_CONFIG = {
+    deadlineMs: 60000,          // Give up on the liquidation after 60s (~20 BSC blocks)
+    speedUpIntervalMs: 15000,   // Replace with higher gas if still pending after 15s
+    gasBumpPercent: 15,         // Nodes require >= 10% bump for a replacement
+    maxReplacements: 3,
+    maxGasPrice: ethers.parseUnits("20", "gwei"),
+    cancelTimeoutMs: 30000,     // How long to wait for the cancel tx before marking dropped
+    pollIntervalMs: 1000
+};
+
+class TransactionManager {
+    /**
+     * @param {Object} options
+     * @param {Object} options.wallet - Signer sending the transactions
+     * @param {Object} options.provider - Provider for nonce and receipt lookups
+     * @param {BorrowerDatabase} [options.database] - Records every attempt
+     * @param {TransactionSubmitter} [options.submitter] - Default channel (public RPC)
+     * @param {Object} [options.config] - Overrides for DEFAULT_TX_CONFIG
+     */
+    constructor({ wallet, provider, database = null, submitter = null, config = {} }) {
+        this.wallet = wallet;
+        this.provider = provider;
+        this.database = database;
+        this.submitter = submitter || new PublicRpcSubmitter(wallet);
+        this.config = { ...DEFAULT_TX_CONFIG, ...config };
+        this.nonce = null;
+    }
+
+    /**
+     * Load the next nonce from the node (includes our pending txs)
+     */
+    async syncNonce() {
+        const address = await this.wallet.getAddress();
+        this.nonce = await this.provider.getTransactionCount(address, 'pending');
+        return this.nonce;
+    }
+
+    async reserveNonce() {
+        if (this.nonce === null) {
+            await this.syncNonce();
+        }
+        return this.nonce++;
+    }
+
+    /**
+     * Next gas price for a replacement, or null if already at the cap
+     */
+    bumpGasPrice(gasPrice) {
+        const { gasBumpPercent, maxGasPrice } = this.config;
+        if (gasPrice >= maxGasPrice) {
+            return null;
+        }
+        const bumped = (gasPrice * BigInt(100 + gasBumpPercent)) / 100n + 1n;
+        return bumped > maxGasPrice ? maxGasPrice : bumped;
+    }
+
+    /**
+     * Lowest price a node accepts to replace a tx at gasPrice, ignoring the cap
+     * (the cancel is a 21k gas transfer, so exceeding maxGasPrice costs little)
+     */
+    replacementGasPrice(gasPrice) {
+        return (gasPrice * BigInt(100 + this.config.gasBumpPercent)) / 100n + 1n;
+    }
+
+    recordAttempt(attempt) {
+        if (this.database) {
+            this.database.recordTxAttempt(attempt);
+        }
+    }
+
+    updateStatus(txHash, status) {
+        if (this.database) {
+            this.database.updateTxAttemptStatus(txHash, status);
+        }
+    }
+
+    async broadcast(txRequest, kind, label, submitter) {
+        try {
+            const tx = await submitter.submit(txRequest);
+            this.recordAttempt({
+                txHash: tx.hash,
+                nonce: txRequest.nonce,
+                kind,
+                label,
+                channel: submitter.name,
+                gasPrice: txRequest.gasPrice,
+                status: 'pending'
+            });
+            return tx;
+        } catch (error) {
+            this.recordAttempt({
+                nonce: txRequest.nonce,
+                kind,
+                label,
+                channel: submitter.name,
+                gasPrice: txRequest.gasPrice,
+                status: 'failed',
+                error: error.shortMessage || error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * First mined receipt among the hashes sent for one nonce
+     */
+    async findReceipt(hashes) {
+        for (const hash of hashes) {
+            const receipt = await this.provider.getTransactionReceipt(hash);
+            if (receipt) {
+                return { hash, receipt };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Send a populated transaction and see it through to a final state
+     *
+     * @param {Object} txRequest - Populated tx (to, data, value)
+     * @param {Object} options - { gasLimit, gasPrice, label, submitter }
+     * @returns {Promise<Object>} { status: 'mined'|'reverted'|'cancelled'|'dropped', receipt, hash, nonce, attempts }
+     */
+    async send(txRequest, { gasLimit, gasPrice, label = null, submitter = this.submitter }) {
+        const { deadlineMs, speedUpIntervalMs, maxReplacements, cancelTimeoutMs, pollIntervalMs } = this.config;
+
+        const nonce = await this.reserveNonce();
+        const hashes = [];
+        let cancelHash = null;
+        let currentGasPrice = gasPrice;
+
+        try {
+            const tx = await this.broadcast({ ...txRequest, nonce, gasLimit, gasPrice }, 'initial', label, submitter);
+            hashes.push(tx.hash);
+        } catch (error) {
+            // Nonce was never used - resync so the next send doesn't leave a gap
+            await this.syncNonce();
+            throw error;
+        }
+
+        const deadline = Date.now() + deadlineMs;
+        let cancelDeadline = null;
+        let lastSendTs = Date.now();
+        let replacements = 0;
+
+        while (true) {
+            const found = await this.findReceipt(hashes);
+            if (found) {
+                let status;
+                if (found.hash === cancelHash) {
+                    status = 'cancelled';
+                } else {
+                    status = found.receipt.status === 1 ? 'mined' : 'reverted';
+                }
+
+                this.updateStatus(found.hash, status);
+                hashes.filter(hash => hash !== found.hash).forEach(hash => this.updateStatus(hash, 'replaced'));
+
+                return { status, receipt: found.receipt, hash: found.hash, nonce, attempts: hashes.length };
+            }
+
+            const now = Date.now();
+
+            if (cancelDeadline === null && now >= deadline) {
+                // Deadline passed: free the nonce with a 0-value self transfer. It must outbid the
+                // last price sent for this nonce even at maxGasPrice, or nodes reject it as underpriced
+                const cancelGasPrice = this.replacementGasPrice(currentGasPrice);
+                log.info(`   ⏱️  Tx nonce ${nonce} past deadline, cancelling (gas ${ethers.formatUnits(cancelGasPrice, 'gwei')} gwei)`);
+                try {
+                    const cancelTx = await this.broadcast({
+                        to: await this.wallet.getAddress(),
+                        value: 0n,
+                        data: '0x',
+                        nonce,
+                        gasLimit: 21000n,
+                        gasPrice: cancelGasPrice
+                    }, 'cancel', label, submitter);
+                    cancelHash = cancelTx.hash;
+                    hashes.push(cancelTx.hash);
+                    currentGasPrice = cancelGasPrice;
+                } catch (error) {
+                    // "nonce too low" means one of our txs was just mined - keep polling
+                    log.warn(`   ⚠️  Cancel failed: ${error.shortMessage || error.message}`);
+                }
+                cancelDeadline = now + cancelTimeoutMs;
+            } else if (cancelDeadline === null && replacements < maxReplacements && now - lastSendTs >= speedUpIntervalMs) {
+                const bumpedGasPrice = this.bumpGasPrice(currentGasPrice);
+                if (bumpedGasPrice !== null) {
+                    log.info(`   🚀 Speeding up nonce ${nonce}: ${ethers.formatUnits(bumpedGasPrice, 'gwei')} gwei`);
+                    try {
+                        const tx = await this.broadcast({ ...txRequest, nonce, gasLimit, gasPrice: bumpedGasPrice }, 'speedup', label, submitter);
+                        hashes.push(tx.hash);
+                    } catch (error) {
+                        log.warn(`   ⚠️  Speed-up failed: ${error.shortMessage || error.message}`);
+                    }
+                    // Bump from the new price next time even if the node rejected this one
+                    currentGasPrice = bumpedGasPrice;
+                }
+                replacements++;
+                lastSendTs = now;
+            } else if (cancelDeadline !== null && now >= cancelDeadline) {
+                log.info(`   ⚠️  Nonce ${nonce} still pending after cancel, marking dropped`);
+                hashes.forEach(hash => this.updateStatus(hash, 'dropped'));
+                await this.syncNonce();
+                return { status: 'dropped', receipt: null, hash: hashes[0], nonce, attempts: hashes.length };
+            }
+
+            await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+        }
+    }
+}
+
+module.exports = TransactionManager;
+module.exports.DEFAULT_TX_CONFIG = DEFAULT_TX_CONFIG;
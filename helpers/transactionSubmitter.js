@@ -0,0 +1,159 @@
+/**
+ * helpers/transactionSubmitter.js
+ *
+ * Submission channels for signed liquidation transactions
+ * - PublicRpcSubmitter: wallet's own provider (public mempool)
+ * - PrivateRpcSubmitter: a private/protected RPC that keeps the tx out of the public mempool
+ * - MultiBroadcastSubmitter: same signed tx to several RPCs at once
+ * - MockSubmitter: records submissions locally (tests)
+ */
+
+const { ethers } = require("ethers");
+
+class TransactionSubmitter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Submit a fully specified transaction (nonce, gasLimit, gasPrice set)
+     * @returns {Promise<Object>} { hash }
+     */
+    async submit(txRequest) {
+        throw new Error(`${this.name}: submit() not implemented`);
+    }
+}
+
+/**
+ * Populate and sign locally so the same raw tx can go to any endpoint
+ */
+async function signTransaction(wallet, txRequest) {
+    const populated = await wallet.populateTransaction(txRequest);
+    return wallet.signTransaction(populated);
+}
+
+class PublicRpcSubmitter extends TransactionSubmitter {
+    constructor(wallet) {
+        super('public');
+        this.wallet = wallet;
+    }
+
+    async submit(txRequest) {
+        const tx = await this.wallet.sendTransaction(txRequest);
+        return { hash: tx.hash };
+    }
+}
+
+class PrivateRpcSubmitter extends TransactionSubmitter {
+    /**
+     * @param {Object} wallet - Signer (must support signTransaction)
+     * @param {Object} provider - Provider for the private RPC endpoint
+     */
+    constructor(wallet, provider) {
+        super('private');
+        this.wallet = wallet;
+        this.provider = provider;
+    }
+
+    async submit(txRequest) {
+        const signedTx = await signTransaction(this.wallet, txRequest);
+        await this.provider.broadcastTransaction(signedTx);
+        return { hash: ethers.Transaction.from(signedTx).hash };
+    }
+}
+
+class MultiBroadcastSubmitter extends TransactionSubmitter {
+    /**
+     * @param {Object} wallet - Signer (must support signTransaction)
+     * @param {Object[]} providers - Providers to broadcast to
+     */
+    constructor(wallet, providers) {
+        super('broadcast');
+        this.wallet = wallet;
+        this.providers = providers;
+    }
+
+    async submit(txRequest) {
+        const signedTx = await signTransaction(this.wallet, txRequest);
+        const results = await Promise.allSettled(
+            this.providers.map(provider => provider.broadcastTransaction(signedTx))
+        );
+
+        const accepted = results.filter(result => result.status === 'fulfilled').length;
+        if (accepted === 0) {
+            const reasons = results.map(result => result.reason?.shortMessage || result.reason?.message);
+            throw new Error(`Broadcast rejected by all ${this.providers.length} endpoints: ${reasons.join('; ')}`);
+        }
+
+        return { hash: ethers.Transaction.from(signedTx).hash, accepted };
+    }
+}
+
+class MockSubmitter extends TransactionSubmitter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.failWith] - Reject every submission with this message
+     */
+    constructor({ failWith = null } = {}) {
+        super('mock');
+        this.failWith = failWith;
+        this.submitted = [];
+    }
+
+    async submit(txRequest) {
+        if (this.failWith) {
+            throw new Error(this.failWith);
+        }
+        const hash = ethers.id(`mock-${this.submitted.length}-${txRequest.nonce}`);
+        this.submitted.push({ ...txRequest, hash });
+        return { hash };
+    }
+}
+
+/**
+ * Build submission routes from config, largest minimum profit first
+ * Public RPC is always the fallback route
+ *
+ * @param {Object} wallet - Signer
+ * @param {Object} options - { privateRpcUrl, privateSubmitMinProfit, broadcastRpcUrls, broadcastSubmitMinProfit }
+ * @returns {Array} [{ minProfit, submitter }]
+ */
+function createSubmissionRoutes(wallet, options = {}) {
+    const {
+        privateRpcUrl = null,
+        privateSubmitMinProfit = 0n,
+        broadcastRpcUrls = [],
+        broadcastSubmitMinProfit = 0n
+    } = options;
+
+    const routes = [];
+
+    if (broadcastRpcUrls.length) {
+        const providers = broadcastRpcUrls.map(url => new ethers.JsonRpcProvider(url));
+        routes.push({ minProfit: broadcastSubmitMinProfit, submitter: new MultiBroadcastSubmitter(wallet, providers) });
+    }
+    if (privateRpcUrl) {
+        routes.push({ minProfit: privateSubmitMinProfit, submitter: new PrivateRpcSubmitter(wallet, new ethers.JsonRpcProvider(privateRpcUrl)) });
+    }
+    routes.push({ minProfit: 0n, submitter: new PublicRpcSubmitter(wallet) });
+
+    return routes.sort((a, b) => (a.minProfit > b.minProfit ? -1 : a.minProfit < b.minProfit ? 1 : 0));
+}
+
+/**
+ * Pick the channel for an opportunity by its expected profit
+ */
+function selectSubmitter(routes, expectedProfit) {
+    const route = routes.find(r => expectedProfit >= r.minProfit) || routes[routes.length - 1];
+    return route.submitter;
+}
+
+module.exports = {
+    TransactionSubmitter,
+    PublicRpcSubmitter,
+    PrivateRpcSubmitter,
+    MultiBroadcastSubmitter,
+    MockSubmitter,
+    createSubmissionRoutes,
+    selectSubmitter
+};
@@ -6,14 +6,20 @@
  */
 
 const { ethers } = require("ethers");
+const { createLogger } = require('./logger');
+const MulticallHelper = require('./multicall');
+
+const log = createLogger('venus');
 
 // ABIs for Venus contracts
 const COMPTROLLER_ABI = [
     "function getAccountLiquidity(address account) external view returns (uint, uint, uint)",
     "function getAllMarkets() external view returns (address[])",
+    "function getAssetsIn(address account) external view returns (address[])",
     "function liquidationIncentiveMantissa() external view returns (uint)",
     "function markets(address) external view returns (bool, uint, bool)",
-    "function closeFactorMantissa() external view returns (uint)"
+    "function closeFactorMantissa() external view returns (uint)",
+    "function liquidatorContract() external view returns (address)" // Core pool only
 ];
 
 const VTOKEN_ABI = [
@@ -46,11 +52,12 @@ const ERC20_ABI = [
  * 
  * @param {Object} comptroller - Venus Comptroller contract
  * @param {string} borrowerAddress - Address to check
+ * @param {Object} [overrides] - Call overrides, e.g. { blockTag }
  * @returns {Object} Account data
  */
-async function getVenusAccountData(comptroller, borrowerAddress) {
+async function getVenusAccountData(comptroller, borrowerAddress, overrides = {}) {
     try {
-        const [error, liquidity, shortfall] = await comptroller.getAccountLiquidity(borrowerAddress);
+        const [error, liquidity, shortfall] = await comptroller.getAccountLiquidity(borrowerAddress, overrides);
         
         if (error !== 0n) {
             throw new Error(`Comptroller error: ${error}`);
@@ -71,68 +78,151 @@ async function getVenusAccountData(comptroller, borrowerAddress) {
             isLiquidatable: shortfall > 0n
         };
     } catch (error) {
-        console.error(`Error getting account data: ${error.message}`);
+        log.error(`Error getting account data: ${error.message}`);
         return null;
     }
 }
 
 /**
- * Get all borrow positions for an address
+ * Health factor from comptroller liquidity and total borrow value
+ * 
+ * Venus reports liquidity = sum(collateral * CF) - borrows (or shortfall when negative),
+ * so HF = sum(collateral * CF) / borrows = (borrows + liquidity - shortfall) / borrows
+ * 
+ * @param {BigInt} liquidity - From getAccountLiquidity (USD, 18 decimals)
+ * @param {BigInt} shortfall - From getAccountLiquidity (USD, 18 decimals)
+ * @param {BigInt} totalBorrowUSD - Sum of borrow values (USD, 18 decimals)
+ * @returns {BigInt} Health factor (18 decimals), MaxUint256 without borrows
+ */
+function calculateAccountHealthFactor(liquidity, shortfall, totalBorrowUSD) {
+    if (totalBorrowUSD === 0n) {
+        return ethers.MaxUint256;
+    }
+    const adjustedCollateral = totalBorrowUSD + liquidity - shortfall;
+    if (adjustedCollateral <= 0n) {
+        return 0n;
+    }
+    return (adjustedCollateral * ethers.parseEther("1")) / totalBorrowUSD;
+}
+
+/**
+ * Load position snapshots for many borrowers of one Comptroller in one multicall
+ * (plus getAllMarkets when markets aren't given)
+ * 
+ * Borrow balances, vToken balances and exchange rates come from each market's
+ * getAccountSnapshot; prices, collateral factors and protocol seize shares are
+ * read once per market. Collateral positions keep the vToken balance, exchange
+ * rate and seize share the liquidation seize math needs
  * 
+ * @param {MulticallHelper} multicallHelper - Multicall helper instance
  * @param {Object} comptroller - Venus Comptroller contract
  * @param {Object} oracle - Venus PriceOracle contract
- * @param {string} borrowerAddress - Address to check
- * @param {Object} provider - Ethers provider
- * @returns {Array} Array of borrow positions
+ * @param {Array} borrowers - Addresses to load
+ * @param {Object} [options]
+ * @param {Array} [options.markets] - vToken addresses (all of the Comptroller's markets by default)
+ * @param {boolean} [options.useLiquidationThreshold] - Isolated pools: collateralFactor is the liquidation threshold
+ * @param {number|string} [options.blockTag] - Block to read at (latest by default)
+ * @returns {Promise<Map>} borrower -> { borrowPositions, collateralPositions } (largest value first)
  */
-async function getAllBorrowPositions(comptroller, oracle, borrowerAddress, provider) {
-    const positions = [];
+async function loadAccountSnapshots(multicallHelper, comptroller, oracle, borrowers, options = {}) {
+    const { useLiquidationThreshold = false, blockTag } = options;
+    const markets = options.markets || Array.from(await comptroller.getAllMarkets(blockTag === undefined ? {} : { blockTag }));
+    const { accounts, prices, collateralFactors, protocolSeizeShares, metadata } = await multicallHelper.getPoolSnapshot({
+        comptroller,
+        oracle,
+        markets,
+        borrowers,
+        useLiquidationThreshold,
+        blockTag
+    });
     
-    try {
-        const markets = await comptroller.getAllMarkets();
+    const snapshots = new Map();
+    for (const borrower of borrowers) {
+        const borrowPositions = [];
+        const collateralPositions = [];
         
-        for (const marketAddress of markets) {
-            const vToken = new ethers.Contract(marketAddress, VTOKEN_ABI, provider);
-            
-            try {
-                // Use stored balance (view function, no state change)
-                const borrowBalance = await vToken.borrowBalanceStored(borrowerAddress);
-                
-                if (borrowBalance > 0n) {
-                    const [underlying, symbol, price] = await Promise.all([
-                        vToken.underlying().catch(() => ethers.ZeroAddress), // vBNB doesn't have underlying
-                        vToken.symbol(),
-                        oracle.getUnderlyingPrice(marketAddress)
-                    ]);
-                    
-                    // Calculate USD value
-                    const valueUSD = (borrowBalance * price) / ethers.parseEther("1");
-                    
-                    positions.push({
-                        vToken: marketAddress,
-                        vTokenSymbol: symbol,
-                        underlying: underlying === ethers.ZeroAddress ? "BNB" : underlying,
-                        borrowBalance,
-                        priceUSD: price,
-                        valueUSD
-                    });
-                }
-            } catch (error) {
-                // Skip this market
+        for (const vToken of markets) {
+            const account = accounts[borrower][vToken];
+            const price = prices[vToken];
+            // Markets without a price or symbol can't be valued or labeled
+            if (!account || !price || !metadata[vToken]) {
                 continue;
             }
+            const { symbol, underlying } = metadata[vToken];
+            const market = {
+                vToken,
+                vTokenSymbol: symbol,
+                underlying: underlying === ethers.ZeroAddress ? "BNB" : underlying // vBNB doesn't have underlying
+            };
+            
+            if (account.borrowBalance > 0n) {
+                borrowPositions.push({
+                    ...market,
+                    borrowBalance: account.borrowBalance,
+                    priceUSD: price,
+                    valueUSD: (account.borrowBalance * price) / ethers.parseEther("1")
+                });
+            }
+            
+            const underlyingBalance = (account.vTokenBalance * account.exchangeRate) / ethers.parseEther("1");
+            if (underlyingBalance > 0n) {
+                collateralPositions.push({
+                    ...market,
+                    vTokenBalance: account.vTokenBalance,
+                    underlyingBalance,
+                    priceUSD: price,
+                    valueUSD: (underlyingBalance * price) / ethers.parseEther("1"),
+                    collateralFactor: collateralFactors[vToken],
+                    exchangeRate: account.exchangeRate,
+                    protocolSeizeShare: protocolSeizeShares[vToken]
+                });
+            }
         }
         
-        // Sort by value (largest first)
-        positions.sort((a, b) => {
-            if (a.valueUSD > b.valueUSD) return -1;
-            if (a.valueUSD < b.valueUSD) return 1;
-            return 0;
+        snapshots.set(borrower, {
+            borrowPositions: sortByValue(borrowPositions),
+            collateralPositions: sortByValue(collateralPositions)
         });
-        
-        return positions;
+    }
+    
+    return snapshots;
+}
+
+/**
+ * Load one borrower's position snapshot (see loadAccountSnapshots)
+ * @returns {Promise<Object>} { borrowPositions, collateralPositions }
+ */
+async function loadAccountSnapshot(multicallHelper, comptroller, oracle, borrowerAddress, options = {}) {
+    const snapshots = await loadAccountSnapshots(multicallHelper, comptroller, oracle, [borrowerAddress], options);
+    return snapshots.get(borrowerAddress);
+}
+
+// Largest value first
+function sortByValue(positions) {
+    return positions.sort((a, b) => {
+        if (a.valueUSD > b.valueUSD) return -1;
+        if (a.valueUSD < b.valueUSD) return 1;
+        return 0;
+    });
+}
+
+/**
+ * Get all borrow positions for an address
+ * 
+ * @param {Object} comptroller - Venus Comptroller contract
+ * @param {Object} oracle - Venus PriceOracle contract
+ * @param {string} borrowerAddress - Address to check
+ * @param {Object} provider - Ethers provider
+ * @param {Object} [options] - { multicallHelper, markets, useLiquidationThreshold, blockTag } (see loadAccountSnapshots)
+ * @returns {Array} Array of borrow positions
+ */
+async function getAllBorrowPositions(comptroller, oracle, borrowerAddress, provider, options = {}) {
+    try {
+        const multicallHelper = options.multicallHelper || new MulticallHelper(provider);
+        const snapshot = await loadAccountSnapshot(multicallHelper, comptroller, oracle, borrowerAddress, options);
+        return snapshot.borrowPositions;
     } catch (error) {
-        console.error(`Error getting borrow positions: ${error.message}`);
+        log.error(`Error getting borrow positions: ${error.message}`);
         return [];
     }
 }
@@ -144,63 +234,16 @@ async function getAllBorrowPositions(comptroller, oracle, borrowerAddress, provi
  * @param {Object} oracle - Venus PriceOracle contract
  * @param {string} borrowerAddress - Address to check
  * @param {Object} provider - Ethers provider
+ * @param {Object} [options] - { multicallHelper, markets, useLiquidationThreshold, blockTag } (see loadAccountSnapshots)
  * @returns {Array} Array of collateral positions
  */
-async function getAllCollateralPositions(comptroller, oracle, borrowerAddress, provider) {
-    const positions = [];
-    
+async function getAllCollateralPositions(comptroller, oracle, borrowerAddress, provider, options = {}) {
     try {
-        const markets = await comptroller.getAllMarkets();
-        
-        for (const marketAddress of markets) {
-            const vToken = new ethers.Contract(marketAddress, VTOKEN_ABI, provider);
-            
-            try {
-                // Check vToken balance first (cheaper)
-                const vTokenBalance = await vToken.balanceOf(borrowerAddress);
-                
-                if (vTokenBalance > 0n) {
-                    // Get exchange rate and calculate underlying balance
-                    const exchangeRate = await vToken.exchangeRateStored();
-                    const underlyingBalance = (vTokenBalance * exchangeRate) / ethers.parseEther("1");
-                    
-                    if (underlyingBalance > 0n) {
-                        const [underlying, symbol, price] = await Promise.all([
-                            vToken.underlying().catch(() => ethers.ZeroAddress),
-                            vToken.symbol(),
-                            oracle.getUnderlyingPrice(marketAddress)
-                        ]);
-                        
-                        // Calculate USD value
-                        const valueUSD = (underlyingBalance * price) / ethers.parseEther("1");
-                        
-                        positions.push({
-                            vToken: marketAddress,
-                            vTokenSymbol: symbol,
-                            underlying: underlying === ethers.ZeroAddress ? "BNB" : underlying,
-                            vTokenBalance,
-                            underlyingBalance,
-                            priceUSD: price,
-                            valueUSD
-                        });
-                    }
-                }
-            } catch (error) {
-                // Skip this market
-                continue;
-            }
-        }
-        
-        // Sort by value (largest first)
-        positions.sort((a, b) => {
-            if (a.valueUSD > b.valueUSD) return -1;
-            if (a.valueUSD < b.valueUSD) return 1;
-            return 0;
-        });
-        
-        return positions;
+        const multicallHelper = options.multicallHelper || new MulticallHelper(provider);
+        const snapshot = await loadAccountSnapshot(multicallHelper, comptroller, oracle, borrowerAddress, options);
+        return snapshot.collateralPositions;
     } catch (error) {
-        console.error(`Error getting collateral positions: ${error.message}`);
+        log.error(`Error getting collateral positions: ${error.message}`);
         return [];
     }
 }
@@ -217,7 +260,7 @@ async function getOraclePrice(oracle, vTokenAddress) {
         const price = await oracle.getUnderlyingPrice(vTokenAddress);
         return price;
     } catch (error) {
-        console.error(`Error getting oracle price: ${error.message}`);
+        log.error(`Error getting oracle price: ${error.message}`);
         return 0n;
     }
 }
@@ -226,13 +269,14 @@ async function getOraclePrice(oracle, vTokenAddress) {
  * Get liquidation parameters from Venus
  * 
  * @param {Object} comptroller - Venus Comptroller contract
+ * @param {Object} [overrides] - Call overrides, e.g. { blockTag }
  * @returns {Object} Liquidation parameters
  */
-async function getLiquidationParameters(comptroller) {
+async function getLiquidationParameters(comptroller, overrides = {}) {
     try {
         const [liquidationIncentive, closeFactor] = await Promise.all([
-            comptroller.liquidationIncentiveMantissa(),
-            comptroller.closeFactorMantissa()
+            comptroller.liquidationIncentiveMantissa(overrides),
+            comptroller.closeFactorMantissa(overrides)
         ]);
         
         return {
@@ -242,7 +286,7 @@ async function getLiquidationParameters(comptroller) {
             closeFactorPercent: (Number(closeFactor) / 1e18) * 100
         };
     } catch (error) {
-        console.error(`Error getting liquidation parameters: ${error.message}`);
+        log.error(`Error getting liquidation parameters: ${error.message}`);
         return null;
     }
 }
@@ -276,7 +320,7 @@ async function getTokenInfo(tokenAddress, provider) {
             decimals: Number(decimals)
         };
     } catch (error) {
-        console.error(`Error getting token info: ${error.message}`);
+        log.error(`Error getting token info: ${error.message}`);
         return null;
     }
 }
@@ -293,11 +337,106 @@ async function isMarketActive(comptroller, vTokenAddress) {
         const [isListed, , ] = await comptroller.markets(vTokenAddress);
         return isListed;
     } catch (error) {
-        console.error(`Error checking market status: ${error.message}`);
+        log.error(`Error checking market status: ${error.message}`);
         return false;
     }
 }
 
+/**
+ * Score every debt × collateral pair for a borrower and rank them
+ * 
+ * Each pair's repay amount is capped by the close factor and by the collateral
+ * actually available to seize (repay × incentive cannot exceed the collateral value).
+ * Expected profit is the liquidation bonus on that repay, scaled by swap route
+ * quality and reduced by the gas cost.
+ * 
+ * @param {Array} borrowPositions - All borrow positions
+ * @param {Array} collateralPositions - All collateral positions
+ * @param {Object} params - Liquidation parameters from getLiquidationParameters
+ * @param {Object} [options]
+ * @param {BigInt} [options.gasCostUSD] - Estimated gas cost in USD (18 decimals)
+ * @param {Function} [options.getRouteQuality] - async (debtPosition, collateralPosition) => number in [0, 1]; 0 drops the pair
+ * @returns {Promise<Array>} Candidates sorted by score (best first)
+ */
+async function rankLiquidationPairs(borrowPositions, collateralPositions, params, options = {}) {
+    const { gasCostUSD = 0n, getRouteQuality = null } = options;
+    const ONE = ethers.parseEther("1");
+    const pairs = [];
+    
+    for (const debtPosition of borrowPositions) {
+        for (const collateralPosition of collateralPositions) {
+            // Flash swap needs a debt/collateral pool, so same-asset pairs cannot be executed
+            if (debtPosition.underlying === collateralPosition.underlying) {
+                continue;
+            }
+            if (!debtPosition.priceUSD || !collateralPosition.priceUSD) {
+                continue;
+            }
+            
+            // Close factor cap
+            const closeFactorRepay = (debtPosition.borrowBalance * params.closeFactor) / ONE;
+            
+            // Seize cap: repay value × incentive must fit in the borrower's collateral
+            const seizeCapRepayUSD = (collateralPosition.valueUSD * ONE) / params.liquidationIncentive;
+            const seizeCapRepay = (seizeCapRepayUSD * ONE) / debtPosition.priceUSD;
+            
+            const maxRepayAmount = closeFactorRepay < seizeCapRepay ? closeFactorRepay : seizeCapRepay;
+            if (maxRepayAmount === 0n) {
+                continue;
+            }
+            pairs.push({ debtPosition, collateralPosition, closeFactorRepay, seizeCapRepay, maxRepayAmount });
+        }
+    }
+    
+    // Route checks are independent, so run them side by side rather than per pair
+    const routeQualities = await Promise.all(pairs.map(async ({ debtPosition, collateralPosition }) => {
+        if (!getRouteQuality) {
+            return 1;
+        }
+        try {
+            return await getRouteQuality(debtPosition, collateralPosition);
+        } catch (error) {
+            return 0;
+        }
+    }));
+    
+    const candidates = [];
+    pairs.forEach(({ debtPosition, collateralPosition, closeFactorRepay, seizeCapRepay, maxRepayAmount }, i) => {
+        const routeQuality = routeQualities[i];
+        if (!routeQuality || routeQuality <= 0) {
+            return;
+        }
+        
+        const repayValueUSD = (maxRepayAmount * debtPosition.priceUSD) / ONE;
+        const seizeValueUSD = (repayValueUSD * params.liquidationIncentive) / ONE;
+        const bonusUSD = seizeValueUSD - repayValueUSD;
+        
+        const qualityBps = BigInt(Math.round(Math.min(routeQuality, 1) * 10000));
+        const score = (bonusUSD * qualityBps) / 10000n - gasCostUSD;
+        
+        candidates.push({
+            debtPosition,
+            collateralPosition,
+            maxRepayAmount,
+            repayValueUSD,
+            seizeValueUSD,
+            routeQuality,
+            score, // Expected USD profit after route quality and gas (18 decimals)
+            isSeizeCapped: seizeCapRepay < closeFactorRepay,
+            liquidationIncentive: params.liquidationIncentive,
+            closeFactorPercent: params.closeFactorPercent
+        });
+    });
+    
+    candidates.sort((a, b) => {
+        if (a.score > b.score) return -1;
+        if (a.score < b.score) return 1;
+        return 0;
+    });
+    
+    return candidates;
+}
+
 /**
  * Find best liquidation opportunity
  * Determines which debt to repay and which collateral to seize
@@ -305,33 +444,20 @@ async function isMarketActive(comptroller, vTokenAddress) {
  * @param {Array} borrowPositions - All borrow positions
  * @param {Array} collateralPositions - All collateral positions
  * @param {Object} comptroller - Venus Comptroller contract
+ * @param {Object} [options] - Passed through to rankLiquidationPairs
  * @returns {Object|null} Best liquidation pair or null
  */
-async function findBestLiquidationPair(borrowPositions, collateralPositions, comptroller) {
+async function findBestLiquidationPair(borrowPositions, collateralPositions, comptroller, options = {}) {
     if (borrowPositions.length === 0 || collateralPositions.length === 0) {
         return null;
     }
     
-    // Strategy: Liquidate largest debt with most liquid collateral
-    const largestDebt = borrowPositions[0]; // Already sorted by value
-    
-    // Find most liquid collateral (highest value)
-    const bestCollateral = collateralPositions[0]; // Already sorted by value
-    
     // Get liquidation parameters
     const params = await getLiquidationParameters(comptroller);
     if (!params) return null;
     
-    // Calculate max repay (typically 50% of debt)
-    const maxRepay = (largestDebt.borrowBalance * params.closeFactor) / ethers.parseEther("1");
-    
-    return {
-        debtPosition: largestDebt,
-        collateralPosition: bestCollateral,
-        maxRepayAmount: maxRepay,
-        liquidationIncentive: params.liquidationIncentive,
-        closeFactorPercent: params.closeFactorPercent
-    };
+    const ranked = await rankLiquidationPairs(borrowPositions, collateralPositions, params, options);
+    return ranked.length ? ranked[0] : null;
 }
 
 /**
@@ -366,7 +492,7 @@ function formatPosition(position, type = 'borrow') {
 function subscribeToVenusEvents(comptroller, callback) {
     // Market events
     comptroller.on("MarketEntered", (vToken, account) => {
-        console.log(`Market entered: ${account} → ${vToken}`);
+        log.info(`Market entered: ${account} → ${vToken}`);
         callback({ type: 'market_entered', vToken, account });
     });
     
@@ -376,12 +502,16 @@ function subscribeToVenusEvents(comptroller, callback) {
 
 module.exports = {
     getVenusAccountData,
+    calculateAccountHealthFactor,
     getAllBorrowPositions,
     getAllCollateralPositions,
+    loadAccountSnapshots,
+    loadAccountSnapshot,
     getOraclePrice,
     getLiquidationParameters,
     getTokenInfo,
     isMarketActive,
+    rankLiquidationPairs,
     findBestLiquidationPair,
     formatPosition,
     subscribeToVenusEvents,
@@ -0,0 +1,256 @@
+/**
+ * helpers/venusPools.js
+ *
+ * Venus lending pools: the core pool plus isolated pools listed in the
+ * PoolRegistry. Each pool has its own Comptroller, oracle and markets; a
+ * borrower's health is computed per pool and liquidations stay inside one pool.
+ * VenusPool is the Venus implementation of ProtocolAdapter
+ */
+
+const { ethers } = require("ethers");
+const MarketRegistry = require('./marketRegistry');
+const ProtocolAdapter = require('./protocolAdapter');
+const { createLogger } = require('./logger');
+const { calculateVenusSeize } = require('./liquidationCalculator');
+const {
+    getVenusAccountData,
+    loadAccountSnapshots,
+    getLiquidationParameters,
+    COMPTROLLER_ABI,
+    VTOKEN_ABI,
+    ORACLE_ABI
+} = require('./venusHelpers');
+
+const log = createLogger('venusPools');
+
+const POOL_REGISTRY_ABI = [
+    "function getAllPools() external view returns (tuple(string name, address creator, address comptroller, uint256 blockPosted, uint256 timestampPosted)[])"
+];
+
+// Isolated pool Comptrollers also expose their oracle and a collateral floor below
+// which liquidateBorrow reverts (those accounts are healed or liquidated in full instead)
+const ISOLATED_COMPTROLLER_ABI = [
+    ...COMPTROLLER_ABI,
+    "function oracle() external view returns (address)",
+    "function minLiquidatableCollateral() external view returns (uint)"
+];
+
+// Core pool liquidations run through Venus' Liquidator, which keeps a treasury share
+const LIQUIDATOR_ABI = [
+    "function treasuryPercentMantissa() external view returns (uint256)"
+];
+
+// vBNB takes the repayment as msg.value
+const VBNB_LIQUIDATE_ABI = [
+    "function liquidateBorrow(address borrower, address vTokenCollateral) external payable"
+];
+
+const VTOKEN_BORROW_EVENT_ABI = [
+    "event Borrow(address borrower, uint borrowAmount, uint accountBorrows, uint totalBorrows)"
+];
+
+class VenusPool extends ProtocolAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Pool name ("Core" for the main pool)
+     * @param {string} options.address - Comptroller address
+     * @param {Object} options.comptroller - Comptroller contract
+     * @param {Object} options.oracle - Price oracle contract
+     * @param {Object} options.provider - Provider for position reads
+     * @param {MarketRegistry} options.marketRegistry - Discovers this pool's markets
+     * @param {MulticallHelper} options.multicallHelper - Batches position reads
+     * @param {boolean} [options.isolated] - Isolated pool (liquidation thresholds, collateral floor)
+     * @param {BigInt} [options.minLiquidatableCollateral] - USD (18 decimals), isolated pools only
+     */
+    constructor({ name, address, comptroller, oracle, provider, marketRegistry, multicallHelper, isolated = false, minLiquidatableCollateral = 0n }) {
+        super('venus', name, address);
+        this.comptroller = comptroller;
+        this.oracle = oracle;
+        this.provider = provider;
+        this.marketRegistry = marketRegistry;
+        this.multicallHelper = multicallHelper;
+        this.isolated = isolated;
+        this.minLiquidatableCollateral = minLiquidatableCollateral;
+        this.markets = new Map(); // vToken (lowercase) -> { symbol, address } listed in this pool
+        this.liquidator = null;   // Core pool Liquidator contract, resolved on first use
+    }
+
+    get supportsFlashLiquidation() {
+        return true;
+    }
+
+    /**
+     * Record markets that belong to this pool (the shared symbol map spans all pools)
+     * @param {Array} markets - [{ symbol, address }]
+     */
+    trackMarkets(markets) {
+        markets.forEach(market => this.markets.set(market.address.toLowerCase(), market));
+    }
+
+    async getAccountData(borrower, overrides = {}) {
+        return getVenusAccountData(this.comptroller, borrower, overrides);
+    }
+
+    async getBorrowPositions(borrower, overrides = {}) {
+        return (await this.getPositions(borrower, overrides)).borrowPositions;
+    }
+
+    async getCollateralPositions(borrower, overrides = {}) {
+        return (await this.getPositions(borrower, overrides)).collateralPositions;
+    }
+
+    /**
+     * Both sides from one multicall snapshot (no positions if the read fails)
+     */
+    async getPositions(borrower, overrides = {}) {
+        const snapshots = await this.getPositionsBatch([borrower], overrides);
+        return snapshots.get(borrower) || { borrowPositions: [], collateralPositions: [] };
+    }
+
+    /**
+     * Position snapshots of many borrowers in one multicall (large batches are split),
+     * over this pool's tracked markets only (allow/deny lists applied)
+     * @returns {Promise<Map>} borrower -> { borrowPositions, collateralPositions } (empty on failure)
+     */
+    async getPositionsBatch(borrowers, overrides = {}) {
+        try {
+            return await loadAccountSnapshots(this.multicallHelper, this.comptroller, this.oracle, borrowers, {
+                markets: Array.from(this.markets.values(), market => market.address),
+                useLiquidationThreshold: this.isolated,
+                blockTag: overrides.blockTag
+            });
+        } catch (error) {
+            log.error(`❌ ${this.name} position snapshot failed: ${error.message}`);
+            return new Map();
+        }
+    }
+
+    /**
+     * Venus uses one incentive and close factor per Comptroller; the core pool
+     * adds its Liquidator's treasury share (null if that can't be read)
+     */
+    async getLiquidationParameters(account, collateralPositions, overrides = {}) {
+        const params = await getLiquidationParameters(this.comptroller, overrides);
+        if (!params) {
+            return null;
+        }
+        try {
+            return { ...params, treasuryPercent: await this.getTreasuryPercent(overrides) };
+        } catch (error) {
+            log.error(`Error reading ${this.name} Liquidator treasury share: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Liquidator treasuryPercentMantissa for the core pool, 0 for isolated pools
+     * (they take protocolSeizeShareMantissa in the vToken instead)
+     */
+    async getTreasuryPercent(overrides = {}) {
+        if (this.isolated) {
+            return 0n;
+        }
+        if (!this.liquidator) {
+            const address = await this.comptroller.liquidatorContract();
+            if (address === ethers.ZeroAddress) {
+                return 0n;
+            }
+            this.liquidator = new ethers.Contract(address, LIQUIDATOR_ABI, this.provider);
+        }
+        return this.liquidator.treasuryPercentMantissa(overrides);
+    }
+
+    /**
+     * Comptroller.liquidateCalculateSeizeTokens math on the snapshot's exchange rate,
+     * capped by the borrower's vToken balance, minus the protocol's seize share and
+     * the core pool Liquidator's treasury share
+     */
+    calculateSeize({ debtPosition, collateralPosition, repayAmount, liquidationIncentive, treasuryPercent = 0n }) {
+        if (collateralPosition.exchangeRate === undefined) {
+            return super.calculateSeize({ debtPosition, collateralPosition, repayAmount, liquidationIncentive });
+        }
+        const seize = calculateVenusSeize({
+            repayAmount,
+            priceBorrowed: debtPosition.priceUSD,
+            priceCollateral: collateralPosition.priceUSD,
+            exchangeRate: collateralPosition.exchangeRate,
+            liquidationIncentive,
+            protocolSeizeShare: collateralPosition.protocolSeizeShare || 0n,
+            treasuryPercent,
+            collateralBalance: collateralPosition.vTokenBalance
+        });
+        if (seize.isCapped) {
+            log.debug(`   Repay capped to ${seize.repayAmount} by ${collateralPosition.vTokenSymbol} balance`);
+        }
+        return seize;
+    }
+
+    encodeLiquidationCall({ borrower, debtPosition, collateralPosition, repayAmount }) {
+        if (debtPosition.underlying === 'BNB') {
+            const vBNB = new ethers.Interface(VBNB_LIQUIDATE_ABI);
+            return {
+                to: debtPosition.vToken,
+                data: vBNB.encodeFunctionData('liquidateBorrow', [borrower, collateralPosition.vToken]),
+                value: repayAmount
+            };
+        }
+        const vToken = new ethers.Interface(VTOKEN_ABI);
+        return {
+            to: debtPosition.vToken,
+            data: vToken.encodeFunctionData('liquidateBorrow', [borrower, repayAmount, collateralPosition.vToken]),
+            value: 0n
+        };
+    }
+
+    getEventSources() {
+        return Array.from(this.markets.values(), ({ symbol, address }) => ({
+            name: symbol,
+            address,
+            abi: VTOKEN_BORROW_EVENT_ABI,
+            event: 'Borrow',
+            getBorrower: args => args.borrower
+        }));
+    }
+}
+
+/**
+ * Build a pool context for one isolated pool Comptroller
+ * @param {Object} options - { name, address, provider, multicallHelper, markets (shared map), allowList, denyList }
+ */
+async function loadIsolatedPool({ name, address, provider, multicallHelper, markets, allowList = [], denyList = [] }) {
+    const comptroller = new ethers.Contract(address, ISOLATED_COMPTROLLER_ABI, provider);
+    const [oracleAddress, minLiquidatableCollateral] = await Promise.all([
+        comptroller.oracle(),
+        comptroller.minLiquidatableCollateral().catch(() => 0n)
+    ]);
+    const oracle = new ethers.Contract(oracleAddress, ORACLE_ABI, provider);
+
+    return new VenusPool({
+        name,
+        address,
+        comptroller,
+        oracle,
+        provider,
+        marketRegistry: new MarketRegistry({ comptroller, provider, oracle, markets, allowList, denyList }),
+        multicallHelper,
+        isolated: true,
+        minLiquidatableCollateral
+    });
+}
+
+/**
+ * Isolated pools listed in the Venus PoolRegistry
+ * @returns {Array} [{ name, comptroller }]
+ */
+async function fetchIsolatedPools(poolRegistryAddress, provider) {
+    const registry = new ethers.Contract(poolRegistryAddress, POOL_REGISTRY_ABI, provider);
+    const pools = await registry.getAllPools();
+    return pools.map(pool => ({ name: pool.name, comptroller: pool.comptroller }));
+}
+
+module.exports = {
+    VenusPool,
+    loadIsolatedPool,
+    fetchIsolatedPools,
+    ISOLATED_COMPTROLLER_ABI
+};
@@ -173,6 +173,10 @@ class DashboardApp {
     }
 
     updateSystemInfo(info) {
+        if (info.network) {
+            document.getElementById('network').textContent = info.network;
+        }
+
         if (info.currentBlock !== undefined && info.currentBlock !== '-') {
             const blockNum = typeof info.currentBlock === 'number' ? info.currentBlock : parseInt(info.currentBlock);
             document.getElementById('currentBlock').textContent = isNaN(blockNum) ? '-' : blockNum.toLocaleString();
@@ -1,23 +1,27 @@
 const hre = require("hardhat");
 const fs = require('fs');
 const path = require('path');
+const { getNetworkConfig } = require('../helpers/networkConfig');
 
 async function main() {
     console.log("\n" + "=".repeat(70));
     console.log("   DEPLOYING BSC LIQUIDATION CONTRACT");
     console.log("=".repeat(70) + "\n");
 
-    // BSC addresses
-    const PANCAKE_V3_ROUTER = "0x13f4EA83D0bd40E75C8222255bc855a974568Dd4";
-    const PANCAKE_V3_FACTORY = "0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865";
-    const VENUS_COMPTROLLER = "0xfD36E2c2a6789Db23113685031d7F16329158384";
+    // Addresses from the config.json profile named like the Hardhat network (--network bscTestnet)
+    const network = getNetworkConfig(hre.network.name);
+    const PANCAKE_V3_ROUTER = network.PANCAKESWAP_V3.ROUTER_ADDRESS;
+    const PANCAKE_V3_FACTORY = network.PANCAKESWAP_V3.FACTORY_ADDRESS;
+    const VENUS_COMPTROLLER = network.VENUS.COMPTROLLER;
+    const WBNB = network.TOKENS.WBNB;
 
     console.log("📋 Configuration:");
-    console.log("   Network: BSC Mainnet");
+    console.log(`   Network: ${network.NAME} (chain ${network.CHAIN_ID})`);
     console.log("   PancakeSwap V3 Router:", PANCAKE_V3_ROUTER);
     console.log("   PancakeSwap V3 Factory:", PANCAKE_V3_FACTORY);
     console.log("   Venus Comptroller:", VENUS_COMPTROLLER);
-    console.log("   Flash Loans: PancakeSwap V3 (0% FEES!)\n");
+    console.log("   WBNB:", WBNB);
+    console.log("   Flash Loans: PancakeSwap V3 (pool fee tier, 0.01%-1%)\n");
 
     const [deployer] = await hre.ethers.getSigners();
     console.log("👤 Deploying from:", deployer.address);
@@ -36,7 +40,8 @@ async function main() {
     const contract = await BSC_LiquidationV3.deploy(
         PANCAKE_V3_ROUTER,
         PANCAKE_V3_FACTORY,
-        VENUS_COMPTROLLER
+        VENUS_COMPTROLLER,
+        WBNB
     );
 
     await contract.waitForDeployment();
@@ -45,7 +50,9 @@ async function main() {
     console.log("✅ CONTRACT DEPLOYED SUCCESSFULLY!\n");
     console.log("=".repeat(70));
     console.log("📍 Contract Address:", contractAddress);
-    console.log("🔗 BscScan:", `https://bscscan.com/address/${contractAddress}`);
+    if (network.EXPLORER_URL) {
+        console.log("🔗 Explorer:", `${network.EXPLORER_URL}/address/${contractAddress}`);
+    }
     console.log("=".repeat(70) + "\n");
 
     // Update .env file
@@ -66,13 +73,14 @@ async function main() {
 
     console.log("📝 NEXT STEPS:\n");
     console.log("1. Verify contract (optional):");
-    console.log(`   npx hardhat verify --network bsc ${contractAddress} \\`);
+    console.log(`   npx hardhat verify --network ${hre.network.name} ${contractAddress} \\`);
     console.log(`     "${PANCAKE_V3_ROUTER}" \\`);
     console.log(`     "${PANCAKE_V3_FACTORY}" \\`);
-    console.log(`     "${VENUS_COMPTROLLER}"\n`);
+    console.log(`     "${VENUS_COMPTROLLER}" \\`);
+    console.log(`     "${WBNB}"\n`);
     
     console.log("2. Start the bot:");
-    console.log("   node bscLiquidationBot.js\n");
+    console.log(`   NETWORK=${network.NAME} node bscLiquidationBot.js\n`);
     
     console.log("3. Or use PM2:");
     console.log("   pm2 start bscLiquidationBot.js --name liquidation-bot\n");
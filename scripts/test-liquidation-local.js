@@ -5,6 +5,7 @@
 
 require("dotenv").config();
 const { ethers } = require("hardhat");
+const { getNetworkConfig } = require("../helpers/networkConfig");
 
 async function main() {
     console.log("🧪 Testing Liquidation Bot on Local Fork\n");
@@ -18,8 +19,8 @@ async function main() {
     console.log("👤 Signer:", signer.address);
     console.log("💰 Balance:", ethers.formatEther(await provider.getBalance(signer.address)), "BNB\n");
 
-    // Venus Comptroller
-    const VENUS_COMPTROLLER = "0xfD36E2c2a6789Db23113685031d7F16329158384";
+    // Venus Comptroller of the selected network profile
+    const VENUS_COMPTROLLER = getNetworkConfig().VENUS.COMPTROLLER;
     const comptrollerAbi = [
         "function getAllMarkets() external view returns (address[])",
         "function getAccountLiquidity(address) external view returns (uint, uint, uint)"
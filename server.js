@@ -7,6 +7,10 @@ const socketIO = require('socket.io');
 const path = require('path');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
+const { createLogger } = require('./helpers/logger');
+const { registry, CONTENT_TYPE, isAuthorized } = require('./helpers/metrics');
+
+const log = createLogger('server');
 
 class DashboardServer {
     constructor(botInstance) {
@@ -50,6 +54,8 @@ class DashboardServer {
             message: 'Too many requests from this IP, please try again later.',
             standardHeaders: true,
             legacyHeaders: false,
+            // Prometheus scrapes every few seconds
+            skip: (req) => req.path === '/metrics'
         });
         
         this.app.use(limiter);
@@ -63,7 +69,7 @@ class DashboardServer {
             
             // Skip auth if no API key is configured (development mode)
             if (!apiKey) {
-                console.warn('⚠️  No DASHBOARD_API_KEY set. Authentication disabled.');
+                log.warn('⚠️  No DASHBOARD_API_KEY set. Authentication disabled.');
                 return next();
             }
             
@@ -88,6 +94,18 @@ class DashboardServer {
             res.sendFile(path.join(__dirname, 'public/index.html'));
         });
 
+        // Prometheus scrape target, gated by DASHBOARD_API_KEY like the control API
+        // (x-api-key or Authorization: Bearer; no per-request warning when unset)
+        this.app.get('/metrics', (req, res, next) => {
+            if (!isAuthorized(req, process.env.DASHBOARD_API_KEY)) {
+                return res.status(401).end();
+            }
+            next();
+        }, async (req, res) => {
+            res.set('Content-Type', CONTENT_TYPE);
+            res.send(await registry.render());
+        });
+
         // API endpoints with authentication
         this.app.get('/api/status', (req, res) => {
             res.json(this.getStatus());
@@ -106,7 +124,7 @@ class DashboardServer {
 
     setupWebSocket() {
         this.io.on('connection', (socket) => {
-            console.log('📱 Dashboard client connected');
+            log.info('📱 Dashboard client connected');
 
             // Send initial status
             socket.emit('status', this.getStatus());
@@ -129,7 +147,7 @@ class DashboardServer {
             });
 
             socket.on('disconnect', () => {
-                console.log('📱 Dashboard client disconnected');
+                log.info('📱 Dashboard client disconnected');
             });
         });
     }
@@ -144,6 +162,7 @@ class DashboardServer {
                 activeBorrowers: this.bot.getActiveBorrowers ? this.bot.getActiveBorrowers() : 0
             },
             systemInfo: {
+                network: this.bot.getNetwork ? this.bot.getNetwork() : '-',
                 currentBlock: this.bot.getCurrentBlock ? this.bot.getCurrentBlock() : '-',
                 walletAddress: this.bot.getWalletAddress ? this.bot.getWalletAddress() : '-',
                 minProfit: this.bot.getMinProfit ? this.bot.getMinProfit() : '0.01',
@@ -181,13 +200,19 @@ class DashboardServer {
                 if (err) {
                     reject(err);
                 } else {
-                    console.log(`\n🌐 Dashboard server running on http://localhost:${port}`);
-                    console.log(`   Open your browser and navigate to the URL above\n`);
+                    log.info(`🌐 Dashboard server running on http://localhost:${port} - open it in your browser`);
                     resolve();
                 }
             });
         });
     }
+
+    /**
+     * Disconnect dashboard clients and close the HTTP server
+     */
+    stop() {
+        return new Promise(resolve => this.io.close(() => resolve()));
+    }
 }
 
 module.exports = DashboardServer;
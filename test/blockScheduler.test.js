@@ -0,0 +1,163 @@
+/**
+ * test/blockScheduler.test.js
+ *
+ * Tests for block-driven scan scheduling
+ */
+
+const { expect } = require("chai");
+const { EventEmitter, once } = require("events");
+const BlockScheduler = require("../helpers/blockScheduler");
+const { configure } = require("../helpers/logger");
+
+// Emits 'block' like an ethers provider
+class FakeProvider extends EventEmitter {
+    block(number) {
+        this.emit("block", number);
+    }
+}
+
+describe("BlockScheduler", function () {
+    let restoreLogger;
+    let scheduler;
+
+    beforeEach(function () {
+        restoreLogger = configure({ level: "silent" });
+    });
+
+    afterEach(function () {
+        scheduler?.stop();
+        configure(restoreLogger);
+    });
+
+    it("Should scan once per new block and ignore repeated blocks", async function () {
+        const provider = new FakeProvider();
+        const scanned = [];
+        scheduler = new BlockScheduler({ provider, scan: async (blockNumber) => scanned.push(blockNumber) });
+        await scheduler.start();
+
+        expect(scheduler.source).to.equal("http");
+        provider.block(100);
+        await once(scheduler, "scanned");
+        provider.block(100);
+        provider.block(101);
+        const [stats] = await once(scheduler, "scanned");
+
+        expect(scanned).to.deep.equal([100, 101]);
+        expect(stats).to.include({ blockNumber: 101, skipped: 0, source: "http" });
+    });
+
+    it("Should collapse blocks that arrive during a scan into the newest one and report the lag", async function () {
+        const provider = new FakeProvider();
+        const scanned = [];
+        let release;
+        scheduler = new BlockScheduler({
+            provider,
+            scan: (blockNumber) => {
+                scanned.push(blockNumber);
+                return blockNumber === 100 ? new Promise(resolve => { release = resolve; }) : undefined;
+            }
+        });
+        const results = [];
+        const bothScanned = new Promise(resolve => scheduler.on("scanned", (stats) => {
+            results.push(stats);
+            if (results.length === 2) resolve();
+        }));
+        await scheduler.start();
+
+        provider.block(100);
+        provider.block(101);
+        provider.block(102);
+        provider.block(103);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        release();
+        await bothScanned;
+
+        expect(scanned).to.deep.equal([100, 103]);
+        expect(results[1]).to.include({ blockNumber: 103, skipped: 2 });
+        expect(results[0].lagMs).to.be.at.least(15);
+        expect(results[0].durationMs).to.be.at.most(results[0].lagMs);
+    });
+
+    it("Should fall back to HTTP polling when the WebSocket goes quiet", async function () {
+        const provider = new FakeProvider();
+        const wsProvider = new FakeProvider();
+        const scanned = [];
+        scheduler = new BlockScheduler({ provider, wsProvider, pollIntervalMs: 500, staleBlockMs: 10, scan: async (n) => scanned.push(n) });
+        await scheduler.start();
+        expect(scheduler.source).to.equal("websocket");
+
+        wsProvider.block(200);
+        await once(scheduler, "scanned");
+        scheduler.lastBlockTs -= 1000;
+        scheduler.checkStale();
+        await once(scheduler, "fallback");
+
+        expect(scheduler.source).to.equal("http");
+        expect(provider.pollingInterval).to.equal(500);
+        expect(wsProvider.listenerCount("block")).to.equal(0);
+        provider.block(201);
+        await once(scheduler, "scanned");
+        expect(scanned).to.deep.equal([200, 201]);
+    });
+
+    it("Should keep re-subscribing to the WebSocket and switch back when its headers resume", async function () {
+        const provider = new FakeProvider();
+        const wsProvider = new FakeProvider();
+        const scanned = [];
+        scheduler = new BlockScheduler({ provider, wsProvider, staleBlockMs: 10, scan: async (n) => scanned.push(n) });
+        await scheduler.start();
+
+        scheduler.lastBlockTs -= 1000;
+        scheduler.checkStale();
+        await once(scheduler, "fallback");
+        scheduler.checkStale(); // Next watchdog tick while on HTTP
+        expect(wsProvider.listenerCount("block")).to.equal(1);
+
+        const recovered = once(scheduler, "recovered");
+        const scannedAfter = once(scheduler, "scanned");
+        wsProvider.block(300);
+        const [[{ blockNumber }]] = await Promise.all([recovered, scannedAfter]);
+
+        expect(blockNumber).to.equal(300);
+        expect(scheduler.source).to.equal("websocket");
+        expect(provider.listenerCount("block")).to.equal(0);
+        expect(wsProvider.listenerCount("block")).to.equal(1);
+        expect(scanned).to.deep.equal([300]);
+    });
+
+    it("Should not report scans that were skipped because the bot is paused", async function () {
+        const provider = new FakeProvider();
+        let paused = true;
+        const scanned = [];
+        scheduler = new BlockScheduler({ provider, scan: async (n) => (paused ? null : scanned.push(n)) });
+        const results = [];
+        scheduler.on("scanned", (stats) => results.push(stats));
+        await scheduler.start();
+
+        provider.block(400);
+        provider.block(401);
+        await new Promise(resolve => setImmediate(resolve));
+        paused = false;
+        provider.block(405);
+        await once(scheduler, "scanned");
+
+        expect(scanned).to.deep.equal([405]);
+        expect(results).to.have.length(1);
+        expect(results[0]).to.include({ blockNumber: 405, skipped: 0 });
+    });
+
+    it("Should stop listening and emit stopped", async function () {
+        const provider = new FakeProvider();
+        const scanned = [];
+        scheduler = new BlockScheduler({ provider, scan: async (n) => scanned.push(n) });
+        await scheduler.start();
+
+        const stopped = once(scheduler, "stopped");
+        scheduler.stop();
+        await stopped;
+        provider.block(300);
+
+        expect(provider.listenerCount("block")).to.equal(0);
+        expect(scanned).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * test/borrowerScheduler.test.js
+ *
+ * Tests for health-factor based borrower scan scheduling
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const BorrowerScheduler = require("../helpers/borrowerScheduler");
+const { calculateAccountHealthFactor } = require("../helpers/venusHelpers");
+
+const hf = (value) => ethers.parseEther(value);
+
+describe("BorrowerScheduler", function () {
+    let scheduler;
+
+    beforeEach(function () {
+        scheduler = new BorrowerScheduler();
+    });
+
+    it("Should check new borrowers before healthy ones that were just scanned", function () {
+        scheduler.add(["0xA", "0xB"]);
+        scheduler.update("0xA", hf("3"));
+
+        expect(scheduler.nextBatch(10)).to.deep.equal(["0xB"]);
+    });
+
+    it("Should rescan critical borrowers every time, lowest health factor first", function () {
+        scheduler.add(["0xA", "0xB", "0xC"]);
+        scheduler.update("0xA", hf("1.04"));
+        scheduler.update("0xB", hf("1.01"));
+        scheduler.update("0xC", hf("2"));
+
+        expect(scheduler.nextBatch(10)).to.deep.equal(["0xB", "0xA"]);
+        expect(scheduler.nextBatch(1)).to.deep.equal(["0xB"]);
+    });
+
+    it("Should recheck each tier after its interval", function () {
+        scheduler = new BorrowerScheduler({ healthyIntervalMs: 1000, fullSweepIntervalMs: 10000 });
+        scheduler.add(["0xWarn", "0xHealthy"]);
+        scheduler.update("0xWarn", hf("1.1"));
+        scheduler.update("0xHealthy", hf("5"));
+
+        const now = Date.now();
+        scheduler.borrowers.get("0xwarn").lastChecked = now - 61000;
+        scheduler.borrowers.get("0xhealthy").lastChecked = now - 500;
+
+        expect(scheduler.nextBatch(10)).to.deep.equal(["0xWarn"]);
+    });
+
+    it("Should guarantee a full sweep ahead of other due borrowers", function () {
+        // Healthy interval alone would skip 0xHealthy for a day
+        scheduler = new BorrowerScheduler({ healthyIntervalMs: 86400000, fullSweepIntervalMs: 100000 });
+        scheduler.add(["0xWarn", "0xHealthy"]);
+        scheduler.update("0xWarn", hf("1.1"));
+        scheduler.update("0xHealthy", hf("5"));
+
+        const now = Date.now();
+        scheduler.borrowers.get("0xwarn").lastChecked = now - 61000;
+        scheduler.borrowers.get("0xhealthy").lastChecked = now - 150000;
+
+        expect(scheduler.nextBatch(1)).to.deep.equal(["0xHealthy"]);
+        expect(scheduler.nextBatch(2)).to.deep.equal(["0xHealthy", "0xWarn"]);
+    });
+
+    it("Should drop pruned borrowers on sync and report tier counts", function () {
+        scheduler.add(["0xA", "0xB"]);
+        scheduler.update("0xA", hf("1.02"));
+        scheduler.sync(["0xA", "0xC"]);
+
+        const stats = scheduler.getStats();
+        expect(stats.total).to.equal(2);
+        expect(stats.critical).to.equal(1);
+        expect(stats.unknown).to.equal(1);
+    });
+
+    it("Should derive health factor from comptroller liquidity", function () {
+        // $1000 borrowed, $200 spare liquidity → HF 1.2
+        expect(calculateAccountHealthFactor(hf("200"), 0n, hf("1000"))).to.equal(hf("1.2"));
+        // $50 shortfall → HF 0.95
+        expect(calculateAccountHealthFactor(0n, hf("50"), hf("1000"))).to.equal(hf("0.95"));
+        expect(calculateAccountHealthFactor(0n, 0n, 0n)).to.equal(ethers.MaxUint256);
+    });
+
+    it("Should sort addresses by last known health factor with unknown last", function () {
+        scheduler.add(["0xA", "0xB", "0xC"]);
+        scheduler.update("0xA", hf("1.3"));
+        scheduler.update("0xC", hf("1.01"));
+
+        expect(scheduler.sortByRisk(["0xB", "0xA", "0xC"])).to.deep.equal(["0xC", "0xA", "0xB"]);
+    });
+});
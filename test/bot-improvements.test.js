@@ -210,6 +210,88 @@ describe("Bot Improvements", function () {
             expect(db.getLiquidationCount()).to.equal(1);
         });
 
+        it("Should record paper trades and summarize them", function () {
+            const borrower = "0x1234567890123456789012345678901234567890";
+            const trade = {
+                borrower,
+                debtToken: "0xdebt",
+                collateralToken: "0xcollateral",
+                vDebtToken: "0xvdebt",
+                vCollateralToken: "0xvcollateral",
+                repayAmount: 1000000n,
+                expectedProfit: 100000n,
+                gasLimit: 800000n,
+                gasPrice: 3000000000n,
+                minOutBps: 100,
+                blockNumber: 123
+            };
+            
+            db.recordPaperTrade({ ...trade, simulatedSuccess: true });
+            db.recordPaperTrade({ ...trade, simulatedSuccess: false, simulationError: "Not profitable" });
+            
+            const summary = db.getPaperTradeSummary();
+            expect(summary.count).to.equal(2);
+            expect(summary.simulatedSuccess).to.equal(1);
+            expect(summary.expectedProfit).to.equal("100000");
+            
+            const trades = db.getPaperTrades();
+            expect(trades.length).to.equal(2);
+            expect(trades.some(t => t.simulation_error === "Not profitable")).to.be.true;
+        });
+
+        it("Should record tx attempts and update their status", function () {
+            db.recordTxAttempt({ txHash: "0xaaa", nonce: 5, kind: "initial", label: "0xborrower", gasPrice: 3000000000n, status: "pending" });
+            db.recordTxAttempt({ txHash: "0xbbb", nonce: 5, kind: "speedup", label: "0xborrower", gasPrice: 3450000001n, status: "pending" });
+            
+            db.updateTxAttemptStatus("0xaaa", "replaced");
+            db.updateTxAttemptStatus("0xbbb", "mined");
+            
+            const attempts = db.getTxAttempts();
+            expect(attempts.length).to.equal(2);
+            expect(attempts.find(a => a.tx_hash === "0xaaa").status).to.equal("replaced");
+            expect(attempts.find(a => a.tx_hash === "0xbbb").gas_price).to.equal("3450000001");
+        });
+
+        it("Should replace a borrower's liquidation thresholds", function () {
+            db.saveLiquidationThresholds("0xborrower", [
+                { vToken: "0xvbnb", thresholdPrice: 250n * 10n ** 18n, direction: "down" },
+                { vToken: "0xvusdt", thresholdPrice: 10n ** 18n, direction: "up" }
+            ]);
+            db.saveLiquidationThresholds("0xborrower", [
+                { vToken: "0xvbnb", thresholdPrice: 240n * 10n ** 18n, direction: "down" }
+            ]);
+            
+            const thresholds = db.getLiquidationThresholds().get("0xborrower");
+            expect(thresholds).to.deep.equal([
+                { vToken: "0xvbnb", thresholdPrice: 240n * 10n ** 18n, direction: "down" }
+            ]);
+        });
+
+        it("Should match on-chain liquidations to open paper trades", function () {
+            const borrower = "0x1234567890123456789012345678901234567890";
+            const recordTrade = (blockNumber) => db.recordPaperTrade({
+                borrower,
+                debtToken: "0xdebt",
+                collateralToken: "0xcollateral",
+                vDebtToken: "0xvdebt",
+                vCollateralToken: "0xvcollateral",
+                repayAmount: 1000000n,
+                expectedProfit: 100000n,
+                simulatedSuccess: true,
+                blockNumber
+            });
+            recordTrade(123);
+            recordTrade(5);   // An earlier shortfall, long before the liquidation
+            recordTrade(200); // Seen after the liquidation
+            
+            const matched = db.recordOnChainLiquidation(borrower, "0xliquidator", "0xtxhash", 125);
+            expect(matched).to.equal(1);
+            expect(db.getPaperTradeSummary().liquidatedOnChain).to.equal(1);
+            
+            // Already matched trades are not overwritten
+            expect(db.recordOnChainLiquidation(borrower, "0xother", "0xtxhash2", 130, 10)).to.equal(0);
+        });
+
         it("Should clean up old borrowers", function () {
             const oldAddress = "0x1234567890123456789012345678901234567890";
             db.addBorrower(oldAddress);
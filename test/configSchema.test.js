@@ -0,0 +1,74 @@
+/**
+ * test/configSchema.test.js
+ *
+ * Tests for config validation and diffing
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { CONFIG_SCHEMA, ConfigError, loadConfig, diffConfig, formatSetting } = require("../helpers/configSchema");
+
+describe("Config schema", function () {
+    it("Should parse defaults into typed values", function () {
+        const config = loadConfig({});
+        expect(Object.keys(config)).to.have.members(Object.keys(CONFIG_SCHEMA));
+        expect(config.minProfitThreshold).to.equal(ethers.parseEther("0.01"));
+        expect(config.maxGasPrice).to.equal(ethers.parseUnits("20", "gwei"));
+        expect(config.pollingInterval).to.equal(10000);
+        expect(config.discoverMarkets).to.equal(true);
+        expect(config.broadcastRpcUrls).to.deep.equal([]);
+        expect(config.poolRegistryAddress).to.equal(null);
+    });
+
+    it("Should report every invalid setting in one error", function () {
+        let error;
+        try {
+            loadConfig({
+                POLLING_INTERVAL_MS: "fast",
+                MAX_CONCURRENT_CHECKS: "500",
+                DRY_RUN: "yes",
+                VENUS_POOL_REGISTRY: "0x123",
+                MIN_GAS_PRICE_GWEI: "30"
+            });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error).to.be.instanceOf(ConfigError);
+        expect(error.errors).to.have.length(5);
+        expect(error.message).to.include('POLLING_INTERVAL_MS="fast": expected an integer');
+        expect(error.message).to.include('MAX_CONCURRENT_CHECKS="500": must be <= 50');
+        expect(error.message).to.include('DRY_RUN="yes": expected true or false');
+        expect(error.message).to.include('VENUS_POOL_REGISTRY="0x123"');
+        expect(error.message).to.include("MIN_GAS_PRICE_GWEI must not exceed MAX_GAS_PRICE_GWEI");
+    });
+
+    it("Should reject ether settings below their floor, not just below 1 wei", function () {
+        let error;
+        try {
+            loadConfig({ HEALTH_FACTOR_THRESHOLD: "0.000001", MAX_LIQUIDATION_SIZE: "0.0000001" });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error).to.be.instanceOf(ConfigError);
+        expect(error.errors).to.have.length(2);
+        expect(error.message).to.include('HEALTH_FACTOR_THRESHOLD="0.000001": must be >= 1.0');
+        expect(error.message).to.include('MAX_LIQUIDATION_SIZE="0.0000001": must be >= 0.1');
+        expect(loadConfig({ HEALTH_FACTOR_THRESHOLD: "1.05", MAX_LIQUIDATION_SIZE: "0.1" }).healthFactorThreshold).to.equal(ethers.parseEther("1.05"));
+    });
+
+    it("Should diff two configs and flag which changes need a restart", function () {
+        const current = loadConfig({});
+        const next = loadConfig({ MIN_PROFIT_THRESHOLD: "0.02", DRY_RUN: "true", MARKET_DENY_LIST: "vBUSD" });
+
+        const changes = diffConfig(current, next);
+        expect(changes.map(change => [change.env, change.reloadable])).to.deep.equal([
+            ["MIN_PROFIT_THRESHOLD", true],
+            ["MARKET_DENY_LIST", false],
+            ["DRY_RUN", false]
+        ]);
+        expect(formatSetting("minProfitThreshold", changes[0].to)).to.equal("0.02");
+        expect(formatSetting("maxGasPrice", current.maxGasPrice)).to.equal("20.0 gwei");
+    });
+});
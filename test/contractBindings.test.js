@@ -0,0 +1,87 @@
+/**
+ * test/contractBindings.test.js
+ *
+ * Tests for artifact bytecode comparison and the startup contract self-check
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    maskImmutables,
+    bytecodeMatches,
+    checkLiquidationContract
+} = require("../helpers/contractBindings");
+
+const CONTRACT_ADDRESS = "0x1111111111111111111111111111111111111111";
+
+describe("Contract Bindings", function () {
+    // 4 bytes of code, then a 4-byte immutable, then 2 more bytes
+    const artifact = {
+        contractName: "BSC_LiquidationV3",
+        deployedBytecode: "0x6080604000000000abcd",
+        immutableReferences: { 7: [{ start: 4, length: 4 }] }
+    };
+
+    function fakeContract({ owner, paused }) {
+        return {
+            getAddress: async () => CONTRACT_ADDRESS,
+            owner: async () => owner,
+            paused: async () => paused
+        };
+    }
+
+    function fakeProvider(code) {
+        return { getCode: async () => code };
+    }
+
+    it("Should mask immutable slots", function () {
+        expect(maskImmutables("0x60806040deadbeefabcd", artifact.immutableReferences))
+            .to.equal("6080604000000000abcd");
+    });
+
+    it("Should match deployed code that only differs in immutables", function () {
+        expect(bytecodeMatches("0x60806040DEADBEEFabcd", artifact)).to.be.true;
+        expect(bytecodeMatches("0x60806041deadbeefabcd", artifact)).to.be.false;
+        expect(bytecodeMatches("0x", artifact)).to.be.false;
+    });
+
+    it("Should pass when bytecode, owner and pause state are all correct", async function () {
+        const [signer] = await ethers.getSigners();
+        const result = await checkLiquidationContract({
+            contract: fakeContract({ owner: signer.address, paused: false }),
+            provider: fakeProvider("0x60806040deadbeefabcd"),
+            artifact,
+            expectedOwner: signer.address
+        });
+
+        expect(result.errors).to.be.empty;
+        expect(result.isOwner).to.be.true;
+    });
+
+    it("Should report a foreign owner, paused contract and bytecode mismatch", async function () {
+        const [signer, other] = await ethers.getSigners();
+        const result = await checkLiquidationContract({
+            contract: fakeContract({ owner: other.address, paused: true }),
+            provider: fakeProvider("0x6080604100000000abcd"),
+            artifact,
+            expectedOwner: signer.address
+        });
+
+        expect(result.errors.length).to.equal(3);
+        expect(result.bytecodeMatches).to.be.false;
+        expect(result.isOwner).to.be.false;
+        expect(result.paused).to.be.true;
+    });
+
+    it("Should report a missing deployment", async function () {
+        const [signer] = await ethers.getSigners();
+        const result = await checkLiquidationContract({
+            contract: fakeContract({ owner: signer.address, paused: false }),
+            provider: fakeProvider("0x"),
+            artifact,
+            expectedOwner: signer.address
+        });
+
+        expect(result.errors).to.deep.equal([`No contract deployed at ${CONTRACT_ADDRESS}`]);
+    });
+});
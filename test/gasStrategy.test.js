@@ -0,0 +1,88 @@
+/**
+ * test/gasStrategy.test.js
+ *
+ * Tests for fee-history baselines and profit-aware gas bids
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const GasStrategy = require("../helpers/gasStrategy");
+
+const GWEI = ethers.parseUnits("1", "gwei");
+
+describe("GasStrategy", function () {
+    function feeHistoryProvider(rewardsGwei, { calls = [] } = {}) {
+        return {
+            send: async (method, params) => {
+                calls.push({ method, params });
+                return {
+                    baseFeePerGas: rewardsGwei.map(() => "0x0").concat(["0x0"]),
+                    reward: rewardsGwei.map(r => [ethers.toQuantity(BigInt(r) * GWEI)])
+                };
+            },
+            getFeeData: async () => ({ gasPrice: 5n * GWEI })
+        };
+    }
+
+    it("Should use the median fee-history percentile as the baseline", async function () {
+        const calls = [];
+        const strategy = new GasStrategy(feeHistoryProvider([1, 3, 2, 9, 2], { calls }), { feeHistoryPercentile: 75 });
+
+        expect(await strategy.getBaselineGasPrice()).to.equal(2n * GWEI);
+        expect(calls[0].method).to.equal("eth_feeHistory");
+        expect(calls[0].params[2]).to.deep.equal([75]);
+    });
+
+    it("Should cache the baseline and apply the multiplier", async function () {
+        const calls = [];
+        const strategy = new GasStrategy(feeHistoryProvider([2, 2, 2], { calls }), { baselineMultiplier: 1.5 });
+
+        expect(await strategy.getBaselineGasPrice()).to.equal(3n * GWEI);
+        await strategy.getBaselineGasPrice();
+        expect(calls.length).to.equal(1);
+    });
+
+    it("Should fall back to eth_gasPrice when fee history is unavailable", async function () {
+        const strategy = new GasStrategy({
+            send: async () => { throw new Error("method not found"); },
+            getFeeData: async () => ({ gasPrice: 4n * GWEI })
+        });
+
+        expect(await strategy.getBaselineGasPrice()).to.equal(4n * GWEI);
+    });
+
+    it("Should bid a share of profit above the baseline", function () {
+        const strategy = new GasStrategy(null, { profitSharePercent: 10 });
+
+        // 10% of 0.08 BNB over 800k gas = 10 gwei
+        const bid = strategy.calculateBid({
+            grossProfit: ethers.parseEther("0.08"),
+            gasLimit: 800000n,
+            baseline: 1n * GWEI
+        });
+        expect(bid).to.equal(10n * GWEI);
+    });
+
+    it("Should keep the baseline for small profits and respect the caps", function () {
+        const strategy = new GasStrategy(null, { profitSharePercent: 50, maxGasPrice: 20n * GWEI });
+
+        const small = strategy.calculateBid({ grossProfit: ethers.parseEther("0.0001"), gasLimit: 800000n, baseline: 3n * GWEI });
+        expect(small).to.equal(3n * GWEI);
+
+        const huge = strategy.calculateBid({ grossProfit: ethers.parseEther("10"), gasLimit: 800000n, baseline: 3n * GWEI });
+        expect(huge).to.equal(20n * GWEI);
+    });
+
+    it("Should not bid away the minimum net profit", function () {
+        const strategy = new GasStrategy(null, { profitSharePercent: 50 });
+
+        // 50% share would be 12.5 gwei, but only 0.004 BNB may go to gas → 5 gwei
+        const bid = strategy.calculateBid({
+            grossProfit: ethers.parseEther("0.02"),
+            gasLimit: 800000n,
+            baseline: 1n * GWEI,
+            minNetProfit: ethers.parseEther("0.016")
+        });
+        expect(bid).to.equal(5n * GWEI);
+    });
+});
@@ -9,6 +9,7 @@ describe("BSC_LiquidationV3", function () {
     const PANCAKE_V3_ROUTER = "0x13f4EA83D0bd40E75C8222255bc855a974568Dd4";
     const PANCAKE_V3_FACTORY = "0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865";
     const VENUS_COMPTROLLER = "0xfD36E2c2a6789Db23113685031d7F16329158384";
+    const WBNB = "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c";
 
     before(async function () {
         [owner, borrower] = await ethers.getSigners();
@@ -17,7 +18,8 @@ describe("BSC_LiquidationV3", function () {
         liquidation = await BSC_LiquidationV3.deploy(
             PANCAKE_V3_ROUTER,
             PANCAKE_V3_FACTORY,
-            VENUS_COMPTROLLER
+            VENUS_COMPTROLLER,
+            WBNB
         );
         await liquidation.waitForDeployment();
     });
@@ -31,6 +33,7 @@ describe("BSC_LiquidationV3", function () {
             expect(await liquidation.pancakeV3Router()).to.equal(PANCAKE_V3_ROUTER);
             expect(await liquidation.pancakeV3Factory()).to.equal(PANCAKE_V3_FACTORY);
             expect(await liquidation.venusComptroller()).to.equal(VENUS_COMPTROLLER);
+            expect(await liquidation.WBNB()).to.equal(WBNB);
         });
     });
 
@@ -46,7 +49,9 @@ describe("BSC_LiquidationV3", function () {
                     ethers.ZeroAddress,
                     ethers.ZeroAddress,
                     0,
-                    3000
+                    500,
+                    2500,
+                    100
                 )
             ).to.be.revertedWith("Only owner");
         });
@@ -0,0 +1,60 @@
+/**
+ * test/liquidationCalculator.test.js
+ *
+ * Tests for quote-based profit and minOut derivation (pure math, no chain access)
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    calculateQuotedLiquidationProfit,
+    calculateMinOutBps
+} = require("../helpers/liquidationCalculator");
+
+describe("Liquidation Calculator", function () {
+    describe("calculateQuotedLiquidationProfit", function () {
+        it("Should compute profit from the quoted output and gas in debt units", function () {
+            const profit = calculateQuotedLiquidationProfit(
+                ethers.parseEther("100"),
+                ethers.parseEther("0.05"),
+                ethers.parseEther("108"),
+                ethers.parseEther("2")
+            );
+
+            expect(profit.grossProfit).to.equal(ethers.parseEther("8"));
+            expect(profit.netProfit).to.equal(ethers.parseEther("6"));
+            expect(profit.isProfitable).to.be.true;
+            expect(profit.roi).to.equal(600n);
+        });
+
+        it("Should not be profitable when the quote does not cover repay plus gas", function () {
+            const profit = calculateQuotedLiquidationProfit(
+                ethers.parseEther("100"),
+                ethers.parseEther("0.05"),
+                ethers.parseEther("101"),
+                ethers.parseEther("2")
+            );
+
+            expect(profit.netProfit).to.equal(0n);
+            expect(profit.isProfitable).to.be.false;
+        });
+    });
+
+    describe("calculateMinOutBps", function () {
+        it("Should leave the configured slippage below the quote", function () {
+            // 0.5% below 110 is 109.45 → 9.45% over repay
+            const bps = calculateMinOutBps(ethers.parseEther("100"), ethers.parseEther("110"), 50);
+            expect(bps).to.equal(945);
+        });
+
+        it("Should return null when the slippage-adjusted quote cannot repay", function () {
+            const bps = calculateMinOutBps(ethers.parseEther("100"), ethers.parseEther("100.2"), 50);
+            expect(bps).to.be.null;
+        });
+
+        it("Should clamp to the contract maximum", function () {
+            const bps = calculateMinOutBps(ethers.parseEther("1"), ethers.parseEther("3"), 50);
+            expect(bps).to.equal(5000);
+        });
+    });
+});
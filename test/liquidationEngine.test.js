@@ -0,0 +1,643 @@
+/**
+ * test/liquidationEngine.test.js
+ *
+ * Tests for the shared LiquidationEngine lifecycle and event flow
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const LiquidationEngine = require("../helpers/liquidationEngine");
+const MarketRegistry = require("../helpers/marketRegistry");
+const { VenusPool, ISOLATED_COMPTROLLER_ABI } = require("../helpers/venusPools");
+const { loadConfig } = require("../helpers/configSchema");
+const { configure: configureLogger, getContext } = require("../helpers/logger");
+
+const BORROWER_A = "0x1234567890123456789012345678901234567890";
+const BORROWER_B = "0x0987654321098765432109876543210987654321";
+
+// Stand-in for artifacts/ so these tests run without compiling the contract
+const LIQUIDATION_ARTIFACT = {
+    contractName: "BSC_LiquidationV3",
+    abi: [
+        "function executeLiquidation(address borrower, address debtToken, address collateralToken, address vDebtToken, address vCollateralToken, uint256 repayAmount, uint24 flashFee, uint24 swapFee, uint24 minOutBps) external",
+        "function owner() view returns (address)",
+        "function paused() view returns (bool)",
+        "event LiquidationExecuted(address indexed borrower, address indexed debtToken, address indexed collateralToken, uint256 repayAmount, uint256 profit)"
+    ],
+    deployedBytecode: "0x",
+    immutableReferences: {}
+};
+
+describe("LiquidationEngine", function () {
+    let engine;
+
+    beforeEach(async function () {
+        const [signer] = await ethers.getSigners();
+
+        engine = new LiquidationEngine({
+            provider: ethers.provider,
+            wallet: signer,
+            liquidationContractAddress: ethers.ZeroAddress,
+            liquidationArtifact: LIQUIDATION_ARTIFACT,
+            config: { useEventMonitoring: false, discoverMarkets: false, postLiquidationDelayMs: 0 }
+        });
+
+        // Keep the cycle off-chain: price checks always pass
+        engine.circuitBreaker.checkPrices = async () => true;
+    });
+
+    it("Should apply config overrides on top of defaults", function () {
+        expect(engine.config.postLiquidationDelayMs).to.equal(0);
+        expect(engine.config.minProfitThreshold).to.equal(LiquidationEngine.DEFAULT_CONFIG.minProfitThreshold);
+    });
+
+    it("Should hot-apply reloadable settings and leave restart-only ones alone", function () {
+        const reloaded = [];
+        engine.on("configReloaded", (result) => reloaded.push(result));
+
+        const next = loadConfig({
+            MIN_PROFIT_THRESHOLD: "0.5",
+            MAX_PRICE_CHANGE_PERCENT: "15",
+            MAX_GAS_PRICE_GWEI: "7",
+            DRY_RUN: "true"
+        });
+        const { applied, restartRequired } = engine.applyConfig(next);
+
+        expect(applied.map(change => change.env)).to.include.members(["MIN_PROFIT_THRESHOLD", "MAX_PRICE_CHANGE_PERCENT", "MAX_GAS_PRICE_GWEI"]);
+        expect(engine.config.minProfitThreshold).to.equal(ethers.parseEther("0.5"));
+        expect(engine.circuitBreaker.maxPriceChangePercent).to.equal(15);
+        expect(engine.gasStrategy.config.maxGasPrice).to.equal(ethers.parseUnits("7", "gwei"));
+        expect(engine.txManager.config.maxGasPrice).to.equal(ethers.parseUnits("7", "gwei"));
+
+        expect(restartRequired.map(change => change.env)).to.include("DRY_RUN");
+        expect(engine.config.dryRun).to.equal(false);
+        expect(reloaded).to.have.length(1);
+    });
+
+    it("Should emit started/stopped when toggled", function () {
+        const events = [];
+        engine.on("started", () => events.push("started"));
+        engine.on("stopped", () => events.push("stopped"));
+
+        engine.stop();
+        expect(engine.isRunning).to.be.false;
+        engine.start();
+        expect(engine.isRunning).to.be.true;
+        expect(events).to.deep.equal(["stopped", "started"]);
+    });
+
+    it("Should execute every opportunity found in a cycle and report it", async function () {
+        engine.getActiveBorrowers = async () => [BORROWER_A, BORROWER_B];
+        engine.checkLiquidationOpportunity = async (borrower) => borrower === BORROWER_A
+            ? { borrower, shortfall: 1n, expectedProfit: 1n, repayAmount: 1n }
+            : null;
+
+        const executed = [];
+        engine.executeLiquidation = async (opportunity) => {
+            executed.push(opportunity.borrower);
+            return true;
+        };
+
+        const found = [];
+        let summary = null;
+        engine.on("opportunityFound", (opp) => found.push(opp.borrower));
+        engine.on("scanCompleted", (data) => { summary = data; });
+
+        await engine.monitorPositions();
+
+        expect(found).to.deep.equal([BORROWER_A]);
+        expect(executed).to.deep.equal([BORROWER_A]);
+        expect(summary.borrowersScanned).to.equal(2);
+        expect(summary.opportunitiesFound).to.equal(1);
+    });
+
+    it("Should carry one correlation id from the scan cycle into checks and execution", async function () {
+        engine.getActiveBorrowers = async () => [BORROWER_A];
+        engine.refreshHealthFactors = async () => {};
+        const seen = [];
+        engine.checkLiquidationOpportunity = async (borrower) => {
+            seen.push(["check", getContext().cycleId, getContext().borrower]);
+            return { borrower, shortfall: 1n, expectedProfit: 1n, repayAmount: 1n };
+        };
+        engine.executeLiquidation = async (opportunity) => {
+            seen.push(["execute", getContext().cycleId, opportunity.cycleId]);
+            return false;
+        };
+        const completed = [];
+        engine.on("scanCompleted", (stats) => completed.push(stats.cycleId));
+
+        const lines = [];
+        const previous = configureLogger({ format: "json", write: (level, line) => lines.push(JSON.parse(line)) });
+        try {
+            await engine.monitorPositions();
+        } finally {
+            configureLogger(previous);
+        }
+
+        const cycleId = completed[0];
+        expect(cycleId).to.match(/^scan-/);
+        expect(seen).to.deep.equal([["check", cycleId, BORROWER_A], ["execute", cycleId, cycleId]]);
+        expect(lines.find(entry => entry.msg === "💡 LIQUIDATION OPPORTUNITY FOUND!")).to.include({ module: "engine", cycleId, borrower: BORROWER_A });
+    });
+
+    it("Should skip the cycle when the circuit breaker trips", async function () {
+        engine.circuitBreaker.checkPrices = async () => {
+            engine.circuitBreaker.trip("test trip");
+            return false;
+        };
+        let checked = false;
+        engine.getActiveBorrowers = async () => {
+            checked = true;
+            return [];
+        };
+
+        let tripReason = null;
+        engine.on("circuitBreakerTripped", ({ reason }) => { tripReason = reason; });
+
+        await engine.monitorPositions();
+
+        expect(tripReason).to.equal("test trip");
+        expect(checked).to.be.false;
+    });
+
+    it("Should simulate and record instead of broadcasting in dry-run mode", async function () {
+        engine.config.dryRun = true;
+        engine.liquidationContract.executeLiquidation = async () => {
+            throw new Error("must not broadcast in dry run");
+        };
+        engine.estimateGasForLiquidation = async () => 800000n;
+        engine.simulateLiquidation = async () => ({ success: true, error: null });
+
+        const recorded = [];
+        engine.borrowerDB.recordPaperTrade = (trade) => recorded.push(trade);
+        // Skip the on-chain liquidatable re-check
+        engine.corePool.comptroller = {
+            getAccountLiquidity: async () => [0n, 0n, 1n]
+        };
+
+        const rechecked = [];
+        engine.checkPoolOpportunity = async (pool, borrower, blockTag) => {
+            rechecked.push(blockTag);
+            return null;
+        };
+        let paperTrade = null;
+        engine.on("paperTrade", (data) => { paperTrade = data; });
+        let stale = null;
+        engine.on("opportunityStale", (data) => { stale = data; });
+
+        const currentBlock = await ethers.provider.getBlockNumber();
+        const opportunity = (blockNumber) => ({
+            borrower: BORROWER_A,
+            debtToken: ethers.ZeroAddress,
+            collateralToken: ethers.ZeroAddress,
+            vDebtToken: ethers.ZeroAddress,
+            vCollateralToken: ethers.ZeroAddress,
+            repayAmount: ethers.parseEther("1"),
+            expectedProfit: ethers.parseEther("0.05"),
+            gasPrice: 1n,
+            minOutBps: 100,
+            blockNumber
+        });
+
+        // Found at the current block: simulated and recorded as is
+        expect(await engine.executeLiquidation(opportunity(currentBlock))).to.be.true;
+        expect(rechecked).to.deep.equal([]);
+        expect(recorded.length).to.equal(1);
+        expect(recorded[0].simulatedSuccess).to.be.true;
+        expect(recorded[0].blockNumber).to.equal(currentBlock);
+        expect(paperTrade.opportunity.borrower).to.equal(BORROWER_A);
+        expect(engine.getStats().paperProfit).to.equal(ethers.parseEther("0.05"));
+
+        // Older than maxOpportunityAgeBlocks and gone when re-checked: no paper trade
+        const old = opportunity(currentBlock - engine.config.maxOpportunityAgeBlocks - 1);
+        expect(await engine.executeLiquidation(old)).to.be.false;
+        expect(rechecked).to.deep.equal([currentBlock]);
+        expect(stale).to.deep.equal({ opportunity: old, currentBlock });
+        expect(recorded.length).to.equal(1);
+        expect(engine.liquidationCount).to.equal(0);
+    });
+
+    it("Should count the profit paid out in the LiquidationExecuted event as realized", async function () {
+        const USDT = "0x55d398326f99059fF775485246999027B3197955";
+        const { topics, data } = engine.liquidationContract.interface.encodeEventLog("LiquidationExecuted", [
+            BORROWER_A, USDT, ethers.ZeroAddress, ethers.parseEther("100"), ethers.parseEther("60")
+        ]);
+        const receipt = {
+            hash: "0x" + "ab".repeat(32),
+            gasUsed: 500000n,
+            logs: [
+                { address: "0x0000000000000000000000000000000000000abc", topics, data }, // Same event from another contract
+                { address: ethers.ZeroAddress, topics, data }
+            ]
+        };
+        engine.txManager.send = async () => ({ status: "mined", hash: receipt.hash, attempts: 1, receipt });
+        engine.estimateGasForLiquidation = async () => 800000n;
+        engine.simulateLiquidation = async () => ({ success: true, error: null });
+        engine.corePool.comptroller = {
+            getAccountLiquidity: async () => [0n, 0n, 1n]
+        };
+
+        let executed = null;
+        engine.on("liquidationExecuted", (data) => { executed = data; });
+
+        const ok = await engine.executeLiquidation({
+            borrower: BORROWER_A,
+            comptroller: engine.corePool.address,
+            debtToken: USDT,
+            collateralToken: ethers.ZeroAddress,
+            vDebtToken: ethers.ZeroAddress,
+            vCollateralToken: ethers.ZeroAddress,
+            repayAmount: ethers.parseEther("100"),
+            expectedProfit: ethers.parseEther("0.05"),
+            debtPriceUSD: ethers.parseEther("1"),
+            bnbPriceUSD: ethers.parseEther("600"),
+            flashFee: 500,
+            swapFee: 500,
+            gasPrice: 1n,
+            minOutBps: 100,
+            blockNumber: await ethers.provider.getBlockNumber()
+        });
+
+        // 60 USDT at $1 with BNB at $600
+        expect(ok).to.be.true;
+        expect(executed.realizedProfit).to.equal(ethers.parseEther("0.1"));
+        expect(engine.getStats().totalProfit).to.equal(ethers.parseEther("0.1"));
+        expect(engine.getRealizedProfit({}, { logs: [] })).to.be.null;
+    });
+
+    it("Should drop opportunities whose pre-flight simulation reverts", async function () {
+        let sent = false;
+        engine.txManager.send = async () => {
+            sent = true;
+        };
+        engine.estimateGasForLiquidation = async () => 800000n;
+        engine.simulateLiquidation = async () => ({ success: false, error: "Not profitable", category: "UNPROFITABLE" });
+        engine.corePool.comptroller = {
+            getAccountLiquidity: async () => [0n, 0n, 1n]
+        };
+
+        let dropped = null;
+        engine.on("simulationFailed", (data) => { dropped = data; });
+
+        const ok = await engine.executeLiquidation({
+            borrower: BORROWER_A,
+            repayAmount: ethers.parseEther("1"),
+            expectedProfit: ethers.parseEther("0.05"),
+            blockNumber: await ethers.provider.getBlockNumber()
+        });
+
+        expect(ok).to.be.false;
+        expect(sent).to.be.false;
+        expect(dropped.category).to.equal("UNPROFITABLE");
+        expect(dropped.reason).to.equal("Not profitable");
+    });
+
+    it("Should pin every read of a scan cycle to the cycle's block", async function () {
+        const vBNB = LiquidationEngine.VENUS_MARKETS.vBNB;
+        engine.getActiveBorrowers = async () => [BORROWER_A];
+        const tags = [];
+        // Real breaker, oracle answering per block: the trigger must come from the cycle's block
+        delete engine.circuitBreaker.checkPrices;
+        engine.circuitBreaker.markets = { vBNB };
+        engine.circuitBreaker.priceHistory.set(vBNB, [{ price: ethers.parseEther("320"), timestamp: Date.now() }]);
+        engine.multicallHelper.getOraclePrices = async (oracle, markets, overrides) => {
+            tags.push(["oracle", overrides.blockTag]);
+            return { [vBNB]: ethers.parseEther(overrides.blockTag === 1234 ? "290" : "320") };
+        };
+        engine.priceTriggers.update(BORROWER_B, [{ vToken: vBNB, thresholdPrice: ethers.parseEther("300"), direction: "down" }]);
+        let triggered = null;
+        engine.on("priceTriggered", ({ borrowers }) => { triggered = borrowers; });
+        engine.refreshHealthFactors = async (borrowers, blockTag) => { tags.push(["refresh", blockTag]); return new Map(); };
+        engine.getBnbPriceUSD = async (overrides) => { tags.push(["bnbPrice", overrides.blockTag]); return ethers.parseEther("600"); };
+        engine.gasStrategy.getBaselineGasPrice = async (blockTag) => { tags.push(["gas", blockTag]); return 1n; };
+        engine.pools = [{
+            id: "pool",
+            getAccountData: async (borrower, overrides) => { tags.push(["account", overrides.blockTag]); return { isLiquidatable: true }; },
+            getPositions: async (borrower, overrides) => { tags.push(["positions", overrides.blockTag]); return { borrowPositions: [], collateralPositions: [] }; },
+            getLiquidationParameters: async (account, collateral, overrides) => { tags.push(["params", overrides.blockTag]); return null; }
+        }];
+        let summary = null;
+        engine.on("scanCompleted", (data) => { summary = data; });
+
+        await engine.monitorPositions(1234);
+
+        expect(tags.map(([, blockTag]) => blockTag)).to.deep.equal(Array(tags.length).fill(1234));
+        expect(tags.map(([read]) => read)).to.include.members(["oracle", "refresh", "bnbPrice", "gas", "account", "positions", "params"]);
+        expect(triggered).to.deep.equal([BORROWER_B]);
+        expect(summary.blockNumber).to.equal(1234);
+    });
+
+    it("Should read circuit breaker prices in one multicall per oracle", async function () {
+        const { vBNB, vBTC, vUSDT } = LiquidationEngine.VENUS_MARKETS;
+        const breaker = engine.circuitBreaker;
+        const coreOracle = { name: "core" };
+        const isolatedOracle = { name: "isolated" };
+        breaker.markets = { vBNB, vBTC, vUSDT };
+        breaker.getOracle = (vToken) => (vToken === vUSDT ? isolatedOracle : coreOracle);
+        const batches = [];
+        engine.multicallHelper.getOraclePrices = async (oracle, markets, overrides) => {
+            batches.push({ oracle: oracle.name, markets, blockTag: overrides.blockTag });
+            return Object.fromEntries(markets.map(market => [market, ethers.parseEther("100")]));
+        };
+
+        await breaker.initialize();
+        delete breaker.checkPrices;
+        expect(await breaker.checkPrices({ blockTag: 77 })).to.be.true;
+
+        expect(batches).to.deep.equal([
+            { oracle: "core", markets: [vBNB, vBTC], blockTag: undefined },
+            { oracle: "isolated", markets: [vUSDT], blockTag: undefined },
+            { oracle: "core", markets: [vBNB, vBTC], blockTag: 77 },
+            { oracle: "isolated", markets: [vUSDT], blockTag: 77 }
+        ]);
+
+        // A market the oracle can't price trips the breaker
+        engine.multicallHelper.getOraclePrices = async (oracle, markets) =>
+            Object.fromEntries(markets.map(market => [market, market === vBTC ? 0n : ethers.parseEther("100")]));
+        expect(await breaker.checkPrices({ blockTag: 78 })).to.be.false;
+        expect(breaker.getStatus().tripReason).to.include("vBTC");
+    });
+
+    it("Should load the positions of borrowers with a shortfall in one batch per pool", async function () {
+        const BORROWER_B = "0x0000000000000000000000000000000000000b0b";
+        engine.getActiveBorrowers = async () => [BORROWER_A, BORROWER_B];
+        const pool = {
+            id: "pool",
+            getAccountData: async () => ({ isLiquidatable: true }),
+            getPositionsBatch: async (borrowers, overrides) => {
+                batches.push({ borrowers, blockTag: overrides.blockTag });
+                return new Map(borrowers.map(borrower => [borrower, { borrowPositions: [], collateralPositions: [] }]));
+            },
+            getPositions: async () => { throw new Error("positions should come from the batch"); },
+            getLiquidationParameters: async () => null
+        };
+        const batches = [];
+        engine.pools = [pool];
+        engine.refreshHealthFactors = async () => new Map([[pool, [BORROWER_A, BORROWER_B]]]);
+        engine.getBnbPriceUSD = async () => ethers.parseEther("600");
+        engine.gasStrategy.getBaselineGasPrice = async () => 1n;
+
+        await engine.monitorPositions(4321);
+
+        expect(batches).to.deep.equal([{ borrowers: [BORROWER_A, BORROWER_B], blockTag: 4321 }]);
+    });
+
+    it("Should recompute opportunities found too many blocks ago before executing", async function () {
+        await ethers.provider.send("hardhat_mine", ["0x10"]);
+        const currentBlock = await ethers.provider.getBlockNumber();
+        engine.config.dryRun = true;
+        engine.estimateGasForLiquidation = async () => 800000n;
+        engine.simulateLiquidation = async () => ({ success: true, error: null });
+        engine.borrowerDB.recordPaperTrade = () => {};
+        const verified = [];
+        engine.corePool.comptroller = {
+            getAccountLiquidity: async (borrower, overrides) => {
+                verified.push(overrides.blockTag);
+                return [0n, 0n, 1n];
+            }
+        };
+        const opportunity = (blockNumber) => ({
+            borrower: BORROWER_A,
+            comptroller: engine.corePool.address,
+            repayAmount: ethers.parseEther("1"),
+            expectedProfit: ethers.parseEther("0.05"),
+            blockNumber
+        });
+        const rechecked = [];
+        let refreshed = null;
+        engine.checkPoolOpportunity = async (pool, borrower, blockTag) => {
+            rechecked.push(blockTag);
+            return refreshed;
+        };
+        const stale = [];
+        engine.on("opportunityStale", (data) => stale.push(data));
+
+        // Recent enough: executed as found
+        expect(await engine.executeLiquidation(opportunity(currentBlock - 2))).to.be.true;
+        expect(rechecked).to.deep.equal([]);
+        expect(verified).to.deep.equal([currentBlock - 2]);
+
+        // Gone at the current block: dropped
+        expect(await engine.executeLiquidation(opportunity(currentBlock - 3))).to.be.false;
+        expect(rechecked).to.deep.equal([currentBlock]);
+        expect(stale[0].currentBlock).to.equal(currentBlock);
+
+        // Still there: executed with the recomputed amounts
+        refreshed = { ...opportunity(currentBlock), repayAmount: ethers.parseEther("0.8") };
+        const old = opportunity(currentBlock - 10);
+        expect(await engine.executeLiquidation(old)).to.be.true;
+        expect(old.repayAmount).to.equal(ethers.parseEther("0.8"));
+        expect(old.blockNumber).to.equal(currentBlock);
+        expect(verified).to.deep.equal([currentBlock - 2, currentBlock]);
+    });
+
+    it("Should match on-chain liquidations to paper trades without the event monitor", async function () {
+        const vBNB = LiquidationEngine.VENUS_MARKETS.vBNB;
+        const LIQUIDATOR = "0x000000000000000000000000000000000000beef";
+        const vToken = new ethers.Interface([
+            "event LiquidateBorrow(address liquidator, address borrower, uint repayAmount, address vTokenCollateral, uint seizeTokens)"
+        ]);
+        const event = vToken.getEvent("LiquidateBorrow");
+        engine.config.dryRun = true;
+        engine.getActiveBorrowers = async () => [];
+        engine.refreshHealthFactors = async () => new Map();
+
+        const filters = [];
+        engine.provider = {
+            getLogs: async (filter) => {
+                filters.push(filter);
+                return [{
+                    ...vToken.encodeEventLog(event, [LIQUIDATOR, BORROWER_A, 1n, vBNB, 2n]),
+                    address: vBNB,
+                    transactionHash: "0x" + "ab".repeat(32),
+                    blockNumber: filter.toBlock
+                }];
+            }
+        };
+        const matched = [];
+        engine.borrowerDB.recordOnChainLiquidation = (...args) => { matched.push(args); return 1; };
+
+        expect(engine.config.useEventMonitoring).to.be.false;
+        await engine.monitorPositions(1000);
+        await engine.monitorPositions(1003);
+
+        expect(filters.map(({ fromBlock, toBlock }) => [fromBlock, toBlock])).to.deep.equal([[500, 1000], [1001, 1003]]);
+        expect(filters[0].address).to.include(vBNB);
+        expect(filters[0].topics).to.deep.equal([event.topicHash]);
+        expect(matched).to.deep.equal([
+            [BORROWER_A, LIQUIDATOR, "0x" + "ab".repeat(32), 1000],
+            [BORROWER_A, LIQUIDATOR, "0x" + "ab".repeat(32), 1003]
+        ]);
+    });
+
+    it("Should refuse to start when the contract self-check fails", async function () {
+        let initialized = false;
+        engine.circuitBreaker.initialize = async () => { initialized = true; };
+
+        // Nothing is deployed at the zero address
+        let error = null;
+        try {
+            await engine.initialize();
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error.message).to.include("self-check failed");
+        expect(initialized).to.be.false;
+    });
+
+    it("Should scan borrowers exposed to a market when its price feed updates", async function () {
+        const vBNB = LiquidationEngine.VENUS_MARKETS.vBNB;
+        const BORROWER_C = "0x1111111111111111111111111111111111111111";
+        engine.config.priceUpdateDebounceMs = 0;
+        engine.priceTriggers.update(BORROWER_A, [], [vBNB]);
+        engine.priceTriggers.update(BORROWER_B, [{ vToken: vBNB, thresholdPrice: ethers.parseEther("300"), direction: "down" }]);
+        engine.priceTriggers.update(BORROWER_C, [], [LiquidationEngine.VENUS_MARKETS.vBTC]);
+        const blockTags = [];
+        engine.multicallHelper.getOraclePrices = async (oracle, markets, overrides) => {
+            blockTags.push(overrides.blockTag);
+            return { [vBNB]: ethers.parseEther("290") };
+        };
+        engine.refreshHealthFactors = async (borrowers, blockTag) => { blockTags.push(blockTag); };
+
+        const checked = [];
+        engine.checkLiquidationOpportunity = async (borrower) => {
+            checked.push(borrower);
+            return null;
+        };
+
+        let triggered = null;
+        engine.on("priceTriggered", ({ borrowers }) => { triggered = borrowers; });
+        const completed = new Promise(resolve => engine.once("scanCompleted", resolve));
+
+        // Two updates for the same market coalesce into one scan
+        engine.handlePriceUpdate([vBNB]);
+        engine.handlePriceUpdate([vBNB]);
+        const summary = await completed;
+
+        expect(summary.trigger).to.equal("price");
+        expect(triggered).to.deep.equal([BORROWER_B]);
+        expect(checked).to.deep.equal([BORROWER_B, BORROWER_A]);
+        // Prices and health factors from the same block
+        expect(blockTags).to.deep.equal([summary.blockNumber, summary.blockNumber]);
+    });
+
+    it("Should track borrowers per pool and only check the pools they use", async function () {
+        const ISOLATED_COMPTROLLER = "0x94c1495cD4c557f1560Cbd68EAB0d197e6291571";
+        const V_ISOLATED_USDT = "0x5e3072305F9caE1c7A82F6Fe9E38811c74922c3B";
+        const comptroller = new ethers.Contract(ISOLATED_COMPTROLLER, ISOLATED_COMPTROLLER_ABI);
+        const isolatedPool = new VenusPool({
+            name: "Stablecoins",
+            address: ISOLATED_COMPTROLLER,
+            comptroller,
+            oracle: engine.oracle,
+            marketRegistry: new MarketRegistry({ comptroller, provider: null, markets: engine.markets }),
+            isolated: true
+        });
+        engine.addPool(isolatedPool);
+
+        // BORROWER_A only has positions in the isolated pool (HF 1.1), BORROWER_B in neither
+        const iface = comptroller.interface;
+        engine.multicallHelper.batchCall = async (calls) => calls.map(call => {
+            const inIsolated = call.target === ISOLATED_COMPTROLLER && call.callData.includes(BORROWER_A.slice(2).toLowerCase());
+            const method = iface.parseTransaction({ data: call.callData }).name;
+            const returnData = method === "getAccountLiquidity"
+                ? iface.encodeFunctionResult(method, [0n, inIsolated ? ethers.parseEther("10") : 0n, 0n])
+                : iface.encodeFunctionResult(method, [inIsolated ? [V_ISOLATED_USDT] : []]);
+            return { success: true, returnData };
+        });
+        engine.multicallHelper.getAccountSnapshots = async (pairs) => {
+            expect(pairs).to.deep.equal([{ borrower: BORROWER_A, vToken: V_ISOLATED_USDT }]);
+            return { [BORROWER_A]: { [V_ISOLATED_USDT]: { vTokenBalance: 0n, borrowBalance: ethers.parseEther("100"), exchangeRate: 0n } } };
+        };
+        let usedLiquidationThreshold = null;
+        engine.multicallHelper.getCollateralFactors = async (_, markets, useLiquidationThreshold) => {
+            usedLiquidationThreshold = useLiquidationThreshold;
+            return {};
+        };
+        engine.multicallHelper.getOraclePrices = async () => ({ [V_ISOLATED_USDT]: ethers.parseEther("1") });
+
+        await engine.refreshHealthFactors([BORROWER_A, BORROWER_B]);
+
+        expect(usedLiquidationThreshold).to.be.true;
+        expect(engine.scheduler.borrowers.get(BORROWER_A.toLowerCase()).healthFactor).to.equal(ethers.parseEther("1.1"));
+        expect(engine.getStats().pools.map(p => p.borrowers)).to.deep.equal([0, 1]);
+
+        const checkedPools = [];
+        engine.checkPoolOpportunity = async (pool, borrower) => {
+            checkedPools.push(`${pool.name}:${borrower}`);
+            return { borrower, comptroller: pool.address, expectedProfit: 1n };
+        };
+        const opportunity = await engine.checkLiquidationOpportunity(BORROWER_A);
+        await engine.checkLiquidationOpportunity(BORROWER_B);
+
+        expect(checkedPools).to.deep.equal([`Stablecoins:${BORROWER_A}`]);
+        expect(opportunity.comptroller).to.equal(ISOLATED_COMPTROLLER);
+    });
+
+    it("Should report opportunities on protocols the flash contract can't execute", async function () {
+        engine.getActiveBorrowers = async () => [BORROWER_A];
+        engine.checkLiquidationOpportunity = async (borrower) => ({
+            borrower, shortfall: 1n, expectedProfit: 1n, repayAmount: 1n, pool: "Aave v3", protocol: "aave-v3", executable: false
+        });
+        let executed = false;
+        engine.executeLiquidation = async () => { executed = true; return true; };
+
+        const reported = [];
+        engine.on("opportunityReported", (opp) => reported.push(opp.borrower));
+
+        await engine.monitorPositions();
+
+        expect(executed).to.be.false;
+        expect(reported).to.deep.equal([BORROWER_A]);
+    });
+
+    it("Should let the in-flight liquidation finish before shutting down", async function () {
+        engine.getActiveBorrowers = async () => [BORROWER_A];
+        engine.refreshHealthFactors = async () => {};
+        engine.checkLiquidationOpportunity = async (borrower) => ({
+            borrower, shortfall: 1n, expectedProfit: 1n, repayAmount: 1n
+        });
+        let confirmTx;
+        const recorded = [];
+        engine.executeLiquidation = async (opportunity) => {
+            await new Promise(resolve => { confirmTx = resolve; });
+            recorded.push(opportunity.borrower);
+            return true;
+        };
+        const saved = [];
+        let closed = false;
+        engine.borrowerDB = { isEnabled: true, addBorrowersBatch: (borrowers) => saved.push(...borrowers), close: () => { closed = true; } };
+        engine.scheduler.add([BORROWER_B]);
+
+        const cycle = engine.monitorPositions();
+        while (!confirmTx) await new Promise(resolve => setImmediate(resolve));
+
+        const draining = engine.drain(1000);
+        engine.start();
+        expect(engine.isRunning).to.be.false;
+
+        confirmTx();
+        expect(await draining).to.be.true;
+        await cycle;
+        expect(recorded).to.deep.equal([BORROWER_A]);
+
+        engine.shutdown();
+        engine.shutdown();
+        expect(saved).to.deep.equal([BORROWER_B]);
+        expect(closed).to.be.true;
+    });
+
+    it("Should stop waiting for a stuck scan after the drain timeout", async function () {
+        engine.runExclusive(() => new Promise(() => {}));
+        expect(await engine.drain(20)).to.be.false;
+    });
+
+    it("Should report counts through getStats", function () {
+        const stats = engine.getStats();
+        expect(stats.isRunning).to.be.true;
+        expect(stats.liquidationCount).to.equal(0);
+        expect(stats.totalProfit).to.equal(0n);
+        expect(stats.circuitBreaker.isTripped).to.be.false;
+    });
+});
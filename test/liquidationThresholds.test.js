@@ -0,0 +1,98 @@
+/**
+ * test/liquidationThresholds.test.js
+ *
+ * Tests for per-borrower liquidation price thresholds and the trigger index
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { computePriceThresholds, PriceTriggerIndex } = require("../helpers/liquidationThresholds");
+
+const usd = (value) => ethers.parseEther(value);
+
+describe("Liquidation Thresholds", function () {
+    describe("computePriceThresholds", function () {
+        it("Should find the collateral price that brings health factor to the target", function () {
+            // 1000 USD of BNB collateral at CF 0.8 (= 800) against 600 USD of USDT debt
+            const thresholds = computePriceThresholds({
+                positions: [
+                    { vToken: "0xvBNB", price: usd("500"), collateralUSD: usd("800"), borrowUSD: 0n },
+                    { vToken: "0xvUSDT", price: usd("1"), collateralUSD: 0n, borrowUSD: usd("600") }
+                ],
+                totalCollateralUSD: usd("800"),
+                totalBorrowUSD: usd("600"),
+                targetHealthFactor: usd("1")
+            });
+
+            const bnb = thresholds.find(t => t.vToken === "0xvBNB");
+            expect(bnb.direction).to.equal("down");
+            expect(bnb.thresholdPrice).to.equal(usd("375")); // 500 × 600 / 800
+
+            const usdt = thresholds.find(t => t.vToken === "0xvUSDT");
+            expect(usdt.direction).to.equal("up");
+            expect(usdt.thresholdPrice).to.equal((usd("1") * 800n) / 600n);
+        });
+
+        it("Should skip markets whose price alone cannot liquidate the borrower", function () {
+            // Stablecoin collateral covers the debt on its own; BNB collateral can go to zero
+            const thresholds = computePriceThresholds({
+                positions: [
+                    { vToken: "0xvUSDC", price: usd("1"), collateralUSD: usd("900"), borrowUSD: 0n },
+                    { vToken: "0xvBNB", price: usd("500"), collateralUSD: usd("100"), borrowUSD: 0n },
+                    { vToken: "0xvUSDT", price: usd("1"), collateralUSD: 0n, borrowUSD: usd("500") }
+                ],
+                totalCollateralUSD: usd("1000"),
+                totalBorrowUSD: usd("500"),
+                targetHealthFactor: usd("1")
+            });
+
+            expect(thresholds.map(t => t.vToken)).to.deep.equal(["0xvUSDC", "0xvUSDT"]);
+        });
+
+        it("Should return nothing for accounts without borrows", function () {
+            expect(computePriceThresholds({
+                positions: [{ vToken: "0xvBNB", price: usd("500"), collateralUSD: usd("800"), borrowUSD: 0n }],
+                totalCollateralUSD: usd("800"),
+                totalBorrowUSD: 0n,
+                targetHealthFactor: usd("1")
+            })).to.deep.equal([]);
+        });
+    });
+
+    describe("PriceTriggerIndex", function () {
+        let index;
+
+        beforeEach(function () {
+            index = new PriceTriggerIndex();
+            index.update("0xA", [{ vToken: "0xvBNB", thresholdPrice: usd("375"), direction: "down" }]);
+            index.update("0xB", [
+                { vToken: "0xvBNB", thresholdPrice: usd("300"), direction: "down" },
+                { vToken: "0xvUSDT", thresholdPrice: usd("1.1"), direction: "up" }
+            ]);
+        });
+
+        it("Should return only borrowers whose thresholds were crossed", function () {
+            expect(index.findTriggered({ "0xVBNB": usd("350") })).to.deep.equal(["0xA"]);
+            expect(index.findTriggered(new Map([["0xvBNB", usd("290")]]))).to.deep.equal(["0xA", "0xB"]);
+            expect(index.findTriggered({ "0xvUSDT": usd("1.2"), "0xvBNB": usd("400") })).to.deep.equal(["0xB"]);
+        });
+
+        it("Should track market exposure alongside thresholds", function () {
+            index.update("0xC", [], ["0xvETH", "0xvBNB"]);
+
+            expect(index.getExposed(["0xvbnb"])).to.deep.equal(["0xA", "0xB", "0xC"]);
+            expect(index.getExposed(["0xvUSDT", "0xvETH"])).to.deep.equal(["0xB", "0xC"]);
+            expect(index.findTriggered({ "0xvETH": 1n })).to.deep.equal([]);
+        });
+
+        it("Should drop old thresholds when a borrower is updated", function () {
+            index.update("0xB", [{ vToken: "0xvUSDT", thresholdPrice: usd("1.1"), direction: "up" }]);
+
+            expect(index.findTriggered({ "0xvBNB": usd("290") })).to.deep.equal(["0xA"]);
+            expect(index.size).to.equal(2);
+
+            index.remove("0xA");
+            expect(index.findTriggered({ "0xvBNB": usd("1") })).to.deep.equal([]);
+        });
+    });
+});
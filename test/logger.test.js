@@ -0,0 +1,60 @@
+/**
+ * test/logger.test.js
+ *
+ * Tests for leveled, module-tagged logging and correlation context
+ */
+
+const { expect } = require("chai");
+const { createLogger, configure, withContext, newCorrelationId } = require("../helpers/logger");
+
+describe("Logger", function () {
+    let lines;
+    let previous;
+
+    beforeEach(function () {
+        lines = [];
+        previous = configure({ level: "info", format: "text", write: (level, line) => lines.push({ level, line }) });
+    });
+
+    afterEach(function () {
+        configure(previous);
+    });
+
+    it("Should tag text lines with the module and drop levels below the threshold", function () {
+        const log = createLogger("eventMonitor");
+        log.debug("hidden");
+        log.info("\n👂 Listening", { markets: 3 });
+        log.warn("⚠️  Slow RPC");
+
+        expect(lines).to.deep.equal([
+            { level: "info", line: "\n[eventMonitor] 👂 Listening markets=3" },
+            { level: "warn", line: "[eventMonitor] ⚠️  Slow RPC" }
+        ]);
+    });
+
+    it("Should write one JSON object per line with fields and BigInts as strings", function () {
+        configure({ format: "json" });
+        createLogger("txManager").child({ nonce: 7 }).error("   Cancel failed", { gasPrice: 3000000000n, error: new Error("nonce too low") });
+
+        const entry = JSON.parse(lines[0].line);
+        expect(entry).to.include({ level: "error", module: "txManager", msg: "Cancel failed", nonce: 7, gasPrice: "3000000000" });
+        expect(entry.error.message).to.equal("nonce too low");
+        expect(entry.ts).to.be.a("string");
+    });
+
+    it("Should carry context through async calls without passing it around", async function () {
+        configure({ format: "json" });
+        const log = createLogger("engine");
+        const cycleId = newCorrelationId("scan");
+
+        await withContext({ cycleId }, async () => {
+            await new Promise(resolve => setTimeout(resolve, 1));
+            await withContext({ borrower: "0xabc" }, async () => log.info("checked"));
+        });
+        log.info("outside");
+
+        expect(cycleId).to.match(/^scan-[0-9a-f]{8}$/);
+        expect(JSON.parse(lines[0].line)).to.include({ cycleId, borrower: "0xabc" });
+        expect(JSON.parse(lines[1].line)).to.not.have.property("cycleId");
+    });
+});
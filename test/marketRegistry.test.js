@@ -0,0 +1,101 @@
+/**
+ * test/marketRegistry.test.js
+ *
+ * Tests for Venus market discovery and allow/deny filtering
+ */
+
+const { expect } = require("chai");
+const MarketRegistry = require("../helpers/marketRegistry");
+const { parseMarketList } = MarketRegistry;
+
+const V_BNB = "0xA07c5b74C9B40447a954e1466938b865b6BBea36";
+const V_USDT = "0xfD5840Cd36d94D7229439859C0112a4185BC0255";
+const V_XVS = "0x151B1e2635A717bcDc836ECd6FbB62B674FE3E1D";
+const V_LUNA = "0xb91A659E88B51474767CD97EF3196A3e7cEDD2c8";
+
+const SYMBOLS = { [V_BNB]: "vBNB", [V_USDT]: "vUSDT", [V_XVS]: "vXVS", [V_LUNA]: "vLUNA" };
+
+function createRegistry(options = {}, listed = [V_BNB, V_USDT, V_XVS, V_LUNA]) {
+    const registry = new MarketRegistry({
+        comptroller: { getAllMarkets: async () => listed },
+        provider: null,
+        ...options
+    });
+    registry.metadataReads = 0;
+    registry.getMetadata = async (address) => {
+        registry.metadataReads++;
+        return { address, symbol: SYMBOLS[address] };
+    };
+    return registry;
+}
+
+describe("MarketRegistry", function () {
+    it("Should add listed markets to the shared map in place", async function () {
+        const markets = { vBNB: V_BNB };
+        const registry = createRegistry({ markets });
+
+        let added = null;
+        registry.on("marketsAdded", (list) => { added = list; });
+        await registry.refresh();
+
+        expect(registry.markets).to.equal(markets);
+        expect(Object.keys(markets)).to.deep.equal(["vBNB", "vUSDT", "vXVS", "vLUNA"]);
+        expect(added.map(m => m.symbol)).to.deep.equal(["vUSDT", "vXVS", "vLUNA"]);
+    });
+
+    it("Should only read metadata for markets it has not seen", async function () {
+        const registry = createRegistry({ denyList: ["vLUNA"] });
+
+        await registry.refresh();
+        const reads = registry.metadataReads;
+        const addedAgain = await registry.refresh();
+
+        expect(addedAgain).to.deep.equal([]);
+        expect(registry.metadataReads).to.equal(reads);
+    });
+
+    it("Should apply allow and deny lists by symbol or address", async function () {
+        const registry = createRegistry({
+            markets: { vBNB: V_BNB },
+            allowList: ["vbnb", "vUSDT", V_XVS.toLowerCase()],
+            denyList: [V_USDT]
+        });
+        await registry.refresh();
+
+        expect(registry.markets).to.deep.equal({ vBNB: V_BNB, vXVS: V_XVS });
+    });
+
+    it("Should skip markets the oracle prices at zero", async function () {
+        const registry = createRegistry({
+            oracle: { getUnderlyingPrice: async (address) => (address === V_LUNA ? 0n : 1n) }
+        });
+        await registry.refresh();
+
+        expect(registry.markets.vLUNA).to.be.undefined;
+        expect(registry.markets.vXVS).to.equal(V_XVS);
+    });
+
+    it("Should retry markets whose price was missing or unreadable once the oracle has them", async function () {
+        let configured = false;
+        const registry = createRegistry({
+            oracle: {
+                getUnderlyingPrice: async (address) => {
+                    if (address === V_XVS && !configured) throw new Error("invalid resilient oracle price");
+                    return address === V_LUNA && !configured ? 0n : 1n;
+                }
+            }
+        });
+        await registry.refresh();
+        expect(registry.markets.vLUNA).to.be.undefined;
+        expect(registry.markets.vXVS).to.be.undefined;
+
+        configured = true;
+        const added = await registry.refresh();
+        expect(added.map(m => m.symbol)).to.deep.equal(["vXVS", "vLUNA"]);
+    });
+
+    it("Should parse comma-separated market lists", function () {
+        expect(parseMarketList(" vBNB, vUSDT ,,")).to.deep.equal(["vBNB", "vUSDT"]);
+        expect(parseMarketList(undefined)).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * test/metrics.test.js
+ *
+ * Tests for the Prometheus registry and the engine/provider instrumentation
+ */
+
+const { expect } = require("chai");
+const { EventEmitter } = require("events");
+const { ethers } = require("ethers");
+const { Registry, getBotMetrics, instrumentEngine, instrumentProvider, startMetricsServer } = require("../helpers/metrics");
+
+function fakeEngine() {
+    const engine = new EventEmitter();
+    engine.isRunning = true;
+    engine.circuitBreaker = { isOperational: () => false };
+    engine.getStats = () => ({ activeBorrowers: 42 });
+    engine.wallet = { getAddress: async () => ethers.ZeroAddress };
+    engine.provider = { getBalance: async () => ethers.parseEther("1.5") };
+    return engine;
+}
+
+describe("Metrics", function () {
+    it("Should render counters, gauges and cumulative histogram buckets", async function () {
+        const registry = new Registry();
+        const requests = registry.counter({ name: "test_requests_total", help: "Requests", labelNames: ["path"] });
+        const latency = registry.histogram({ name: "test_latency_seconds", help: "Latency", buckets: [0.1, 1] });
+        registry.gauge({ name: "test_up", help: "Up" }).set({}, 1);
+
+        requests.inc({ path: 'a"b' });
+        requests.inc({ path: 'a"b' }, 2);
+        latency.observe({}, 0.05);
+        latency.observe({}, 0.5);
+        latency.observe({}, 3);
+
+        const text = await registry.render();
+        expect(text).to.include("# TYPE test_requests_total counter");
+        expect(text).to.include('test_requests_total{path="a\\"b"} 3');
+        expect(text).to.include("test_up 1");
+        expect(text).to.include('test_latency_seconds_bucket{le="0.1"} 1');
+        expect(text).to.include('test_latency_seconds_bucket{le="1"} 2');
+        expect(text).to.include('test_latency_seconds_bucket{le="+Inf"} 3');
+        expect(text).to.include("test_latency_seconds_count 3");
+        expect(() => requests.inc({ method: "GET" })).to.throw(/unknown label/);
+    });
+
+    it("Should turn engine events and state into bot metrics", async function () {
+        const registry = new Registry();
+        const engine = fakeEngine();
+        const metrics = instrumentEngine(engine, registry);
+
+        engine.emit("scanCompleted", { borrowersScanned: 25, opportunitiesFound: 1, durationMs: 1200, trigger: "poll" });
+        engine.emit("opportunityFound", { protocol: "venus" });
+        engine.emit("opportunityReported", { protocol: "aave-v3" });
+        engine.emit("liquidationExecuted", {
+            opportunity: { expectedProfit: ethers.parseEther("0.25") },
+            receipt: { gasUsed: 500000n, gasPrice: ethers.parseUnits("3", "gwei") },
+            realizedProfit: ethers.parseEther("0.2")
+        });
+        engine.emit("simulationFailed", {});
+        engine.emit("liquidationFailed", {});
+
+        const text = await registry.render();
+        expect(metrics.scanDuration.get({ trigger: "poll" })).to.deep.equal({ sum: 1.2, count: 1 });
+        expect(metrics.borrowersScanned.get({ trigger: "poll" })).to.equal(25);
+        expect(metrics.opportunitiesFound.get({ protocol: "aave-v3", executable: "false" })).to.equal(1);
+        expect(metrics.liquidationsFailed.get({ stage: "simulation" })).to.equal(1);
+        expect(text).to.include("liquidation_bot_liquidations_executed_total 1");
+        expect(text).to.include("liquidation_bot_realized_profit_bnb_total 0.2");
+        expect(text).to.include("liquidation_bot_expected_profit_bnb_total 0.25");
+        expect(text).to.include("liquidation_bot_gas_spent_bnb_total 0.0015");
+        expect(text).to.include("liquidation_bot_circuit_breaker_tripped 1");
+        expect(text).to.include("liquidation_bot_tracked_borrowers 42");
+        expect(text).to.include("liquidation_bot_wallet_balance_bnb 1.5");
+    });
+
+    it("Should time RPC round trips per endpoint without exposing the URL path", async function () {
+        const metrics = getBotMetrics(new Registry());
+        const provider = new ethers.JsonRpcProvider("https://rpc.example.org/secret-key", 56, { staticNetwork: true });
+        provider._send = async (payload) => {
+            if (payload.method === "eth_fail") throw new Error("boom");
+            return [{ id: payload.id, result: "0x1" }];
+        };
+        instrumentProvider(provider, null, metrics);
+
+        await provider._send({ id: 1, method: "eth_blockNumber" });
+        await provider._send({ id: 2, method: "eth_fail" }).catch(() => {});
+
+        expect(metrics.rpcDuration.get({ endpoint: "rpc.example.org" }).count).to.equal(2);
+        expect(metrics.rpcErrors.get({ endpoint: "rpc.example.org" })).to.equal(1);
+        provider.destroy();
+    });
+
+    it("Should serve /metrics from the standalone listener", async function () {
+        const registry = new Registry();
+        registry.gauge({ name: "test_up", help: "Up" }).set({}, 1);
+        const server = await startMetricsServer(0, registry);
+        try {
+            const { port } = server.address();
+            const response = await fetch(`http://127.0.0.1:${port}/metrics`);
+            expect(response.headers.get("content-type")).to.include("text/plain; version=0.0.4");
+            expect(await response.text()).to.include("test_up 1");
+            expect((await fetch(`http://127.0.0.1:${port}/other`)).status).to.equal(404);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it("Should require the API key on the standalone listener when one is set", async function () {
+        const server = await startMetricsServer(0, new Registry(), "secret");
+        try {
+            const url = `http://127.0.0.1:${server.address().port}/metrics`;
+            expect((await fetch(url)).status).to.equal(401);
+            expect((await fetch(url, { headers: { "x-api-key": "wrong" } })).status).to.equal(401);
+            expect((await fetch(url, { headers: { "x-api-key": "secret" } })).status).to.equal(200);
+            expect((await fetch(url, { headers: { authorization: "Bearer secret" } })).status).to.equal(200);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,38 @@
+/**
+ * test/networkConfig.test.js
+ *
+ * Tests for the config.json network profiles
+ */
+
+const { expect } = require("chai");
+const { getNetworkConfig } = require("../helpers/networkConfig");
+
+describe("Network profiles", function () {
+    it("Should resolve every profile in config.json with the addresses the bot needs", function () {
+        for (const name of ["bsc", "bscTestnet", "hardhat", "localhost"]) {
+            const network = getNetworkConfig(name);
+            expect(network.NAME).to.equal(name);
+            expect(network.VENUS.COMPTROLLER).to.match(/^0x[0-9a-fA-F]{40}$/);
+            expect(network.VENUS.MARKETS.vBNB).to.match(/^0x[0-9a-fA-F]{40}$/);
+            expect(network.PANCAKESWAP_V3.QUOTER_V2_ADDRESS).to.match(/^0x[0-9a-fA-F]{40}$/);
+            expect(network.TOKENS.WBNB).to.match(/^0x[0-9a-fA-F]{40}$/);
+        }
+    });
+
+    it("Should merge EXTENDS profiles, overriding only what the child sets", function () {
+        const networks = {
+            base: { CHAIN_ID: 1, VENUS: { COMPTROLLER: "0xA", MARKETS: { vBNB: "0xB" } } },
+            mock: { EXTENDS: "base", CHAIN_ID: 31337, VENUS: { COMPTROLLER: "0xC" } }
+        };
+
+        const network = getNetworkConfig("mock", networks);
+        expect(network.CHAIN_ID).to.equal(31337);
+        expect(network.VENUS).to.deep.equal({ COMPTROLLER: "0xC", MARKETS: { vBNB: "0xB" } });
+        expect(network).to.not.have.property("EXTENDS");
+    });
+
+    it("Should reject unknown networks and inheritance loops", function () {
+        expect(() => getNetworkConfig("mainnet")).to.throw(/Unknown network "mainnet"/);
+        expect(() => getNetworkConfig("a", { a: { EXTENDS: "b" }, b: { EXTENDS: "a" } })).to.throw(/loop/);
+    });
+});
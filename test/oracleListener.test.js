@@ -0,0 +1,102 @@
+/**
+ * test/oracleListener.test.js
+ *
+ * Tests for price feed discovery behind the Venus oracle and aggregator re-resolution
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const OracleListener = require("../helpers/oracleListener");
+const { discoverFeeds } = OracleListener;
+const { configure } = require("../helpers/logger");
+
+const RESILIENT_ORACLE = "0x6592b5DE802159F3E74B2486b091D11a8256ab8A";
+const CHAINLINK_ORACLE = "0x1B2103441A0A108daD8848D8F5d790e4D402921F";
+const BINANCE_ORACLE = "0x594810b741d136f1960141C0d8Fb4a91bE78A820";
+const vBNB = "0xA07c5b74C9B40447a954e1466938b865b6BBea36";
+const vUSDT = "0xfD5840Cd36d94D7229439859C0112a4185BC0255";
+const vTHE = "0x86e06EAfa6A1eA631Eab51DE500E3D474933739f";
+const USDT = "0x55d398326f99059fF775485246999027B3197955";
+const THE = "0xF4C8E32EaDEC4BFe97E0F595AdD0f4450a863a11";
+const BNB_FEED = "0x0567F2323251f0Aab15c8dFb1967E4e8A7D42aeE";
+const USDT_FEED = "0xB97Ad0E74fa7d920791E90258A6E2085088b4320";
+
+const resilientOracle = new ethers.Interface([
+    "function getTokenConfig(address asset) external view returns (tuple(address asset, address[3] oracles, bool[3] enableFlagsForOracles, bool cachingEnabled))"
+]);
+const feedOracle = new ethers.Interface([
+    "function tokenConfigs(address asset) external view returns (address asset, address feed, uint256 maxStalePeriod)"
+]);
+
+describe("OracleListener", function () {
+    let restoreLogger;
+
+    beforeEach(function () {
+        restoreLogger = configure({ level: "silent" });
+    });
+
+    afterEach(function () {
+        configure(restoreLogger);
+    });
+
+    it("Should map markets to the feeds of their Chainlink main oracle", async function () {
+        // BNB and USDT on Chainlink, THE on Binance Oracle (no tokenConfigs feed)
+        const mainOracles = {
+            "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb": CHAINLINK_ORACLE,
+            [USDT.toLowerCase()]: CHAINLINK_ORACLE,
+            [THE.toLowerCase()]: BINANCE_ORACLE
+        };
+        const feedsByAsset = { "0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb": BNB_FEED, [USDT.toLowerCase()]: USDT_FEED };
+        const provider = {
+            call: async ({ to, data }) => {
+                if (to === RESILIENT_ORACLE) {
+                    const [asset] = resilientOracle.decodeFunctionData("getTokenConfig", data);
+                    const main = mainOracles[asset.toLowerCase()];
+                    return resilientOracle.encodeFunctionResult("getTokenConfig", [[asset, [main, ethers.ZeroAddress, ethers.ZeroAddress], [true, false, false], false]]);
+                }
+                if (to === CHAINLINK_ORACLE) {
+                    const [asset] = feedOracle.decodeFunctionData("tokenConfigs", data);
+                    return feedOracle.encodeFunctionResult("tokenConfigs", [asset, feedsByAsset[asset.toLowerCase()], 86400n]);
+                }
+                return "0x"; // Binance Oracle has no tokenConfigs(address)
+            }
+        };
+
+        const feeds = await discoverFeeds(RESILIENT_ORACLE, [
+            { vToken: vBNB, underlying: ethers.ZeroAddress },
+            { vToken: vUSDT, underlying: USDT },
+            { vToken: vTHE, underlying: THE }
+        ], provider);
+
+        expect(feeds).to.deep.equal({ [BNB_FEED]: [vBNB], [USDT_FEED]: [vUSDT] });
+    });
+
+    it("Should move a feed's subscription when its proxy points at a new aggregator", async function () {
+        const OLD_AGGREGATOR = "0x0000000000000000000000000000000000000a01";
+        const NEW_AGGREGATOR = "0x0000000000000000000000000000000000000a02";
+        const proxy = new ethers.Interface(["function aggregator() external view returns (address)"]);
+        let aggregator = OLD_AGGREGATOR;
+        const provider = { call: async () => proxy.encodeFunctionResult("aggregator", [aggregator]) };
+
+        const listener = new OracleListener(provider, { [BNB_FEED]: [vBNB] });
+        const subscribed = [];
+        const removed = [];
+        listener.subscribe = async (feed, vTokens, aggregatorAddress) => {
+            subscribed.push(aggregatorAddress);
+            listener.subscriptions.set(feed, { aggregatorAddress, contract: { removeAllListeners: () => removed.push(aggregatorAddress) } });
+        };
+        await listener.start();
+
+        await listener.refreshAggregators();
+        expect(subscribed).to.deep.equal([OLD_AGGREGATOR]);
+
+        aggregator = NEW_AGGREGATOR;
+        await listener.refreshAggregators();
+        expect(subscribed).to.deep.equal([OLD_AGGREGATOR, NEW_AGGREGATOR]);
+        expect(removed).to.deep.equal([OLD_AGGREGATOR]);
+        expect(listener.subscriptions.get(BNB_FEED).aggregatorAddress).to.equal(NEW_AGGREGATOR);
+
+        listener.stop();
+        expect(listener.resolveTimer).to.be.null;
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * test/poolSelector.test.js
+ *
+ * Tests for PancakeSwap V3 pool discovery and flash/swap tier selection
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const PoolSelector = require("../helpers/poolSelector");
+
+const DEBT = "0x55d398326f99059fF775485246999027B3197955";
+const COLLATERAL = "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c";
+
+function poolAddress(fee) {
+    return ethers.zeroPadValue(ethers.toBeHex(fee), 20);
+}
+
+describe("PoolSelector", function () {
+    let selector;
+    let getPoolCalls;
+
+    function build({ fees, quotes, liquidity }) {
+        getPoolCalls = 0;
+        const factory = {
+            getPool: async (tokenA, tokenB, fee) => {
+                getPoolCalls++;
+                return fees.includes(fee) ? poolAddress(fee) : ethers.ZeroAddress;
+            }
+        };
+        const quoter = {
+            quoteExactInputSingle: {
+                staticCall: async (params) => {
+                    if (quotes[params.fee] === undefined) {
+                        throw new Error("no liquidity");
+                    }
+                    return [quotes[params.fee], 0n, 0, 0n];
+                }
+            }
+        };
+
+        selector = new PoolSelector({ factory, quoter, provider: null });
+        selector.getFlashLiquidity = async (token, address) => {
+            const fee = Number(BigInt(address));
+            return liquidity[fee] || 0n;
+        };
+    }
+
+    it("Should discover PancakeSwap tiers and cache the topology", async function () {
+        build({ fees: [100, 2500], quotes: {}, liquidity: {} });
+
+        const pools = await selector.getPools(DEBT, COLLATERAL);
+        expect(pools.map(p => p.fee)).to.deep.equal([100, 2500]);
+        expect(getPoolCalls).to.equal(4);
+
+        // Reverse order hits the same cache entry
+        await selector.getPools(COLLATERAL, DEBT);
+        expect(getPoolCalls).to.equal(4);
+    });
+
+    it("Should not cache a lookup that failed, and cache a pair without pools only briefly", async function () {
+        build({ fees: [100, 2500], quotes: {}, liquidity: {} });
+        const getPool = selector.factory.getPool;
+        let failing = true;
+        selector.factory.getPool = async (tokenA, tokenB, fee) => {
+            if (failing && fee === 2500) {
+                throw new Error("rate limited");
+            }
+            return getPool(tokenA, tokenB, fee);
+        };
+
+        expect((await selector.getPools(DEBT, COLLATERAL)).map(p => p.fee)).to.deep.equal([100]);
+        failing = false;
+        expect((await selector.getPools(DEBT, COLLATERAL)).map(p => p.fee)).to.deep.equal([100, 2500]);
+        expect(getPoolCalls).to.equal(7);
+
+        build({ fees: [], quotes: {}, liquidity: {} });
+        await selector.getPools(DEBT, COLLATERAL);
+        expect(selector.poolCache.get(selector.pairKey(DEBT, COLLATERAL)).ttlMs).to.equal(selector.emptyCacheTtlMs);
+    });
+
+    it("Should require two pools for a route", async function () {
+        build({ fees: [2500], quotes: { 2500: 100n }, liquidity: { 2500: 10n ** 30n } });
+
+        expect(await selector.hasRoute(DEBT, COLLATERAL)).to.be.false;
+        expect(await selector.selectRoute(DEBT, COLLATERAL, 1n, 1n)).to.be.null;
+    });
+
+    it("Should flash from a pool with enough liquidity and swap through the best other tier", async function () {
+        const repay = ethers.parseEther("1000");
+        build({
+            fees: [100, 500, 2500],
+            quotes: {
+                100: ethers.parseEther("1090"),
+                500: ethers.parseEther("1100"),
+                2500: ethers.parseEther("1080")
+            },
+            liquidity: {
+                100: ethers.parseEther("10"),    // too shallow to flash
+                500: ethers.parseEther("50000"),
+                2500: ethers.parseEther("50000")
+            }
+        });
+
+        const route = await selector.selectRoute(DEBT, COLLATERAL, repay, ethers.parseEther("2"));
+
+        // Best quote is the 0.05% pool, so the flash must come from the 0.25% pool
+        expect(route.swapFee).to.equal(500);
+        expect(route.flashFee).to.equal(2500);
+        expect(route.flashFeeAmount).to.equal(ethers.parseEther("2.5"));
+        expect(route.quotedAmountOut).to.equal(ethers.parseEther("1100"));
+    });
+
+    it("Should return null when no pool can fund the flash borrow", async function () {
+        build({
+            fees: [500, 2500],
+            quotes: { 500: 100n, 2500: 100n },
+            liquidity: { 500: 1n, 2500: 1n }
+        });
+
+        expect(await selector.selectRoute(DEBT, COLLATERAL, 1000n, 1n)).to.be.null;
+    });
+});
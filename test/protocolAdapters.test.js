@@ -0,0 +1,286 @@
+/**
+ * test/protocolAdapters.test.js
+ *
+ * Tests for the lending protocol adapters (Venus pools and Aave v3)
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const AaveV3Adapter = require("../helpers/aaveV3Adapter");
+const MulticallHelper = require("../helpers/multicall");
+const { VenusPool, ISOLATED_COMPTROLLER_ABI } = require("../helpers/venusPools");
+const { VTOKEN_ABI, ORACLE_ABI } = require("../helpers/venusHelpers");
+
+const BORROWER = "0x1234567890123456789012345678901234567890";
+const AAVE_POOL = "0x6807dc923806fE8Fd134338EABCA509979a7e0cB";
+const AAVE_DATA_PROVIDER = "0x23dF2a19384231aFD114b036C14b6b03324D79BC";
+const AAVE_ORACLE = "0x39bc1bfDa2130d6Bb6DBEfd366939b4c7aa7C697";
+const WBNB = "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c";
+const USDT = "0x55d398326f99059fF775485246999027B3197955";
+
+describe("Protocol adapters", function () {
+    describe("AaveV3Adapter", function () {
+        let adapter;
+        let batches;
+
+        beforeEach(function () {
+            const pool = new ethers.Contract(AAVE_POOL, AaveV3Adapter.AAVE_POOL_ABI);
+            pool.getUserAccountData = async () => ({
+                totalCollateralBase: 1000n * 10n ** 8n, // $1000
+                totalDebtBase: 900n * 10n ** 8n,        // $900
+                currentLiquidationThreshold: 8000n,    // 80%
+                healthFactor: ethers.parseEther("0.9")  // 800 / 900 (rounded)
+            });
+            pool.getReservesList = async () => [WBNB, USDT];
+
+            const reserveData = {
+                [WBNB]: { currentATokenBalance: ethers.parseEther("2"), currentStableDebt: 0n, currentVariableDebt: 0n, usageAsCollateralEnabled: true },
+                [USDT]: { currentATokenBalance: 0n, currentStableDebt: 0n, currentVariableDebt: ethers.parseEther("900"), usageAsCollateralEnabled: false }
+            };
+            const dataProvider = new ethers.Contract(AAVE_DATA_PROVIDER, AaveV3Adapter.AAVE_DATA_PROVIDER_ABI);
+            dataProvider.getReserveConfigurationData = async (asset) => ({ decimals: 18n, liquidationBonus: asset === WBNB ? 10500n : 10450n });
+            const oracle = new ethers.Contract(AAVE_ORACLE, AaveV3Adapter.AAVE_ORACLE_ABI);
+            oracle.BASE_CURRENCY_UNIT = async () => 10n ** 8n;
+
+            batches = [];
+            const multicallHelper = new MulticallHelper(null);
+            multicallHelper.batchCall = async (calls) => {
+                batches.push(calls);
+                return calls.map(({ target, callData }) => {
+                    if (target === AAVE_ORACLE) {
+                        const [asset] = oracle.interface.decodeFunctionData("getAssetPrice", callData);
+                        return { success: true, returnData: oracle.interface.encodeFunctionResult("getAssetPrice", [(asset === WBNB ? 500n : 1n) * 10n ** 8n]) };
+                    }
+                    const [asset] = dataProvider.interface.decodeFunctionData("getUserReserveData", callData);
+                    const data = reserveData[asset];
+                    return {
+                        success: true,
+                        returnData: dataProvider.interface.encodeFunctionResult("getUserReserveData", [
+                            data.currentATokenBalance, data.currentStableDebt, data.currentVariableDebt, 0n, 0n, 0n, 0n, 0n, data.usageAsCollateralEnabled
+                        ])
+                    };
+                });
+            };
+
+            adapter = new AaveV3Adapter({ pool, dataProvider, oracle, provider: null, multicallHelper });
+            adapter.reserves.set(WBNB.toLowerCase(), { asset: WBNB, symbol: "WBNB", decimals: 18, liquidationBonus: 10500n });
+            adapter.reserves.set(USDT.toLowerCase(), { asset: USDT, symbol: "USDT", decimals: 18, liquidationBonus: 10450n });
+        });
+
+        it("Should normalize account data to 18-decimal USD", async function () {
+            const account = await adapter.getAccountData(BORROWER);
+
+            expect(account.isLiquidatable).to.be.true;
+            expect(account.liquidity).to.equal(0n);
+            expect(account.shortfall).to.equal(ethers.parseEther("100")); // 900 debt - 800 adjusted collateral
+        });
+
+        it("Should report positions with Venus-scaled prices from one multicall", async function () {
+            const { borrowPositions: borrows, collateralPositions: collateral } = await adapter.getPositions(BORROWER);
+
+            expect(batches).to.have.length(1);
+            expect(batches[0]).to.have.length(4); // user data and price per reserve
+
+            expect(borrows).to.have.length(1);
+            expect(borrows[0].underlying).to.equal(USDT);
+            expect(borrows[0].valueUSD).to.equal(ethers.parseEther("900"));
+
+            expect(collateral).to.have.length(1);
+            expect(collateral[0].priceUSD).to.equal(ethers.parseEther("500"));
+            expect(collateral[0].valueUSD).to.equal(ethers.parseEther("1000"));
+        });
+
+        it("Should use the collateral bonus and the full close factor below 0.95", async function () {
+            const collateral = await adapter.getCollateralPositions(BORROWER);
+
+            const params = await adapter.getLiquidationParameters({ healthFactor: ethers.parseEther("0.9") }, collateral);
+            expect(params.liquidationIncentive).to.equal(ethers.parseEther("1.05"));
+            expect(params.closeFactor).to.equal(ethers.parseEther("1"));
+
+            const partial = await adapter.getLiquidationParameters({ healthFactor: ethers.parseEther("0.97") }, collateral);
+            expect(partial.closeFactor).to.equal(ethers.parseEther("0.5"));
+        });
+
+        it("Should encode liquidationCall on the Aave pool", function () {
+            const call = adapter.encodeLiquidationCall({
+                borrower: BORROWER,
+                debtPosition: { underlying: USDT },
+                collateralPosition: { underlying: WBNB },
+                repayAmount: 100n
+            });
+
+            const decoded = adapter.pool.interface.parseTransaction({ data: call.data });
+            expect(call.to).to.equal(AAVE_POOL);
+            expect(decoded.name).to.equal("liquidationCall");
+            expect(decoded.args).to.deep.equal([WBNB, USDT, BORROWER, 100n, false]);
+            expect(adapter.supportsFlashLiquidation).to.be.false;
+        });
+
+        it("Should watch Borrow events for the account carrying the debt", function () {
+            const [source] = adapter.getEventSources();
+            expect(source.event).to.equal("Borrow");
+            expect(source.getBorrower({ user: AAVE_POOL, onBehalfOf: BORROWER })).to.equal(BORROWER);
+        });
+    });
+
+    describe("VenusPool", function () {
+        const vBNB = "0xA07c5b74C9B40447a954e1466938b865b6BBea36";
+        const vUSDT = "0xfD5840Cd36d94D7229439859C0112a4185BC0255";
+        const COMPTROLLER = "0xfD36E2c2a6789Db23113685031d7F16329158384";
+
+        it("Should encode liquidateBorrow on the debt vToken (payable for vBNB)", function () {
+            const pool = new VenusPool({ name: "Core", address: COMPTROLLER, comptroller: null, oracle: null, provider: null, marketRegistry: null });
+
+            const erc20Call = pool.encodeLiquidationCall({
+                borrower: BORROWER,
+                debtPosition: { vToken: vUSDT, underlying: USDT },
+                collateralPosition: { vToken: vBNB },
+                repayAmount: 100n
+            });
+            const decoded = new ethers.Interface(VTOKEN_ABI).parseTransaction({ data: erc20Call.data });
+            expect(erc20Call.to).to.equal(vUSDT);
+            expect(erc20Call.value).to.equal(0n);
+            expect(decoded.args).to.deep.equal([BORROWER, 100n, vBNB]);
+
+            const bnbCall = pool.encodeLiquidationCall({
+                borrower: BORROWER,
+                debtPosition: { vToken: vBNB, underlying: "BNB" },
+                collateralPosition: { vToken: vUSDT },
+                repayAmount: 100n
+            });
+            expect(bnbCall.to).to.equal(vBNB);
+            expect(bnbCall.value).to.equal(100n);
+            expect(pool.supportsFlashLiquidation).to.be.true;
+        });
+
+        it("Should size the seize in vTokens, cap it by the borrower's balance and take out the protocol share", function () {
+            const pool = new VenusPool({ name: "Core", address: COMPTROLLER, comptroller: null, oracle: null, provider: null, marketRegistry: null });
+            const debtPosition = { vToken: vUSDT, underlying: USDT, priceUSD: ethers.parseEther("1") };
+            // 4 vBNB = 2 BNB ($1200); the protocol keeps 5% of the seize
+            const collateralPosition = {
+                vToken: vBNB, vTokenSymbol: "vBNB", underlying: "BNB", priceUSD: ethers.parseEther("600"),
+                vTokenBalance: ethers.parseEther("4"), exchangeRate: ethers.parseEther("0.5"), protocolSeizeShare: ethers.parseEther("0.05")
+            };
+            const liquidationIncentive = ethers.parseEther("1.1");
+
+            // $300 repay seizes $330 = 1.1 vBNB less truncation
+            const seize = pool.calculateSeize({ debtPosition, collateralPosition, repayAmount: ethers.parseEther("300"), liquidationIncentive });
+            expect(seize.isCapped).to.be.false;
+            expect(seize.repayAmount).to.equal(ethers.parseEther("300"));
+            expect(seize.seizeTokens).to.equal(1099999999999999800n);
+            expect(seize.protocolSeizeTokens).to.equal((seize.seizeTokens * ethers.parseEther("0.05") / ethers.parseEther("1")) * ethers.parseEther("1") / liquidationIncentive);
+            expect(seize.collateralReceived).to.equal(seize.liquidatorSeizeTokens / 2n);
+
+            // $3000 would seize 11 vBNB: repay shrinks to what 4 vBNB covers
+            const capped = pool.calculateSeize({ debtPosition, collateralPosition, repayAmount: ethers.parseEther("3000"), liquidationIncentive });
+            expect(capped.isCapped).to.be.true;
+            expect(capped.seizeTokens).to.be.at.most(ethers.parseEther("4"));
+            expect(capped.seizeTokens).to.be.closeTo(ethers.parseEther("4"), 10n ** 6n);
+            expect(capped.repayAmount).to.be.closeTo(ethers.parseEther("1090.909090909"), 10n ** 9n);
+        });
+
+        it("Should add the core pool Liquidator's treasury share to the liquidation parameters", async function () {
+            const LIQUIDATOR = "0x0870793286aaDA55D39CE7f82fb2766e8004cF43";
+            const liquidator = new ethers.Interface(["function treasuryPercentMantissa() external view returns (uint256)"]);
+            const comptroller = {
+                liquidationIncentiveMantissa: async () => ethers.parseEther("1.1"),
+                closeFactorMantissa: async () => ethers.parseEther("0.5"),
+                liquidatorContract: async () => LIQUIDATOR
+            };
+            const provider = {
+                call: async ({ to }) => {
+                    expect(to).to.equal(LIQUIDATOR);
+                    return liquidator.encodeFunctionResult("treasuryPercentMantissa", [ethers.parseEther("0.5")]);
+                }
+            };
+
+            const core = new VenusPool({ name: "Core", address: COMPTROLLER, comptroller, oracle: null, provider, marketRegistry: null });
+            const params = await core.getLiquidationParameters(null, []);
+            expect(params.treasuryPercent).to.equal(ethers.parseEther("0.5"));
+
+            // The treasury keeps half of the 10% bonus: 0.05 of the 1.1 vBNB seized
+            const debtPosition = { vToken: vUSDT, underlying: USDT, priceUSD: ethers.parseEther("1") };
+            const collateralPosition = { vToken: vBNB, underlying: "BNB", priceUSD: ethers.parseEther("600"), exchangeRate: ethers.parseEther("0.5") };
+            const seize = core.calculateSeize({ debtPosition, collateralPosition, repayAmount: ethers.parseEther("300"), ...params });
+            expect(seize.treasurySeizeTokens).to.be.closeTo(ethers.parseEther("0.05"), 10n ** 6n);
+            expect(seize.collateralReceived).to.equal((seize.seizeTokens - seize.treasurySeizeTokens) / 2n);
+
+            const isolated = new VenusPool({ name: "Stablecoins", address: COMPTROLLER, comptroller, oracle: null, provider: null, marketRegistry: null, isolated: true });
+            expect((await isolated.getLiquidationParameters(null, [])).treasuryPercent).to.equal(0n);
+        });
+
+        it("Should load a borrower's positions in one multicall and read market metadata once", async function () {
+            const ORACLE = "0x6592b5DE802159F3E74B2486b091D11a8256ab8A";
+            const comptroller = new ethers.Contract(COMPTROLLER, ISOLATED_COMPTROLLER_ABI);
+            comptroller.getAllMarkets = async () => { throw new Error("tracked markets are used"); };
+            const vToken = new ethers.Interface([
+                ...VTOKEN_ABI,
+                "function getAccountSnapshot(address account) external view returns (uint, uint, uint, uint)",
+                "function protocolSeizeShareMantissa() external view returns (uint)"
+            ]);
+            const oracle = new ethers.Contract(ORACLE, ORACLE_ABI);
+            const markets = new ethers.Interface(["function markets(address) external view returns (bool, uint, uint)"]);
+
+            // BORROWER: 2 BNB collateral (as 4 vBNB at 0.5), 300 USDT debt
+            const batches = [];
+            const multicallHelper = new MulticallHelper(null);
+            multicallHelper.batchCall = async (calls) => {
+                batches.push(calls);
+                return calls.map(({ target, callData }) => {
+                    if (target === ORACLE) {
+                        const [market] = oracle.interface.parseTransaction({ data: callData }).args;
+                        return { success: true, returnData: oracle.interface.encodeFunctionResult("getUnderlyingPrice", [ethers.parseEther(market === vBNB ? "600" : "1")]) };
+                    }
+                    if (target === COMPTROLLER) {
+                        return { success: true, returnData: markets.encodeFunctionResult("markets", [true, ethers.parseEther("0.8"), ethers.parseEther("0.85")]) };
+                    }
+                    const { name } = vToken.parseTransaction({ data: callData });
+                    if (name === "underlying") {
+                        return target === vBNB ? { success: false, returnData: "0x" } : { success: true, returnData: vToken.encodeFunctionResult(name, [USDT]) };
+                    }
+                    if (name === "protocolSeizeShareMantissa") {
+                        // Core pool vTokens don't have it
+                        return target === vBNB ? { success: true, returnData: vToken.encodeFunctionResult(name, [ethers.parseEther("0.05")]) } : { success: false, returnData: "0x" };
+                    }
+                    if (name === "symbol") {
+                        return { success: true, returnData: vToken.encodeFunctionResult(name, [target === vBNB ? "vBNB" : "vUSDT"]) };
+                    }
+                    const snapshot = target === vBNB
+                        ? [0n, ethers.parseEther("4"), 0n, ethers.parseEther("0.5")]
+                        : [0n, 0n, ethers.parseEther("300"), ethers.parseEther("1")];
+                    return { success: true, returnData: vToken.encodeFunctionResult("getAccountSnapshot", snapshot) };
+                });
+            };
+            const pool = new VenusPool({ name: "Stablecoins", address: COMPTROLLER, comptroller, oracle, provider: null, marketRegistry: null, multicallHelper, isolated: true });
+            pool.trackMarkets([{ symbol: "vBNB", address: vBNB }, { symbol: "vUSDT", address: vUSDT }]);
+
+            const { borrowPositions, collateralPositions } = await pool.getPositions(BORROWER);
+
+            expect(batches).to.have.length(1);
+            expect(borrowPositions).to.deep.equal([{
+                vToken: vUSDT, vTokenSymbol: "vUSDT", underlying: USDT,
+                borrowBalance: ethers.parseEther("300"), priceUSD: ethers.parseEther("1"), valueUSD: ethers.parseEther("300")
+            }]);
+            expect(collateralPositions).to.deep.equal([{
+                vToken: vBNB, vTokenSymbol: "vBNB", underlying: "BNB",
+                vTokenBalance: ethers.parseEther("4"), underlyingBalance: ethers.parseEther("2"),
+                priceUSD: ethers.parseEther("600"), valueUSD: ethers.parseEther("1200"),
+                collateralFactor: ethers.parseEther("0.85"), // Isolated pool: liquidation threshold
+                exchangeRate: ethers.parseEther("0.5"), protocolSeizeShare: ethers.parseEther("0.05")
+            }]);
+
+            // Batch mode: account snapshots for every borrower, prices, factors and seize shares once per market
+            const OTHER = "0x0000000000000000000000000000000000000002";
+            const snapshots = await pool.getPositionsBatch([BORROWER, OTHER]);
+            expect(batches[1]).to.have.length(2 * 2 + 2 * 3);
+            expect(Array.from(snapshots.keys())).to.deep.equal([BORROWER, OTHER]);
+            expect(snapshots.get(OTHER).borrowPositions[0].valueUSD).to.equal(ethers.parseEther("300"));
+
+            // Markets the allow/deny lists kept out of the pool aren't read
+            pool.markets.delete(vBNB.toLowerCase());
+            const filtered = await pool.getPositions(BORROWER);
+            expect(batches[2].map(call => call.target)).to.not.include(vBNB);
+            expect(filtered.collateralPositions).to.deep.equal([]);
+        });
+    });
+});
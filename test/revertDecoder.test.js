@@ -0,0 +1,51 @@
+/**
+ * test/revertDecoder.test.js
+ *
+ * Tests for decoding and classifying BSC_LiquidationV3 reverts
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    decodeRevertData,
+    decodeRevertReason,
+    classifyRevert
+} = require("../helpers/revertDecoder");
+
+function errorString(reason) {
+    return "0x08c379a0" + ethers.AbiCoder.defaultAbiCoder().encode(["string"], [reason]).slice(2);
+}
+
+describe("Revert Decoder", function () {
+    const iface = new ethers.Interface(["error EnforcedPause()"]);
+
+    it("Should decode require() strings from raw revert data", function () {
+        expect(decodeRevertData(errorString("Pool does not exist"))).to.equal("Pool does not exist");
+    });
+
+    it("Should decode panics and custom errors", function () {
+        const panic = "0x4e487b71" + ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [0x11]).slice(2);
+        expect(decodeRevertData(panic)).to.equal("Panic(0x11)");
+
+        const paused = iface.encodeErrorResult("EnforcedPause", []);
+        expect(decodeRevertData(paused, iface)).to.equal("EnforcedPause");
+    });
+
+    it("Should read the reason from nested ethers errors", function () {
+        const error = { message: "execution reverted", info: { error: { data: errorString("Not profitable") } } };
+        expect(decodeRevertReason(error)).to.equal("Not profitable");
+
+        expect(decodeRevertReason({ revert: { name: "Error", args: ["Liquidation failed (BNB)"] } }))
+            .to.equal("Liquidation failed (BNB)");
+        expect(decodeRevertReason({ shortMessage: "could not coalesce error" })).to.equal("could not coalesce error");
+    });
+
+    it("Should classify contract revert reasons", function () {
+        expect(classifyRevert("Not profitable")).to.equal("UNPROFITABLE");
+        expect(classifyRevert("Pool does not exist")).to.equal("NO_POOL");
+        expect(classifyRevert("Liquidation failed (BNB)")).to.equal("LIQUIDATION_REJECTED");
+        expect(classifyRevert("Too little received")).to.equal("SLIPPAGE");
+        expect(classifyRevert("EnforcedPause")).to.equal("PAUSED");
+        expect(classifyRevert("something else")).to.equal("UNKNOWN");
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * test/seizeCalculation.test.js
+ *
+ * Checks the JS port of the Venus seize math against Venus' own code
+ * (contracts/mocks/venus: the Comptroller's liquidateCalculateSeizeTokens, the
+ * isolated-pool VToken._seize split and the core pool Liquidator's treasury split)
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    calculateSeizeTokens,
+    splitSeizeTokens,
+    calculateTreasurySeizeTokens,
+    calculateVenusSeize
+} = require("../helpers/liquidationCalculator");
+
+describe("Venus seize calculation", function () {
+    const BORROWER = "0x0000000000000000000000000000000000000001";
+    const vDEBT = "0x000000000000000000000000000000000000d001";
+    const vCOLLATERAL = "0x000000000000000000000000000000000000c001";
+    const ONE = 10n ** 18n;
+
+    // Oracle prices are scaled to 36 - underlying decimals; vTokens have 8 decimals,
+    // so exchange rates are scaled to 18 - 8 + underlying decimals
+    const price = (usd, decimals) => ethers.parseUnits(usd, 36 - decimals);
+    const exchangeRate = (rate, decimals) => ethers.parseUnits(rate, 10 + decimals);
+
+    const MARKETS = [
+        { name: "18-decimal debt, 18-decimal collateral", debt: price("1", 18), collateral: price("612.37", 18), rate: exchangeRate("0.0216829", 18) },
+        { name: "6-decimal debt, 18-decimal collateral", debt: price("0.99987", 6), collateral: price("3114.5", 18), rate: exchangeRate("0.0200413", 18) },
+        { name: "18-decimal debt, 8-decimal collateral", debt: price("1.0003", 18), collateral: price("67123.11", 8), rate: exchangeRate("0.0201337", 8) },
+        { name: "8-decimal debt, 6-decimal collateral", debt: price("67123.11", 8), collateral: price("1", 6), rate: exchangeRate("0.0233", 6) }
+    ];
+    const REPAYS = [1n, 999n, 123456789n, 10n ** 12n + 7n, 31415926535897932384n, 10n ** 24n + 1n];
+    const INCENTIVE = ethers.parseEther("1.1");
+    const PROTOCOL_SHARE = ethers.parseEther("0.05");
+    const TREASURY_PERCENT = ethers.parseEther("0.5"); // Treasury keeps half of the bonus
+
+    let venus;
+
+    before(async function () {
+        const VenusSeizeHarness = await ethers.getContractFactory("VenusSeizeHarness");
+        venus = await VenusSeizeHarness.deploy();
+        await venus.waitForDeployment();
+        await venus.setLiquidationIncentive(INCENTIVE);
+        await venus.setProtocolSeizeShare(PROTOCOL_SHARE);
+        await venus.setTreasuryPercent(TREASURY_PERCENT);
+    });
+
+    for (const market of MARKETS) {
+        it(`Should match liquidateCalculateSeizeTokens and both seize splits (${market.name})`, async function () {
+            await venus.setMarket(vDEBT, market.debt, 0n);
+            await venus.setMarket(vCOLLATERAL, market.collateral, market.rate);
+
+            // Odd amounts across magnitudes so every truncation step matters
+            for (const repay of REPAYS) {
+                const [error, expected] = await venus.liquidateCalculateSeizeTokens(vDEBT, vCOLLATERAL, repay);
+                expect(error).to.equal(0n);
+                expect((await venus.liquidateCalculateSeizeTokensIsolated(vDEBT, vCOLLATERAL, repay))[1]).to.equal(expected);
+                const seizeTokens = calculateSeizeTokens(repay, market.debt, market.collateral, market.rate, INCENTIVE);
+                expect(seizeTokens).to.equal(expected);
+
+                const [protocolSeizeTokens, liquidatorSeizeTokens] = await venus.splitSeizeTokens(seizeTokens);
+                expect(splitSeizeTokens(seizeTokens, PROTOCOL_SHARE, INCENTIVE)).to.deep.equal({ protocolSeizeTokens, liquidatorSeizeTokens });
+
+                const [treasurySeizeTokens] = await venus.splitLiquidationIncentive(seizeTokens);
+                expect(calculateTreasurySeizeTokens(seizeTokens, TREASURY_PERCENT, INCENTIVE)).to.equal(treasurySeizeTokens);
+            }
+        });
+    }
+
+    it("Should seize nothing when a price is missing, like the Comptroller's PRICE_ERROR", async function () {
+        await venus.setMarket(vDEBT, 0n, 0n);
+        await venus.setMarket(vCOLLATERAL, price("600", 18), exchangeRate("0.02", 18));
+
+        const [error, seizeTokens] = await venus.liquidateCalculateSeizeTokens(vDEBT, vCOLLATERAL, ONE);
+        expect(error).to.equal(13n);
+        expect(seizeTokens).to.equal(0n);
+        expect(calculateSeizeTokens(ONE, 0n, price("600", 18), exchangeRate("0.02", 18), INCENTIVE)).to.equal(0n);
+    });
+
+    it("Should take the Liquidator's treasury share out of core pool collateral", async function () {
+        const market = MARKETS[0];
+        await venus.setMarket(vDEBT, market.debt, 0n);
+        await venus.setMarket(vCOLLATERAL, market.collateral, market.rate);
+        await venus.setBalance(vCOLLATERAL, BORROWER, 10n ** 18n);
+
+        // Core vTokens have no protocol seize share: the Liquidator receives the whole seize
+        const params = {
+            repayAmount: ethers.parseEther("1000"),
+            priceBorrowed: market.debt,
+            priceCollateral: market.collateral,
+            exchangeRate: market.rate,
+            liquidationIncentive: INCENTIVE
+        };
+        const [seizeTokens, ours, theirs] = await venus.previewLiquidation(BORROWER, vDEBT, vCOLLATERAL, params.repayAmount);
+        const seize = calculateVenusSeize({ ...params, treasuryPercent: TREASURY_PERCENT });
+
+        expect(seize).to.include({ seizeTokens, protocolSeizeTokens: 0n, liquidatorSeizeTokens: seizeTokens, treasurySeizeTokens: ours });
+        expect(seize.collateralReceived).to.equal(theirs * market.rate / ONE);
+        expect(seize.collateralReceived < calculateVenusSeize(params).collateralReceived).to.be.true;
+    });
+
+    it("Should shrink the repay until the seize fits the borrower's vToken balance", async function () {
+        const market = MARKETS[0];
+        const balance = 5000n * 10n ** 8n; // 5000 vTokens ≈ 108 underlying ≈ $66k
+        await venus.setMarket(vDEBT, market.debt, 0n);
+        await venus.setMarket(vCOLLATERAL, market.collateral, market.rate);
+        await venus.setBalance(vCOLLATERAL, BORROWER, balance);
+
+        const params = {
+            repayAmount: ethers.parseEther("100000"),
+            priceBorrowed: market.debt,
+            priceCollateral: market.collateral,
+            exchangeRate: market.rate,
+            liquidationIncentive: INCENTIVE,
+            treasuryPercent: TREASURY_PERCENT,
+            collateralBalance: balance
+        };
+        await expect(venus.previewLiquidation(BORROWER, vDEBT, vCOLLATERAL, params.repayAmount)).to.be.revertedWith("LIQUIDATE_SEIZE_TOO_MUCH");
+
+        const seize = calculateVenusSeize(params);
+        expect(seize.isCapped).to.be.true;
+        expect(seize.repayAmount < params.repayAmount).to.be.true;
+
+        const [seizeTokens, ours, theirs] = await venus.previewLiquidation(BORROWER, vDEBT, vCOLLATERAL, seize.repayAmount);
+        expect(seize).to.include({ seizeTokens, treasurySeizeTokens: ours });
+        expect(balance - seizeTokens < 10n ** 8n).to.be.true; // Within one vToken of the whole balance
+        expect(seize.collateralReceived).to.equal(theirs * market.rate / ONE);
+
+        // Under the balance nothing changes
+        const uncapped = calculateVenusSeize({ ...params, repayAmount: ethers.parseEther("1000") });
+        expect(uncapped.isCapped).to.be.false;
+        expect(uncapped.repayAmount).to.equal(ethers.parseEther("1000"));
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * test/shutdownCoordinator.test.js
+ *
+ * Tests for the signal/error driven shutdown sequence
+ */
+
+const { expect } = require("chai");
+const { EventEmitter } = require("events");
+const ShutdownCoordinator = require("../helpers/shutdownCoordinator");
+
+function fakeEngine(calls, drained = true) {
+    return {
+        config: { shutdownTimeoutMs: 1234 },
+        drain: async (timeoutMs) => { calls.push(`drain:${timeoutMs}`); return drained; },
+        shutdown: () => calls.push("engine")
+    };
+}
+
+describe("ShutdownCoordinator", function () {
+    it("Should drain the engine, close it, then run cleanup steps in order", async function () {
+        const calls = [];
+        const coordinator = new ShutdownCoordinator({ engine: fakeEngine(calls), exit: (code) => calls.push(`exit:${code}`) })
+            .addStep("first", async () => calls.push("first"))
+            .addStep("broken", () => { throw new Error("already closed"); })
+            .addStep("last", () => calls.push("last"));
+
+        await coordinator.shutdown("SIGTERM");
+        await coordinator.shutdown("SIGTERM");
+
+        expect(calls).to.deep.equal(["drain:1234", "engine", "first", "last", "exit:0"]);
+    });
+
+    it("Should not wait forever on a step that never finishes", async function () {
+        const calls = [];
+        const coordinator = new ShutdownCoordinator({ stepTimeoutMs: 20, exit: (code) => calls.push(`exit:${code}`) })
+            .addStep("hung", () => new Promise(() => {}))
+            .addStep("next", () => calls.push("next"));
+
+        await coordinator.shutdown("SIGINT");
+        expect(calls).to.deep.equal(["next", "exit:0"]);
+    });
+
+    it("Should handle SIGINT, SIGTERM and uncaught errors the same way", async function () {
+        const proc = new EventEmitter();
+        const exits = [];
+        const calls = [];
+        const coordinator = new ShutdownCoordinator({ engine: fakeEngine(calls), exit: (code) => exits.push(code) }).install(proc);
+
+        proc.emit("uncaughtException", new Error("boom"));
+        // A second signal while draining forces the exit
+        proc.emit("SIGTERM", "SIGTERM");
+        await coordinator.shutdownPromise;
+
+        expect(exits).to.deep.equal([1, 1]);
+        expect(calls).to.deep.equal(["drain:1234", "engine"]);
+
+        coordinator.uninstall();
+        expect(proc.listenerCount("SIGINT")).to.equal(0);
+        expect(proc.listenerCount("unhandledRejection")).to.equal(0);
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * test/transactionManager.test.js
+ *
+ * Tests for nonce tracking, speed-ups and cancellation of stuck liquidation txs
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const TransactionManager = require("../helpers/transactionManager");
+
+const WALLET_ADDRESS = "0x1234567890123456789012345678901234567890";
+const GWEI = ethers.parseUnits("1", "gwei");
+
+describe("TransactionManager", function () {
+    let sent;
+    let receipts;
+    let attempts;
+    let statuses;
+    let chainNonce;
+    let manager;
+
+    // Mine whichever sent tx `pickMined` selects once it exists
+    function build({ pickMined = () => null, sendError = null, config = {} } = {}) {
+        sent = [];
+        receipts = new Map();
+        attempts = [];
+        statuses = new Map();
+        chainNonce = 7;
+
+        const wallet = {
+            getAddress: async () => WALLET_ADDRESS,
+            sendTransaction: async (tx) => {
+                if (sendError) {
+                    throw new Error(sendError);
+                }
+                const hash = ethers.id(`tx-${sent.length}`);
+                sent.push({ ...tx, hash });
+                return { hash };
+            }
+        };
+        const provider = {
+            getTransactionCount: async () => chainNonce,
+            getTransactionReceipt: async (hash) => {
+                const mined = pickMined(sent);
+                if (mined && mined.hash === hash) {
+                    return { hash, status: mined.revert ? 0 : 1 };
+                }
+                return receipts.get(hash) || null;
+            }
+        };
+        const database = {
+            recordTxAttempt: (attempt) => attempts.push(attempt),
+            updateTxAttemptStatus: (hash, status) => statuses.set(hash, status)
+        };
+
+        manager = new TransactionManager({
+            wallet,
+            provider,
+            database,
+            config: {
+                deadlineMs: 200,
+                speedUpIntervalMs: 50,
+                cancelTimeoutMs: 100,
+                pollIntervalMs: 10,
+                ...config
+            }
+        });
+    }
+
+    const txRequest = { to: "0x0000000000000000000000000000000000000001", data: "0x1234" };
+
+    it("Should send with locally tracked nonces", async function () {
+        build({ pickMined: (txs) => txs[txs.length - 1] });
+
+        const first = await manager.send(txRequest, { gasLimit: 800000n, gasPrice: 3n * GWEI });
+        const second = await manager.send(txRequest, { gasLimit: 800000n, gasPrice: 3n * GWEI });
+
+        expect(first.status).to.equal("mined");
+        expect(first.nonce).to.equal(7);
+        expect(second.nonce).to.equal(8);
+        expect(attempts.map(a => a.kind)).to.deep.equal(["initial", "initial"]);
+    });
+
+    it("Should speed up a stuck tx with the same nonce and a higher gas price", async function () {
+        // Only the replacement gets mined
+        build({ pickMined: (txs) => txs[1] || null });
+
+        const result = await manager.send(txRequest, { gasLimit: 800000n, gasPrice: 3n * GWEI, label: "borrower" });
+
+        expect(result.status).to.equal("mined");
+        expect(sent.length).to.equal(2);
+        expect(sent[1].nonce).to.equal(sent[0].nonce);
+        expect(sent[1].gasPrice > (sent[0].gasPrice * 110n) / 100n).to.be.true;
+        expect(statuses.get(sent[0].hash)).to.equal("replaced");
+        expect(statuses.get(sent[1].hash)).to.equal("mined");
+        expect(attempts[1].kind).to.equal("speedup");
+    });
+
+    it("Should cancel a tx still pending at the deadline", async function () {
+        build({
+            pickMined: (txs) => txs.find(tx => tx.to === WALLET_ADDRESS) || null,
+            config: { maxReplacements: 1 }
+        });
+
+        const result = await manager.send(txRequest, { gasLimit: 800000n, gasPrice: 3n * GWEI });
+
+        expect(result.status).to.equal("cancelled");
+        const cancel = sent[sent.length - 1];
+        expect(cancel.value).to.equal(0n);
+        expect(cancel.nonce).to.equal(sent[0].nonce);
+        expect(attempts[attempts.length - 1].kind).to.equal("cancel");
+    });
+
+    it("Should outbid the last price when cancelling at the max gas price", async function () {
+        build({
+            pickMined: (txs) => txs.find(tx => tx.to === WALLET_ADDRESS) || null,
+            config: { maxGasPrice: 5n * GWEI }
+        });
+
+        const result = await manager.send(txRequest, { gasLimit: 800000n, gasPrice: 5n * GWEI });
+
+        expect(result.status).to.equal("cancelled");
+        expect(sent).to.have.length(2); // No speed-up possible at the cap
+        expect(sent[1].gasPrice > (5n * GWEI * 110n) / 100n).to.be.true;
+    });
+
+    it("Should never bump above the max gas price", function () {
+        build({ config: { maxGasPrice: 5n * GWEI } });
+
+        expect(manager.bumpGasPrice(3n * GWEI) > 3n * GWEI).to.be.true;
+        expect(manager.bumpGasPrice(45n * GWEI / 10n)).to.equal(5n * GWEI);
+        expect(manager.bumpGasPrice(5n * GWEI)).to.be.null;
+    });
+
+    it("Should resync the nonce when the initial send fails", async function () {
+        build({ sendError: "insufficient funds" });
+
+        let error = null;
+        try {
+            await manager.send(txRequest, { gasLimit: 800000n, gasPrice: 3n * GWEI });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error.message).to.equal("insufficient funds");
+        expect(manager.nonce).to.equal(7);
+        expect(attempts[0].status).to.equal("failed");
+    });
+});
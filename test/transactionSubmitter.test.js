@@ -0,0 +1,122 @@
+/**
+ * test/transactionSubmitter.test.js
+ *
+ * Tests for transaction submission channels and per-opportunity channel selection
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+    PrivateRpcSubmitter,
+    MultiBroadcastSubmitter,
+    MockSubmitter,
+    createSubmissionRoutes,
+    selectSubmitter
+} = require("../helpers/transactionSubmitter");
+const TransactionManager = require("../helpers/transactionManager");
+
+describe("Transaction Submitters", function () {
+    let wallet;
+    let txRequest;
+
+    beforeEach(async function () {
+        wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        txRequest = {
+            to: "0x0000000000000000000000000000000000000001",
+            data: "0x1234",
+            nonce: 0,
+            gasLimit: 800000n,
+            gasPrice: ethers.parseUnits("3", "gwei")
+        };
+    });
+
+    function fakeEndpoint(error = null) {
+        const endpoint = {
+            received: [],
+            broadcastTransaction: async (signedTx) => {
+                if (error) {
+                    throw new Error(error);
+                }
+                endpoint.received.push(signedTx);
+                return { hash: ethers.Transaction.from(signedTx).hash };
+            }
+        };
+        return endpoint;
+    }
+
+    it("Should sign locally and send the raw tx to the private endpoint", async function () {
+        const endpoint = fakeEndpoint();
+        const submitter = new PrivateRpcSubmitter(wallet, endpoint);
+
+        const { hash } = await submitter.submit(txRequest);
+
+        expect(endpoint.received.length).to.equal(1);
+        const decoded = ethers.Transaction.from(endpoint.received[0]);
+        expect(decoded.from).to.equal(wallet.address);
+        expect(decoded.hash).to.equal(hash);
+    });
+
+    it("Should broadcast the same signed tx to every endpoint and tolerate partial failure", async function () {
+        const endpoints = [fakeEndpoint(), fakeEndpoint("rate limited"), fakeEndpoint()];
+        const submitter = new MultiBroadcastSubmitter(wallet, endpoints);
+
+        const result = await submitter.submit(txRequest);
+
+        expect(result.accepted).to.equal(2);
+        expect(endpoints[0].received[0]).to.equal(endpoints[2].received[0]);
+    });
+
+    it("Should fail when every endpoint rejects the broadcast", async function () {
+        const submitter = new MultiBroadcastSubmitter(wallet, [fakeEndpoint("down"), fakeEndpoint("down")]);
+
+        let error = null;
+        try {
+            await submitter.submit(txRequest);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include("rejected by all 2 endpoints");
+    });
+
+    it("Should choose the channel by expected profit", function () {
+        const routes = createSubmissionRoutes(wallet, {
+            privateRpcUrl: "http://127.0.0.1:1",
+            privateSubmitMinProfit: ethers.parseEther("0.05"),
+            broadcastRpcUrls: ["http://127.0.0.1:2", "http://127.0.0.1:3"],
+            broadcastSubmitMinProfit: ethers.parseEther("0.2")
+        });
+
+        expect(selectSubmitter(routes, ethers.parseEther("0.01")).name).to.equal("public");
+        expect(selectSubmitter(routes, ethers.parseEther("0.1")).name).to.equal("private");
+        expect(selectSubmitter(routes, ethers.parseEther("1")).name).to.equal("broadcast");
+    });
+
+    it("Should fall back to the public channel when nothing else is configured", function () {
+        const routes = createSubmissionRoutes(wallet);
+        expect(routes.length).to.equal(1);
+        expect(selectSubmitter(routes, ethers.parseEther("100")).name).to.equal("public");
+    });
+
+    it("Should route transaction manager sends through the mock submitter", async function () {
+        const submitter = new MockSubmitter();
+        const recorded = [];
+        const manager = new TransactionManager({
+            wallet,
+            provider: {
+                getTransactionCount: async () => 3,
+                getTransactionReceipt: async (hash) => ({ hash, status: 1 })
+            },
+            database: {
+                recordTxAttempt: (attempt) => recorded.push(attempt),
+                updateTxAttemptStatus: () => {}
+            },
+            submitter
+        });
+
+        const result = await manager.send({ to: txRequest.to, data: txRequest.data }, { gasLimit: 800000n, gasPrice: 1n });
+
+        expect(result.status).to.equal("mined");
+        expect(submitter.submitted[0].nonce).to.equal(3);
+        expect(recorded[0].channel).to.equal("mock");
+    });
+});
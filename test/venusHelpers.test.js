@@ -0,0 +1,112 @@
+/**
+ * test/venusHelpers.test.js
+ *
+ * Tests for Venus pair selection (pure math, no chain access)
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { rankLiquidationPairs } = require("../helpers/venusHelpers");
+
+const ONE = ethers.parseEther("1");
+
+function borrow(vToken, underlying, balance, price) {
+    const borrowBalance = ethers.parseEther(balance);
+    const priceUSD = ethers.parseEther(price);
+    return { vToken, underlying, borrowBalance, priceUSD, valueUSD: (borrowBalance * priceUSD) / ONE };
+}
+
+function collateral(vToken, underlying, balance, price) {
+    const underlyingBalance = ethers.parseEther(balance);
+    const priceUSD = ethers.parseEther(price);
+    return { vToken, underlying, underlyingBalance, priceUSD, valueUSD: (underlyingBalance * priceUSD) / ONE };
+}
+
+describe("Venus Helpers", function () {
+    const params = {
+        liquidationIncentive: ethers.parseEther("1.1"),
+        closeFactor: ethers.parseEther("0.5"),
+        closeFactorPercent: 50
+    };
+
+    describe("rankLiquidationPairs", function () {
+        it("Should evaluate every debt × collateral pair", async function () {
+            const borrows = [borrow("0xv1", "0xusdt", "1000", "1"), borrow("0xv2", "0xeth", "1", "2000")];
+            const collaterals = [collateral("0xv3", "BNB", "10", "300"), collateral("0xv4", "0xbtc", "0.1", "60000")];
+
+            const ranked = await rankLiquidationPairs(borrows, collaterals, params);
+            expect(ranked.length).to.equal(4);
+        });
+
+        it("Should cap repay by available collateral and prefer the larger seizable pair", async function () {
+            // Largest debt is USDT, but the largest collateral is tiny relative to a USDT repay
+            const borrows = [borrow("0xvUSDT", "0xusdt", "10000", "1")];
+            const collaterals = [
+                collateral("0xvETH", "0xeth", "0.5", "2000"),   // $1000 of collateral
+                collateral("0xvBTC", "0xbtc", "0.1", "60000")   // $6000 of collateral
+            ];
+
+            const ranked = await rankLiquidationPairs(borrows, collaterals, params);
+            expect(ranked[0].collateralPosition.vToken).to.equal("0xvBTC");
+
+            const ethPair = ranked.find(c => c.collateralPosition.vToken === "0xvETH");
+            expect(ethPair.isSeizeCapped).to.be.true;
+            // Seized value never exceeds the collateral balance
+            expect(ethPair.seizeValueUSD <= ethers.parseEther("1000")).to.be.true;
+        });
+
+        it("Should skip same-asset pairs and pairs without a route", async function () {
+            const borrows = [borrow("0xvUSDT", "0xusdt", "1000", "1")];
+            const collaterals = [
+                collateral("0xvUSDT", "0xusdt", "5000", "1"),
+                collateral("0xvETH", "0xeth", "5", "2000"),
+                collateral("0xvBTC", "0xbtc", "1", "60000")
+            ];
+
+            const ranked = await rankLiquidationPairs(borrows, collaterals, params, {
+                getRouteQuality: async (debt, coll) => coll.underlying === "0xbtc" ? 0 : 1
+            });
+
+            expect(ranked.length).to.equal(1);
+            expect(ranked[0].collateralPosition.vToken).to.equal("0xvETH");
+        });
+
+        it("Should run the route checks of all pairs concurrently", async function () {
+            const borrows = [borrow("0xvUSDT", "0xusdt", "1000", "1"), borrow("0xvDAI", "0xdai", "1000", "1")];
+            const collaterals = [collateral("0xvETH", "0xeth", "5", "2000"), collateral("0xvBTC", "0xbtc", "1", "60000")];
+            let inFlight = 0;
+            let maxInFlight = 0;
+
+            const ranked = await rankLiquidationPairs(borrows, collaterals, params, {
+                getRouteQuality: async () => {
+                    maxInFlight = Math.max(maxInFlight, ++inFlight);
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                    inFlight--;
+                    return 1;
+                }
+            });
+
+            expect(ranked.length).to.equal(4);
+            expect(maxInFlight).to.equal(4);
+        });
+
+        it("Should discount by route quality and subtract gas", async function () {
+            const borrows = [borrow("0xvUSDT", "0xusdt", "1000", "1")];
+            const collaterals = [
+                collateral("0xvETH", "0xeth", "5", "2000"),
+                collateral("0xvBTC", "0xbtc", "1", "60000")
+            ];
+            const gasCostUSD = ethers.parseEther("1");
+
+            const ranked = await rankLiquidationPairs(borrows, collaterals, params, {
+                gasCostUSD,
+                getRouteQuality: async (debt, coll) => coll.underlying === "0xeth" ? 1 : 0.5
+            });
+
+            // Repay is $500 (close factor) for both; bonus is $50
+            expect(ranked[0].collateralPosition.vToken).to.equal("0xvETH");
+            expect(ranked[0].score).to.equal(ethers.parseEther("49"));
+            expect(ranked[1].score).to.equal(ethers.parseEther("24"));
+        });
+    });
+});